@@ -1,11 +1,61 @@
-const https = require('https');
 const fs = require('fs');
+const { createProviders } = require('./news-providers');
+const { NewsPipeline, stages } = require('./pipeline');
+const { createLLMClient } = require('./llm-client');
+const { StructuredOutputError, extractJson, validateAnalysis, buildRepairPrompt } = require('./structured-output');
+const { createPromptRegistry } = require('./prompt-templates');
+const { DEFAULT_CONFIG } = require('./config-loader');
+const { resolvePersona, promptVariables } = require('./personas');
+const { canonicalizeUrl, urlKey } = require('./near-duplicates');
+const { truncateText } = require('./feed-parser');
+
+// Characters of fetched article text per article in the analysis prompt
+const ARTICLE_TEXT_LIMIT = 1500;
 
 class AIGoodNewsAgent {
-    constructor() {
-        this.geminiApiKey = process.env.GEMINI_API_KEY;
+    constructor(options = {}) {
+        // Analysis and post writing can use different models (config.llm.tasks)
+        const llmConfig = { llm: options.llm || DEFAULT_CONFIG.llm };
+        this.analysisLLM = createLLMClient(llmConfig, 'analysis');
+        this.postLLM = createLLMClient(llmConfig, 'post');
+        // How often an invalid analysis reply is sent back to the model to fix
+        this.repairAttempts = llmConfig.llm.repairAttempts ?? DEFAULT_CONFIG.llm.repairAttempts;
+        // What produced the last analysis / post: the LLM provider or "fallback",
+        // plus the prompt template id ("post.v1") when the LLM was used
+        this.analysisGenerator = null;
+        this.postGenerator = null;
+        this.analysisPromptVersion = null;
+        this.postPromptVersion = null;
+
+        // Prompt templates (config.prompts) and the persona the post prompt writes as
+        this.prompts = createPromptRegistry({ prompts: options.prompts || DEFAULT_CONFIG.prompts });
+        this.persona = options.persona || resolvePersona(DEFAULT_CONFIG);
+
         this.newsApiKey = process.env.NEWS_API_KEY;
+        // Seen articles are compared by canonical URL, so tracking-parameter
+        // and AMP variants of a used article are skipped too
         this.seenArticles = this.loadSeenArticles();
+        this.seenKeys = new Set(this.seenArticles.map(urlKey));
+
+        // Use NewsAPI if available, otherwise use DuckDuckGo, plus the
+        // publishers' own RSS feeds (overridable via options.providers)
+        this.providers = createProviders({
+            providers: options.providers || {
+                enabled: [this.newsApiKey ? 'newsapi' : 'duckduckgo', 'rss'],
+                newsapi: { apiKey: this.newsApiKey },
+                rss: { usePreferredSources: true }
+            },
+            sources: {
+                preferred: [
+                    'techcrunch.com',
+                    'venturebeat.com',
+                    'theverge.com',
+                    'wired.com',
+                    'arstechnica.com',
+                    'technologyreview.com'
+                ]
+            }
+        });
     }
 
     loadSeenArticles() {
@@ -23,18 +73,20 @@ class AIGoodNewsAgent {
         fs.writeFileSync('seen-articles.json', JSON.stringify(this.seenArticles, null, 2));
     }
 
+    hasSeenArticle(url) {
+        return this.seenKeys.has(urlKey(url));
+    }
+
+    markArticleSeen(url) {
+        if (!this.hasSeenArticle(url)) {
+            this.seenArticles.push(canonicalizeUrl(url));
+            this.seenKeys.add(urlKey(url));
+        }
+    }
+
     async searchAINews() {
         console.log('🔍 Searching for AI news...');
         
-        const sources = [
-            'techcrunch.com',
-            'venturebeat.com',
-            'theverge.com',
-            'wired.com',
-            'arstechnica.com',
-            'technologyreview.com'
-        ];
-
         const keywords = [
             'artificial intelligence breakthrough',
             'AI advancement',
@@ -44,167 +96,95 @@ class AIGoodNewsAgent {
             'generative AI innovation'
         ];
 
-        let allArticles = [];
-
-        // Use NewsAPI if available, otherwise use DuckDuckGo
-        if (this.newsApiKey) {
-            allArticles = await this.searchWithNewsAPI(keywords);
-        } else {
-            allArticles = await this.searchWithDuckDuckGo(keywords);
-        }
+        const allArticles = await this.searchWithProviders(keywords);
 
         // Filter out seen articles
         const newArticles = allArticles.filter(article => 
-            !this.seenArticles.includes(article.url)
+            !this.hasSeenArticle(article.url)
         );
 
         console.log(`📰 Found ${newArticles.length} new articles`);
         return newArticles;
     }
 
-    async searchWithNewsAPI(keywords) {
+    async searchWithProviders(keywords) {
         const articles = [];
-        const yesterday = new Date();
-        yesterday.setDate(yesterday.getDate() - 1);
-        
-        for (const keyword of keywords) {
-            try {
-                const url = `https://newsapi.org/v2/everything?q=${encodeURIComponent(keyword)}&from=${yesterday.toISOString().split('T')[0]}&sortBy=relevancy&language=en&apiKey=${this.newsApiKey}`;
-                
-                const response = await this.makeHttpRequest(url);
-                const data = JSON.parse(response);
-                
-                if (data.articles) {
-                    articles.push(...data.articles.map(article => ({
-                        title: article.title,
-                        description: article.description,
-                        url: article.url,
-                        source: article.source.name,
-                        publishedAt: article.publishedAt,
-                        content: article.content
-                    })));
-                }
-            } catch (error) {
-                console.error(`Error searching for ${keyword}:`, error.message);
-            }
-        }
-        
-        return articles;
-    }
 
-    async searchWithDuckDuckGo(keywords) {
-        const articles = [];
-        
         for (const keyword of keywords) {
-            try {
-                const url = `https://api.duckduckgo.com/?q=${encodeURIComponent(keyword + ' site:techcrunch.com OR site:venturebeat.com OR site:theverge.com')}&format=json&no_html=1`;
-                
-                const response = await this.makeHttpRequest(url);
-                const data = JSON.parse(response);
-                
-                if (data.RelatedTopics) {
-                    for (const topic of data.RelatedTopics) {
-                        if (topic.FirstURL && topic.Text) {
-                            articles.push({
-                                title: this.extractTitle(topic.Text),
-                                description: topic.Text,
-                                url: topic.FirstURL,
-                                source: this.extractDomain(topic.FirstURL),
-                                publishedAt: new Date().toISOString(),
-                                content: topic.Text
-                            });
-                        }
-                    }
+            for (const provider of this.providers) {
+                try {
+                    articles.push(...await provider.search(keyword, 'd'));
+                } catch (error) {
+                    console.error(`Error searching ${provider.name} for ${keyword}:`, error.message);
                 }
-            } catch (error) {
-                console.error(`Error searching DuckDuckGo for ${keyword}:`, error.message);
             }
         }
-        
+
         return articles;
     }
 
-    async analyzeWithGemini(articles) {
-        console.log('🤖 Analyzing articles with Gemini...');
+    async analyzeWithLLM(articles) {
+        console.log(`🤖 Analyzing articles with ${this.analysisLLM.displayName}...`);
         
-        if (!this.geminiApiKey) {
-            console.log('⚠️ No Gemini API key found, using fallback analysis');
+        if (!this.analysisLLM.isAvailable()) {
+            console.log(`⚠️ ${this.analysisLLM.name} is not configured (missing API key?), using fallback analysis`);
+            this.analysisGenerator = 'fallback';
+            this.analysisPromptVersion = null;
             return this.fallbackAnalysis(articles);
         }
 
-        const prompt = `
-Analyze these AI news articles and identify the most positive, breakthrough-worthy developments. 
-Focus on genuine progress, innovations, and positive impacts of AI technology.
-
-Articles:
-${articles.map((article, i) => `
+        try {
+            const prompt = this.prompts.render('analysis', {
+                articles: articles.map((article, i) => `
 ${i + 1}. Title: ${article.title}
-   Description: ${article.description}
+   Description: ${article.summary}
    Source: ${article.source}
-`).join('\n')}
-
-Please:
-1. Rank the articles by their positive impact and innovation level
-2. Identify the top 3 most significant positive developments
-3. Explain why each is noteworthy and positive for the AI field
-4. Provide a brief summary of each article's key points
-
-Format your response as JSON with this structure:
-{
-  "topArticles": [
-    {
-      "rank": 1,
-      "title": "...",
-      "summary": "...",
-      "whyPositive": "...",
-      "keyPoints": ["...", "..."],
-      "originalIndex": 0
-    }
-  ],
-  "overallTrend": "Brief analysis of the overall positive trends in AI"
-}
-`;
+${article.content ? `   Article text: ${truncateText(article.content.replace(/\s+/g, ' '), ARTICLE_TEXT_LIMIT)}\n` : ''}`).join('\n')
+            });
 
-        try {
-            const analysis = await this.callGeminiAPI(prompt);
-            return JSON.parse(analysis);
+            const analysis = await this.requestAnalysis(prompt.text, articles.length);
+            this.analysisGenerator = this.analysisLLM.name;
+            this.analysisPromptVersion = prompt.id;
+            return analysis;
         } catch (error) {
-            console.error('Gemini analysis failed:', error.message);
+            console.error('LLM analysis failed:', error.message);
+            this.analysisGenerator = 'fallback';
+            this.analysisPromptVersion = null;
             return this.fallbackAnalysis(articles);
         }
     }
 
-    async callGeminiAPI(prompt) {
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${this.geminiApiKey}`;
-        
-        const requestBody = JSON.stringify({
-            contents: [{
-                parts: [{
-                    text: prompt
-                }]
-            }],
-            generationConfig: {
-                temperature: 0.7,
-                topK: 40,
-                topP: 0.95,
-                maxOutputTokens: 2048
+    // Asks for the analysis until the reply holds valid JSON, telling the model
+    // what was wrong each time (up to repairAttempts follow-ups)
+    async requestAnalysis(prompt, articleCount) {
+        let request = prompt;
+
+        for (let attempt = 0; ; attempt++) {
+            const response = await this.analysisLLM.complete(request);
+            let analysis = null;
+            let errors;
+
+            try {
+                analysis = extractJson(response.text);
+                errors = validateAnalysis(analysis, articleCount);
+            } catch (error) {
+                if (!(error instanceof StructuredOutputError)) throw error;
+                errors = error.errors;
             }
-        });
 
-        const response = await this.makeHttpRequest(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
+            if (errors.length === 0) {
+                return analysis;
+            }
+            if (response.truncated) {
+                errors.push('The response was cut off at the output token limit; keep summaries and key points shorter');
+            }
+            if (attempt >= this.repairAttempts) {
+                throw new StructuredOutputError(`Invalid analysis after ${attempt + 1} attempt(s): ${errors.join('; ')}`, errors);
             }
-        }, requestBody);
 
-        const data = JSON.parse(response);
-        
-        if (data.candidates && data.candidates[0] && data.candidates[0].content) {
-            return data.candidates[0].content.parts[0].text;
+            console.warn(`⚠️ Analysis response was invalid (${errors.join('; ')}), asking ${this.analysisLLM.displayName} to fix it...`);
+            request = buildRepairPrompt(prompt, response.text, errors);
         }
-        
-        throw new Error('Invalid Gemini API response');
     }
 
     fallbackAnalysis(articles) {
@@ -213,7 +193,7 @@ Format your response as JSON with this structure:
         
         const scored = articles.map((article, index) => {
             let score = 0;
-            const text = (article.title + ' ' + article.description).toLowerCase();
+            const text = (article.title + ' ' + article.summary).toLowerCase();
             
             positiveKeywords.forEach(keyword => {
                 if (text.includes(keyword)) score += 1;
@@ -228,7 +208,7 @@ Format your response as JSON with this structure:
             .map((article, rank) => ({
                 rank: rank + 1,
                 title: article.title,
-                summary: article.description,
+                summary: article.summary,
                 whyPositive: "This development represents positive progress in AI technology",
                 keyPoints: [
                     "Advances the field of artificial intelligence",
@@ -247,39 +227,35 @@ Format your response as JSON with this structure:
     async generateLinkedInPost(analysis, articles) {
         console.log('✍️ Generating LinkedIn post...');
         
-        if (!this.geminiApiKey) {
+        if (!this.postLLM.isAvailable()) {
+            this.postGenerator = 'fallback';
+            this.postPromptVersion = null;
             return this.generateFallbackPost(analysis, articles);
         }
 
         const topArticle = analysis.topArticles[0];
         const originalArticle = articles[topArticle.originalIndex];
 
-        const prompt = `
-Create an engaging LinkedIn post about this positive AI development:
-
-Title: ${topArticle.title}
-Summary: ${topArticle.summary}
-Why it's positive: ${topArticle.whyPositive}
-Key points: ${topArticle.keyPoints.join(', ')}
-Source: ${originalArticle.source}
-
-Guidelines:
-- Start with an engaging hook that captures attention
-- Highlight the positive impact and innovation
-- Keep it professional but enthusiastic
-- Include relevant hashtags (3-5 maximum)
-- End with a question to encourage engagement
-- Keep under 1300 characters for optimal LinkedIn performance
-- Include the source link at the end
-
-Make it sound authentic and optimistic about AI's future.
-`;
-
         try {
-            const post = await this.callGeminiAPI(prompt);
+            const prompt = this.prompts.render('post', {
+                title: topArticle.title,
+                summary: topArticle.summary,
+                whyPositive: topArticle.whyPositive,
+                keyPoints: topArticle.keyPoints,
+                source: originalArticle.source,
+                url: originalArticle.url,
+                momentum: analysis.momentum || 'No trend data yet',
+                ...promptVariables(this.persona)
+            });
+
+            const post = await this.postLLM.generate(prompt.text);
+            this.postGenerator = this.postLLM.name;
+            this.postPromptVersion = prompt.id;
             return this.formatLinkedInPost(post, originalArticle.url);
         } catch (error) {
             console.error('LinkedIn post generation failed:', error.message);
+            this.postGenerator = 'fallback';
+            this.postPromptVersion = null;
             return this.generateFallbackPost(analysis, articles);
         }
     }
@@ -315,87 +291,31 @@ Source: ${originalArticle.url}`;
     }
 
     async run() {
-        try {
-            console.log('🤖 AI Good News Agent starting...');
-            
-            // Step 1: Search for AI news
-            const articles = await this.searchAINews();
-            
-            if (articles.length === 0) {
-                return {
-                    success: false,
-                    error: 'No new AI articles found in the last 24 hours'
-                };
+        console.log('🤖 AI Good News Agent starting...');
+
+        const pipeline = new NewsPipeline({
+            stages: {
+                discover: {
+                    name: 'discover',
+                    run: async (context) => {
+                        context.articles = await this.searchAINews();
+                    }
+                },
+                analyze: stages.llmAnalysis(this),
+                compose: stages.llmComposer(this),
+                output: stages.markSeen(this)
             }
+        });
 
-            // Step 2: Analyze with Gemini
-            const analysis = await this.analyzeWithGemini(articles);
-            
-            // Step 3: Generate LinkedIn post
-            const linkedinPost = await this.generateLinkedInPost(analysis, articles);
-            
-            // Step 4: Mark articles as seen
-            articles.forEach(article => {
-                if (!this.seenArticles.includes(article.url)) {
-                    this.seenArticles.push(article.url);
-                }
-            });
-            this.saveSeenArticles();
-            
+        const result = await pipeline.run();
+
+        if (result.success) {
             console.log('✅ AI Good News Agent completed successfully');
-            
-            return {
-                success: true,
-                articles: analysis.topArticles.map(article => ({
-                    ...article,
-                    url: articles[article.originalIndex].url,
-                    source: articles[article.originalIndex].source
-                })),
-                linkedinPost,
-                overallTrend: analysis.overallTrend,
-                timestamp: new Date().toISOString()
-            };
-            
-        } catch (error) {
-            console.error('❌ AI Good News Agent failed:', error.message);
-            return {
-                success: false,
-                error: error.message
-            };
+        } else {
+            console.error('❌ AI Good News Agent failed:', result.error.message);
         }
-    }
-
-    makeHttpRequest(url, options = {}, body = null) {
-        return new Promise((resolve, reject) => {
-            const urlObj = new URL(url);
-            const requestOptions = {
-                hostname: urlObj.hostname,
-                port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
-                path: urlObj.pathname + urlObj.search,
-                method: options.method || 'GET',
-                headers: options.headers || {}
-            };
-
-            const req = https.request(requestOptions, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
-                        resolve(data);
-                    } else {
-                        reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
-                    }
-                });
-            });
 
-            req.on('error', reject);
-            
-            if (body) {
-                req.write(body);
-            }
-            
-            req.end();
-        });
+        return result;
     }
 
     extractTitle(text) {
@@ -0,0 +1,205 @@
+/**
+ * Article Cache
+ *
+ * Disk-backed JSON cache for search results so a run that is offline or
+ * rate limited can still fall back to the last successful search, even
+ * though every Kiro hook run is a fresh process.
+ *
+ * - Entries expire after `ttl` milliseconds
+ * - At most `maxEntries` entries are kept; the least recently used go first
+ * - Writers take a lock file and replace the cache atomically (write to a
+ *   temp file, then rename), so concurrent runs never see a torn file
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const LOCK_RETRY_DELAY = 50;
+
+class ArticleCache {
+  constructor(options = {}) {
+    this.filePath = path.resolve(options.filePath || "cache/article-cache.json");
+    this.lockPath = `${this.filePath}.lock`;
+    this.ttl = options.ttl ?? 3600000;
+    this.maxEntries = options.maxEntries ?? 100;
+    this.lockTimeout = options.lockTimeout ?? 5000;
+    this.staleLockAge = options.staleLockAge ?? 30000;
+  }
+
+  /**
+   * Returns the cached value for a key, or null if missing or expired
+   * Reading counts as a use for LRU purposes
+   */
+  async get(key) {
+    return this.withLock(async () => {
+      const entries = await this.readEntries();
+      const entry = entries[key];
+
+      if (!entry || this.isExpired(entry)) {
+        return null;
+      }
+
+      entry.lastAccessed = Date.now();
+      await this.writeEntries(entries);
+      return entry.data;
+    });
+  }
+
+  /**
+   * Stores a value, then drops expired entries and evicts down to maxEntries
+   */
+  async set(key, data, meta = {}) {
+    return this.withLock(async () => {
+      const entries = await this.readEntries();
+      const now = Date.now();
+
+      entries[key] = { ...meta, data, timestamp: now, lastAccessed: now };
+
+      await this.writeEntries(this.prune(entries));
+    });
+  }
+
+  /**
+   * Returns fresh entries whose key starts with prefix, newest first
+   * Each item is { key, data, timestamp, ...meta }
+   */
+  async entries(prefix = "") {
+    return this.withLock(async () => {
+      const entries = await this.readEntries();
+      const now = Date.now();
+
+      const matches = Object.entries(entries)
+        .filter(([key, entry]) => key.startsWith(prefix) && !this.isExpired(entry))
+        .sort(([, a], [, b]) => b.timestamp - a.timestamp);
+
+      if (matches.length > 0) {
+        matches.forEach(([, entry]) => (entry.lastAccessed = now));
+        await this.writeEntries(entries);
+      }
+
+      return matches.map(([key, entry]) => ({ key, ...entry }));
+    });
+  }
+
+  /**
+   * Removes a single entry
+   */
+  async delete(key) {
+    return this.withLock(async () => {
+      const entries = await this.readEntries();
+      if (key in entries) {
+        delete entries[key];
+        await this.writeEntries(entries);
+      }
+    });
+  }
+
+  /**
+   * Removes every entry
+   */
+  async clear() {
+    return this.withLock(() => this.writeEntries({}));
+  }
+
+  isExpired(entry) {
+    return entry.timestamp <= Date.now() - this.ttl;
+  }
+
+  /**
+   * Drops expired entries and evicts least recently used ones over the limit
+   */
+  prune(entries) {
+    const fresh = Object.entries(entries).filter(
+      ([, entry]) => !this.isExpired(entry)
+    );
+
+    fresh.sort(([, a], [, b]) => b.lastAccessed - a.lastAccessed);
+
+    return Object.fromEntries(fresh.slice(0, this.maxEntries));
+  }
+
+  /**
+   * Reads the cache file; a missing or corrupt file is treated as empty
+   */
+  async readEntries() {
+    try {
+      const raw = await fs.promises.readFile(this.filePath, "utf8");
+      const parsed = JSON.parse(raw);
+      return parsed && typeof parsed.entries === "object" ? parsed.entries : {};
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(
+          `⚠️ Ignoring unreadable cache file ${this.filePath}: ${error.message}`
+        );
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Writes the cache file atomically via a temp file and rename
+   */
+  async writeEntries(entries) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(
+      tempPath,
+      JSON.stringify({ version: 1, entries }, null, 2)
+    );
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Runs fn while holding an exclusive lock file shared across processes
+   * Locks older than staleLockAge (e.g. left by a crashed run) are broken
+   */
+  async withLock(fn) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const deadline = Date.now() + this.lockTimeout;
+    let handle;
+
+    while (!handle) {
+      try {
+        handle = await fs.promises.open(this.lockPath, "wx");
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+
+        if (await this.isLockStale()) {
+          await fs.promises.rm(this.lockPath, { force: true });
+          continue;
+        }
+
+        if (Date.now() > deadline) {
+          throw new Error(
+            `Timed out waiting for cache lock ${this.lockPath}`
+          );
+        }
+
+        await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_DELAY));
+      }
+    }
+
+    // The lock is ours from here on, so it is removed even if writing the
+    // pid fails (e.g. a full disk)
+    try {
+      await handle.writeFile(String(process.pid));
+      return await fn();
+    } finally {
+      await handle.close();
+      await fs.promises.rm(this.lockPath, { force: true });
+    }
+  }
+
+  async isLockStale() {
+    try {
+      const stats = await fs.promises.stat(this.lockPath);
+      return Date.now() - stats.mtimeMs > this.staleLockAge;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = ArticleCache;
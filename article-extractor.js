@@ -0,0 +1,476 @@
+/**
+ * Article Extractor
+ *
+ * Fetches article pages and extracts the readable text plus the metadata
+ * search snippets lack:
+ *
+ *   { title, content, canonicalUrl, publishedDate, author, image, siteName, wordCount }
+ *
+ * Metadata comes from <link rel="canonical">, Open Graph and article: meta
+ * tags, JSON-LD (NewsArticle, BlogPosting, ...) and <time> elements. The main
+ * content is found readability-style: page chrome (navigation, footers,
+ * sidebars, comments, share bars) is dropped, every paragraph scores its
+ * parent and grandparent by length and commas, and the best container after
+ * discounting link-heavy text wins, together with strong siblings.
+ *
+ * Like feed-parser.js this is dependency-free: a small tokenizer builds just
+ * enough of a tree for the scoring.
+ *
+ * ArticleEnricher runs the extraction for the top ranked articles of a run
+ * (the pipeline "enrich" stage, config.enrichment), so key points and the
+ * analysis prompt work from the full text instead of the snippet.
+ */
+
+const { request } = require("./http-client");
+const { decodeEntities, truncateText } = require("./feed-parser");
+const { canonicalizeUrl } = require("./near-duplicates");
+const { registrableDomain } = require("./source-registry");
+const { extractEntities } = require("./entity-extractor");
+
+const VOID_ELEMENTS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+
+// Elements whose text is not markup; kept whole (JSON-LD lives in <script>)
+const RAW_TEXT_ELEMENTS = new Set(["script", "style", "noscript", "template", "svg", "textarea"]);
+
+// Never part of the article body
+const CHROME_ELEMENTS = new Set([
+  ...RAW_TEXT_ELEMENTS,
+  "nav",
+  "header",
+  "footer",
+  "aside",
+  "form",
+  "button",
+  "select",
+  "iframe",
+  "figure",
+  "dialog",
+]);
+
+const UNLIKELY_CANDIDATE =
+  /comment|sidebar|footer|nav|menu|share|social|related|recommend|promo|advert|\bads?\b|banner|cookie|consent|newsletter|subscribe|signup|popup|modal|breadcrumb|byline|author-bio|masthead|skip/i;
+const LIKELY_CANDIDATE = /article|content|body|main|post|story|entry/i;
+
+const TEXT_BLOCKS = new Set(["p", "h2", "h3", "h4", "li", "blockquote", "pre"]);
+const ARTICLE_TYPES = /^(Article|NewsArticle|ReportageNewsArticle|AnalysisNewsArticle|BlogPosting|TechArticle|Report)$/;
+
+/**
+ * Extracts the readable article and its metadata from a page
+ * pageUrl resolves relative canonical and image URLs
+ */
+function extractArticle(html, pageUrl = null) {
+  const root = parseHtml(String(html || ""));
+  const meta = readMeta(root);
+  const linkedData = readLinkedData(root);
+  const heading = textOf(find(root, (node) => node.tag === "h1"));
+  const canonical = find(
+    root,
+    (node) => node.tag === "link" && /\bcanonical\b/i.test(node.attrs.rel || "")
+  );
+  const time = find(root, (node) => node.tag === "time" && node.attrs.datetime);
+
+  // mainContent() drops headers and footers, so read the metadata first
+  const content = mainContent(root).join("\n\n");
+
+  return {
+    title:
+      meta["og:title"] ||
+      linkedData.headline ||
+      heading ||
+      textOf(find(root, (node) => node.tag === "title")) ||
+      null,
+    content,
+    canonicalUrl: resolveUrl(attrOf(canonical, "href") || meta["og:url"], pageUrl),
+    publishedDate: parseDate(
+      meta["article:published_time"] ||
+        linkedData.datePublished ||
+        meta["date"] ||
+        meta["pubdate"] ||
+        (time && time.attrs.datetime)
+    ),
+    author: meta["author"] || linkedData.author || meta["article:author"] || null,
+    image: resolveUrl(meta["og:image"] || meta["twitter:image"] || linkedData.image, pageUrl),
+    siteName: meta["og:site_name"] || null,
+    wordCount: content ? content.split(/\s+/).length : 0,
+  };
+}
+
+/**
+ * Fetches and extracts the top ranked articles of a run
+ */
+class ArticleEnricher {
+  constructor(options = {}) {
+    this.maxArticles = options.maxArticles ?? 5;
+    this.concurrency = options.concurrency ?? 3;
+    this.timeout = options.timeout ?? 10000;
+    this.maxContentLength = options.maxContentLength ?? 6000;
+    this.maxBytes = options.maxBytes ?? 5000000;
+    this.minContentLength = options.minContentLength ?? 300;
+    this.skipPaywalled = options.skipPaywalled ?? true;
+  }
+
+  /**
+   * Adds content, image and missing metadata to the first maxArticles
+   * articles (in place); pages that fail keep their snippet
+   * Returns { enriched, failed: [{ url, error }] }
+   */
+  async enrich(articles) {
+    const queue = articles
+      .slice(0, this.maxArticles)
+      .filter((article) => !(this.skipPaywalled && article.paywall));
+    const failed = [];
+    let enriched = 0;
+
+    const worker = async () => {
+      for (let article = queue.shift(); article; article = queue.shift()) {
+        try {
+          this.merge(article, await this.fetchArticle(article.url));
+          enriched++;
+        } catch (error) {
+          failed.push({ url: article.url, error: error.message });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, this.concurrency) }, worker));
+
+    return { enriched, failed };
+  }
+
+  async fetchArticle(url) {
+    const response = await request(url, {
+      timeout: this.timeout,
+      maxBytes: this.maxBytes,
+      headers: { Accept: "text/html,application/xhtml+xml" },
+    });
+
+    const type = response.headers["content-type"] || "";
+    if (type && !/html/i.test(type)) {
+      throw new Error(`Not an HTML page (${type})`);
+    }
+
+    const page = extractArticle(response.body, response.url);
+    if (page.content.length < this.minContentLength) {
+      throw new Error("No readable article text found");
+    }
+    return page;
+  }
+
+  merge(article, page) {
+    article.content = truncateText(page.content, this.maxContentLength);
+    article.image = page.image;
+    article.publishedDate = article.publishedDate || page.publishedDate;
+    article.author = article.author || page.author;
+    article.enriched = true;
+    // The full text names more companies, people and amounts than the snippet
+    article.entities = extractEntities(article);
+
+    // Follow the canonical link within the same site only: syndicated
+    // copies point at other publishers, which would misattribute the source
+    if (
+      page.canonicalUrl &&
+      registrableDomain(page.canonicalUrl) === registrableDomain(article.url)
+    ) {
+      article.url = canonicalizeUrl(page.canonicalUrl);
+    }
+  }
+}
+
+/**
+ * Readable text blocks of the best-scoring container
+ */
+function mainContent(root) {
+  removeChrome(root);
+
+  const scores = new Map();
+  const addScore = (node, score) => {
+    if (!node || node.tag === "#root") return;
+    if (!scores.has(node)) {
+      scores.set(node, LIKELY_CANDIDATE.test(classAndId(node)) ? 5 : 0);
+    }
+    scores.set(node, scores.get(node) + score);
+  };
+
+  for (const paragraph of findAll(root, (node) => node.tag === "p" || node.tag === "pre")) {
+    const text = textOf(paragraph);
+    if (text.length < 25) continue;
+
+    const score = 1 + (text.match(/,/g) || []).length + Math.min(3, Math.floor(text.length / 100));
+    addScore(paragraph.parent, score);
+    addScore(paragraph.parent && paragraph.parent.parent, score / 2);
+  }
+
+  let top = null;
+  let topScore = 0;
+  for (const [node, score] of scores) {
+    const adjusted = score * (1 - linkDensity(node));
+    scores.set(node, adjusted);
+    if (adjusted > topScore) {
+      top = node;
+      topScore = adjusted;
+    }
+  }
+  if (!top) return [];
+
+  // Bodies split by ads or images continue in sibling containers, usually
+  // with the same class as the top one
+  const threshold = Math.max(10, topScore * 0.2);
+  const sameClass = (child) => Boolean(top.attrs.class) && child.attrs && child.attrs.class === top.attrs.class;
+  const sections = top.parent
+    ? top.parent.children.filter(
+        (child) =>
+          child === top ||
+          (scores.get(child) || 0) + (sameClass(child) ? topScore * 0.2 : 0) >= threshold ||
+          (child.tag === "p" && textOf(child).length > 80 && linkDensity(child) < 0.25)
+      )
+    : [top];
+
+  return sections.flatMap(textBlocks);
+}
+
+/**
+ * Outermost text blocks in document order, skipping link lists
+ */
+function textBlocks(node) {
+  if (TEXT_BLOCKS.has(node.tag)) {
+    const text = textOf(node);
+    return text.length > 1 && linkDensity(node) <= 0.5 ? [text] : [];
+  }
+  return (node.children || []).flatMap(textBlocks);
+}
+
+function removeChrome(node) {
+  node.children = node.children.filter((child) => {
+    if (child.tag === "#text") return true;
+    if (CHROME_ELEMENTS.has(child.tag)) return false;
+
+    const name = classAndId(child);
+    if (
+      child.tag !== "body" &&
+      child.tag !== "article" &&
+      UNLIKELY_CANDIDATE.test(name) &&
+      !LIKELY_CANDIDATE.test(name)
+    ) {
+      return false;
+    }
+
+    removeChrome(child);
+    return true;
+  });
+}
+
+function linkDensity(node) {
+  const length = textOf(node).length;
+  if (length === 0) return 0;
+
+  const linkLength = findAll(node, (child) => child.tag === "a").reduce(
+    (sum, link) => sum + textOf(link).length,
+    0
+  );
+  return Math.min(1, linkLength / length);
+}
+
+/**
+ * Metadata
+ */
+function readMeta(root) {
+  const meta = {};
+  for (const node of findAll(root, (child) => child.tag === "meta")) {
+    const key = (node.attrs.property || node.attrs.name || node.attrs.itemprop || "").toLowerCase();
+    const value = node.attrs.content;
+    if (key && value && !(key in meta)) {
+      meta[key] = decodeEntities(value).trim();
+    }
+  }
+  return meta;
+}
+
+/**
+ * headline, datePublished, author and image of the first JSON-LD article
+ */
+function readLinkedData(root) {
+  const scripts = findAll(
+    root,
+    (node) => node.tag === "script" && /ld\+json/i.test(node.attrs.type || "")
+  );
+
+  for (const script of scripts) {
+    let data;
+    try {
+      data = JSON.parse(script.text);
+    } catch {
+      continue;
+    }
+
+    const items = [data].flat().flatMap((item) => (item && item["@graph"]) || [item]);
+    const article = items.find((item) =>
+      item && [item["@type"]].flat().some((type) => ARTICLE_TYPES.test(type))
+    );
+    if (!article) continue;
+
+    return {
+      headline: article.headline || null,
+      datePublished: article.datePublished || null,
+      author: nameOf(article.author),
+      image: urlOf(article.image),
+    };
+  }
+  return {};
+}
+
+function nameOf(value) {
+  const names = [value]
+    .flat()
+    .map((item) => (typeof item === "string" ? item : item && item.name))
+    .filter(Boolean);
+  return names.length > 0 ? names.join(", ") : null;
+}
+
+function urlOf(value) {
+  const [first] = [value].flat();
+  if (!first) return null;
+  return typeof first === "string" ? first : first.url || null;
+}
+
+function resolveUrl(value, base) {
+  if (!value) return null;
+  try {
+    return new URL(decodeEntities(value), base || undefined).toString();
+  } catch {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Tokenizer: elements { tag, attrs, children, parent }, text nodes
+ * { tag: "#text", text } and raw-text elements with their text
+ */
+const TOKEN =
+  /<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+function parseHtml(html) {
+  const root = { tag: "#root", attrs: {}, children: [], parent: null };
+  const lower = html.toLowerCase();
+  let current = root;
+  let lastIndex = 0;
+  let match;
+
+  TOKEN.lastIndex = 0;
+  while ((match = TOKEN.exec(html))) {
+    if (match.index > lastIndex) {
+      current.children.push({ tag: "#text", text: html.slice(lastIndex, match.index), parent: current });
+    }
+    lastIndex = TOKEN.lastIndex;
+
+    const [, closing, opening, attributes, selfClosing] = match;
+    if (closing) {
+      // Close up to the matching element; stray end tags are ignored
+      const tag = closing.toLowerCase();
+      let node = current;
+      while (node !== root && node.tag !== tag) node = node.parent;
+      if (node !== root) current = node.parent;
+      continue;
+    }
+    if (!opening) continue; // comment or doctype
+
+    const tag = opening.toLowerCase();
+
+    // A new paragraph or list item ends the open one
+    if ((tag === "p" || tag === "li") && current.tag === tag) {
+      current = current.parent;
+    }
+
+    const element = { tag, attrs: parseAttributes(attributes), children: [], parent: current };
+    current.children.push(element);
+
+    if (RAW_TEXT_ELEMENTS.has(tag)) {
+      const end = lower.indexOf(`</${tag}`, lastIndex);
+      const stop = end === -1 ? html.length : end;
+      element.text = html.slice(lastIndex, stop);
+      const close = html.indexOf(">", stop);
+      lastIndex = TOKEN.lastIndex = close === -1 ? html.length : close + 1;
+    } else if (!VOID_ELEMENTS.has(tag) && !selfClosing) {
+      current = element;
+    }
+  }
+
+  if (lastIndex < html.length) {
+    current.children.push({ tag: "#text", text: html.slice(lastIndex), parent: current });
+  }
+  return root;
+}
+
+function parseAttributes(text) {
+  const attrs = {};
+  for (const [, name, doubleQuoted, singleQuoted, bare] of (text || "").matchAll(ATTRIBUTE)) {
+    attrs[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare ?? "";
+  }
+  return attrs;
+}
+
+/**
+ * Tree helpers
+ */
+function findAll(node, predicate, found = []) {
+  for (const child of node.children || []) {
+    if (predicate(child)) found.push(child);
+    findAll(child, predicate, found);
+  }
+  return found;
+}
+
+function find(node, predicate) {
+  for (const child of node.children || []) {
+    if (predicate(child)) return child;
+    const match = find(child, predicate);
+    if (match) return match;
+  }
+  return null;
+}
+
+function attrOf(node, name) {
+  return node ? node.attrs[name] || null : null;
+}
+
+function classAndId(node) {
+  return `${node.attrs.class || ""} ${node.attrs.id || ""}`;
+}
+
+function textOf(node) {
+  if (!node) return "";
+  return decodeEntities(rawText(node))
+    .replace(/\s+/g, " ")
+    .replace(/\s+([.,;:!?])/g, "$1")
+    .trim();
+}
+
+function rawText(node) {
+  if (node.tag === "#text") return node.text;
+  if (RAW_TEXT_ELEMENTS.has(node.tag)) return "";
+  return node.children.map(rawText).join(node.tag === "br" ? "\n" : " ");
+}
+
+module.exports = {
+  ArticleEnricher,
+  extractArticle,
+};
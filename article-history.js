@@ -0,0 +1,172 @@
+/**
+ * Article History
+ *
+ * Keeps the articles of every run, so trends.js can compare how often topics
+ * and keywords come up from one period to the next. Each article is stored
+ * once per canonical URL (see near-duplicates.js):
+ *
+ *   { url, title, summary, source, topic, entities, date, firstSeenAt, lastSeenAt, runs }
+ *
+ * entities holds the most prominent company, product and person names (see
+ * entity-extractor.js), so trends can follow names as well as topics.
+ *
+ * date is the publish date when the article has a valid one, otherwise the
+ * time it was first seen; trend windows are counted on it. Articles older
+ * than retentionDays are dropped, and at most maxEntries (newest first) are
+ * kept.
+ *
+ * Like the drafts store, the history is a single JSON file that is replaced
+ * atomically; writes are serialized within the process.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { canonicalizeUrl, urlKey } = require("./near-duplicates");
+const { topicFor } = require("./topic-clusters");
+const { extractEntities } = require("./entity-extractor");
+
+const DAY = 86400000;
+
+class ArticleHistory {
+  constructor(options = {}) {
+    this.filePath = path.resolve(options.filePath || "data/article-history.json");
+    this.retentionDays = options.retentionDays ?? 90;
+    this.maxEntries = options.maxEntries ?? 5000;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Adds the articles of a run; articles already in the history only get
+   * their lastSeenAt and runs updated
+   * Returns { added, total }
+   */
+  async record(articles, seenAt = new Date()) {
+    return this.modify((entries) => {
+      const byKey = new Map(entries.map((entry) => [urlKey(entry.url), entry]));
+      const now = seenAt.toISOString();
+      const recorded = new Set();
+      let added = 0;
+
+      for (const article of articles) {
+        if (!article.url) continue;
+
+        // Copies within one run count once
+        const key = urlKey(article.url);
+        if (recorded.has(key)) continue;
+        recorded.add(key);
+
+        const existing = byKey.get(key);
+        if (existing) {
+          existing.lastSeenAt = now;
+          existing.runs++;
+          continue;
+        }
+
+        const entry = {
+          url: canonicalizeUrl(article.url),
+          title: article.title,
+          summary: (article.summary || "").slice(0, 300),
+          source: article.source || null,
+          topic: topicFor(article),
+          entities: entityNames(article),
+          date: articleDate(article, seenAt).toISOString(),
+          firstSeenAt: now,
+          lastSeenAt: now,
+          runs: 1,
+        };
+        entries.push(entry);
+        added++;
+      }
+
+      const kept = this.prune(entries, seenAt);
+      entries.splice(0, entries.length, ...kept);
+      return { added, total: entries.length };
+    });
+  }
+
+  /**
+   * Stored articles, newest first; since limits them by date
+   */
+  async list({ since } = {}) {
+    const entries = await this.readEntries();
+    const start = since ? new Date(since).getTime() : -Infinity;
+
+    return entries
+      .filter((entry) => new Date(entry.date).getTime() >= start)
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  prune(entries, now) {
+    const cutoff = now.getTime() - this.retentionDays * DAY;
+    return entries
+      .filter((entry) => new Date(entry.date).getTime() >= cutoff)
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .slice(0, this.maxEntries);
+  }
+
+  /**
+   * Runs a read-modify-write cycle after any pending one has finished
+   */
+  modify(change) {
+    const run = this.queue.then(async () => {
+      const entries = await this.readEntries();
+      const result = change(entries);
+      await this.writeEntries(entries);
+      return result;
+    });
+
+    // Keep the queue going even if this update fails
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Reads the history file; a missing file means an empty history
+   */
+  async readEntries() {
+    try {
+      const raw = await fs.promises.readFile(this.filePath, "utf8");
+      const parsed = JSON.parse(raw);
+      return Array.isArray(parsed.articles) ? parsed.articles : [];
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw new Error(`Unreadable article history ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  async writeEntries(entries) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(
+      tempPath,
+      JSON.stringify({ version: 1, articles: entries }, null, 2)
+    );
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+/**
+ * Publish date when valid and not in the future, otherwise seenAt
+ */
+function articleDate(article, seenAt) {
+  const published = article.publishedDate ? new Date(article.publishedDate) : null;
+  if (!published || Number.isNaN(published.getTime()) || published > seenAt) {
+    return seenAt;
+  }
+  return published;
+}
+
+// Up to three companies, three products and two people
+function entityNames(article) {
+  const entities = article.entities || extractEntities(article);
+  return [
+    ...entities.companies.slice(0, 3),
+    ...entities.products.slice(0, 3),
+    ...entities.people.slice(0, 2),
+  ];
+}
+
+module.exports = {
+  ArticleHistory,
+};
@@ -0,0 +1,956 @@
+/**
+ * Configuration Loader
+ *
+ * Builds the LinkedIn AI News Agent configuration from three layers:
+ * built-in defaults, an optional JSON file and environment overrides.
+ * The merged result is validated against a schema so that typos in
+ * agent-config.json fail fast with a readable message instead of
+ * surfacing as odd behavior halfway through a run.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseCron } = require("./scheduler");
+const { OPINION_LEVELS, EMOJI_LEVELS } = require("./personas");
+
+/**
+ * Built-in defaults for AI keywords and agent behavior
+ * Any key missing from the config file falls back to these values
+ */
+const DEFAULT_CONFIG = {
+  // AI-related search keywords and topics
+  aiKeywords: [
+    "artificial intelligence",
+    "machine learning",
+    "OpenAI",
+    "ChatGPT",
+    "neural networks",
+    "deep learning",
+    "AI startups",
+    "generative AI",
+    "AI ethics",
+    "AI regulation",
+  ],
+
+  // Search and filtering parameters
+  search: {
+    maxResults: 10,
+    timeframe: "d", // 'd' = past day, 'w' = past week, 'm' = past month
+    minRelevanceScore: 0.4,
+    requestTimeout: 15000,
+    rateLimitDelay: 1000, // 1 second between requests
+  },
+
+  // Article ranking (see relevance-scorer.js); relevanceScore is the weighted
+  // mix of keyword relevance, recency and source authority (the trust of the
+  // source in the source registry), each 0-1
+  scoring: {
+    scorer: "bm25",
+    weights: { relevance: 0.6, recency: 0.25, authority: 0.15 },
+    minRelevance: 0.2, // Keyword relevance a search result needs to be kept
+    recencyHalfLifeHours: 48, // Recency halves every 48 hours after publishing
+    bm25: { k1: 1.2, b: 0.75, saturation: 3 },
+  },
+
+  // LinkedIn post generation settings
+  posts: {
+    maxCharacters: 3000,
+    optimalCharacters: 1600,
+    maxHashtags: 5,
+    // Rotated across the top articles; also "carousel", "series", "poll" and
+    // "digest" (one roundup post covering all top articles)
+    styles: ["news_share", "question", "insight", "list"],
+    defaultStyle: "news_share",
+  },
+
+  // Hashtag selection; see hashtag-engine.js and hashtag-dictionary.json
+  hashtags: {
+    dictionary: "", // Team dictionary merged over the built-in one
+    pinned: [], // Brand or campaign hashtags added to every post first
+    maxPerCategory: 2, // E.g. at most two company hashtags per post
+  },
+
+  // News providers to query; see news-providers.js for the registry
+  providers: {
+    enabled: ["duckduckgo", "rss"],
+    duckduckgo: {},
+    newsapi: {
+      language: "en",
+      sortBy: "relevancy",
+      pageSize: 20,
+    },
+    rss: {
+      feeds: [],
+      usePreferredSources: true, // Add feeds for sources.preferred publishers
+      publisherFeeds: {}, // Extra or replacement { domain: feedUrl } entries
+    },
+  },
+
+  // Pipeline steps: "template" (offline) or "llm" (the model configured in llm)
+  pipeline: {
+    analyzer: "template",
+    composer: "template",
+    skipSeenArticles: false, // Skip articles used in earlier runs (seen-articles.json)
+  },
+
+  // Language models for the "llm" pipeline steps
+  // (keys: GEMINI_API_KEY / OPENAI_API_KEY in .env)
+  llm: {
+    provider: "gemini", // "gemini", "openai" (any OpenAI-compatible server) or "ollama"
+    timeout: 30000,
+    maxRetries: 2, // Retries after timeouts, network errors, 429 and 5xx responses
+    retryDelay: 1000, // Doubles with every retry
+    maxRetryDelay: 30000, // Longest wait before a retry; a longer Retry-After fails at once
+    maxInputTokens: 30000, // Longer prompts (estimated) are rejected before sending
+    repairAttempts: 2, // Times an invalid analysis reply is sent back to the model to fix
+    gemini: {
+      model: "gemini-2.0-flash-exp",
+      baseUrl: "https://generativelanguage.googleapis.com/v1beta",
+    },
+    openai: {
+      model: "gpt-4o-mini",
+      baseUrl: "https://api.openai.com/v1",
+    },
+    ollama: {
+      model: "llama3.1",
+      baseUrl: "http://localhost:11434",
+      timeout: 120000, // Local models can be slow, especially on first load
+    },
+    // Per-task overrides of provider, model, temperature and maxOutputTokens
+    tasks: {
+      analysis: { temperature: 0.7, maxOutputTokens: 2048 },
+      post: { temperature: 0.7, maxOutputTokens: 2048 },
+    },
+  },
+
+  // Roundup post with the top article of each topic (--digest, /api/digest)
+  digest: {
+    timeframe: "w", // Search window for digest runs ("d", "w" or "m")
+    maxArticles: 30, // Ranked articles considered for clustering
+    maxClusters: 5, // Topics in the post; one article each
+    similarityThreshold: 0.25, // 0-1; higher splits articles into more, narrower topics
+  },
+
+  // Same-story detection (see near-duplicates.js); similarities are 0-1
+  dedupe: {
+    articleSimilarity: 0.6, // Articles at least this similar count as one story
+    postSimilarity: 0.5, // Drafts at least this similar to a recent post are flagged
+    recentPostDays: 30, // How far back posted drafts are compared
+  },
+
+  // LLM prompt templates (prompts/<name>.v<version>.txt, see prompt-templates.js)
+  prompts: {
+    directory: "", // Team templates, relative to cwd; same file names replace built-ins
+    versions: {}, // Pin a version per template, e.g. { "post": 1 }; default is the newest
+  },
+
+  // Source reputation (see source-registry.js); preferred and excluded seed
+  // the registry, entries edited in the web UI are kept in path
+  sources: {
+    preferred: [
+      "techcrunch.com",
+      "wired.com",
+      "technologyreview.com",
+      "venturebeat.com",
+      "theverge.com",
+      "arstechnica.com",
+    ],
+    excluded: ["spam-site.com", "clickbait-news.com"],
+    allow: [], // Host patterns exempt from deny patterns and blocked domains
+    deny: [], // Host patterns to block, e.g. "*.blogspot.com"
+    defaultTrust: 0.5, // Trust of domains without a registry entry
+    skipPaywalled: false, // Drop articles from sources flagged as paywalled
+    path: "data/sources.json",
+  },
+
+  // Caching and performance settings
+  cache: {
+    enabled: true,
+    duration: 3600000, // 1 hour in milliseconds
+    maxEntries: 100,
+    path: "cache/article-cache.json", // Shared across runs, relative to cwd
+  },
+
+  // Saved posts from the web UI (draft / approved / posted / discarded)
+  drafts: {
+    path: "data/drafts.json", // Relative to cwd
+  },
+
+  // Articles kept across runs for trend detection (see trends.js, /api/trends)
+  history: {
+    enabled: true,
+    path: "data/article-history.json", // Relative to cwd
+    retentionDays: 90,
+    trendWindowDays: 7, // Each trend period; compared with the period before it
+  },
+
+  // Full-article fetching for the top ranked articles (see article-extractor.js);
+  // key points and the analysis prompt then work from the page text
+  enrichment: {
+    enabled: false,
+    maxArticles: 5,
+    concurrency: 3,
+    timeout: 10000,
+    maxContentLength: 6000, // Characters of page text kept per article
+    maxBytes: 5000000, // Larger pages are not downloaded
+    skipPaywalled: true, // Sources flagged paywall in the source registry
+  },
+
+  // Local scheduler run by server.js
+  schedule: {
+    generationCron: "", // e.g. "0 8 * * 1-5" = weekdays at 08:00 local time; "" = no automatic runs
+    generator: "template", // "template" (LinkedIn AI News Agent), "briefing" (LLM) or "digest"
+    readyLeadMinutes: 60, // Scheduled posts turn "ready" this long before their slot
+    tickInterval: 60000,
+  },
+
+  // Sending approved drafts to LinkedIn (token: LINKEDIN_ACCESS_TOKEN in .env)
+  publishing: {
+    provider: "linkedin",
+    dryRun: true, // Only preview the API request until explicitly turned off
+    publishScheduled: false, // Publish scheduled drafts automatically when they become due
+    linkedin: {
+      apiBaseUrl: "https://api.linkedin.com",
+      apiVersion: "202405",
+      visibility: "PUBLIC",
+    },
+  },
+
+  // Error handling and retry configuration
+  errorHandling: {
+    maxRetries: 3,
+    retryDelay: 2000,
+    exponentialBackoff: true,
+  },
+
+  // Personal preferences for focus and tone
+  userPreferences: {
+    focusAreas: [],
+    postTone: "professional",
+    includePersonalOpinions: false,
+    maxPostsPerRun: 3,
+    persona: "default", // Persona posts are written as (see personas.js)
+  },
+
+  // Custom personas by id, e.g. { "cto": { "role": "CTO", "tone": "analytical" } };
+  // missing fields come from the default persona
+  personas: {},
+};
+
+/**
+ * Config files looked up (in order) when no explicit path is given
+ */
+const DEFAULT_CONFIG_FILES = ["agent-config.json", "config.json"];
+
+/**
+ * Older config files used different section names; map them to the current ones
+ */
+const LEGACY_KEYS = {
+  searchSettings: "search",
+  postSettings: "posts",
+};
+
+/**
+ * Environment variables that override individual config values
+ */
+const ENV_OVERRIDES = {
+  AGENT_KEYWORDS: { path: "aiKeywords", type: "list" },
+  AGENT_MAX_RESULTS: { path: "search.maxResults", type: "number" },
+  AGENT_TIMEFRAME: { path: "search.timeframe", type: "string" },
+  AGENT_MIN_RELEVANCE: { path: "search.minRelevanceScore", type: "number" },
+  AGENT_REQUEST_TIMEOUT: { path: "search.requestTimeout", type: "number" },
+  AGENT_PROVIDERS: { path: "providers.enabled", type: "list" },
+  AGENT_MAX_HASHTAGS: { path: "posts.maxHashtags", type: "number" },
+  AGENT_HASHTAG_DICTIONARY: { path: "hashtags.dictionary", type: "string" },
+  AGENT_PINNED_HASHTAGS: { path: "hashtags.pinned", type: "list" },
+  AGENT_CACHE_ENABLED: { path: "cache.enabled", type: "boolean" },
+  AGENT_CACHE_PATH: { path: "cache.path", type: "string" },
+  AGENT_DRAFTS_PATH: { path: "drafts.path", type: "string" },
+  AGENT_HISTORY_PATH: { path: "history.path", type: "string" },
+  AGENT_SOURCES_PATH: { path: "sources.path", type: "string" },
+  AGENT_GENERATION_CRON: { path: "schedule.generationCron", type: "string" },
+  AGENT_PUBLISH_DRY_RUN: { path: "publishing.dryRun", type: "boolean" },
+  AGENT_LINKEDIN_API_URL: { path: "publishing.linkedin.apiBaseUrl", type: "string" },
+  AGENT_LLM_PROVIDER: { path: "llm.provider", type: "string" },
+  AGENT_LLM_TIMEOUT: { path: "llm.timeout", type: "number" },
+  AGENT_OPENAI_BASE_URL: { path: "llm.openai.baseUrl", type: "string" },
+  AGENT_OLLAMA_URL: { path: "llm.ollama.baseUrl", type: "string" },
+  AGENT_PROMPTS_DIR: { path: "prompts.directory", type: "string" },
+  AGENT_PERSONA: { path: "userPreferences.persona", type: "string" },
+  AGENT_DIGEST_TIMEFRAME: { path: "digest.timeframe", type: "string" },
+  AGENT_ENRICH: { path: "enrichment.enabled", type: "boolean" },
+  AGENT_PREFERRED_SOURCES: { path: "sources.preferred", type: "list" },
+  AGENT_EXCLUDED_SOURCES: { path: "sources.excluded", type: "list" },
+};
+
+// Template post styles written about a single article
+const ARTICLE_POST_STYLES = [
+  "news_share",
+  "question",
+  "insight",
+  "list",
+  "carousel",
+  "series",
+  "poll",
+];
+
+const LLM_PROVIDERS = ["gemini", "openai", "ollama"];
+
+// Connection settings shared by every llm.<provider> section
+const LLM_PROVIDER_SCHEMA = {
+  type: "object",
+  properties: {
+    model: { type: "string" },
+    baseUrl: { type: "string" },
+    timeout: { type: "integer", min: 1000 },
+  },
+};
+
+const LLM_TASK_SCHEMA = {
+  type: "object",
+  properties: {
+    provider: { type: "string", enum: LLM_PROVIDERS },
+    model: { type: "string" },
+    temperature: { type: "number", min: 0, max: 2 },
+    maxOutputTokens: { type: "integer", min: 1 },
+  },
+};
+
+const PERSONA_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    role: { type: "string" },
+    industry: { type: "string" },
+    tone: { type: "string" },
+    audience: { type: "string" },
+    opinionLevel: { type: "string", enum: OPINION_LEVELS },
+    emoji: { type: "string", enum: EMOJI_LEVELS },
+  },
+};
+
+/**
+ * Schema describing every supported config key
+ * Each leaf declares its type plus optional bounds or allowed values
+ */
+const CONFIG_SCHEMA = {
+  aiKeywords: { type: "array", items: "string", minItems: 1 },
+  search: {
+    type: "object",
+    properties: {
+      maxResults: { type: "integer", min: 1, max: 100 },
+      timeframe: { type: "string", enum: ["d", "w", "m"] },
+      minRelevanceScore: { type: "number", min: 0, max: 1 },
+      requestTimeout: { type: "integer", min: 1000 },
+      rateLimitDelay: { type: "integer", min: 0 },
+    },
+  },
+  scoring: {
+    type: "object",
+    properties: {
+      scorer: { type: "string" },
+      weights: {
+        type: "object",
+        properties: {
+          relevance: { type: "number", min: 0 },
+          recency: { type: "number", min: 0 },
+          authority: { type: "number", min: 0 },
+        },
+      },
+      minRelevance: { type: "number", min: 0, max: 1 },
+      recencyHalfLifeHours: { type: "number", min: 1 },
+      bm25: {
+        type: "object",
+        properties: {
+          k1: { type: "number", min: 0 },
+          b: { type: "number", min: 0, max: 1 },
+          saturation: { type: "number", min: 0.1 },
+        },
+      },
+    },
+  },
+  posts: {
+    type: "object",
+    properties: {
+      maxCharacters: { type: "integer", min: 100, max: 3000 },
+      optimalCharacters: { type: "integer", min: 100, max: 3000 },
+      maxHashtags: { type: "integer", min: 0, max: 30 },
+      styles: {
+        type: "array",
+        items: "string",
+        minItems: 1,
+        enum: [...ARTICLE_POST_STYLES, "digest"],
+      },
+      defaultStyle: { type: "string", enum: ARTICLE_POST_STYLES },
+    },
+  },
+  hashtags: {
+    type: "object",
+    properties: {
+      dictionary: { type: "string" },
+      pinned: { type: "array", items: "string" },
+      maxPerCategory: { type: "integer", min: 1, max: 30 },
+    },
+  },
+  providers: {
+    type: "object",
+    properties: {
+      enabled: { type: "array", items: "string", minItems: 1 },
+      duckduckgo: { type: "object", properties: {} },
+      newsapi: {
+        type: "object",
+        properties: {
+          language: { type: "string" },
+          sortBy: {
+            type: "string",
+            enum: ["relevancy", "popularity", "publishedAt"],
+          },
+          pageSize: { type: "integer", min: 1, max: 100 },
+        },
+      },
+      rss: {
+        type: "object",
+        properties: {
+          feeds: { type: "array", items: "string" },
+          usePreferredSources: { type: "boolean" },
+          publisherFeeds: { type: "map", values: "string" },
+        },
+      },
+    },
+  },
+  pipeline: {
+    type: "object",
+    properties: {
+      // "gemini" is the pre-llm name of "llm" and still accepted
+      analyzer: { type: "string", enum: ["template", "llm", "gemini"] },
+      composer: { type: "string", enum: ["template", "llm", "gemini"] },
+      skipSeenArticles: { type: "boolean" },
+    },
+  },
+  llm: {
+    type: "object",
+    properties: {
+      provider: { type: "string", enum: LLM_PROVIDERS },
+      timeout: { type: "integer", min: 1000 },
+      maxRetries: { type: "integer", min: 0 },
+      retryDelay: { type: "integer", min: 0 },
+      maxRetryDelay: { type: "integer", min: 0 },
+      maxInputTokens: { type: "integer", min: 1 },
+      repairAttempts: { type: "integer", min: 0, max: 5 },
+      gemini: LLM_PROVIDER_SCHEMA,
+      openai: LLM_PROVIDER_SCHEMA,
+      ollama: LLM_PROVIDER_SCHEMA,
+      tasks: {
+        type: "object",
+        properties: {
+          analysis: LLM_TASK_SCHEMA,
+          post: LLM_TASK_SCHEMA,
+        },
+      },
+    },
+  },
+  digest: {
+    type: "object",
+    properties: {
+      timeframe: { type: "string", enum: ["d", "w", "m"] },
+      maxArticles: { type: "integer", min: 1, max: 100 },
+      maxClusters: { type: "integer", min: 1, max: 10 },
+      similarityThreshold: { type: "number", min: 0, max: 1 },
+    },
+  },
+  dedupe: {
+    type: "object",
+    properties: {
+      articleSimilarity: { type: "number", min: 0, max: 1 },
+      postSimilarity: { type: "number", min: 0, max: 1 },
+      recentPostDays: { type: "integer", min: 1 },
+    },
+  },
+  prompts: {
+    type: "object",
+    properties: {
+      directory: { type: "string" },
+      versions: { type: "map", values: "number" },
+    },
+  },
+  sources: {
+    type: "object",
+    properties: {
+      preferred: { type: "array", items: "string" },
+      excluded: { type: "array", items: "string" },
+      allow: { type: "array", items: "string" },
+      deny: { type: "array", items: "string" },
+      defaultTrust: { type: "number", min: 0, max: 1 },
+      skipPaywalled: { type: "boolean" },
+      path: { type: "string" },
+    },
+  },
+  cache: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+      duration: { type: "integer", min: 0 },
+      maxEntries: { type: "integer", min: 1 },
+      path: { type: "string" },
+    },
+  },
+  drafts: {
+    type: "object",
+    properties: {
+      path: { type: "string" },
+    },
+  },
+  history: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+      path: { type: "string" },
+      retentionDays: { type: "integer", min: 1 },
+      trendWindowDays: { type: "integer", min: 1, max: 90 },
+    },
+  },
+  enrichment: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean" },
+      maxArticles: { type: "integer", min: 1, max: 20 },
+      concurrency: { type: "integer", min: 1, max: 10 },
+      timeout: { type: "integer", min: 1000 },
+      maxContentLength: { type: "integer", min: 500 },
+      maxBytes: { type: "integer", min: 10000 },
+      skipPaywalled: { type: "boolean" },
+    },
+  },
+  schedule: {
+    type: "object",
+    properties: {
+      generationCron: { type: "cron" },
+      generator: { type: "string", enum: ["template", "briefing", "digest"] },
+      readyLeadMinutes: { type: "integer", min: 0 },
+      tickInterval: { type: "integer", min: 1000, max: 60000 },
+    },
+  },
+  publishing: {
+    type: "object",
+    properties: {
+      provider: { type: "string", enum: ["linkedin"] },
+      dryRun: { type: "boolean" },
+      publishScheduled: { type: "boolean" },
+      linkedin: {
+        type: "object",
+        properties: {
+          apiBaseUrl: { type: "string" },
+          apiVersion: { type: "string" },
+          visibility: { type: "string", enum: ["PUBLIC", "CONNECTIONS"] },
+        },
+      },
+    },
+  },
+  errorHandling: {
+    type: "object",
+    properties: {
+      maxRetries: { type: "integer", min: 0 },
+      retryDelay: { type: "integer", min: 0 },
+      exponentialBackoff: { type: "boolean" },
+    },
+  },
+  userPreferences: {
+    type: "object",
+    properties: {
+      focusAreas: { type: "array", items: "string" },
+      postTone: { type: "string" },
+      includePersonalOpinions: { type: "boolean" },
+      maxPostsPerRun: { type: "integer", min: 1 },
+      persona: { type: "string" },
+    },
+  },
+  personas: { type: "map", values: PERSONA_SCHEMA },
+};
+
+/**
+ * Raised when the merged configuration does not match the schema
+ * Carries every problem found so users can fix them in one pass
+ */
+class ConfigError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Loads, merges and validates the agent configuration
+ *
+ * Precedence (lowest to highest): defaults, config file, environment.
+ * The file is taken from options.configPath, then AGENT_CONFIG_PATH (both
+ * relative to the working directory), then the first of DEFAULT_CONFIG_FILES
+ * found in options.baseDir. Errors in values set from the environment name
+ * the variable.
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const baseDir = options.baseDir || process.cwd();
+
+  const configPath = resolveConfigPath(
+    options.configPath ||
+      (isUnset(env.AGENT_CONFIG_PATH) ? undefined : env.AGENT_CONFIG_PATH),
+    baseDir
+  );
+
+  let fileConfig = {};
+  if (configPath) {
+    fileConfig = normalizeLegacyKeys(readConfigFile(configPath));
+  }
+
+  const merged = deepMerge(
+    deepMerge(cloneDeep(DEFAULT_CONFIG), fileConfig),
+    readEnvOverrides(env)
+  );
+
+  const errors = validateConfig(merged).map((error) => {
+    const name = envVariableFor(error, env);
+    return name ? `${error} (set by ${name})` : error;
+  });
+  if (errors.length > 0) {
+    const source = configPath ? ` (${configPath})` : "";
+    throw new ConfigError(
+      `Invalid configuration${source}:\n  • ${errors.join("\n  • ")}`,
+      errors
+    );
+  }
+
+  Object.defineProperty(merged, "configPath", {
+    value: configPath,
+    enumerable: false,
+  });
+
+  return merged;
+}
+
+/**
+ * Resolves the config file path, failing loudly if an explicit path is missing
+ */
+function resolveConfigPath(explicitPath, baseDir) {
+  if (explicitPath) {
+    const resolved = path.resolve(explicitPath);
+    if (!fs.existsSync(resolved)) {
+      throw new ConfigError(`Config file not found: ${resolved}`);
+    }
+    return resolved;
+  }
+
+  for (const fileName of DEFAULT_CONFIG_FILES) {
+    const candidate = path.join(baseDir, fileName);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reads and parses a JSON config file with a readable error on bad JSON
+ */
+function readConfigFile(configPath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(configPath, "utf8");
+  } catch (error) {
+    throw new ConfigError(
+      `Could not read config file ${configPath}: ${error.message}`
+    );
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new ConfigError(
+      `Config file ${configPath} is not valid JSON: ${error.message}`
+    );
+  }
+
+  if (!isPlainObject(parsed)) {
+    throw new ConfigError(
+      `Config file ${configPath} must contain a JSON object at the top level`
+    );
+  }
+
+  return parsed;
+}
+
+/**
+ * Renames legacy section names (searchSettings, postSettings) in place
+ */
+function normalizeLegacyKeys(fileConfig) {
+  const normalized = { ...fileConfig };
+
+  for (const [legacyKey, currentKey] of Object.entries(LEGACY_KEYS)) {
+    if (!(legacyKey in normalized)) continue;
+
+    if (currentKey in normalized) {
+      throw new ConfigError(
+        `Config defines both "${legacyKey}" and "${currentKey}"; keep only "${currentKey}"`
+      );
+    }
+
+    console.warn(
+      `⚠️ Config key "${legacyKey}" is deprecated, use "${currentKey}" instead`
+    );
+    normalized[currentKey] = normalized[legacyKey];
+    delete normalized[legacyKey];
+  }
+
+  return normalized;
+}
+
+/**
+ * Builds a partial config object from AGENT_* environment variables
+ */
+function readEnvOverrides(env) {
+  const overrides = {};
+
+  for (const [name, { path: keyPath, type }] of Object.entries(
+    ENV_OVERRIDES
+  )) {
+    const raw = env[name];
+    if (isUnset(raw)) continue;
+
+    let value;
+    switch (type) {
+      case "list":
+        value = raw
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean);
+        break;
+      case "number":
+        value = Number(raw);
+        if (Number.isNaN(value)) {
+          throw new ConfigError(
+            `Environment variable ${name} must be a number (got "${raw}")`
+          );
+        }
+        break;
+      case "boolean":
+        if (!["true", "false", "1", "0"].includes(raw.toLowerCase())) {
+          throw new ConfigError(
+            `Environment variable ${name} must be true or false (got "${raw}")`
+          );
+        }
+        value = raw.toLowerCase() === "true" || raw === "1";
+        break;
+      default:
+        value = raw;
+    }
+
+    setPath(overrides, keyPath, value);
+  }
+
+  return overrides;
+}
+
+/**
+ * Blank variables (e.g. AGENT_MAX_RESULTS= in .env) count as not set
+ */
+function isUnset(raw) {
+  return raw === undefined || raw.trim() === "";
+}
+
+/**
+ * The environment variable that set the value a validation error is about
+ */
+function envVariableFor(error, env) {
+  return Object.keys(ENV_OVERRIDES).find((name) => {
+    const keyPath = ENV_OVERRIDES[name].path;
+    return (
+      !isUnset(env[name]) &&
+      error.startsWith(keyPath) &&
+      /^[ .[:]/.test(error.slice(keyPath.length))
+    );
+  });
+}
+
+/**
+ * Validates a config object against CONFIG_SCHEMA
+ * Returns a list of human-readable error strings (empty when valid)
+ */
+function validateConfig(config, schema = CONFIG_SCHEMA, prefix = "") {
+  const errors = [];
+
+  for (const key of Object.keys(config)) {
+    if (!(key in schema)) {
+      errors.push(`${prefix}${key} is not a recognized setting`);
+    }
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const keyPath = `${prefix}${key}`;
+    const value = config[key];
+
+    if (value === undefined) continue;
+
+    if (rule.type === "object") {
+      if (!isPlainObject(value)) {
+        errors.push(`${keyPath} must be an object (got ${describe(value)})`);
+        continue;
+      }
+      errors.push(...validateConfig(value, rule.properties, `${keyPath}.`));
+      continue;
+    }
+
+    errors.push(...validateValue(value, rule, keyPath));
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a single leaf value against its rule
+ */
+function validateValue(value, rule, keyPath) {
+  const errors = [];
+
+  switch (rule.type) {
+    case "array":
+      if (!Array.isArray(value)) {
+        return [`${keyPath} must be a list (got ${describe(value)})`];
+      }
+      if (rule.minItems && value.length < rule.minItems) {
+        errors.push(`${keyPath} must contain at least ${rule.minItems} item(s)`);
+      }
+      value.forEach((item, index) => {
+        if (typeof item !== rule.items) {
+          errors.push(
+            `${keyPath}[${index}] must be a ${rule.items} (got ${describe(item)})`
+          );
+        } else if (rule.enum && !rule.enum.includes(item)) {
+          errors.push(
+            `${keyPath}[${index}] must be one of ${formatEnum(rule.enum)} (got "${item}")`
+          );
+        }
+      });
+      return errors;
+
+    case "integer":
+    case "number":
+      if (typeof value !== "number" || Number.isNaN(value)) {
+        return [`${keyPath} must be a number (got ${describe(value)})`];
+      }
+      if (rule.type === "integer" && !Number.isInteger(value)) {
+        errors.push(`${keyPath} must be a whole number (got ${value})`);
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        errors.push(`${keyPath} must be at least ${rule.min} (got ${value})`);
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        errors.push(`${keyPath} must be at most ${rule.max} (got ${value})`);
+      }
+      return errors;
+
+    case "string":
+      if (typeof value !== "string") {
+        return [`${keyPath} must be a string (got ${describe(value)})`];
+      }
+      if (rule.enum && !rule.enum.includes(value)) {
+        errors.push(
+          `${keyPath} must be one of ${formatEnum(rule.enum)} (got "${value}")`
+        );
+      }
+      return errors;
+
+    case "cron":
+      if (typeof value !== "string") {
+        return [`${keyPath} must be a string (got ${describe(value)})`];
+      }
+      if (value.trim()) {
+        try {
+          parseCron(value);
+        } catch (error) {
+          errors.push(`${keyPath}: ${error.message}`);
+        }
+      }
+      return errors;
+
+    case "map":
+      if (!isPlainObject(value)) {
+        return [`${keyPath} must be an object (got ${describe(value)})`];
+      }
+      for (const [mapKey, mapValue] of Object.entries(value)) {
+        if (typeof rule.values === "object") {
+          errors.push(
+            ...(isPlainObject(mapValue)
+              ? validateConfig(mapValue, rule.values.properties, `${keyPath}.${mapKey}.`)
+              : [`${keyPath}.${mapKey} must be an object (got ${describe(mapValue)})`])
+          );
+        } else if (typeof mapValue !== rule.values) {
+          errors.push(
+            `${keyPath}.${mapKey} must be a ${rule.values} (got ${describe(mapValue)})`
+          );
+        }
+      }
+      return errors;
+
+    case "boolean":
+      if (typeof value !== "boolean") {
+        return [`${keyPath} must be true or false (got ${describe(value)})`];
+      }
+      return errors;
+
+    default:
+      return errors;
+  }
+}
+
+/**
+ * Small helpers for merging and describing values
+ */
+function deepMerge(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      target[key] = deepMerge(target[key], value);
+    } else {
+      target[key] = cloneDeep(value);
+    }
+  }
+  return target;
+}
+
+function cloneDeep(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+function setPath(target, keyPath, value) {
+  const keys = keyPath.split(".");
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function describe(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "a list";
+  if (typeof value === "string") return `"${value}"`;
+  return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+function formatEnum(values) {
+  return values.map((v) => `"${v}"`).join(", ");
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  CONFIG_SCHEMA,
+  ConfigError,
+  loadConfig,
+  validateConfig,
+};
@@ -0,0 +1,514 @@
+/**
+ * Drafts Store
+ *
+ * Keeps every post generated from the web UI together with the articles it
+ * was written from, so earlier briefings can be reopened after the next
+ * Generate click. Edits made in the editor are saved on the draft and each
+ * draft moves through a simple status workflow:
+ *
+ *   draft → approved → posted, or discarded before it is posted
+ *
+ * An approved draft can go back to draft and a discarded one can be
+ * restored as a draft; posted drafts stay posted. Other status changes are
+ * rejected with a 409 (see STATUS_TRANSITIONS).
+ *
+ * Publishing through the API claims the draft first (approved → publishing)
+ * and ends with posted, or approved again when the publish fails. Only one
+ * publish of a draft can hold the claim, and a publishing draft's status
+ * can't be changed by hand.
+ *
+ * Approved drafts can be scheduled for a date and time. The schedule moves
+ * through its own states (advanced by scheduler.js):
+ *
+ *   scheduled → ready (publish time is near) → due (publish time reached)
+ *
+ * and ends as posted once the draft is marked posted, or as failed when the
+ * scheduler gives up publishing it (rescheduling starts it over).
+ *
+ * New and edited drafts are compared with the drafts posted in the last
+ * recentPostDays days; when one is at least postSimilarity similar the draft
+ * gets similarTo = { draftId, similarity, postedAt } so the UI can warn
+ * before the same story is posted twice.
+ *
+ * Drafts live in a single JSON file that is replaced atomically (write to a
+ * temp file, then rename); writes are serialized within the process.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { findMostSimilar } = require("./near-duplicates");
+
+const DRAFT_STATUSES = ["draft", "approved", "publishing", "posted", "discarded"];
+const SCHEDULE_STATES = ["scheduled", "ready", "due", "posted", "failed"];
+
+// Statuses each status can change to
+const STATUS_TRANSITIONS = {
+  draft: ["approved", "discarded"],
+  approved: ["draft", "publishing", "posted", "discarded"],
+  publishing: ["approved", "posted"],
+  posted: [],
+  discarded: ["draft"],
+};
+
+/**
+ * Raised for invalid input or unknown draft ids
+ * statusCode is the HTTP status the server should respond with
+ */
+class DraftError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "DraftError";
+    this.statusCode = statusCode;
+  }
+}
+
+class DraftsStore {
+  constructor(options = {}) {
+    this.filePath = path.resolve(options.filePath || "data/drafts.json");
+    // A publishing claim older than this was left by a crashed run
+    this.publishTimeout = options.publishTimeout ?? 600000;
+    this.postSimilarity = options.postSimilarity ?? 0.5;
+    this.recentPostDays = options.recentPostDays ?? 30;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Lists drafts, most recently updated first
+   * Pass status to only return drafts in that state
+   */
+  async list({ status } = {}) {
+    if (status) validateStatus(status);
+
+    const drafts = await this.readDrafts();
+    return drafts
+      .filter((draft) => !status || draft.status === status)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  async get(id) {
+    const drafts = await this.readDrafts();
+    return findDraft(drafts, id);
+  }
+
+  /**
+   * Saves a generated post (pipeline.js normalizePost shape) as a new draft
+   *
+   *   articles: the ranked articles the post was written from
+   *   runId: groups the drafts created by one Generate click
+   */
+  async create({ post, articles = [], overallTrend = null, runId = null }) {
+    if (!post || typeof post.content !== "string" || !post.content.trim()) {
+      throw new DraftError("A draft needs a post with content");
+    }
+
+    return this.modify((drafts) => {
+      const now = new Date().toISOString();
+      const draft = {
+        id: crypto.randomUUID(),
+        runId,
+        status: "draft",
+        content: post.content,
+        originalContent: post.content,
+        edited: false,
+        style: post.style || "custom",
+        hashtags: post.hashtags || [],
+        sourceUrl: post.sourceUrl || null,
+        article: post.article || null,
+        generator: post.generator || null,
+        promptVersion: post.promptVersion || null,
+        persona: post.persona || null,
+        slides: post.slides || null,
+        parts: post.parts || null,
+        poll: post.poll || null,
+        items: post.items || null,
+        articles,
+        overallTrend,
+        createdAt: now,
+        updatedAt: now,
+      };
+      draft.similarTo = this.findSimilarPost(drafts, draft);
+      drafts.push(draft);
+      return draft;
+    });
+  }
+
+  /**
+   * Saves every post of a pipeline result as one run of drafts
+   * Returns the drafts in post order
+   */
+  async createFromResult(result) {
+    const runId = crypto.randomUUID();
+    const articles = result.articles
+      .filter((article) => article.rank !== null)
+      .sort((a, b) => a.rank - b.rank);
+
+    const drafts = [];
+    for (const post of result.posts) {
+      drafts.push(
+        await this.create({
+          post,
+          articles,
+          overallTrend: result.analysis.overallTrend,
+          runId,
+        })
+      );
+    }
+    return drafts;
+  }
+
+  /**
+   * Applies editor changes and/or a status change
+   * Leaving "draft" stamps approvedAt / postedAt / discardedAt; a change
+   * STATUS_TRANSITIONS doesn't allow is a DraftError (409), and so is any
+   * change to or from "publishing", which only the publish calls make
+   */
+  async update(id, changes = {}) {
+    const { content, status } = changes;
+
+    if (content !== undefined && (typeof content !== "string" || !content.trim())) {
+      throw new DraftError("content must be a non-empty string");
+    }
+    if (status !== undefined) validateStatus(status);
+
+    return this.modify((drafts) => {
+      const draft = findDraft(drafts, id);
+
+      if (content !== undefined) {
+        draft.content = content;
+        draft.edited = content !== draft.originalContent;
+        if (draft.status !== "posted") {
+          draft.similarTo = this.findSimilarPost(drafts, draft);
+        }
+      }
+      if (status !== undefined && status !== draft.status) {
+        if (status === "publishing" || draft.status === "publishing") {
+          throw new DraftError(
+            `Cannot change a ${draft.status} draft to ${status} while publishing`,
+            409
+          );
+        }
+        if (!STATUS_TRANSITIONS[draft.status].includes(status)) {
+          throw new DraftError(
+            `Cannot change a ${draft.status} draft to ${status}`,
+            409
+          );
+        }
+        draft.status = status;
+        if (status !== "draft") {
+          draft[`${status}At`] = new Date().toISOString();
+        }
+
+        // Only approved drafts stay in the queue
+        if (draft.schedule && status === "posted") {
+          draft.schedule.state = "posted";
+          draft.schedule.updatedAt = new Date().toISOString();
+        } else if (status !== "approved") {
+          delete draft.schedule;
+        }
+      }
+
+      draft.updatedAt = new Date().toISOString();
+      return draft;
+    });
+  }
+
+  /**
+   * Puts an approved draft in the publishing queue at scheduledFor
+   * Rescheduling a draft replaces its slot and clears the last publish error
+   */
+  async schedule(id, scheduledFor) {
+    const slot = new Date(scheduledFor);
+    if (!scheduledFor || Number.isNaN(slot.getTime())) {
+      throw new DraftError("scheduledFor must be a valid date and time");
+    }
+
+    return this.modify((drafts) => {
+      const draft = findDraft(drafts, id);
+
+      if (draft.status !== "approved") {
+        throw new DraftError(
+          `Only approved drafts can be scheduled (draft is ${draft.status})`,
+          409
+        );
+      }
+
+      draft.schedule = {
+        scheduledFor: slot.toISOString(),
+        state: "scheduled",
+        updatedAt: new Date().toISOString(),
+      };
+      delete draft.publishError;
+      draft.updatedAt = draft.schedule.updatedAt;
+      return draft;
+    });
+  }
+
+  async unschedule(id) {
+    return this.modify((drafts) => {
+      const draft = findDraft(drafts, id);
+      delete draft.schedule;
+      draft.updatedAt = new Date().toISOString();
+      return draft;
+    });
+  }
+
+  /**
+   * Lists scheduled drafts in publishing order
+   * from / to (inclusive) limit the range of scheduledFor
+   */
+  async listScheduled({ from, to } = {}) {
+    const drafts = await this.readDrafts();
+    const start = from ? new Date(from).getTime() : -Infinity;
+    const end = to ? new Date(to).getTime() : Infinity;
+
+    return drafts
+      .filter((draft) => {
+        if (!draft.schedule) return false;
+        const time = new Date(draft.schedule.scheduledFor).getTime();
+        return time >= start && time <= end;
+      })
+      .sort((a, b) =>
+        a.schedule.scheduledFor.localeCompare(b.schedule.scheduledFor)
+      );
+  }
+
+  /**
+   * Moves scheduled drafts to ready / due as their slot approaches
+   * Returns the drafts whose state changed
+   */
+  async advanceSchedules(now = new Date(), readyLead = 3600000) {
+    const needsUpdate = (draft) =>
+      draft.schedule &&
+      !["posted", "failed"].includes(draft.schedule.state) &&
+      scheduleState(draft.schedule, now, readyLead) !== draft.schedule.state;
+
+    // Runs every scheduler tick, so skip the write when nothing moved
+    if (!(await this.readDrafts()).some(needsUpdate)) {
+      return [];
+    }
+
+    const changed = [];
+
+    await this.modify((drafts) => {
+      for (const draft of drafts.filter(needsUpdate)) {
+        draft.schedule.state = scheduleState(draft.schedule, now, readyLead);
+        draft.schedule.updatedAt = now.toISOString();
+        changed.push(draft);
+      }
+    });
+
+    return changed;
+  }
+
+  /**
+   * Claims an approved draft before it is sent to the publisher; a draft
+   * that is already publishing (or not approved) is a DraftError (409), so
+   * two publishes of the same draft can't both post it
+   */
+  async claimForPublishing(id) {
+    return this.modify((drafts) => {
+      const draft = findDraft(drafts, id);
+      const now = new Date();
+
+      const stale =
+        draft.status === "publishing" &&
+        now.getTime() - new Date(draft.publishingAt).getTime() > this.publishTimeout;
+      if (draft.status !== "approved" && !stale) {
+        throw new DraftError(
+          `Only approved drafts can be published (draft is ${draft.status})`,
+          409
+        );
+      }
+
+      draft.status = "publishing";
+      draft.publishingAt = now.toISOString();
+      draft.updatedAt = draft.publishingAt;
+      return draft;
+    });
+  }
+
+  /**
+   * Records a successful publish: the draft becomes posted and keeps the
+   * returned post URN so it can be linked to later
+   */
+  async markPublished(id, publication) {
+    return this.modify((drafts) => {
+      const draft = findDraft(drafts, id);
+      const now = new Date().toISOString();
+
+      if (!STATUS_TRANSITIONS[draft.status].includes("posted")) {
+        throw new DraftError(`Cannot change a ${draft.status} draft to posted`, 409);
+      }
+
+      draft.status = "posted";
+      delete draft.publishingAt;
+      draft.postedAt = publication.publishedAt || now;
+      draft.publication = {
+        urn: publication.urn,
+        url: publication.url || null,
+        publisher: publication.publisher || null,
+        publishedAt: draft.postedAt,
+      };
+      delete draft.publishError;
+
+      if (draft.schedule) {
+        draft.schedule.state = "posted";
+        draft.schedule.updatedAt = now;
+      }
+      draft.updatedAt = now;
+      return draft;
+    });
+  }
+
+  /**
+   * Hands a claimed draft back as approved after a failed publish, keeping
+   * the publisher's error on the draft (e.g. for scheduled posts) with the
+   * number of failed attempts in a row
+   */
+  async releasePublishing(id, publishError = null) {
+    return this.modify((drafts) => {
+      const draft = findDraft(drafts, id);
+      const now = new Date().toISOString();
+
+      if (draft.status === "publishing") {
+        draft.status = "approved";
+        delete draft.publishingAt;
+      }
+      if (publishError) {
+        draft.publishError = {
+          code: publishError.code || "api_error",
+          message: publishError.message,
+          retryAfter: publishError.retryAfter ?? null,
+          attempts: ((draft.publishError && draft.publishError.attempts) || 0) + 1,
+          at: now,
+        };
+      }
+      draft.updatedAt = now;
+      return draft;
+    });
+  }
+
+  /**
+   * Ends a due draft's schedule as failed after its last publish attempt
+   */
+  async failSchedule(id, now = new Date()) {
+    return this.modify((drafts) => {
+      const draft = findDraft(drafts, id);
+      if (draft.schedule) {
+        draft.schedule.state = "failed";
+        draft.schedule.updatedAt = now.toISOString();
+        draft.updatedAt = draft.schedule.updatedAt;
+      }
+      return draft;
+    });
+  }
+
+  async delete(id) {
+    return this.modify((drafts) => {
+      const draft = findDraft(drafts, id);
+      drafts.splice(drafts.indexOf(draft), 1);
+      return draft;
+    });
+  }
+
+  /**
+   * The recently posted draft most similar to draft's content, as
+   * { draftId, similarity, postedAt }, or null below postSimilarity
+   */
+  findSimilarPost(drafts, draft, now = new Date()) {
+    const since = now.getTime() - this.recentPostDays * 86400000;
+    const candidates = drafts
+      .filter(
+        (other) =>
+          other.id !== draft.id &&
+          other.status === "posted" &&
+          new Date(other.postedAt).getTime() >= since
+      )
+      .map((other) => ({ id: other.id, text: other.content, postedAt: other.postedAt }));
+
+    const match = findMostSimilar(draft.content, candidates, {
+      threshold: this.postSimilarity,
+    });
+    return match
+      ? {
+          draftId: match.candidate.id,
+          similarity: match.similarity,
+          postedAt: match.candidate.postedAt,
+        }
+      : null;
+  }
+
+  /**
+   * Runs a read-modify-write cycle after any pending one has finished
+   */
+  modify(change) {
+    const run = this.queue.then(async () => {
+      const drafts = await this.readDrafts();
+      const result = change(drafts);
+      await this.writeDrafts(drafts);
+      return result;
+    });
+
+    // Keep the queue going even if this update fails
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Reads the drafts file; a missing file means no drafts yet
+   */
+  async readDrafts() {
+    try {
+      const raw = await fs.promises.readFile(this.filePath, "utf8");
+      const parsed = JSON.parse(raw);
+      return Array.isArray(parsed.drafts) ? parsed.drafts : [];
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw new Error(`Unreadable drafts file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  async writeDrafts(drafts) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(
+      tempPath,
+      JSON.stringify({ version: 1, drafts }, null, 2)
+    );
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+function findDraft(drafts, id) {
+  const draft = drafts.find((d) => d.id === id);
+  if (!draft) {
+    throw new DraftError(`Draft ${id} not found`, 404);
+  }
+  return draft;
+}
+
+function scheduleState(schedule, now, readyLead) {
+  const slot = new Date(schedule.scheduledFor).getTime();
+
+  if (now.getTime() >= slot) return "due";
+  if (now.getTime() >= slot - readyLead) return "ready";
+  return "scheduled";
+}
+
+function validateStatus(status) {
+  if (!DRAFT_STATUSES.includes(status)) {
+    throw new DraftError(
+      `Invalid status "${status}" (expected one of: ${DRAFT_STATUSES.join(", ")})`
+    );
+  }
+}
+
+module.exports = {
+  DRAFT_STATUSES,
+  SCHEDULE_STATES,
+  STATUS_TRANSITIONS,
+  DraftError,
+  DraftsStore,
+};
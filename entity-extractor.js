@@ -0,0 +1,357 @@
+/**
+ * Entity Extractor
+ *
+ * Finds the companies, people, products (AI models and tools) and money
+ * amounts an article mentions, offline:
+ *
+ *   {
+ *     companies: ["Agentic Labs", "Sequoia Capital"],
+ *     people:    ["Maya Chen"],
+ *     products:  ["GPT-4o"],
+ *     money:     [{ text: "$50M Series B", amount: 50000000, currency: "USD",
+ *                  round: "Series B", company: "Agentic Labs" }]
+ *   }
+ *
+ * Well-known names come from a gazetteer (GAZETTEER, with their hashtags);
+ * other names are found by pattern rules: company suffixes ("Labs",
+ * "Robotics"), appositions ("X, a startup building ..."), job titles and
+ * honorifics before a name ("CEO Maya Chen", "Dr. Ruiz"), attributions
+ * ("... said Jane Doe"), versioned model names ("Llama 3.1", "Phi-3") and
+ * currency amounts with an optional funding round.
+ *
+ * Names are ordered by prominence: mentions in the title count extra.
+ * Companies that raised a funding round come first and investors last, so
+ * "X raises $50M led by Sequoia Capital" is about X even when the investor
+ * is mentioned more often.
+ * Ranking stores the result as article.entities, and hashtags
+ * (hashtag-engine.js), hooks and the article history (trends) use it.
+ */
+
+/**
+ * Well-known companies and products: { name, type, aliases, hashtag }
+ * Aliases are matched case-sensitively as whole words
+ */
+const GAZETTEER = [
+  { name: "OpenAI", type: "company" },
+  { name: "Anthropic", type: "company" },
+  { name: "Google DeepMind", type: "company", aliases: ["DeepMind"], hashtag: "#DeepMind" },
+  { name: "Google", type: "company" },
+  { name: "Microsoft", type: "company" },
+  { name: "Meta", type: "company", aliases: ["Meta AI", "Facebook"] },
+  { name: "Nvidia", type: "company", aliases: ["NVIDIA"] },
+  { name: "Apple", type: "company" },
+  { name: "Amazon Web Services", type: "company", aliases: ["AWS"], hashtag: "#AWS" },
+  { name: "Amazon", type: "company" },
+  { name: "IBM", type: "company" },
+  { name: "Intel", type: "company" },
+  { name: "AMD", type: "company" },
+  { name: "Tesla", type: "company" },
+  { name: "Mistral AI", type: "company", aliases: ["Mistral"], hashtag: "#MistralAI" },
+  { name: "Hugging Face", type: "company", aliases: ["HuggingFace"] },
+  { name: "Cohere", type: "company" },
+  { name: "xAI", type: "company" },
+  { name: "Stability AI", type: "company" },
+  { name: "Perplexity", type: "company" },
+  { name: "Databricks", type: "company" },
+  { name: "Salesforce", type: "company" },
+  { name: "Baidu", type: "company" },
+  { name: "Alibaba", type: "company" },
+  { name: "Samsung", type: "company" },
+  { name: "DeepSeek", type: "company" },
+  { name: "Sequoia Capital", type: "company", aliases: ["Sequoia"], hashtag: "#Sequoia" },
+  { name: "Andreessen Horowitz", type: "company", aliases: ["a16z"], hashtag: "#a16z" },
+  { name: "SoftBank", type: "company" },
+  { name: "The New York Times", type: "company", aliases: ["New York Times", "NYT"], hashtag: "#NYT" },
+  { name: "ChatGPT", type: "product" },
+  { name: "Claude", type: "product" },
+  { name: "Gemini", type: "product" },
+  { name: "Llama", type: "product" },
+  { name: "GitHub Copilot", type: "product", aliases: ["Copilot"], hashtag: "#Copilot" },
+  { name: "Grok", type: "product" },
+  { name: "Sora", type: "product" },
+  { name: "Midjourney", type: "product" },
+  { name: "DALL-E", type: "product", hashtag: "#DALLE" },
+  { name: "Stable Diffusion", type: "product" },
+  { name: "AlphaFold", type: "product" },
+];
+
+// Model families whose versions are products of their own ("GPT-4o",
+// "Claude 3.5 Sonnet", "Gemini 2.0 Flash", "DeepSeek-R1")
+const MODEL_VERSION = new RegExp(
+  "\\b(?:GPT|Claude|Gemini|Gemma|Llama|Mistral|Mixtral|Grok|Phi|Qwen|DeepSeek|Sora)" +
+    "[- ]?(?:\\d+(?:\\.\\d+)*|[RV]\\d)[a-z]?" +
+    "(?:[- ](?:Flash|Pro|Ultra|Nano|Sonnet|Opus|Haiku|Turbo|Mini|Large|Small|Medium|Instruct))?\\b",
+  "g"
+);
+
+// Other versioned names, e.g. "Phi-3" style names of new models
+const VERSIONED_NAME = /\b([A-Z][a-z][A-Za-z]+)-(\d+(?:\.\d+)*[a-z]?)\b/g;
+
+const COMPANY_SUFFIXES =
+  "Inc|Labs|Lab|Technologies|Technology|Robotics|Systems|Corp|Corporation|Ltd|Group|Capital|Ventures|AI";
+
+const NAME = "[A-Z][\\w&'’.-]*(?:\\s+[A-Z][\\w&'’.-]*){0,3}";
+const PERSON = "[A-Z][a-z]+(?:[-'’][A-Z][a-z]+)?(?:\\s+[A-Z][a-z]+(?:[-'’][A-Z][a-z]+)?){1,2}";
+
+const ROLES =
+  "CEO|CTO|CFO|COO|chief executive|chief technology officer|chief scientist|founder|co-founder|" +
+  "cofounder|president|chair|chairman|researcher|professor|director|analyst|spokesperson|scientist|engineer|partner";
+
+const COMPANY_RULES = [
+  new RegExp(`(${NAME})\\s+(?:${COMPANY_SUFFIXES})\\b`, "g"),
+  new RegExp(`(${NAME}),\\s+an?\\s+(?:[\\w-]+\\s+){0,3}(?:startup|company|firm|maker|lab|developer)\\b`, "g"),
+  new RegExp(`\\b(?:startup|company|firm|investors?|lab)\\s+(${NAME})`, "g"),
+];
+// The first rule keeps the suffix as part of the name
+const SUFFIX_RULE = COMPANY_RULES[0];
+
+const PERSON_RULES = [
+  new RegExp(`\\b(?:${ROLES})(?:\\s+and\\s+(?:${ROLES}))?\\s+(${PERSON})`, "g"),
+  new RegExp(`\\b(?:Dr|Prof|Mr|Mrs|Ms)\\.?\\s+(${PERSON}|[A-Z][a-z]+)`, "g"),
+  new RegExp(`(${PERSON}),\\s+(?:the\\s+)?(?:[\\w-]+\\s+){0,2}(?:${ROLES})\\b`, "g"),
+  new RegExp(`(${PERSON})\\s+(?:said|says|told|wrote|explained|added|announced)\\b`, "g"),
+  new RegExp(`\\b(?:said|says|according to)\\s+(${PERSON})`, "g"),
+];
+// Only a title or honorific makes a single word a name ("Dr. Ruiz"); for the
+// other rules a lone word is what's left of "The Times said"
+const HONORIFIC_RULE = PERSON_RULES[1];
+
+// Capitalized words that start sentences or name places, not companies or people
+const COMMON_WORDS = new Set(
+  (
+    "The A An This That These Those Its It Our We Their His Her Today Yesterday On In At By For " +
+    "From With And But Or As If When While After Before New Monday Tuesday Wednesday Thursday " +
+    "Then Now Also However Meanwhile Still Here There Why How What Last Next Earlier Later Unlike " +
+    "Friday Saturday Sunday January February March April May June July August September October " +
+    "November December Series Read More Image Credits Photo According Europe Asia Africa America " +
+    "US UK EU London Paris Berlin Tokyo Beijing California Ohio Texas New York San Francisco " +
+    "Silicon Valley Artificial Intelligence Machine Learning AI Generative Covid"
+  ).split(" ")
+);
+
+const MONEY = /(US\$|[$€£])\s?(\d+(?:[.,]\d+)*)(?:\s*(billion|million|thousand|bn|[bmk])\b)?/gi;
+const ROUND = /\b(Series [A-H]|pre-seed|seed)(?:\s+(?:round|funding|financing))?\b/i;
+const UNITS = { thousand: 1e3, k: 1e3, million: 1e6, m: 1e6, billion: 1e9, bn: 1e9, b: 1e9 };
+const CURRENCIES = { $: "USD", US$: "USD", "€": "EUR", "£": "GBP" };
+
+/**
+ * Entities of an article, from its title and its full text or summary
+ */
+function extractEntities(article) {
+  const title = article.title || "";
+  const body = article.content || article.summary || "";
+  const text = `${title}\n${body}`;
+
+  const found = new Map();
+  const add = (name, type) => {
+    const clean = cleanName(name);
+    if (clean && !isKnown(found, clean)) found.set(clean, type);
+  };
+
+  // Versioned models first; "Claude" mentions that are all part of
+  // "Claude 3.5 Sonnet" then don't count for "Claude" (see prominence)
+  for (const [name] of text.matchAll(MODEL_VERSION)) {
+    if (!found.has(name)) found.set(name, "product");
+  }
+  for (const [name, family] of text.matchAll(VERSIONED_NAME)) {
+    if (!COMMON_WORDS.has(family)) add(name, "product");
+  }
+  for (const entry of GAZETTEER) {
+    if (aliasesOf(entry.name).some((alias) => mentions(text, alias))) {
+      found.set(entry.name, entry.type);
+    }
+  }
+
+  // Headlines are often in title case, so capitalization rules only read the body
+  for (const rule of COMPANY_RULES) {
+    for (const match of body.matchAll(rule)) {
+      add(rule === SUFFIX_RULE ? match[0] : match[1], "company");
+    }
+  }
+  for (const rule of PERSON_RULES) {
+    for (const match of body.matchAll(rule)) {
+      const name = cleanName(match[1]);
+      if (!name || looksLikeCompany(name)) continue;
+      if (rule === HONORIFIC_RULE || name.includes(" ")) add(name, "person");
+    }
+  }
+
+  const names = [...found.keys()];
+  const ranked = names
+    .map((name) => ({ name, type: found.get(name), score: prominence(name, names, title, body) }))
+    .filter((entity) => entity.score > 0)
+    .sort((a, b) => b.score - a.score || firstMention(text, a.name) - firstMention(text, b.name));
+  const named = (type) => ranked.filter((entity) => entity.type === type).map((entity) => entity.name);
+  // Body first: a headline like "X rival raises $50M" names the wrong company
+  const money = extractMoney(`${body}\n${title}`, named("company"));
+
+  return {
+    companies: byRole(named("company"), money),
+    people: named("person"),
+    products: named("product"),
+    money,
+  };
+}
+
+/**
+ * Companies in prominence order, moving the ones that raised a round in
+ * money to the front and investors to the back
+ */
+function byRole(companies, money) {
+  const funded = [...new Set(money.map((item) => item.company).filter(Boolean))];
+  const rest = companies.filter((name) => !funded.includes(name));
+  return [
+    ...funded,
+    ...rest.filter((name) => !isInvestor(name)),
+    ...rest.filter((name) => isInvestor(name)),
+  ];
+}
+
+/**
+ * Money amounts with the funding round mentioned next to them (same
+ * sentence, within a few words), largest first. Funding rounds also get the
+ * company that raised them: the last of companies named before the amount
+ * in its sentence, else the first one after it (investors excluded)
+ */
+function extractMoney(text, companies = []) {
+  const amounts = new Map();
+
+  for (const sentence of text.split(/(?<=[.!?])\s+|\n+/)) {
+    for (const match of sentence.matchAll(MONEY)) {
+      const [, symbol, digits, unit] = match;
+      const value = parseFloat(digits.replace(/,(?=\d{3}\b)/g, "").replace(",", "."));
+      if (!Number.isFinite(value)) continue;
+
+      const amount = Math.round(value * (unit ? UNITS[unit.toLowerCase()] : 1));
+      const currency = CURRENCIES[symbol.toUpperCase()] || CURRENCIES[symbol];
+      const nearby = sentence.slice(Math.max(0, match.index - 40), match.index + match[0].length + 60);
+      const roundMatch = nearby.match(ROUND);
+      const round = roundMatch ? formatRound(roundMatch[1]) : null;
+
+      const key = `${currency}:${amount}`;
+      const existing = amounts.get(key);
+      if (!existing || (!existing.round && round)) {
+        const label = formatAmount(symbol, amount);
+        amounts.set(key, {
+          text: round ? `${label} ${round}` : label,
+          amount,
+          currency,
+          round,
+          company: round ? raisedBy(sentence, match.index, companies) : null,
+        });
+      }
+    }
+  }
+
+  return [...amounts.values()].sort((a, b) => b.amount - a.amount);
+}
+
+function raisedBy(sentence, position, companies) {
+  const named = companies
+    .filter((name) => !isInvestor(name))
+    .map((name) => ({ name, at: firstMention(sentence, name) }))
+    .filter((company) => company.at !== Infinity);
+  const before = named.filter((company) => company.at < position).sort((a, b) => b.at - a.at);
+  const after = named.filter((company) => company.at > position).sort((a, b) => a.at - b.at);
+  const [company] = [...before, ...after];
+  return company ? company.name : null;
+}
+
+/**
+ * The funding event of an article: the largest amount with a round and a
+ * company that raised it ({ company, amount: "$50M Series B" }), or null
+ */
+function fundingOf(entities) {
+  const money = entities && entities.money.find((item) => item.round && item.company);
+  return money ? { company: money.company, amount: money.text } : null;
+}
+
+function isInvestor(name) {
+  return /\b(Capital|Ventures|Partners)$/.test(name) || ["Andreessen Horowitz", "SoftBank"].includes(name);
+}
+
+/**
+ * Mentions, with title mentions counting three times; mentions inside a
+ * longer name that was found ("Google" in "Google DeepMind") don't count
+ */
+function prominence(name, names, title, body) {
+  const longer = names.filter((other) => other !== name && other.includes(name));
+  const mentionsIn = (text) =>
+    Math.max(0, count(text, name) - longer.reduce((sum, other) => sum + count(text, other), 0));
+  return mentionsIn(title) * 3 + mentionsIn(body);
+}
+
+function count(text, name) {
+  return aliasesOf(name).reduce(
+    (sum, alias) => sum + (text.match(new RegExp(`(?<![\\w-])${escapeRegExp(alias)}(?![\\w-])`, "g")) || []).length,
+    0
+  );
+}
+
+function mentions(text, alias) {
+  return new RegExp(`(?<![\\w-])${escapeRegExp(alias)}(?![\\w-])`).test(text);
+}
+
+function firstMention(text, name) {
+  const positions = aliasesOf(name).map((alias) => text.indexOf(alias)).filter((i) => i >= 0);
+  return positions.length > 0 ? Math.min(...positions) : Infinity;
+}
+
+function aliasesOf(name) {
+  const entry = GAZETTEER.find((item) => item.name === name);
+  return entry ? [entry.name, ...(entry.aliases || [])] : [name];
+}
+
+// A name that overlaps one found already, or a gazetteer alias
+function isKnown(found, name) {
+  return (
+    [...found.keys()].some((known) => known.includes(name) || name.includes(known)) ||
+    GAZETTEER.some((entry) => aliasesOf(entry.name).some((alias) => mentions(name, alias)))
+  );
+}
+
+function looksLikeCompany(name) {
+  return new RegExp(`\\b(?:${COMPANY_SUFFIXES})$`).test(name);
+}
+
+/**
+ * Drops leading sentence words ("Today Agentic Labs" -> "Agentic Labs"),
+ * places ("Berlin-based Foo Labs" -> "Foo Labs") and trailing punctuation;
+ * null when nothing but common words is left
+ */
+function cleanName(name) {
+  let words = name.replace(/[’']s$/, "").replace(/[.,;:]+$/, "").split(/\s+/);
+  const place = words.findIndex((word) => /-based$/i.test(word));
+  if (place >= 0) words = words.slice(place + 1);
+  while (words.length > 0 && COMMON_WORDS.has(words[0])) words.shift();
+  const clean = words.join(" ");
+  if (!clean || words.every((word) => COMMON_WORDS.has(word) || COMPANY_SUFFIXES.split("|").includes(word))) {
+    return null;
+  }
+  return clean;
+}
+
+function formatAmount(symbol, amount) {
+  const prefix = symbol.toUpperCase() === "US$" ? "$" : symbol;
+  for (const [unit, size] of [["B", 1e9], ["M", 1e6], ["K", 1e3]]) {
+    if (amount >= size) {
+      return `${prefix}${Math.round((amount / size) * 10) / 10}${unit}`;
+    }
+  }
+  return `${prefix}${amount}`;
+}
+
+function formatRound(round) {
+  return /^series/i.test(round) ? `Series ${round.slice(-1).toUpperCase()}` : `${round.toLowerCase()} round`;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = {
+  GAZETTEER,
+  extractEntities,
+  extractMoney,
+  fundingOf,
+};
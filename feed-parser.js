@@ -0,0 +1,265 @@
+/**
+ * Feed Parser
+ *
+ * Dependency-free parser for RSS 2.0 and Atom feeds. Only the handful of
+ * fields the agent needs are extracted, so a small tag-matching approach is
+ * enough and avoids pulling in an XML library.
+ */
+
+/**
+ * Longest summary kept per item; full-content feeds can embed whole articles
+ */
+const MAX_SUMMARY_LENGTH = 1000;
+
+/**
+ * Parses an RSS 2.0 or Atom document into { format, title, items }
+ * Each item has title, link, publishedDate (Date or null), author and summary
+ */
+function parseFeed(xml) {
+  if (typeof xml !== "string" || xml.trim().length === 0) {
+    throw new Error("Feed is empty");
+  }
+
+  if (/<feed[\s>]/i.test(xml)) {
+    return parseAtom(xml);
+  }
+
+  if (/<rss[\s>]/i.test(xml) || /<channel[\s>]/i.test(xml)) {
+    return parseRss(xml);
+  }
+
+  throw new Error("Unrecognized feed format (expected RSS or Atom)");
+}
+
+/**
+ * Extracts items from an RSS 2.0 <channel>
+ */
+function parseRss(xml) {
+  const channel = getTagContent(xml, "channel") || xml;
+  const channelHeader = channel.split(/<item[\s>]/i)[0];
+
+  const items = getAllTagContents(channel, "item").map((itemXml) => ({
+    title: cleanText(getTagContent(itemXml, "title")),
+    link: getRssLink(itemXml),
+    publishedDate: parseDate(
+      getTagContent(itemXml, "pubDate") || getTagContent(itemXml, "dc:date")
+    ),
+    author: getRssAuthor(itemXml),
+    summary: truncateText(
+      cleanText(
+        getTagContent(itemXml, "description") ||
+          getTagContent(itemXml, "content:encoded")
+      ),
+      MAX_SUMMARY_LENGTH
+    ),
+  }));
+
+  return {
+    format: "rss",
+    title: cleanText(getTagContent(channelHeader, "title")),
+    items: items.filter((item) => item.title && item.link),
+  };
+}
+
+/**
+ * Extracts entries from an Atom <feed>
+ */
+function parseAtom(xml) {
+  const feedHeader = xml.split(/<entry[\s>]/i)[0];
+
+  const items = getAllTagContents(xml, "entry").map((entryXml) => ({
+    title: getAtomText(entryXml, "title"),
+    link: getAtomLink(entryXml),
+    publishedDate: parseDate(
+      getTagContent(entryXml, "published") || getTagContent(entryXml, "updated")
+    ),
+    author: getAllTagContents(entryXml, "author")
+      .map((authorXml) => cleanText(getTagContent(authorXml, "name")))
+      .filter(Boolean)
+      .join(", "),
+    summary: truncateText(
+      getAtomText(entryXml, "summary") || getAtomText(entryXml, "content"),
+      MAX_SUMMARY_LENGTH
+    ),
+  }));
+
+  return {
+    format: "atom",
+    title: getAtomText(feedHeader, "title"),
+    items: items.filter((item) => item.title && item.link),
+  };
+}
+
+/**
+ * Reads an RSS item link, falling back to a permalink <guid>
+ */
+function getRssLink(itemXml) {
+  const link = cleanText(getTagContent(itemXml, "link"));
+  if (link) return link;
+
+  const guid = itemXml.match(/<guid\b([^>]*)>([\s\S]*?)<\/guid>/i);
+  if (guid && !/isPermaLink\s*=\s*["']false["']/i.test(guid[1])) {
+    const value = cleanText(guid[2]);
+    if (/^https?:\/\//i.test(value)) return value;
+  }
+
+  return "";
+}
+
+/**
+ * Reads an RSS item author from dc:creator or <author>
+ * RSS 2.0 <author> is "email (Name)", so prefer the name when present
+ */
+function getRssAuthor(itemXml) {
+  const creator = cleanText(getTagContent(itemXml, "dc:creator"));
+  if (creator) return creator;
+
+  const author = cleanText(getTagContent(itemXml, "author"));
+  const name = author.match(/\(([^)]+)\)\s*$/);
+  return name ? name[1].trim() : author;
+}
+
+/**
+ * Reads an Atom text construct (type="html" content is escaped markup,
+ * which cleanText decodes and strips like any other)
+ */
+function getAtomText(xml, tagName) {
+  const match = xml.match(
+    new RegExp(`<${tagName}(\\s[^>]*)?>([\\s\\S]*?)</${tagName}>`, "i")
+  );
+  return match ? cleanText(match[2]) : "";
+}
+
+/**
+ * Picks the alternate link of an Atom entry (or the first link if none is marked)
+ */
+function getAtomLink(entryXml) {
+  const links = [...entryXml.matchAll(/<link\b([^>]*)\/?>/gi)].map(
+    (match) => match[1]
+  );
+
+  const alternate =
+    links.find((attrs) => /rel\s*=\s*["']alternate["']/i.test(attrs)) ||
+    links.find((attrs) => !/rel\s*=/i.test(attrs)) ||
+    links[0];
+
+  if (!alternate) return "";
+
+  const href = alternate.match(/href\s*=\s*["']([^"']+)["']/i);
+  return href ? decodeEntities(href[1]) : "";
+}
+
+/**
+ * Tag helpers
+ */
+function getTagContent(xml, tagName) {
+  const pattern = new RegExp(
+    `<${escapeTagName(tagName)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeTagName(
+      tagName
+    )}>`,
+    "i"
+  );
+  const match = xml.match(pattern);
+  return match ? match[1] : "";
+}
+
+function getAllTagContents(xml, tagName) {
+  const pattern = new RegExp(
+    `<${escapeTagName(tagName)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeTagName(
+      tagName
+    )}>`,
+    "gi"
+  );
+  return [...xml.matchAll(pattern)].map((match) => match[1]);
+}
+
+function escapeTagName(tagName) {
+  return tagName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Text helpers
+ */
+function cleanText(value) {
+  if (!value) return "";
+
+  let text = value.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1");
+
+  // Escaped HTML (common in RSS descriptions) is often entity-encoded twice:
+  // decode until nothing changes, then strip tags. Stripping last means no
+  // markup can reappear from a later decode
+  for (let pass = 0; pass < MAX_DECODE_PASSES; pass++) {
+    const decoded = decodeEntities(text);
+    if (decoded === text) break;
+    text = decoded;
+  }
+
+  return text
+    .replace(HTML_TAG, " ")
+    .replace(WORDPRESS_FOOTER, "")
+    .replace(/\s+/g, " ")
+    .replace(/\s+([.,;:!?])/g, "$1")
+    .trim();
+}
+
+const MAX_DECODE_PASSES = 3;
+
+const HTML_TAG = /<\/?[a-z!][^>]*>/gi;
+
+// "The post X appeared first on Site." footer appended by WordPress feeds
+const WORDPRESS_FOOTER = /\s*The post [\s\S]*? appeared first on [\s\S]*$/;
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  hellip: "…",
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const codePoint =
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10);
+      // Out-of-range and surrogate code points are not characters
+      const valid =
+        codePoint <= 0x10ffff && !(codePoint >= 0xd800 && codePoint <= 0xdfff);
+      return valid ? String.fromCodePoint(codePoint) : entity;
+    }
+    const named = NAMED_ENTITIES[code.toLowerCase()];
+    return named !== undefined ? named : entity;
+  });
+}
+
+function truncateText(text, maxLength) {
+  if (text.length <= maxLength) return text;
+
+  const cut = text.substring(0, maxLength - 3);
+  const lastSpace = cut.lastIndexOf(" ");
+  return (lastSpace > maxLength / 2 ? cut.substring(0, lastSpace) : cut) + "...";
+}
+
+function parseDate(value) {
+  const text = cleanText(value);
+  if (!text) return null;
+
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+  parseFeed,
+  decodeEntities,
+  truncateText,
+};
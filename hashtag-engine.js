@@ -0,0 +1,383 @@
+/**
+ * Hashtag Engine
+ *
+ * Picks the hashtags of a post from a curated dictionary
+ * (hashtag-dictionary.json) instead of a fixed keyword map:
+ *
+ *   { tag, category, group, weight, synonyms, topics, default }
+ *
+ *   category  core, technology, industry, business, topic, company or
+ *             product; at most hashtags.maxPerCategory tags per category
+ *   group     near-duplicates (#AI and #ArtificialIntelligence); only the
+ *             best-scoring tag of a group is used
+ *   weight    0-1, how much a match counts; broad tags weigh less
+ *   synonyms  phrases that point to the tag (whole words, any case);
+ *             defaults to the tag without "#"
+ *   topics    topic-clusters.js labels that point to the tag
+ *   default   a candidate for every article, even without a match
+ *
+ * An article's score for a tag is its weight times: 2 per title match, 1 per
+ * body match (at most 3), 2 when the article's topic is one of its topics,
+ * 3 / 1.5 when it is the hashtag of the article's first / second product or
+ * company, 2 when that company raised funding and 4 for default tags. The
+ * top companies and products without a dictionary entry become tags of
+ * their own ("Agentic Labs" -> #AgenticLabs).
+ *
+ * hashtags.pinned (brand or campaign tags) always come first. A team
+ * dictionary (hashtags.dictionary) adds entries and replaces built-in ones
+ * with the same tag.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { GAZETTEER, extractEntities, fundingOf } = require("./entity-extractor");
+const { topicFor } = require("./topic-clusters");
+
+const BUILT_IN_DICTIONARY = path.join(__dirname, "hashtag-dictionary.json");
+
+const HASHTAG_CATEGORIES = ["core", "technology", "industry", "business", "topic", "company", "product"];
+
+const TITLE_SCORE = 2;
+const MAX_BODY_MATCHES = 3;
+const TOPIC_SCORE = 2;
+const ENTITY_SCORES = [3, 1.5];
+const FUNDING_SCORE = 2;
+const DEFAULT_SCORE = 4;
+
+// Weight of companies and products that have no dictionary entry
+const ENTITY_WEIGHT = 0.6;
+
+/**
+ * Raised for dictionary files that can't be read or have invalid entries
+ */
+class HashtagDictionaryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "HashtagDictionaryError";
+  }
+}
+
+class HashtagEngine {
+  constructor({ entries = [], pinned = [], maxPerCategory = 2 } = {}) {
+    this.maxPerCategory = maxPerCategory;
+    this.pinned = [...new Set(pinned.map(normalizeTag).filter(Boolean))];
+
+    // Later entries replace earlier ones with the same tag
+    const byTag = new Map();
+    for (const entry of entries) {
+      const normalized = normalizeEntry(entry);
+      byTag.set(tagKey(normalized.tag), normalized);
+    }
+    this.entries = [...byTag.values()];
+  }
+
+  /**
+   * Engine for config.hashtags: the built-in dictionary, the team
+   * dictionary on top and the pinned tags
+   */
+  static fromConfig(config = {}) {
+    const entries = loadDictionary(BUILT_IN_DICTIONARY);
+    if (config.dictionary) entries.push(...loadDictionary(config.dictionary));
+
+    return new HashtagEngine({
+      entries,
+      pinned: config.pinned || [],
+      maxPerCategory: config.maxPerCategory ?? 2,
+    });
+  }
+
+  /**
+   * Candidate tags of an article, best first:
+   * [{ tag, category, group, score, reasons }]
+   */
+  score(article) {
+    const title = article.title || "";
+    const body = article.content || article.summary || "";
+    const topic = topicFor(article);
+    const entities = article.entities || extractEntities(article);
+    const funding = fundingOf(entities);
+
+    const entries = [...this.entries];
+    const bonuses = new Map();
+    const addBonus = (entry, points, reason) => {
+      const bonus = bonuses.get(entry) || { points: 0, reasons: [] };
+      bonus.points += points;
+      bonus.reasons.push(reason);
+      bonuses.set(entry, bonus);
+    };
+
+    for (const names of [entities.products, entities.companies]) {
+      names.slice(0, ENTITY_SCORES.length).forEach((name, rank) => {
+        const tag = this.hashtagFor(name);
+        if (!tag) return;
+
+        let entry = entries.find((item) => tagKey(item.tag) === tagKey(tag));
+        if (!entry) {
+          entry = normalizeEntry({
+            tag,
+            category: names === entities.products ? "product" : "company",
+            weight: ENTITY_WEIGHT,
+            synonyms: [name],
+          });
+          entries.push(entry);
+        }
+        addBonus(entry, ENTITY_SCORES[rank], `entity ${name}`);
+        if (funding && funding.company === name) addBonus(entry, FUNDING_SCORE, "funding");
+      });
+    }
+
+    const candidates = [];
+    for (const entry of entries) {
+      const reasons = [];
+      let points = 0;
+
+      const titleMatches = countMatches(entry.pattern, title);
+      const bodyMatches = Math.min(countMatches(entry.pattern, body), MAX_BODY_MATCHES);
+      if (titleMatches > 0) {
+        points += TITLE_SCORE * titleMatches;
+        reasons.push("title");
+      }
+      if (bodyMatches > 0) {
+        points += bodyMatches;
+        reasons.push("body");
+      }
+      if (entry.topics.includes(topic)) {
+        points += TOPIC_SCORE;
+        reasons.push(`topic ${topic}`);
+      }
+      if (bonuses.has(entry)) {
+        points += bonuses.get(entry).points;
+        reasons.push(...bonuses.get(entry).reasons);
+      }
+      if (entry.default) {
+        points += DEFAULT_SCORE;
+        reasons.push("default");
+      }
+
+      if (points > 0) {
+        candidates.push({
+          tag: entry.tag,
+          category: entry.category,
+          group: entry.group,
+          score: round(points * entry.weight),
+          reasons,
+        });
+      }
+    }
+
+    return candidates.sort((a, b) => b.score - a.score || a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * Up to max hashtags for a post about the articles: the pinned tags, then
+   * the candidates with the highest summed score, skipping near-duplicates
+   * (same group, or the same tag in another case or plural) and categories
+   * that already have maxPerCategory tags
+   */
+  select(articles, max) {
+    const totals = new Map();
+    for (const article of articles) {
+      for (const candidate of this.score(article)) {
+        const key = tagKey(candidate.tag);
+        const total = totals.get(key);
+        if (total) total.score = round(total.score + candidate.score);
+        else totals.set(key, { ...candidate });
+      }
+    }
+
+    const selected = [];
+    const keys = new Set();
+    const groups = new Set();
+    const perCategory = new Map();
+
+    const take = (tag, group) => {
+      selected.push(tag);
+      keys.add(tagKey(tag));
+      if (group) groups.add(group);
+    };
+
+    for (const tag of this.pinned) {
+      if (selected.length >= max) break;
+      if (keys.has(tagKey(tag))) continue;
+      const entry = this.entries.find((item) => tagKey(item.tag) === tagKey(tag));
+      take(tag, entry ? entry.group : null);
+    }
+
+    const ranked = [...totals.values()].sort((a, b) => b.score - a.score || a.tag.localeCompare(b.tag));
+    for (const candidate of ranked) {
+      if (selected.length >= max) break;
+      if (keys.has(tagKey(candidate.tag))) continue;
+      if (candidate.group && groups.has(candidate.group)) continue;
+
+      const count = perCategory.get(candidate.category) || 0;
+      if (count >= this.maxPerCategory) continue;
+
+      perCategory.set(candidate.category, count + 1);
+      take(candidate.tag, candidate.group);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Hashtag for an entity name: a dictionary entry that lists the name as a
+   * synonym, else the gazetteer one, else generated (see toHashtag)
+   */
+  hashtagFor(name) {
+    const lower = name.toLowerCase();
+    const entry = this.entries.find((item) => item.synonyms.includes(lower));
+    return entry ? entry.tag : hashtagFor(name);
+  }
+}
+
+/**
+ * Hashtag for an entity name: the gazetteer one, the one of its model
+ * family ("Llama 3.1" -> #Llama, as "#Llama31" reads as a different
+ * number), or generated
+ */
+function hashtagFor(name) {
+  const entry =
+    GAZETTEER.find((item) => item.name === name) ||
+    GAZETTEER.find(
+      (item) =>
+        item.type === "product" &&
+        name.startsWith(item.name) &&
+        /^[ -]\d/.test(name.slice(item.name.length))
+    );
+  if (entry) return entry.hashtag || toHashtag(entry.name);
+  return toHashtag(name);
+}
+
+/**
+ * CamelCase hashtag for a name, or null when it has no letters:
+ * accents and possessives are dropped, punctuation joins words, and words
+ * with their own inner capitals keep them
+ *
+ *   "Agentic Labs" -> #AgenticLabs, "GPT-4o Mini" -> #GPT4oMini,
+ *   "Hugging Face's" -> #HuggingFace, "xAI" -> #xAI, "Société Générale" ->
+ *   #SocieteGenerale, "2025" -> null
+ */
+function toHashtag(name) {
+  const words = String(name || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .replace(/['’]s\b/gi, "")
+    .replace(/['’]/g, "")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+  const tag = words
+    .map((word) => (/^\p{Ll}+\p{Lu}/u.test(word) ? word : word[0].toUpperCase() + word.slice(1)))
+    .join("");
+  return /\p{L}/u.test(tag) ? `#${tag}` : null;
+}
+
+/**
+ * Entries of a dictionary file ({ hashtags: [...] }), validated
+ */
+function loadDictionary(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new HashtagDictionaryError(`Cannot read hashtag dictionary ${filePath}: ${error.message}`);
+  }
+
+  const entries = Array.isArray(data) ? data : data && data.hashtags;
+  if (!Array.isArray(entries)) {
+    throw new HashtagDictionaryError(`${filePath} must contain a "hashtags" array`);
+  }
+
+  const errors = entries.flatMap((entry, i) => validateEntry(entry).map((error) => `hashtags[${i}]: ${error}`));
+  if (errors.length > 0) {
+    throw new HashtagDictionaryError(`Invalid hashtag dictionary ${filePath}:\n  - ${errors.join("\n  - ")}`);
+  }
+  return entries;
+}
+
+function validateEntry(entry) {
+  if (!entry || typeof entry !== "object") return ["must be an object"];
+
+  const errors = [];
+  if (typeof entry.tag !== "string" || !/^#[\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*$/u.test(entry.tag)) {
+    errors.push(`tag ${JSON.stringify(entry.tag)} must be "#" and letters or digits`);
+  }
+  if (!HASHTAG_CATEGORIES.includes(entry.category)) {
+    errors.push(`category must be one of: ${HASHTAG_CATEGORIES.join(", ")}`);
+  }
+  if (entry.group !== undefined && typeof entry.group !== "string") {
+    errors.push("group must be a string");
+  }
+  if (entry.weight !== undefined && (typeof entry.weight !== "number" || entry.weight < 0 || entry.weight > 1)) {
+    errors.push("weight must be a number from 0 to 1");
+  }
+  for (const list of ["synonyms", "topics"]) {
+    if (entry[list] !== undefined && !(Array.isArray(entry[list]) && entry[list].every((item) => typeof item === "string"))) {
+      errors.push(`${list} must be an array of strings`);
+    }
+  }
+  if (entry.default !== undefined && typeof entry.default !== "boolean") {
+    errors.push("default must be true or false");
+  }
+  return errors;
+}
+
+function normalizeEntry(entry) {
+  const synonyms = (entry.synonyms && entry.synonyms.length > 0 ? entry.synonyms : [entry.tag.slice(1)]).map(
+    (synonym) => synonym.toLowerCase()
+  );
+  return {
+    tag: entry.tag,
+    category: entry.category,
+    group: entry.group || null,
+    weight: entry.weight ?? 0.5,
+    synonyms,
+    topics: entry.topics || [],
+    default: Boolean(entry.default),
+    pattern: synonymPattern(synonyms),
+  };
+}
+
+/**
+ * One pattern for all synonyms, longest first so "generative ai" is one
+ * match rather than two
+ */
+function synonymPattern(synonyms) {
+  const alternatives = [...synonyms]
+    .sort((a, b) => b.length - a.length)
+    .map((synonym) => synonym.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join("|")})(?![\\p{L}\\p{N}])`, "giu");
+}
+
+function countMatches(pattern, text) {
+  return (text.match(pattern) || []).length;
+}
+
+/**
+ * A pinned tag with "#", generated when written as words ("my brand")
+ */
+function normalizeTag(tag) {
+  const text = String(tag || "").trim();
+  if (/^#[\p{L}\p{N}_]+$/u.test(text)) return text;
+  return toHashtag(text.replace(/^#/, ""));
+}
+
+/**
+ * Case- and plural-insensitive key, so #Startup and #startups collide
+ */
+function tagKey(tag) {
+  return tag.toLowerCase().replace(/^#/, "").replace(/s$/, "");
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  HASHTAG_CATEGORIES,
+  HashtagDictionaryError,
+  HashtagEngine,
+  hashtagFor,
+  toHashtag,
+  loadDictionary,
+};
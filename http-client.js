@@ -0,0 +1,202 @@
+/**
+ * HTTP Client
+ *
+ * Minimal promise-based wrapper around Node's http/https modules shared by
+ * the news providers. Supports timeouts, redirects, a response size limit
+ * and plain http URLs so local mock servers can stand in for real APIs
+ * during testing.
+ *
+ * Redirects follow browsers: a 303, and a 301 or 302 answering a POST, is
+ * followed with a GET without the body; 307 and 308 repeat the request.
+ * Credentials (Authorization, API key and cookie headers) are only sent
+ * again to the same origin, and an https URL never redirects to http, so a
+ * redirect can't leak the API keys and tokens of the LLM and LinkedIn clients.
+ */
+
+const http = require("http");
+const https = require("https");
+
+const DEFAULT_HEADERS = {
+  "User-Agent": "Kiro-LinkedIn-Agent/1.0",
+};
+
+// Headers dropped when a redirect leaves the origin
+const CREDENTIAL_HEADERS = /^(authorization|proxy-authorization|cookie|x-goog-api-key|x-api-key|api-key)$/i;
+
+/**
+ * Error raised for non-2xx responses, keeping the status code for callers
+ */
+class HttpError extends Error {
+  constructor(statusCode, statusMessage, body = "") {
+    super(`HTTP ${statusCode}: ${statusMessage}`);
+    this.name = "HttpError";
+    this.statusCode = statusCode;
+    this.body = body;
+  }
+}
+
+/**
+ * Performs an HTTP request and resolves with { statusCode, headers, body }
+ * Rejects with HttpError for non-2xx responses unless options.allowErrors is set,
+ * and aborts responses larger than options.maxBytes
+ */
+function request(url, options = {}) {
+  const {
+    method = "GET",
+    headers = {},
+    body = null,
+    timeout = 15000,
+    maxRedirects = 5,
+    allowErrors = false,
+    maxBytes = Infinity,
+  } = options;
+
+  return new Promise((resolve, reject) => {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch {
+      reject(new Error(`Invalid URL: ${url}`));
+      return;
+    }
+
+    const transport = urlObj.protocol === "http:" ? http : https;
+    const req = transport.request(
+      urlObj,
+      {
+        method,
+        headers: { ...DEFAULT_HEADERS, ...headers },
+        timeout,
+      },
+      (res) => {
+        const isRedirect =
+          res.statusCode >= 300 && res.statusCode < 400 && res.headers.location;
+
+        if (isRedirect && maxRedirects > 0) {
+          res.resume();
+          const nextUrl = new URL(res.headers.location, urlObj);
+          if (urlObj.protocol === "https:" && nextUrl.protocol !== "https:") {
+            reject(new Error(`Refusing to follow a redirect from HTTPS to ${nextUrl}`));
+            return;
+          }
+          const crossOrigin = nextUrl.origin !== urlObj.origin;
+          request(nextUrl.toString(), {
+            ...options,
+            ...redirectRequest(res.statusCode, method, headers, crossOrigin),
+            maxRedirects: maxRedirects - 1,
+          })
+            .then(resolve)
+            .catch(reject);
+          return;
+        }
+
+        const tooLarge = () => {
+          reject(new Error(`Response too large (over ${maxBytes} bytes)`));
+          res.destroy();
+        };
+        if (Number(res.headers["content-length"]) > maxBytes) {
+          tooLarge();
+          return;
+        }
+
+        const chunks = [];
+        let received = 0;
+        res.on("data", (chunk) => {
+          received += chunk.length;
+          if (received > maxBytes) {
+            tooLarge();
+            return;
+          }
+          chunks.push(chunk);
+        });
+        res.on("end", () => {
+          const responseBody = Buffer.concat(chunks).toString("utf8");
+
+          if (!allowErrors && (res.statusCode < 200 || res.statusCode >= 300)) {
+            reject(
+              new HttpError(res.statusCode, res.statusMessage, responseBody)
+            );
+            return;
+          }
+
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: responseBody,
+            url: urlObj.toString(),
+          });
+        });
+      }
+    );
+
+    req.on("timeout", () => {
+      req.destroy(new Error("Request timeout"));
+    });
+
+    req.on("error", (error) => {
+      // Keep the system error code (ECONNRESET, ...) for retry decisions
+      reject(
+        error.message === "Request timeout"
+          ? error
+          : Object.assign(new Error(`Request failed: ${error.message}`), {
+              code: error.code,
+            })
+      );
+    });
+
+    if (body) {
+      req.write(body);
+    }
+
+    req.end();
+  });
+}
+
+/**
+ * Method, headers and body for following a redirect: 303 (and 301/302 after
+ * a POST) switch to a GET without the body or its content headers, and a
+ * redirect to another origin drops the credential headers
+ */
+function redirectRequest(statusCode, method, headers, crossOrigin) {
+  const toGet =
+    (statusCode === 303 ||
+      ((statusCode === 301 || statusCode === 302) && method.toUpperCase() === "POST")) &&
+    method.toUpperCase() !== "HEAD";
+
+  const nextHeaders = Object.fromEntries(
+    Object.entries(headers).filter(
+      ([name]) =>
+        !(toGet && /^content-(type|length)$/i.test(name)) &&
+        !(crossOrigin && CREDENTIAL_HEADERS.test(name))
+    )
+  );
+  return toGet
+    ? { method: "GET", headers: nextHeaders, body: null }
+    : { headers: nextHeaders };
+}
+
+/**
+ * Convenience helper: GET a URL and resolve with the response body text
+ */
+async function getText(url, options = {}) {
+  const response = await request(url, options);
+  return response.body;
+}
+
+/**
+ * Convenience helper: GET a URL and parse the response as JSON
+ */
+async function getJson(url, options = {}) {
+  const text = await getText(url, {
+    ...options,
+    headers: { Accept: "application/json", ...(options.headers || {}) },
+  });
+  return text.trim().length === 0 ? null : JSON.parse(text);
+}
+
+module.exports = {
+  HttpError,
+  request,
+  getText,
+  getJson,
+};
@@ -1,81 +1,77 @@
 /**
  * LinkedIn AI News Agent
  *
- * Automatically discovers AI-related news using DuckDuckGo and generates
- * LinkedIn posts that users can copy and paste. Integrates with Kiro's
- * agent hook system for seamless automation.
+ * Automatically discovers AI-related news through pluggable news providers
+ * (DuckDuckGo, NewsAPI, RSS/Atom) and generates LinkedIn posts that users
+ * can copy and paste. Integrates with Kiro's agent hook system for seamless
+ * automation.
  */
 
-// Core imports for HTTP requests and utilities
-const https = require("https");
+// Core imports for utilities
 const fs = require("fs");
 const path = require("path");
+const { parseArgs } = require("util");
+
+const { DEFAULT_CONFIG, loadConfig } = require("./config-loader");
+const { createProviders } = require("./news-providers");
+const ArticleCache = require("./article-cache");
+const { createNewsPipeline } = require("./pipeline");
+const { renderJson, renderMarkdown, writePostFiles } = require("./post-output");
+const {
+  resolvePersona,
+  phrasesFor,
+  fillPhrase,
+  decorate,
+  closing,
+  bullet,
+  opinionLine,
+} = require("./personas");
+const { canonicalizeUrl, urlKey, collapseDuplicates } = require("./near-duplicates");
+const { createScorer } = require("./relevance-scorer");
+const { SourceRegistry, SourceRegistryStore } = require("./source-registry");
+const { summarize, keySentences } = require("./summarizer");
+const { extractEntities, fundingOf } = require("./entity-extractor");
+const { HashtagEngine } = require("./hashtag-engine");
+const { countCharacters, truncatePost, lintPost } = require("./post-linter");
 
 /**
- * Configuration object for AI keywords and agent behavior
- * Supports customization of focus areas, post styles, and search parameters
+ * LinkedIn poll limits
  */
-const CONFIG = {
-  // AI-related search keywords and topics
-  aiKeywords: [
-    "artificial intelligence",
-    "machine learning",
-    "OpenAI",
-    "ChatGPT",
-    "neural networks",
-    "deep learning",
-    "AI startups",
-    "generative AI",
-    "AI ethics",
-    "AI regulation",
-  ],
-
-  // Search and filtering parameters
-  search: {
-    maxResults: 10,
-    timeframe: "d", // 'd' = past day, 'w' = past week, 'm' = past month
-    minRelevanceScore: 0.4,
-    requestTimeout: 15000,
-    rateLimitDelay: 1000, // 1 second between requests
-  },
+const POLL_LIMITS = { question: 140, option: 30, maxOptions: 4 };
 
-  // LinkedIn post generation settings
-  posts: {
-    maxCharacters: 3000,
-    optimalCharacters: 1600,
-    maxHashtags: 5,
-    styles: ["news_share", "question", "insight", "list"],
-    defaultStyle: "news_share",
+/**
+ * Poll questions with their answer options ({topic} is the article's main topic)
+ */
+const POLL_TEMPLATES = [
+  {
+    question: "How soon will {topic} matter in your work?",
+    options: ["Already does", "Within a year", "In 2-5 years", "Not in my field"],
   },
-
-  // Source quality preferences
-  sources: {
-    preferred: [
-      "techcrunch.com",
-      "wired.com",
-      "technologyreview.com",
-      "venturebeat.com",
-      "theverge.com",
-      "arstechnica.com",
-    ],
-    excluded: ["spam-site.com", "clickbait-news.com"],
+  {
+    question: "Breakthrough or incremental progress?",
+    options: ["Breakthrough", "Incremental", "Too early to tell"],
   },
-
-  // Caching and performance settings
-  cache: {
-    enabled: true,
-    duration: 3600000, // 1 hour in milliseconds
-    maxEntries: 100,
+  {
+    question: "Would your team adopt something like this?",
+    options: ["Yes, right away", "After a pilot", "Not yet"],
   },
+];
 
-  // Error handling and retry configuration
-  errorHandling: {
-    maxRetries: 3,
-    retryDelay: 2000,
-    exponentialBackoff: true,
-  },
+/**
+ * Digest headings per search.timeframe
+ */
+const DIGEST_TITLES = {
+  d: "Today in AI",
+  w: "This week in AI",
+  m: "This month in AI",
 };
 
+/**
+ * Default configuration for AI keywords and agent behavior
+ * Override via agent-config.json, --config <path> or AGENT_* env vars (see config-loader.js)
+ */
+const CONFIG = DEFAULT_CONFIG;
+
 /**
  * Main LinkedIn AI News Agent class
  * Orchestrates the entire workflow from news discovery to post generation
@@ -83,192 +79,171 @@ const CONFIG = {
 class LinkedInAINewsAgent {
   constructor(config = CONFIG) {
     this.config = config;
-    this.cache = new Map();
+    this.providers = createProviders(config);
+    this.cache = new ArticleCache({
+      filePath: config.cache.path,
+      ttl: config.cache.duration,
+      maxEntries: config.cache.maxEntries,
+    });
+    this.persona = resolvePersona(config);
+    this.sources = loadSourceRegistry(config.sources);
+    this.scorer = createScorer(config, this.sources);
+    this.hashtags = loadHashtagEngine(config.hashtags);
     this.lastRequestTime = 0;
     this.initialized = false;
   }
 
   /**
    * Main entry point for the agent workflow
-   * Combines search and post generation into single workflow with comprehensive error handling
+   * Runs the shared news pipeline with template stages and console output
+   * options.digest writes one roundup post per topic instead (see config.digest)
    * Implements requirements 1.4, 4.1, 4.2 for workflow orchestration and output formatting
    */
-  async run() {
-    const startTime = Date.now();
-    let articles = [];
-    let posts = [];
+  async run(options = {}) {
+    console.log("🤖 LinkedIn AI News Agent starting...");
+    console.log("⏰ Started at:", new Date().toLocaleString());
+
+    // Initialize agent if not already done
+    this.initialize();
+
+    const result = await createNewsPipeline(this.config, {
+      // Digest runs search over digest.timeframe, so they build their own engine
+      ...(options.digest ? { digest: true, skipSeenArticles: false } : { engine: this }),
+      display: true,
+    }).run();
+
+    switch (result.status) {
+      case "success":
+        console.log("\n✅ Agent workflow completed successfully");
+        break;
 
-    try {
-      console.log("🤖 LinkedIn AI News Agent starting...");
-      console.log("⏰ Started at:", new Date().toLocaleString());
+      case "empty":
+        console.log("⚠️ No articles found. This could be due to:");
+        console.log("   • Limited recent AI news");
+        console.log("   • API rate limiting");
+        console.log("   • Network connectivity issues");
+        console.log(
+          "💡 Try running again in a few minutes or check your internet connection."
+        );
+        break;
 
-      // Initialize agent if not already done
-      this.initialize();
+      case "partial":
+        console.error("❌ Post generation failed:", result.error.message);
+        console.log("📄 Articles were found but posts could not be generated");
+        break;
 
-      // Step 1: Discover AI news using DuckDuckGo search
-      console.log("\n📡 Step 1: Searching for AI news...");
-      try {
-        articles = await this.searchAINews();
-        console.log(`📰 Found ${articles.length} relevant articles`);
-
-        if (articles.length === 0) {
-          console.log("⚠️ No articles found. This could be due to:");
-          console.log("   • Limited recent AI news");
-          console.log("   • API rate limiting");
-          console.log("   • Network connectivity issues");
-          console.log(
-            "💡 Try running again in a few minutes or check your internet connection."
-          );
-          return this.createEmptyResult("No articles found");
-        }
-      } catch (searchError) {
-        console.error("❌ Search failed:", searchError.message);
-        console.log("🔄 Attempting recovery with cached data or fallback...");
-
-        // Try to recover with any cached articles or provide helpful error message
-        articles = this.getCachedArticles() || [];
-        if (articles.length === 0) {
-          throw new Error(
-            `News search failed: ${searchError.message}. Please check your internet connection and try again.`
-          );
-        }
-        console.log(`📦 Using ${articles.length} cached articles as fallback`);
-      }
+      default:
+        console.error("\n❌ Agent workflow failed:", result.error.message);
+        console.log("🔍 Error details:", {
+          ...result.error,
+          articlesFound: result.summary.articlesFound,
+          postsGenerated: result.summary.postsGenerated,
+          runtime: `${result.runtime}ms`,
+        });
 
-      // Step 2: Generate LinkedIn posts from discovered articles
-      console.log("\n✍️ Step 2: Generating LinkedIn posts...");
-      try {
-        posts = await this.generateLinkedInPosts(articles);
-        console.log(`📝 Generated ${posts.length} LinkedIn posts`);
-
-        if (posts.length === 0) {
-          console.log("⚠️ No posts could be generated. This could be due to:");
-          console.log("   • Articles lacking sufficient content");
-          console.log("   • Content filtering removing all articles");
-          console.log("   • Post generation errors");
-          return this.createPartialResult(
-            articles,
-            [],
-            "Post generation failed"
-          );
-        }
-      } catch (postError) {
-        console.error("❌ Post generation failed:", postError.message);
-        console.log("📄 Articles were found but posts could not be generated");
-        return this.createPartialResult(
-          articles,
-          [],
-          `Post generation error: ${postError.message}`
-        );
-      }
+        // Provide recovery suggestions
+        console.log("\n🛠️ Troubleshooting suggestions:");
+        console.log("   • Check your internet connection");
+        console.log("   • Verify the configured news providers are accessible");
+        console.log("   • Try running the agent again in a few minutes");
+        console.log("   • Check the console for specific error details");
+    }
 
-      // Step 3: Format and display posts for easy copying (Requirements 4.1, 4.2)
-      console.log("\n📋 Step 3: Formatting output...");
-      try {
-        this.displayPosts(posts);
-        this.displaySummary(articles, posts, startTime);
-      } catch (displayError) {
-        console.error("❌ Display formatting failed:", displayError.message);
-        // Still return the data even if display fails
-        console.log("📊 Raw posts data available despite display error");
-      }
+    return result;
+  }
 
-      console.log("\n✅ Agent workflow completed successfully");
-      return this.createSuccessResult(articles, posts, startTime);
-    } catch (error) {
-      console.error("\n❌ Agent workflow failed:", error.message);
-      console.log("🔍 Error details:", {
-        message: error.message,
-        stack: error.stack?.split("\n")[0], // First line of stack trace
-        articlesFound: articles.length,
-        postsGenerated: posts.length,
-        runtime: `${Date.now() - startTime}ms`,
-      });
+  /**
+   * Searches the configured news providers for AI-related news articles
+   * Implements requirements 1.1 and 1.2 for news discovery and filtering
+   */
+  async searchAINews() {
+    const allArticles = await this.discoverAINews();
 
-      // Provide recovery suggestions
-      console.log("\n🛠️ Troubleshooting suggestions:");
-      console.log("   • Check your internet connection");
-      console.log("   • Verify DuckDuckGo API is accessible");
-      console.log("   • Try running the agent again in a few minutes");
-      console.log("   • Check the console for specific error details");
+    // Filter and rank articles by quality and relevance
+    const filteredArticles = this.filterAndRankArticles(allArticles);
 
-      return this.createErrorResult(error, articles, posts, startTime);
-    }
+    console.log(
+      `✅ Search completed: ${filteredArticles.length} quality articles found`
+    );
+    return filteredArticles;
   }
 
   /**
-   * Searches DuckDuckGo for AI-related news articles
-   * Implements requirements 1.1 and 1.2 for news discovery and filtering
+   * Collects raw articles from all providers, before filtering and ranking
    * Includes caching and error recovery for improved reliability
    */
-  async searchAINews() {
+  async discoverAINews() {
     console.log("🔍 Starting AI news search...");
 
     let allArticles = [];
 
     try {
-      // Try recent timeframe first (past day)
-      console.log("📅 Searching for news from the past day...");
-      allArticles = await this.performSearch("d");
+      // Try the configured timeframe first (past day by default)
+      const timeframe = this.config.search.timeframe || "d";
+      console.log(`📅 Searching for news from timeframe "${timeframe}"...`);
+      allArticles = await this.performSearch(timeframe);
 
       // If no recent articles found, expand to past week (requirement 1.4)
-      if (allArticles.length === 0) {
+      if (allArticles.length === 0 && timeframe === "d") {
         console.log("📅 No recent articles found, expanding to past week...");
         allArticles = await this.performSearch("w");
       }
 
       // Cache successful results
       if (allArticles.length > 0) {
-        this.cacheArticles(allArticles, "ai_news_search");
+        await this.cacheArticles(allArticles, "ai_news_search");
       }
     } catch (searchError) {
       console.error("❌ Search operation failed:", searchError.message);
+      allArticles = [];
+    }
 
-      // Try to use cached articles as fallback
+    // Fall back to articles cached by earlier runs (e.g. offline or rate limited)
+    if (allArticles.length === 0) {
       console.log("🔄 Attempting to use cached articles...");
-      allArticles = this.getCachedArticles();
+      allArticles = await this.getCachedArticles();
 
-      if (allArticles.length === 0) {
-        throw new Error(
-          `Search failed and no cached articles available: ${searchError.message}`
-        );
+      if (allArticles.length > 0) {
+        console.log(`📦 Using ${allArticles.length} cached articles as fallback`);
       }
-
-      console.log(`📦 Using ${allArticles.length} cached articles as fallback`);
     }
 
-    // Filter and rank articles by quality and relevance
-    const filteredArticles = this.filterAndRankArticles(allArticles);
-
-    console.log(
-      `✅ Search completed: ${filteredArticles.length} quality articles found`
-    );
-    return filteredArticles;
+    return allArticles;
   }
 
   /**
-   * Performs DuckDuckGo search for a specific timeframe
+   * Queries every configured news provider for a specific timeframe
    */
   async performSearch(timeframe = "d") {
     const articles = [];
 
     // Search with multiple AI keywords for comprehensive coverage
     for (const keyword of this.config.aiKeywords) {
-      try {
-        await AgentUtils.enforceRateLimit.call(this);
+      for (const provider of this.providers) {
+        try {
+          await AgentUtils.enforceRateLimit.call(
+            this,
+            this.config.search.rateLimitDelay
+          );
 
-        console.log(`🔎 Searching for: "${keyword}"`);
-        const searchResults = await this.duckDuckGoSearch(keyword, timeframe);
+          console.log(`🔎 Searching ${provider.name} for: "${keyword}"`);
+          const searchResults = this.selectRelevantArticles(
+            await provider.search(keyword, timeframe)
+          );
 
-        if (searchResults && searchResults.length > 0) {
-          articles.push(...searchResults);
-          console.log(`  ✓ Found ${searchResults.length} results`);
-        } else {
-          console.log(`  ⚠️ No results for "${keyword}"`);
+          if (searchResults.length > 0) {
+            articles.push(...searchResults);
+            console.log(`  ✓ Found ${searchResults.length} results`);
+          } else {
+            console.log(`  ⚠️ No results for "${keyword}"`);
+          }
+        } catch (error) {
+          console.error(
+            `❌ ${provider.name} search failed for "${keyword}":`,
+            error.message
+          );
+          // Continue with other keywords and providers even if one fails
         }
-      } catch (error) {
-        console.error(`❌ Search failed for "${keyword}":`, error.message);
-        // Continue with other keywords even if one fails
       }
     }
 
@@ -276,218 +251,23 @@ class LinkedInAINewsAgent {
   }
 
   /**
-   * Makes HTTP request to DuckDuckGo API
+   * Scores normalized provider results and keeps the news-worthy, relevant ones
    */
-  async duckDuckGoSearch(query, timeframe = "d") {
-    return new Promise((resolve, reject) => {
-      // Construct search URL with proper encoding
-      const encodedQuery = encodeURIComponent(query);
-      const searchUrl = `https://api.duckduckgo.com/?q=${encodedQuery}&format=json&no_html=1&skip_disambig=1`;
-
-      console.log(`🌐 Requesting: ${searchUrl}`);
-
-      const request = https.get(
-        searchUrl,
-        {
-          timeout: this.config.search.requestTimeout,
-          headers: {
-            "User-Agent": "Kiro-LinkedIn-Agent/1.0",
-            Accept: "application/json",
-          },
-        },
-        (response) => {
-          let data = "";
-
-          response.on("data", (chunk) => {
-            data += chunk;
-          });
-
-          response.on("end", () => {
-            try {
-              if (response.statusCode !== 200) {
-                throw new Error(
-                  `HTTP ${response.statusCode}: ${response.statusMessage}`
-                );
-              }
-
-              // Handle empty responses
-              if (!data || data.trim().length === 0) {
-                console.log("⚠️ Empty response from API");
-                resolve([]);
-                return;
-              }
-
-              const jsonData = JSON.parse(data);
-
-              // Log useful data found
-              if (jsonData.RelatedTopics && jsonData.RelatedTopics.length > 0) {
-                console.log(
-                  `📊 Found ${jsonData.RelatedTopics.length} related topics`
-                );
-              }
-              if (jsonData.AbstractText) {
-                console.log(
-                  `📝 Abstract available: ${jsonData.AbstractText.substring(
-                    0,
-                    80
-                  )}...`
-                );
-              }
-
-              const articles = this.parseSearchResults(jsonData, query);
-              resolve(articles);
-            } catch (parseError) {
-              console.error(
-                "❌ Failed to parse search results:",
-                parseError.message
-              );
-              console.error("Raw response:", data.substring(0, 500));
-              resolve([]); // Return empty array instead of rejecting
-            }
-          });
-        }
-      );
-
-      request.on("timeout", () => {
-        request.destroy();
-        reject(new Error("Request timeout"));
-      });
-
-      request.on("error", (error) => {
-        reject(new Error(`Request failed: ${error.message}`));
-      });
-    });
-  }
-
-  /**
-   * Parses DuckDuckGo API response and extracts article information
-   */
-  parseSearchResults(data, originalQuery) {
+  selectRelevantArticles(results) {
     const articles = [];
 
-    try {
-      // Check for direct abstract result
+    this.scorer.score(results || []);
+    for (const article of results || []) {
+      // Filter for news-worthy content
       if (
-        data.AbstractURL &&
-        data.AbstractText &&
-        data.AbstractText.length > 50
+        this.isNewsWorthy(`${article.title} ${article.summary}`) &&
+        article.scoreBreakdown.relevance >= this.config.scoring.minRelevance
       ) {
-        const article = {
-          title: data.Heading || this.extractTitleFromText(data.AbstractText),
-          url: data.AbstractURL,
-          summary: data.AbstractText,
-          source: this.extractDomain(data.AbstractURL),
-          publishedDate: new Date(), // DuckDuckGo doesn't provide exact dates
-          relevanceScore: 0.9, // High relevance for direct results
-          keyPoints: [],
-          searchQuery: originalQuery,
-        };
-
-        // Only add if it seems news-related or informative
-        if (this.isNewsWorthy(article.summary)) {
-          articles.push(article);
-          console.log(
-            `  ✓ Added abstract result: ${article.title.substring(0, 50)}...`
-          );
-        }
+        articles.push(article);
+        console.log(`  ✓ Added result: ${article.title.substring(0, 50)}...`);
       }
-
-      // Process related topics for additional articles
-      if (data.RelatedTopics && Array.isArray(data.RelatedTopics)) {
-        console.log(
-          `  📊 Processing ${data.RelatedTopics.length} related topics`
-        );
-
-        for (const topic of data.RelatedTopics) {
-          // Handle nested topics (some RelatedTopics contain Topics array)
-          const topicsToProcess = topic.Topics ? topic.Topics : [topic];
-
-          for (const item of topicsToProcess) {
-            if (item.FirstURL && item.Text) {
-              // Extract clean text without HTML
-              const cleanText = item.Text.replace(/<[^>]*>/g, "").trim();
-
-              if (cleanText.length > 100) {
-                // Require substantial content
-                const article = {
-                  title: this.extractTitleFromText(cleanText),
-                  url: item.FirstURL,
-                  summary: cleanText,
-                  source: this.extractDomain(item.FirstURL),
-                  publishedDate: new Date(), // Approximate date
-                  relevanceScore: this.calculateRelevanceScore(
-                    cleanText,
-                    originalQuery
-                  ),
-                  keyPoints: [],
-                  searchQuery: originalQuery,
-                };
-
-                // Filter for news-worthy content
-                if (
-                  this.isNewsWorthy(article.summary) &&
-                  article.relevanceScore > 0.3
-                ) {
-                  articles.push(article);
-                  console.log(
-                    `  ✓ Added topic result: ${article.title.substring(
-                      0,
-                      50
-                    )}...`
-                  );
-                }
-              }
-            }
-          }
-        }
-      }
-
-      // Also check Results array if available
-      if (data.Results && Array.isArray(data.Results)) {
-        console.log(`  📊 Processing ${data.Results.length} direct results`);
-
-        for (const result of data.Results) {
-          if (result.FirstURL && result.Text) {
-            const cleanText = result.Text.replace(/<[^>]*>/g, "").trim();
-
-            if (cleanText.length > 100) {
-              const article = {
-                title: this.extractTitleFromText(cleanText),
-                url: result.FirstURL,
-                summary: cleanText,
-                source: this.extractDomain(result.FirstURL),
-                publishedDate: new Date(),
-                relevanceScore: this.calculateRelevanceScore(
-                  cleanText,
-                  originalQuery
-                ),
-                keyPoints: [],
-                searchQuery: originalQuery,
-              };
-
-              if (
-                this.isNewsWorthy(article.summary) &&
-                article.relevanceScore > 0.3
-              ) {
-                articles.push(article);
-                console.log(
-                  `  ✓ Added direct result: ${article.title.substring(
-                    0,
-                    50
-                  )}...`
-                );
-              }
-            }
-          }
-        }
-      }
-    } catch (error) {
-      console.error("❌ Error parsing search results:", error.message);
     }
 
-    console.log(
-      `  📝 Extracted ${articles.length} articles from search results`
-    );
     return articles;
   }
 
@@ -566,30 +346,41 @@ class LinkedInAINewsAgent {
   filterAndRankArticles(articles) {
     console.log("🔍 Filtering and ranking articles by quality...");
 
-    // Remove duplicates based on URL
-    const uniqueArticles = articles.filter(
-      (article, index, self) =>
-        index === self.findIndex((a) => a.url === article.url)
-    );
+    // Remove duplicates based on the canonical URL (no tracking parameters,
+    // AMP variants or trailing slashes)
+    const seenKeys = new Set();
+    const uniqueArticles = [];
+    for (const article of articles) {
+      const key = urlKey(article.url);
+      if (seenKeys.has(key)) continue;
+      seenKeys.add(key);
+      uniqueArticles.push({ ...article, url: canonicalizeUrl(article.url) });
+    }
+
+    // Score the whole batch at once, so keyword weights reflect all results
+    this.scorer.score(uniqueArticles);
 
     // Filter by quality criteria
     const qualityArticles = uniqueArticles.filter((article) => {
-      // Check if source is in excluded list
-      if (
-        this.config.sources.excluded.some((excluded) =>
-          article.source.toLowerCase().includes(excluded.toLowerCase())
-        )
-      ) {
-        console.log(
-          `❌ Excluding article from ${article.source} (blacklisted source)`
-        );
+      // Check the source registry (block rules and paywalls)
+      const source = this.sources.lookup(article);
+      if (source.blocked) {
+        console.log(`❌ Excluding article from ${source.host} (${source.reason})`);
+        return false;
+      }
+      if (source.paywall && this.config.sources.skipPaywalled) {
+        console.log(`❌ Excluding article from ${source.host} (paywalled source)`);
         return false;
       }
+      article.sourceCategory = source.category;
+      article.paywall = source.paywall;
 
       // Require minimum relevance score
       if (article.relevanceScore < this.config.search.minRelevanceScore) {
+        const { relevance, recency, authority } = article.scoreBreakdown;
         console.log(
-          `❌ Excluding article with low relevance score: ${article.relevanceScore}`
+          `❌ Excluding article with low relevance score: ${article.relevanceScore} ` +
+            `(relevance ${relevance}, recency ${recency}, authority ${authority})`
         );
         return false;
       }
@@ -605,29 +396,29 @@ class LinkedInAINewsAgent {
       return true;
     });
 
-    // Sort by relevance score and source preference
-    qualityArticles.sort((a, b) => {
-      // Boost preferred sources
-      const aPreferred = this.config.sources.preferred.some((preferred) =>
-        a.source.toLowerCase().includes(preferred.toLowerCase())
-      );
-      const bPreferred = this.config.sources.preferred.some((preferred) =>
-        b.source.toLowerCase().includes(preferred.toLowerCase())
-      );
-
-      if (aPreferred && !bPreferred) return -1;
-      if (!aPreferred && bPreferred) return 1;
+    // Sort by score; trusted sources are weighted in through authority
+    qualityArticles.sort((a, b) => b.relevanceScore - a.relevanceScore);
 
-      // Then sort by relevance score
-      return b.relevanceScore - a.relevanceScore;
-    });
+    // Collapse syndicated copies of the same story, keeping the best-ranked one
+    const { articles: distinctArticles, removed } = collapseDuplicates(
+      qualityArticles,
+      { threshold: this.config.dedupe.articleSimilarity }
+    );
+    if (removed.length > 0) {
+      console.log(`🧬 Collapsed ${removed.length} near-duplicate articles`);
+    }
 
     // Limit to max results
-    const limitedArticles = qualityArticles.slice(
+    const limitedArticles = distinctArticles.slice(
       0,
       this.config.search.maxResults
     );
 
+    // Companies, people, products and funding for hashtags, hooks and trends
+    for (const article of limitedArticles) {
+      article.entities = extractEntities(article);
+    }
+
     console.log(`✅ Filtered to ${limitedArticles.length} quality articles`);
     return limitedArticles;
   }
@@ -656,69 +447,6 @@ class LinkedInAINewsAgent {
     return firstSentence || "AI News Article";
   }
 
-  calculateRelevanceScore(text, query) {
-    const lowerText = text.toLowerCase();
-    const queryWords = query.toLowerCase().split(" ");
-
-    let score = 0;
-
-    // Base score for query word matches
-    for (const word of queryWords) {
-      if (word.length > 2) {
-        // Skip very short words
-        const matches = (lowerText.match(new RegExp(word, "g")) || []).length;
-        score += matches * 0.15;
-      }
-    }
-
-    // Boost for high-value AI terms
-    const highValueTerms = [
-      "artificial intelligence",
-      "machine learning",
-      "neural network",
-      "deep learning",
-      "generative ai",
-      "large language model",
-    ];
-    for (const term of highValueTerms) {
-      if (lowerText.includes(term)) {
-        score += 0.3;
-      }
-    }
-
-    // Boost for medium-value AI terms
-    const mediumValueTerms = [
-      "ai",
-      "ml",
-      "algorithm",
-      "automation",
-      "chatgpt",
-      "openai",
-    ];
-    for (const term of mediumValueTerms) {
-      if (lowerText.includes(term)) {
-        score += 0.2;
-      }
-    }
-
-    // Boost for news-related terms
-    const newsTerms = [
-      "announced",
-      "launched",
-      "breakthrough",
-      "funding",
-      "research",
-    ];
-    for (const term of newsTerms) {
-      if (lowerText.includes(term)) {
-        score += 0.1;
-      }
-    }
-
-    // Normalize score to 0-1 range
-    return Math.min(score, 1.0);
-  }
-
   /**
    * Generates LinkedIn posts from article data
    * Implements requirements 3.1, 3.2, 3.3, 3.4 for post generation
@@ -732,10 +460,11 @@ class LinkedInAINewsAgent {
     }
 
     const posts = [];
-    const postStyles = this.config.posts.styles;
+    const postStyles = this.config.posts.styles.filter((style) => style !== "digest");
+    const maxPosts = this.config.userPreferences?.maxPostsPerRun || 3;
 
     // Generate multiple posts with different styles for variety (requirement 3.4)
-    for (let i = 0; i < Math.min(articles.length, 3); i++) {
+    for (let i = 0; postStyles.length > 0 && i < Math.min(articles.length, maxPosts); i++) {
       const article = articles[i];
       const style = postStyles[i % postStyles.length]; // Rotate through styles
 
@@ -754,6 +483,10 @@ class LinkedInAINewsAgent {
       }
     }
 
+    if (this.config.posts.styles.includes("digest")) {
+      posts.push(this.createDigestPost(articles.slice(0, maxPosts)));
+    }
+
     console.log(`✅ Generated ${posts.length} LinkedIn posts`);
     return posts;
   }
@@ -781,292 +514,403 @@ class LinkedInAINewsAgent {
       case "list":
         content = this.createListPost(article, keyPoints);
         break;
+      case "carousel":
+        return this.createCarouselPost(article, keyPoints, hashtags);
+      case "series":
+        return this.createSeriesPost(article, keyPoints, hashtags);
+      case "poll":
+        return this.createPollPost(article, keyPoints, hashtags);
       default:
         content = this.createNewsSharePost(article, keyPoints);
     }
 
-    // Add hashtags and source link (requirement 3.2)
+    return this.buildPost(article, style, this.finishContent(content, hashtags, article.url), hashtags);
+  }
+
+  /**
+   * Adds hashtags and the source link (requirement 3.2), shortening the text
+   * so the result fits within LinkedIn character limits (requirement 3.3);
+   * lengths are counted the way LinkedIn counts them (see post-linter.js)
+   */
+  finishContent(content, hashtags, sourceUrl) {
     const hashtagString = hashtags.join(" ");
-    const sourceText = `\n\nSource: ${article.url}`;
+    const sourceText = sourceUrl ? `\n\nSource: ${sourceUrl}` : "";
 
-    // Ensure content fits within LinkedIn character limits (requirement 3.3)
     const maxContentLength =
       this.config.posts.maxCharacters -
-      hashtagString.length -
-      sourceText.length -
+      countCharacters(hashtagString) -
+      countCharacters(sourceText) -
       10; // Buffer
-    if (content.length > maxContentLength) {
-      content = content.substring(0, maxContentLength - 3) + "...";
-    }
+    content = truncatePost(content, maxContentLength);
 
-    const finalContent = `${content}\n\n${hashtagString}${sourceText}`;
+    return `${content}\n\n${hashtagString}${sourceText}`;
+  }
 
+  /**
+   * Post object shared by every style; extras carry format-specific
+   * structure (slides, parts, poll, items)
+   */
+  buildPost(article, style, content, hashtags, extras = {}) {
     return {
-      content: finalContent,
-      hashtags: hashtags,
-      sourceUrl: article.url,
-      style: style,
-      characterCount: finalContent.length,
+      content,
+      hashtags,
+      sourceUrl: article.url || null,
+      style,
+      characterCount: countCharacters(content),
+      warnings: this.lintPost(content),
       article: {
         title: article.title,
         source: article.source,
       },
+      persona: this.persona.id,
+      ...extras,
     };
   }
 
+  /**
+   * Post linter warnings for a text, with this config's limits
+   */
+  lintPost(content) {
+    return lintPost(content, {
+      maxCharacters: this.config.posts.maxCharacters,
+      maxHashtags: this.config.posts.maxHashtags,
+    }).warnings;
+  }
+
   /**
    * Creates a news sharing style post
    */
   createNewsSharePost(article, keyPoints) {
-    const hook = this.getEngagingHook(article);
+    const phrases = phrasesFor(this.persona);
     const summary = this.createSummary(article, keyPoints, 200);
 
-    return `${hook}\n\n${summary}\n\nWhat are your thoughts on this development?`;
+    return this.joinParagraphs([
+      this.getEngagingHook(article),
+      summary,
+      opinionLine(this.persona, this.pickRandom),
+      closing(phrases.shareClosing, this.persona),
+    ]);
   }
 
   /**
    * Creates a question-style post to drive engagement
    */
   createQuestionPost(article, keyPoints) {
-    const questions = [
-      `How do you think ${this.extractMainTopic(
-        article
-      )} will impact the industry?`,
-      `What's your take on this latest development in AI?`,
-      `Do you see this as a breakthrough or just incremental progress?`,
-      `How might this change the way we work with AI?`,
-      `What opportunities does this create for businesses?`,
-    ];
-
-    const randomQuestion =
-      questions[Math.floor(Math.random() * questions.length)];
+    const phrases = phrasesFor(this.persona);
+    const question = this.pickRandom(phrases.questions);
     const summary = this.createSummary(article, keyPoints, 150);
 
-    return `🤔 ${randomQuestion}\n\n${summary}\n\nI'd love to hear your perspectives in the comments!`;
+    return this.joinParagraphs([
+      decorate(["🤔", question], this.persona, {
+        topic: this.extractMainTopic(article),
+      }),
+      summary,
+      opinionLine(this.persona, this.pickRandom),
+      closing(phrases.questionClosing, this.persona),
+    ]);
   }
 
   /**
    * Creates an insight-style post with analysis
    */
   createInsightPost(article, keyPoints) {
+    const phrases = phrasesFor(this.persona);
     const insights = this.generateInsights(keyPoints);
     const summary = this.createSummary(article, keyPoints, 150);
 
-    return `💡 Key insight from today's AI news:\n\n${summary}\n\n${insights}\n\nThis could be a game-changer for how we approach AI development.`;
+    return this.joinParagraphs([
+      decorate(phrases.insightIntro, this.persona),
+      summary,
+      insights,
+      opinionLine(this.persona, this.pickRandom),
+      closing(phrases.insightClosing, this.persona),
+    ]);
   }
 
   /**
    * Creates a list-style post with key takeaways
    */
   createListPost(article, keyPoints) {
+    const phrases = phrasesFor(this.persona);
     const summary = this.createSummary(article, keyPoints, 100);
     const listItems = keyPoints
       .slice(0, 3)
-      .map((point, index) => `${index + 1}. ${point.text}`)
+      .map((point, index) => `${bullet(index, this.persona)} ${point.text}`)
       .join("\n");
 
-    return `📋 Key takeaways from the latest AI news:\n\n${summary}\n\nMain points:\n${listItems}\n\nWhich point resonates most with you?`;
+    return this.joinParagraphs([
+      decorate(phrases.listIntro, this.persona),
+      summary,
+      `Main points:\n${listItems}`,
+      opinionLine(this.persona, this.pickRandom),
+      closing(phrases.listClosing, this.persona),
+    ]);
   }
 
   /**
-   * Extracts key points from article content for post generation
+   * Creates a carousel outline: one slide per section, separated by "---" so
+   * Markdown slide tools can export it as a PDF, followed by the post caption
    */
-  extractKeyPoints(article) {
-    const text = article.summary.toLowerCase();
-    const keyPoints = [];
-
-    // Look for important statements and facts
-    const sentences = article.summary
-      .split(/[.!?]+/)
-      .filter((s) => s.trim().length > 20);
-
-    for (const sentence of sentences.slice(0, 5)) {
-      // Limit to first 5 sentences
-      const trimmed = sentence.trim();
-      if (this.isKeyPoint(trimmed)) {
-        keyPoints.push({
-          text: trimmed,
-          importance: this.calculateImportance(trimmed),
-        });
-      }
-    }
+  createCarouselPost(article, keyPoints, hashtags) {
+    const phrases = phrasesFor(this.persona);
+    const summary = this.createSummary(article, keyPoints, 200);
 
-    // Sort by importance and return top points
-    return keyPoints.sort((a, b) => b.importance - a.importance).slice(0, 3);
+    const slides = [
+      { title: this.getEngagingHook(article), bullets: [article.title] },
+      { title: "What happened", bullets: [summary] },
+      {
+        // The summary already covers the first key point
+        title: "Key points",
+        bullets: keyPoints.slice(1, 4).map((point) => point.text),
+      },
+      {
+        title: "Why it matters",
+        bullets: [
+          this.generateInsights(keyPoints),
+          opinionLine(this.persona, this.pickRandom),
+        ].filter(Boolean),
+      },
+      {
+        title: "Your turn",
+        bullets: [closing(phrases.shareClosing, this.persona), `Source: ${article.url}`],
+      },
+    ].filter((slide) => slide.bullets.length > 0);
+
+    const outline = slides
+      .map(
+        (slide, i) =>
+          `## ${i + 1}. ${slide.title}\n\n${slide.bullets.map((b) => `- ${b}`).join("\n")}`
+      )
+      .join("\n\n---\n\n");
+    const caption = this.finishContent(
+      this.joinParagraphs([
+        this.getEngagingHook(article),
+        article.title,
+        `Swipe through the ${slides.length} slides for the key points.`,
+      ]),
+      hashtags,
+      article.url
+    );
+
+    return this.buildPost(
+      article,
+      "carousel",
+      `${outline}\n\n---\n\nCaption:\n\n${caption}`,
+      hashtags,
+      { slides }
+    );
   }
 
   /**
-   * Determines if a sentence contains a key point worth highlighting
+   * Creates a numbered series of posts on one story ("1/4", "2/4", ...),
+   * each within posts.maxCharacters; hashtags and source go on the last one
    */
-  isKeyPoint(sentence) {
-    const lowerSentence = sentence.toLowerCase();
-
-    // Look for action words and important developments
-    const keyIndicators = [
-      "announced",
-      "launched",
-      "released",
-      "developed",
-      "created",
-      "breakthrough",
-      "innovation",
-      "improvement",
-      "advancement",
-      "funding",
-      "investment",
-      "partnership",
-      "acquisition",
-      "research",
-      "study",
-      "findings",
-      "results",
-      "discovered",
-      "will",
-      "can",
-      "enables",
-      "allows",
-      "provides",
-      "offers",
+  createSeriesPost(article, keyPoints, hashtags) {
+    const phrases = phrasesFor(this.persona);
+    const summary = this.createSummary(article, keyPoints, 200);
+    const maxLength = this.config.posts.maxCharacters;
+
+    const bodies = [
+      this.joinParagraphs([this.getEngagingHook(article), article.title, summary]),
+      ...keyPoints.slice(1, 3).map((point) => point.text),
+      this.joinParagraphs([
+        this.generateInsights(keyPoints),
+        opinionLine(this.persona, this.pickRandom),
+      ]),
+      closing(phrases.questionClosing, this.persona),
     ];
 
-    return (
-      keyIndicators.some((indicator) => lowerSentence.includes(indicator)) &&
-      sentence.length > 30 &&
-      sentence.length < 200
-    );
+    const marker = this.persona.emoji === "none" ? "" : "🧵 ";
+    const parts = bodies.map((body, i) => {
+      const label = `${marker}${i + 1}/${bodies.length}`;
+      return i === bodies.length - 1
+        ? this.finishContent(`${label}\n\n${body}`, hashtags, article.url)
+        : truncatePost(`${label}\n\n${body}`, maxLength);
+    });
+
+    // Each part is posted on its own, so each is linted on its own
+    return this.buildPost(article, "series", parts.join("\n\n---\n\n"), hashtags, {
+      parts,
+      warnings: parts.flatMap((part, i) =>
+        this.lintPost(part).map((warning) => ({
+          ...warning,
+          message: `Part ${i + 1}: ${warning.message}`,
+        }))
+      ),
+    });
   }
 
   /**
-   * Calculates importance score for a key point
+   * Creates a LinkedIn poll draft: commentary, a question of at most 140
+   * characters and 2-4 options of at most 30 characters each
    */
-  calculateImportance(sentence) {
-    const lowerSentence = sentence.toLowerCase();
-    let score = 0;
+  createPollPost(article, keyPoints, hashtags) {
+    const summary = this.createSummary(article, keyPoints, 200);
+    const template = this.pickRandom(POLL_TEMPLATES);
 
-    // High-value terms
-    const highValueTerms = [
-      "breakthrough",
-      "revolutionary",
-      "first",
-      "new",
-      "major",
-    ];
-    highValueTerms.forEach((term) => {
-      if (lowerSentence.includes(term)) score += 3;
-    });
-
-    // Medium-value terms
-    const mediumValueTerms = [
-      "announced",
-      "launched",
-      "developed",
-      "funding",
-      "partnership",
-    ];
-    mediumValueTerms.forEach((term) => {
-      if (lowerSentence.includes(term)) score += 2;
+    let question = fillPhrase(template.question, this.persona, {
+      topic: this.extractMainTopic(article),
     });
+    if (countCharacters(question) > POLL_LIMITS.question) {
+      question = fillPhrase(template.question, this.persona, { topic: "this" });
+    }
 
-    // AI-specific terms
-    const aiTerms = [
-      "artificial intelligence",
-      "machine learning",
-      "neural network",
-      "ai",
-    ];
-    aiTerms.forEach((term) => {
-      if (lowerSentence.includes(term)) score += 1;
-    });
+    const poll = {
+      question: truncatePost(question, POLL_LIMITS.question),
+      options: template.options
+        .slice(0, POLL_LIMITS.maxOptions)
+        .map((option) => truncatePost(option, POLL_LIMITS.option)),
+    };
 
-    return score;
+    const commentary = this.joinParagraphs([
+      this.getEngagingHook(article),
+      summary,
+      opinionLine(this.persona, this.pickRandom),
+      closing("Cast your vote in the poll below.", this.persona),
+      `${this.persona.emoji === "none" ? "" : "📊 "}Poll: ${poll.question}\n${poll.options
+        .map((option) => `○ ${option}`)
+        .join("\n")}`,
+    ]);
+
+    return this.buildPost(
+      article,
+      "poll",
+      this.finishContent(commentary, hashtags, article.url),
+      hashtags,
+      { poll }
+    );
   }
 
   /**
-   * Generates relevant hashtags for the article (requirement 3.2)
+   * Creates one roundup post covering several articles (style "digest" and
+   * digest runs), adding articles in ranked order while they fit
+   * posts.maxCharacters; articles with a topic are prefixed with it
    */
-  generateHashtags(article) {
-    const hashtags = new Set();
-    const text = (article.title + " " + article.summary).toLowerCase();
-
-    // Core AI hashtags
-    hashtags.add("#ArtificialIntelligence");
-    hashtags.add("#AI");
-
-    // Topic-specific hashtags based on content
-    const hashtagMap = {
-      "machine learning": "#MachineLearning",
-      "deep learning": "#DeepLearning",
-      "neural network": "#NeuralNetworks",
-      chatgpt: "#ChatGPT",
-      openai: "#OpenAI",
-      generative: "#GenerativeAI",
-      startup: "#AIStartup",
-      funding: "#TechFunding",
-      research: "#AIResearch",
-      ethics: "#AIEthics",
-      regulation: "#AIRegulation",
-      automation: "#Automation",
-      innovation: "#Innovation",
-      technology: "#Technology",
-      future: "#FutureOfWork",
-    };
-
-    // Add relevant hashtags based on content
-    for (const [keyword, hashtag] of Object.entries(hashtagMap)) {
-      if (text.includes(keyword)) {
-        hashtags.add(hashtag);
-      }
+  createDigestPost(articles) {
+    const phrases = phrasesFor(this.persona);
+    const title = DIGEST_TITLES[this.config.search.timeframe] || DIGEST_TITLES.w;
+    const header = decorate(["🗞️", `${title}:`], this.persona);
+    const closingLine = closing(phrases.digestClosing, this.persona);
+    // Scored over all articles, so the roundup's tags cover the whole digest
+    const hashtags = this.hashtags.select(articles, this.config.posts.maxHashtags);
+
+    let budget =
+      this.config.posts.maxCharacters -
+      countCharacters(header) -
+      countCharacters(closingLine) -
+      countCharacters(hashtags.join(" ")) -
+      10; // Paragraph breaks
+    const entries = [];
+    const items = [];
+
+    for (const article of articles) {
+      const topic = article.topic ? `${article.topic}: ` : "";
+      const entry = `${bullet(entries.length, this.persona)} ${topic}${article.title} (${
+        article.sourceName || article.source
+      })\n${summarize(article.summary, { maxLength: 120, maxSentences: 1, title: article.title })}\n${article.url}`;
+      const entryLength = countCharacters(entry) + 2;
+      if (entryLength > budget) break;
+
+      budget -= entryLength;
+      entries.push(entry);
+      items.push({
+        title: article.title,
+        source: article.source,
+        url: article.url,
+        topic: article.topic || null,
+      });
     }
 
-    // Limit to max hashtags (requirement 3.2)
-    const hashtagArray = Array.from(hashtags).slice(
-      0,
-      this.config.posts.maxHashtags
+    const content = this.joinParagraphs([
+      header,
+      entries.join("\n\n"),
+      closingLine,
+      hashtags.join(" "),
+    ]);
+
+    return this.buildPost(
+      { title, source: [...new Set(items.map((item) => item.source))].join(", ") },
+      "digest",
+      content,
+      hashtags,
+      { items }
     );
+  }
 
-    return hashtagArray;
+  /**
+   * Joins post paragraphs, skipping empty ones (e.g. no opinion line)
+   */
+  joinParagraphs(paragraphs) {
+    return paragraphs.filter(Boolean).join("\n\n");
   }
 
   /**
-   * Creates an engaging hook for the post
+   * Picks a random entry; phrase variety keeps repeated runs from reading the same
    */
-  getEngagingHook(article) {
-    const hooks = [
-      "🚀 Exciting developments in AI:",
-      "💡 This caught my attention in today's AI news:",
-      "🔥 Hot off the press in artificial intelligence:",
-      "⚡ Breaking: Major AI advancement just announced:",
-      "🎯 Here's what's making waves in the AI world:",
-      "🌟 Fascinating AI breakthrough to share:",
-      "📈 The AI industry just took another big step forward:",
-    ];
+  pickRandom(options) {
+    return options[Math.floor(Math.random() * options.length)];
+  }
+
+  /**
+   * Extracts key points from article content for post generation: the
+   * best-ranked sentences (TextRank, see summarizer.js), best first
+   */
+  extractKeyPoints(article) {
+    // Full page text when the enrich stage fetched it, else the snippet
+    return keySentences(article.content || article.summary, {
+      count: 3,
+      title: article.title,
+    });
+  }
 
-    return hooks[Math.floor(Math.random() * hooks.length)];
+  /**
+   * Generates relevant hashtags for the article (requirement 3.2): pinned
+   * tags, then the dictionary tags, companies and products that score best
+   * for it, up to posts.maxHashtags (see hashtag-engine.js)
+   */
+  generateHashtags(article) {
+    return this.hashtags.select([article], this.config.posts.maxHashtags);
   }
 
   /**
-   * Creates a concise summary of the article
+   * Creates an engaging hook for the post
    */
-  createSummary(article, keyPoints, maxLength = 200) {
-    let summary = article.summary;
+  getEngagingHook(article) {
+    const phrases = phrasesFor(this.persona);
 
-    // If we have key points, use the most important one
-    if (keyPoints && keyPoints.length > 0) {
-      summary = keyPoints[0].text;
+    // Funding news leads with who raised how much
+    const funding = fundingOf(entitiesOf(article));
+    if (funding) {
+      return decorate(phrases.fundingHook, this.persona, funding);
     }
 
-    // Ensure summary fits within length limit
-    if (summary.length > maxLength) {
-      summary = summary.substring(0, maxLength - 3) + "...";
-    }
+    const hook = this.pickRandom(phrases.hooks);
+    return decorate(hook, this.persona, { topic: this.extractMainTopic(article) });
+  }
 
-    return summary;
+  /**
+   * Creates a summary of the article from its best-ranked whole sentences
+   * that fit in maxLength characters
+   */
+  createSummary(article, keyPoints, maxLength = 200) {
+    // Posts list the key points after the first one separately
+    return summarize(article.content || article.summary, {
+      maxLength,
+      title: article.title,
+      exclude: (keyPoints || []).slice(1).map((point) => point.text),
+    });
   }
 
   /**
    * Extracts the main topic from the article for question generation
    */
   extractMainTopic(article) {
+    // A named product or company is more specific than a topic word
+    const entities = entitiesOf(article);
+    const funding = fundingOf(entities);
+    const name = funding ? funding.company : entities.products[0] || entities.companies[0];
+    if (name) return name;
+
     const text = article.title.toLowerCase();
 
     if (text.includes("chatgpt") || text.includes("openai"))
@@ -1128,6 +972,9 @@ class LinkedInAINewsAgent {
       console.log("─".repeat(60));
       console.log(`📊 Source: ${post.article.source} | Style: ${post.style}`);
       console.log(`🏷️  Hashtags: ${post.hashtags.join(", ")}`);
+      for (const warning of post.warnings || []) {
+        console.log(`${warning.severity === "error" ? "❌" : "⚠️"} ${warning.message}`);
+      }
 
       if (index < posts.length - 1) {
         console.log("\n" + "·".repeat(40));
@@ -1155,108 +1002,29 @@ class LinkedInAINewsAgent {
       throw new Error("AI keywords configuration is required");
     }
 
+    if (this.providers.length === 0) {
+      throw new Error(
+        "No news providers available. Check providers.enabled and API keys."
+      );
+    }
+
     // Initialize cache if enabled
     if (this.config.cache.enabled) {
-      console.log("💾 Cache enabled");
+      console.log(`💾 Cache enabled (${this.cache.filePath})`);
     }
 
     console.log(
       `🎯 Configured with ${this.config.aiKeywords.length} AI keywords`
     );
     console.log(`⏱️  Search timeframe: ${this.config.search.timeframe}`);
+    console.log(
+      `📡 News providers: ${this.providers.map((p) => p.name).join(", ")}`
+    );
     console.log("✅ Agent initialized successfully");
 
     this.initialized = true;
   }
 
-  /**
-   * Creates a successful result object with comprehensive data
-   */
-  createSuccessResult(articles, posts, startTime) {
-    return {
-      success: true,
-      timestamp: new Date().toISOString(),
-      runtime: Date.now() - startTime,
-      data: {
-        articles: articles,
-        posts: posts,
-        summary: {
-          articlesFound: articles.length,
-          postsGenerated: posts.length,
-          sources: [...new Set(articles.map((a) => a.source))],
-          styles: [...new Set(posts.map((p) => p.style))],
-        },
-      },
-      message: "Workflow completed successfully",
-    };
-  }
-
-  /**
-   * Creates a partial result when some steps succeed but others fail
-   */
-  createPartialResult(articles, posts, errorMessage) {
-    return {
-      success: false,
-      partial: true,
-      timestamp: new Date().toISOString(),
-      data: {
-        articles: articles || [],
-        posts: posts || [],
-        summary: {
-          articlesFound: (articles || []).length,
-          postsGenerated: (posts || []).length,
-        },
-      },
-      error: errorMessage,
-      message: "Workflow partially completed with errors",
-    };
-  }
-
-  /**
-   * Creates an empty result when no data could be retrieved
-   */
-  createEmptyResult(reason) {
-    return {
-      success: false,
-      timestamp: new Date().toISOString(),
-      data: {
-        articles: [],
-        posts: [],
-        summary: {
-          articlesFound: 0,
-          postsGenerated: 0,
-        },
-      },
-      error: reason,
-      message: "No data could be retrieved",
-    };
-  }
-
-  /**
-   * Creates an error result with diagnostic information
-   */
-  createErrorResult(error, articles, posts, startTime) {
-    return {
-      success: false,
-      timestamp: new Date().toISOString(),
-      runtime: Date.now() - startTime,
-      data: {
-        articles: articles || [],
-        posts: posts || [],
-        summary: {
-          articlesFound: (articles || []).length,
-          postsGenerated: (posts || []).length,
-        },
-      },
-      error: {
-        message: error.message,
-        type: error.constructor.name,
-        stack: error.stack,
-      },
-      message: "Workflow failed with errors",
-    };
-  }
-
   /**
    * Displays a comprehensive summary of the workflow execution
    */
@@ -1279,20 +1047,34 @@ class LinkedInAINewsAgent {
 
   /**
    * Retrieves cached articles as fallback when search fails
+   * Reads the on-disk cache so results from earlier runs are available
    */
-  getCachedArticles() {
+  async getCachedArticles() {
     if (!this.config.cache.enabled || !this.cache) {
       return [];
     }
 
-    // Return any cached articles that are still fresh
+    let entries;
+    try {
+      entries = await this.cache.entries("articles_");
+    } catch (error) {
+      console.error("⚠️ Could not read article cache:", error.message);
+      return [];
+    }
+
+    // Newest entries first, without repeating the same article
+    const seenUrls = new Set();
     const cachedArticles = [];
-    for (const [key, value] of this.cache.entries()) {
-      if (
-        key.startsWith("articles_") &&
-        value.timestamp > Date.now() - this.config.cache.duration
-      ) {
-        cachedArticles.push(...value.data);
+    for (const entry of entries) {
+      for (const article of entry.data) {
+        if (seenUrls.has(article.url)) continue;
+        seenUrls.add(article.url);
+        cachedArticles.push({
+          ...article,
+          publishedDate: article.publishedDate
+            ? new Date(article.publishedDate)
+            : null,
+        });
       }
     }
 
@@ -1300,24 +1082,18 @@ class LinkedInAINewsAgent {
   }
 
   /**
-   * Caches articles for future fallback use
+   * Caches articles on disk for future fallback use
+   * Cache failures are logged but never interrupt the workflow
    */
-  cacheArticles(articles, query) {
+  async cacheArticles(articles, query) {
     if (!this.config.cache.enabled || !articles || articles.length === 0) {
       return;
     }
 
-    const cacheKey = `articles_${query}_${Date.now()}`;
-    this.cache.set(cacheKey, {
-      data: articles,
-      timestamp: Date.now(),
-      query: query,
-    });
-
-    // Clean up old cache entries
-    if (this.cache.size > this.config.cache.maxEntries) {
-      const oldestKey = this.cache.keys().next().value;
-      this.cache.delete(oldestKey);
+    try {
+      await this.cache.set(`articles_${query}`, articles, { query: query });
+    } catch (error) {
+      console.error("⚠️ Could not write article cache:", error.message);
     }
   }
 }
@@ -1325,6 +1101,42 @@ class LinkedInAINewsAgent {
 /**
  * Utility functions for the agent
  */
+/**
+ * Source registry from config.sources plus the entries saved in
+ * sources.path; an unreadable file leaves just the config entries
+ */
+function loadSourceRegistry(sources = {}) {
+  if (!sources.path) return SourceRegistry.fromConfig(sources);
+
+  try {
+    return new SourceRegistryStore({ filePath: sources.path, config: sources }).loadSync();
+  } catch (error) {
+    console.error("⚠️ Could not read source registry:", error.message);
+    return SourceRegistry.fromConfig(sources);
+  }
+}
+
+/**
+ * Hashtag engine for config.hashtags; a broken team dictionary falls back
+ * to the built-in one
+ */
+function loadHashtagEngine(hashtags = {}) {
+  try {
+    return HashtagEngine.fromConfig(hashtags);
+  } catch (error) {
+    console.error("⚠️ Could not load hashtag dictionary:", error.message);
+    return HashtagEngine.fromConfig({ ...hashtags, dictionary: "" });
+  }
+}
+
+/**
+ * Entities found during ranking, or extracted now for articles that were
+ * not ranked by this agent
+ */
+function entitiesOf(article) {
+  return article.entities || extractEntities(article);
+}
+
 const AgentUtils = {
   /**
    * Enforces rate limiting between API requests
@@ -1358,11 +1170,99 @@ module.exports = {
   LinkedInAINewsAgent,
   CONFIG,
   AgentUtils,
+  loadConfig,
 };
 
+/**
+ * Parses CLI flags
+ *
+ *   --config <path>    configuration file (see config-loader.js)
+ *   --json             print the result object as JSON on stdout
+ *   --markdown <file>  write all posts to a Markdown file ("-" for stdout)
+ *   --out <dir>        write one text file per post into dir
+ *   --persona <id>     write the posts as this persona (see personas.js)
+ *   --digest           write one roundup post with the top article per topic
+ */
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      config: { type: "string" },
+      json: { type: "boolean", default: false },
+      markdown: { type: "string" },
+      out: { type: "string" },
+      persona: { type: "string" },
+      digest: { type: "boolean", default: false },
+    },
+  });
+
+  if (values.json && values.markdown === "-") {
+    throw new Error("--json and --markdown - both write to stdout; pick one");
+  }
+
+  return values;
+}
+
+/**
+ * Writes the result in every requested format
+ */
+async function writeOutputs(result, options) {
+  if (options.json) {
+    process.stdout.write(renderJson(result));
+  }
+
+  if (options.markdown === "-") {
+    process.stdout.write(renderMarkdown(result));
+  } else if (options.markdown) {
+    await fs.promises.mkdir(path.dirname(path.resolve(options.markdown)), {
+      recursive: true,
+    });
+    await fs.promises.writeFile(options.markdown, renderMarkdown(result));
+    console.log(`📄 Wrote Markdown to ${options.markdown}`);
+  }
+
+  if (options.out) {
+    const files = await writePostFiles(result, options.out);
+    console.log(`📁 Wrote ${files.length} post files to ${options.out}`);
+  }
+}
+
 // If running directly (for testing)
 if (require.main === module) {
-  const agent = new LinkedInAINewsAgent();
-  agent.initialize();
-  agent.run().catch(console.error);
+  let options;
+  let config;
+  try {
+    options = parseCliArgs(process.argv.slice(2));
+    config = loadConfig({ configPath: options.config, baseDir: __dirname });
+    if (options.persona) {
+      resolvePersona(config, options.persona);
+      config.userPreferences = { ...config.userPreferences, persona: options.persona };
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  // Keep stdout clean for piping whenever a machine-readable output is requested
+  if (options.json || options.markdown || options.out) {
+    console.log = console.error;
+  }
+
+  if (config.configPath) {
+    console.log(`⚙️ Loaded configuration from ${config.configPath}`);
+  }
+
+  const agent = new LinkedInAINewsAgent(config);
+  agent
+    .run({ digest: options.digest })
+    .then(async (result) => {
+      await writeOutputs(result, options);
+      if (result.status === "error") {
+        process.exitCode = 1;
+      }
+    })
+    .catch((error) => {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = 1;
+    });
 }
@@ -0,0 +1,413 @@
+/**
+ * LLM Client
+ *
+ * Provider-agnostic text generation for analysis and post writing. Each
+ * adapter only knows how to call one API shape (Gemini, OpenAI-compatible
+ * chat completions, Ollama); retries, timeouts and token limits are handled
+ * once in LLMClient.complete(), so switching models is a config change:
+ *
+ *   llm.provider            default adapter for every task
+ *   llm.tasks.analysis      per-task overrides (provider, model, temperature, maxOutputTokens)
+ *   llm.tasks.post
+ *
+ * Failures are raised as LLMError with a `code`: unavailable, token_limit,
+ * timeout, http_error or bad_response.
+ */
+
+const { request } = require("./http-client");
+
+// Connection failures worth retrying; other errors (an invalid URL, a bug in
+// an adapter) fail at once
+const NETWORK_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+];
+
+/**
+ * Raised for any failed generation; `retryable` marks transient failures
+ */
+class LLMError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "LLMError";
+    this.code = code;
+    this.statusCode = details.statusCode || null;
+    this.retryable = Boolean(details.retryable);
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+/**
+ * Rough token count (about four characters per token for English text);
+ * good enough to keep prompts under a model's context window
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Base class for LLM adapters
+ * Subclasses implement send(prompt, settings) → { text, finishReason, truncated, usage }
+ */
+class LLMClient {
+  constructor(options = {}) {
+    this.options = options;
+    this.model = options.model;
+    this.baseUrl = (options.baseUrl || "").replace(/\/$/, "");
+    this.temperature = options.temperature ?? 0.7;
+    this.maxOutputTokens = options.maxOutputTokens || 2048;
+    this.maxInputTokens = options.maxInputTokens || 30000;
+    this.timeout = options.timeout || 30000;
+    this.maxRetries = options.maxRetries ?? 2;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this.maxRetryDelay = options.maxRetryDelay ?? 30000;
+  }
+
+  get name() {
+    return this.constructor.llmName || this.constructor.name;
+  }
+
+  /**
+   * Human-readable "provider/model" for logs
+   */
+  get displayName() {
+    return `${this.name}/${this.model}`;
+  }
+
+  /**
+   * Whether the adapter has what it needs to make a request (e.g. an API key)
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Generates text for a prompt and returns just the text
+   */
+  async generate(prompt, overrides = {}) {
+    const response = await this.complete(prompt, overrides);
+    return response.text;
+  }
+
+  /**
+   * Generates text with token-limit checks and retries on transient errors
+   * Resolves with { text, finishReason, truncated, usage, model }
+   */
+  async complete(prompt, overrides = {}) {
+    if (!this.isAvailable()) {
+      throw new LLMError("unavailable", `${this.name} LLM is not configured (missing API key?)`);
+    }
+
+    const settings = {
+      temperature: overrides.temperature ?? this.temperature,
+      maxOutputTokens: overrides.maxOutputTokens || this.maxOutputTokens,
+    };
+
+    const promptTokens = estimateTokens(prompt);
+    if (promptTokens > this.maxInputTokens) {
+      throw new LLMError(
+        "token_limit",
+        `Prompt is about ${promptTokens} tokens; ${this.displayName} is limited to ${this.maxInputTokens}`
+      );
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.send(prompt, settings);
+
+        if (response.truncated) {
+          console.warn(
+            `⚠️ ${this.displayName} stopped at the ${settings.maxOutputTokens} token output limit`
+          );
+        }
+        return { ...response, model: this.model };
+      } catch (error) {
+        const llmError =
+          error instanceof LLMError ? error : toLLMError(error, this.displayName);
+
+        if (!llmError.retryable || attempt >= this.maxRetries) {
+          throw llmError;
+        }
+
+        const delay = llmError.retryAfter
+          ? llmError.retryAfter * 1000
+          : Math.min(this.retryDelay * Math.pow(2, attempt), this.maxRetryDelay);
+        // Waiting out a long Retry-After would hold up the caller (e.g. a web request)
+        if (delay > this.maxRetryDelay) {
+          throw llmError;
+        }
+        console.warn(
+          `⚠️ ${this.displayName} request failed (${llmError.message}), retrying in ${delay}ms...`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  async send(prompt, settings) {
+    throw new Error(`${this.name} LLM must implement send(prompt, settings)`);
+  }
+
+  /**
+   * POSTs JSON and returns the parsed response, mapping HTTP failures to LLMError
+   */
+  async postJson(url, body, headers = {}) {
+    const response = await request(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      timeout: this.timeout,
+      allowErrors: true,
+    });
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      const retryAfter = Number(response.headers["retry-after"]);
+      throw new LLMError(
+        "http_error",
+        `${this.displayName} returned HTTP ${response.statusCode}${describeError(response.body)}`,
+        {
+          statusCode: response.statusCode,
+          retryable: response.statusCode === 429 || response.statusCode >= 500,
+          retryAfter: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter : null,
+        }
+      );
+    }
+
+    try {
+      return JSON.parse(response.body);
+    } catch {
+      throw new LLMError("bad_response", `${this.displayName} returned invalid JSON`);
+    }
+  }
+}
+
+/**
+ * Google Gemini generateContent API
+ */
+class GeminiClient extends LLMClient {
+  constructor(options = {}) {
+    super({
+      model: "gemini-2.0-flash-exp",
+      baseUrl: "https://generativelanguage.googleapis.com/v1beta",
+      ...options,
+    });
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+  }
+
+  isAvailable() {
+    return Boolean(this.apiKey);
+  }
+
+  async send(prompt, settings) {
+    const data = await this.postJson(
+      `${this.baseUrl}/models/${this.model}:generateContent`,
+      {
+        contents: [{ parts: [{ text: prompt }] }],
+        generationConfig: {
+          temperature: settings.temperature,
+          topK: 40,
+          topP: 0.95,
+          maxOutputTokens: settings.maxOutputTokens,
+        },
+      },
+      { "x-goog-api-key": this.apiKey }
+    );
+
+    const candidate = data.candidates && data.candidates[0];
+    const parts = candidate && candidate.content && candidate.content.parts;
+    if (!parts || parts.length === 0) {
+      throw new LLMError("bad_response", "Invalid Gemini API response");
+    }
+
+    return {
+      text: parts.map((part) => part.text || "").join(""),
+      finishReason: candidate.finishReason || null,
+      truncated: candidate.finishReason === "MAX_TOKENS",
+      usage: data.usageMetadata
+        ? {
+            inputTokens: data.usageMetadata.promptTokenCount,
+            outputTokens: data.usageMetadata.candidatesTokenCount,
+          }
+        : null,
+    };
+  }
+}
+
+/**
+ * OpenAI-compatible chat completions (OpenAI, Azure-style proxies, vLLM,
+ * LM Studio, ...). Local servers usually need no API key.
+ */
+class OpenAICompatibleClient extends LLMClient {
+  constructor(options = {}) {
+    super({
+      model: "gpt-4o-mini",
+      baseUrl: "https://api.openai.com/v1",
+      ...options,
+    });
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+  }
+
+  isAvailable() {
+    return Boolean(this.apiKey) || !this.baseUrl.includes("api.openai.com");
+  }
+
+  async send(prompt, settings) {
+    const data = await this.postJson(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model: this.model,
+        messages: [{ role: "user", content: prompt }],
+        temperature: settings.temperature,
+        max_tokens: settings.maxOutputTokens,
+      },
+      this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    );
+
+    const choice = data.choices && data.choices[0];
+    if (!choice || !choice.message || typeof choice.message.content !== "string") {
+      throw new LLMError("bad_response", "Invalid chat completion response");
+    }
+
+    return {
+      text: choice.message.content,
+      finishReason: choice.finish_reason || null,
+      truncated: choice.finish_reason === "length",
+      usage: data.usage
+        ? {
+            inputTokens: data.usage.prompt_tokens,
+            outputTokens: data.usage.completion_tokens,
+          }
+        : null,
+    };
+  }
+}
+
+/**
+ * Local Ollama server (/api/generate, non-streaming)
+ */
+class OllamaClient extends LLMClient {
+  constructor(options = {}) {
+    super({
+      model: "llama3.1",
+      baseUrl: "http://localhost:11434",
+      timeout: 120000, // Local models can be slow, especially on first load
+      ...options,
+    });
+  }
+
+  async send(prompt, settings) {
+    const data = await this.postJson(`${this.baseUrl}/api/generate`, {
+      model: this.model,
+      prompt,
+      stream: false,
+      options: {
+        temperature: settings.temperature,
+        num_predict: settings.maxOutputTokens,
+      },
+    });
+
+    if (typeof data.response !== "string") {
+      throw new LLMError("bad_response", "Invalid Ollama response");
+    }
+
+    return {
+      text: data.response,
+      finishReason: data.done_reason || null,
+      truncated: data.done_reason === "length",
+      usage:
+        data.prompt_eval_count !== undefined
+          ? { inputTokens: data.prompt_eval_count, outputTokens: data.eval_count }
+          : null,
+    };
+  }
+}
+
+function toLLMError(error, displayName) {
+  const timedOut = error.message === "Request timeout";
+  return new LLMError(
+    timedOut ? "timeout" : "http_error",
+    timedOut ? `${displayName} request timed out` : error.message,
+    { retryable: timedOut || NETWORK_ERROR_CODES.includes(error.code) }
+  );
+}
+
+function describeError(body) {
+  try {
+    const parsed = JSON.parse(body);
+    const error = parsed.error;
+    const message = typeof error === "string" ? error : error && error.message;
+    return message ? `: ${message}` : "";
+  } catch {
+    return "";
+  }
+}
+
+const llmRegistry = new Map();
+
+function registerLLM(name, ClientClass) {
+  if (!(ClientClass.prototype instanceof LLMClient)) {
+    throw new Error(`LLM "${name}" must extend LLMClient`);
+  }
+  ClientClass.llmName = name;
+  llmRegistry.set(name, ClientClass);
+}
+
+function getRegisteredLLMs() {
+  return [...llmRegistry.keys()];
+}
+
+/**
+ * Creates the client for a task ("analysis" or "post") from config.llm
+ * Task settings override the provider settings, which override the shared ones
+ */
+function createLLMClient(config, task) {
+  const llm = config.llm || {};
+  const taskSettings = (llm.tasks && llm.tasks[task]) || {};
+  const provider = taskSettings.provider || llm.provider || "gemini";
+  const ClientClass = llmRegistry.get(provider);
+
+  if (!ClientClass) {
+    throw new Error(
+      `Unknown LLM provider "${provider}". Registered providers: ${getRegisteredLLMs().join(", ")}`
+    );
+  }
+
+  const { provider: _provider, ...overrides } = taskSettings;
+  const options = {
+    timeout: llm.timeout,
+    maxRetries: llm.maxRetries,
+    retryDelay: llm.retryDelay,
+    maxRetryDelay: llm.maxRetryDelay,
+    maxInputTokens: llm.maxInputTokens,
+    ...(llm[provider] || {}),
+    ...overrides,
+  };
+
+  // Unset values must not replace the adapter's own defaults
+  return new ClientClass(
+    Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
+  );
+}
+
+registerLLM("gemini", GeminiClient);
+registerLLM("openai", OpenAICompatibleClient);
+registerLLM("ollama", OllamaClient);
+
+module.exports = {
+  LLMError,
+  LLMClient,
+  GeminiClient,
+  OpenAICompatibleClient,
+  OllamaClient,
+  registerLLM,
+  getRegisteredLLMs,
+  createLLMClient,
+  estimateTokens,
+};
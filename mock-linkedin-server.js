@@ -0,0 +1,92 @@
+/**
+ * Mock LinkedIn API
+ *
+ * Local stand-in for the two LinkedIn endpoints the publisher uses, for
+ * tests and for trying the publish flow without a real account:
+ *
+ *   GET  /v2/userinfo  → { sub } for the token's member
+ *   POST /rest/posts   → 201 with the new post URN in x-restli-id
+ *
+ * Tokens control the response so every error path can be exercised:
+ * "expired-token" → 401, "rate-limited-token" → 429; commentary containing
+ * "FAIL VALIDATION" → 422. Any other Bearer token is accepted.
+ *
+ * Run standalone with `node mock-linkedin-server.js [port]`, then set
+ * publishing.linkedin.apiBaseUrl (or AGENT_LINKEDIN_API_URL) to its URL.
+ */
+
+const http = require("http");
+
+const MOCK_MEMBER_ID = "mock-member-123";
+
+function createMockLinkedInServer() {
+  const posts = [];
+
+  const server = http.createServer((req, res) => {
+    const send = (statusCode, body, headers = {}) => {
+      res.writeHead(statusCode, { "Content-Type": "application/json", ...headers });
+      res.end(body ? JSON.stringify(body) : "");
+    };
+
+    const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+    if (!token || token === "expired-token") {
+      send(401, { status: 401, serviceErrorCode: 65600, message: "Invalid access token" });
+      return;
+    }
+    if (token === "rate-limited-token") {
+      send(429, { status: 429, message: "Resource level throttle limit reached" }, { "Retry-After": "120" });
+      return;
+    }
+
+    if (req.method === "GET" && req.url === "/v2/userinfo") {
+      send(200, { sub: MOCK_MEMBER_ID, name: "Mock Member" });
+      return;
+    }
+
+    if (req.method === "POST" && req.url === "/rest/posts") {
+      let raw = "";
+      req.on("data", (chunk) => (raw += chunk));
+      req.on("end", () => {
+        let body;
+        try {
+          body = JSON.parse(raw);
+        } catch {
+          send(400, { status: 400, message: "Malformed JSON" });
+          return;
+        }
+
+        if (!body.author || !body.commentary) {
+          send(422, { status: 422, message: "author and commentary are required" });
+          return;
+        }
+        if (body.commentary.includes("FAIL VALIDATION")) {
+          send(422, { status: 422, message: "/commentary: text failed validation" });
+          return;
+        }
+
+        const urn = `urn:li:share:${7100000000000000 + posts.length}`;
+        posts.push({ urn, headers: req.headers, body });
+        send(201, null, { "x-restli-id": urn });
+      });
+      return;
+    }
+
+    send(404, { status: 404, message: `No mock for ${req.method} ${req.url}` });
+  });
+
+  // Requests received so far, for assertions
+  server.posts = posts;
+  return server;
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 3100;
+  createMockLinkedInServer().listen(port, () => {
+    console.log(`🧪 Mock LinkedIn API running at http://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  MOCK_MEMBER_ID,
+  createMockLinkedInServer,
+};
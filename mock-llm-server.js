@@ -0,0 +1,155 @@
+/**
+ * Mock LLM Server
+ *
+ * Local fake for the three API shapes llm-client.js speaks, for tests and for
+ * running the LLM pipeline steps without a key or a GPU:
+ *
+ *   POST /v1beta/models/<model>:generateContent  Gemini
+ *   POST /v1/chat/completions                     OpenAI-compatible
+ *   POST /api/generate                            Ollama
+ *
+ * Replies with server.reply (a string or a function of the prompt), by
+ * default "Mock reply to: <start of the prompt>". Markers in the prompt
+ * exercise the error paths:
+ *
+ *   "FAIL ONCE"  first request with this prompt → 503, then normal replies
+ *   "RATE LIMIT" first request with this prompt → 429 with Retry-After: 1
+ *   "SLOW"       answers after 2 seconds (longer than the test timeouts)
+ *   "TRUNCATE"   reply flagged as cut off at the output token limit
+ *
+ * Run standalone with `node mock-llm-server.js [port]`, then point the
+ * provider's baseUrl (e.g. AGENT_OPENAI_BASE_URL=http://localhost:3200/v1)
+ * at it.
+ */
+
+const http = require("http");
+
+function createMockLLMServer() {
+  const requests = [];
+  const failedOnce = new Set();
+
+  const server = http.createServer((req, res) => {
+    const send = (statusCode, body, headers = {}) => {
+      res.writeHead(statusCode, { "Content-Type": "application/json", ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        send(400, { error: { message: "Malformed JSON" } });
+        return;
+      }
+
+      const api = detectApi(req);
+      if (!api) {
+        send(404, { error: { message: `No mock for ${req.method} ${req.url}` } });
+        return;
+      }
+
+      const prompt = promptOf(api, body);
+      requests.push({ api, url: req.url, headers: req.headers, body, prompt });
+
+      const failOnce = (marker) => {
+        if (!prompt.includes(marker) || failedOnce.has(`${marker}:${prompt}`)) return false;
+        failedOnce.add(`${marker}:${prompt}`);
+        return true;
+      };
+
+      if (failOnce("FAIL ONCE")) {
+        send(503, { error: { message: "Model is overloaded" } });
+        return;
+      }
+      if (failOnce("RATE LIMIT")) {
+        send(429, { error: { message: "Too many requests" } }, { "Retry-After": "1" });
+        return;
+      }
+
+      const text =
+        typeof server.reply === "function"
+          ? server.reply(prompt, api)
+          : server.reply || `Mock reply to: ${prompt.trim().slice(0, 40)}`;
+      const truncated = prompt.includes("TRUNCATE");
+      const respond = () => send(200, formatReply(api, text, truncated));
+
+      if (prompt.includes("SLOW")) {
+        setTimeout(respond, 2000);
+      } else {
+        respond();
+      }
+    });
+  });
+
+  // Requests received so far, for assertions
+  server.requests = requests;
+  server.reply = null;
+  return server;
+}
+
+function detectApi(req) {
+  if (req.method !== "POST") return null;
+  if (/^\/v1beta\/models\/[^/]+:generateContent/.test(req.url)) return "gemini";
+  if (req.url === "/v1/chat/completions") return "openai";
+  if (req.url === "/api/generate") return "ollama";
+  return null;
+}
+
+function promptOf(api, body) {
+  switch (api) {
+    case "gemini":
+      return body.contents[0].parts.map((part) => part.text).join("");
+    case "openai":
+      return body.messages.map((message) => message.content).join("\n");
+    default:
+      return body.prompt || "";
+  }
+}
+
+function formatReply(api, text, truncated) {
+  switch (api) {
+    case "gemini":
+      return {
+        candidates: [
+          {
+            content: { parts: [{ text }], role: "model" },
+            finishReason: truncated ? "MAX_TOKENS" : "STOP",
+          },
+        ],
+        usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5 },
+      };
+    case "openai":
+      return {
+        choices: [
+          {
+            index: 0,
+            message: { role: "assistant", content: text },
+            finish_reason: truncated ? "length" : "stop",
+          },
+        ],
+        usage: { prompt_tokens: 10, completion_tokens: 5 },
+      };
+    default:
+      return {
+        response: text,
+        done: true,
+        done_reason: truncated ? "length" : "stop",
+        prompt_eval_count: 10,
+        eval_count: 5,
+      };
+  }
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 3200;
+  createMockLLMServer().listen(port, () => {
+    console.log(`🧪 Mock LLM server running at http://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  createMockLLMServer,
+};
@@ -0,0 +1,204 @@
+/**
+ * Near-Duplicate Detection
+ *
+ * Two checks keep the same story from showing up twice:
+ *
+ *   - URL canonicalization: tracking parameters (utm_*, fbclid, ...), AMP
+ *     variants, fragments and trailing slashes are removed, so links to the
+ *     same page compare equal (canonicalizeUrl / urlKey)
+ *   - Text similarity: texts are split into word shingles and compared by
+ *     MinHash signatures, which estimate the Jaccard similarity of the
+ *     shingle sets; syndicated copies of a story score close to 1
+ *
+ * filterAndRankArticles collapses same-story articles, the seen-articles
+ * store compares URL keys, and the drafts store flags drafts that are too
+ * similar to a recently posted one.
+ */
+
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|ref|ref_src|cmpid|ocid|taid|guccounter|__twitter_impression|amp|outputtype)$/i;
+
+const SIGNATURE_SIZE = 64;
+
+/**
+ * Removes tracking parameters, AMP variants, the fragment and trailing
+ * slashes; the remaining query parameters are sorted
+ * Returns the input unchanged when it is not an absolute http(s) URL
+ */
+function canonicalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (error) {
+    return url;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return url;
+
+  parsed.hash = "";
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^amp\./, "");
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.test(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  parsed.pathname =
+    parsed.pathname
+      .replace(/\/amp(\/|$)/i, "/")
+      .replace(/\.amp(\.html?)$/i, "$1")
+      .replace(/\/+$/, "") || "/";
+
+  const text = parsed.toString();
+  return parsed.pathname === "/" && !parsed.search ? text.replace(/\/$/, "") : text;
+}
+
+/**
+ * Comparison key: the canonical URL without protocol and "www."
+ */
+function urlKey(url) {
+  return String(canonicalizeUrl(url))
+    .replace(/^https?:\/\//i, "")
+    .replace(/^www\./i, "");
+}
+
+/**
+ * Word shingles (k consecutive words) of a text, ignoring links, hashtags,
+ * punctuation and case
+ */
+function shingles(text, k = 3) {
+  const words = String(text || "")
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, " ")
+    .replace(/#\w+/g, " ")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+  if (words.length <= k) return new Set(words.length ? [words.join(" ")] : []);
+
+  const result = new Set();
+  for (let i = 0; i <= words.length - k; i++) {
+    result.add(words.slice(i, i + k).join(" "));
+  }
+  return result;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string with a seed
+ */
+function hash(text, seed) {
+  let h = (2166136261 ^ seed) >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619) >>> 0;
+  }
+  return h;
+}
+
+/**
+ * MinHash signature of a shingle set: the smallest hash per seed
+ */
+function minHash(shingleSet, size = SIGNATURE_SIZE) {
+  const signature = new Array(size).fill(0xffffffff);
+  for (const shingle of shingleSet) {
+    for (let seed = 0; seed < size; seed++) {
+      const value = hash(shingle, seed);
+      if (value < signature[seed]) signature[seed] = value;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Estimated Jaccard similarity (0-1) of the sets behind two signatures
+ */
+function signatureSimilarity(a, b) {
+  if (a.length === 0 || a[0] === 0xffffffff || b[0] === 0xffffffff) return 0;
+
+  let same = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / a.length;
+}
+
+/**
+ * Estimated similarity of two texts (0-1)
+ */
+function textSimilarity(a, b, k = 3) {
+  return signatureSimilarity(minHash(shingles(a, k)), minHash(shingles(b, k)));
+}
+
+/**
+ * Collapses articles about the same story, keeping the first of each group,
+ * so pass them in ranked order
+ *
+ * Returns { articles, removed } where removed lists
+ * { url, duplicateOf, reason: "url" | "text", similarity }
+ */
+function collapseDuplicates(articles, { threshold = 0.6, shingleSize = 2 } = {}) {
+  const kept = [];
+  const removed = [];
+
+  for (const article of articles) {
+    const key = urlKey(article.url);
+    const signature = minHash(
+      shingles(`${article.title} ${article.summary || ""}`, shingleSize)
+    );
+
+    let match = null;
+    for (const other of kept) {
+      if (other.key === key) {
+        match = { other, reason: "url", similarity: 1 };
+        break;
+      }
+      const similarity = signatureSimilarity(signature, other.signature);
+      if (similarity >= threshold) {
+        match = { other, reason: "text", similarity };
+        break;
+      }
+    }
+
+    if (match) {
+      removed.push({
+        url: article.url,
+        duplicateOf: match.other.article.url,
+        reason: match.reason,
+        similarity: Math.round(match.similarity * 100) / 100,
+      });
+    } else {
+      kept.push({ article, key, signature });
+    }
+  }
+
+  return { articles: kept.map((entry) => entry.article), removed };
+}
+
+/**
+ * The most similar of the candidate texts at or above threshold
+ * candidates: [{ id, text, ... }]; returns { candidate, similarity } or null
+ */
+function findMostSimilar(text, candidates, { threshold = 0.5, shingleSize = 3 } = {}) {
+  const signature = minHash(shingles(text, shingleSize));
+  let best = null;
+
+  for (const candidate of candidates) {
+    const similarity = signatureSimilarity(
+      signature,
+      minHash(shingles(candidate.text, shingleSize))
+    );
+    if (similarity >= threshold && (!best || similarity > best.similarity)) {
+      best = { candidate, similarity: Math.round(similarity * 100) / 100 };
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  canonicalizeUrl,
+  urlKey,
+  shingles,
+  minHash,
+  signatureSimilarity,
+  textSimilarity,
+  collapseDuplicates,
+  findMostSimilar,
+};
@@ -0,0 +1,425 @@
+/**
+ * News Providers
+ *
+ * Shared discovery layer for both agents. Every provider implements
+ * search(query, timeframe) and resolves with articles in one normalized
+ * shape, so sources can be added or combined through configuration
+ * without touching the agent classes.
+ *
+ * Normalized article:
+ *   { title, url, summary, source, sourceName, author,
+ *     publishedDate, relevanceScore, keyPoints, searchQuery, provider }
+ *
+ * Providers only have snippets; `content` is set by the enrich stage
+ * (article-extractor.js) when it fetches the full page text.
+ */
+
+const { getJson, getText } = require("./http-client");
+const { parseFeed } = require("./feed-parser");
+
+/**
+ * Number of days covered by each timeframe code
+ */
+const TIMEFRAME_DAYS = { d: 1, w: 7, m: 30 };
+
+/**
+ * AI-focused RSS/Atom feeds for well-known publishers, keyed by domain
+ * Used to turn sources.preferred into feed URLs for the RSS provider
+ */
+const PUBLISHER_FEEDS = {
+  "techcrunch.com": "https://techcrunch.com/category/artificial-intelligence/feed/",
+  "wired.com": "https://www.wired.com/feed/tag/ai/latest/rss",
+  "technologyreview.com":
+    "https://www.technologyreview.com/topic/artificial-intelligence/feed",
+  "venturebeat.com": "https://venturebeat.com/category/ai/feed/",
+  "theverge.com": "https://www.theverge.com/rss/ai-artificial-intelligence/index.xml",
+  "arstechnica.com": "https://feeds.arstechnica.com/arstechnica/technology-lab",
+};
+
+/**
+ * Base class for news providers
+ * Subclasses override search() and, when they need credentials, isAvailable()
+ */
+class NewsProvider {
+  constructor(options = {}) {
+    this.options = options;
+    this.requestTimeout = options.requestTimeout || 15000;
+  }
+
+  /**
+   * Registry name of the provider (set by registerProvider)
+   */
+  get name() {
+    return this.constructor.providerName || this.constructor.name;
+  }
+
+  /**
+   * Whether the provider can run with its current options (e.g. has an API key)
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Searches for articles matching the query within the timeframe ('d', 'w', 'm')
+   */
+  async search(query, timeframe = "d") {
+    throw new Error(`${this.name} provider does not implement search()`);
+  }
+
+  /**
+   * Builds a normalized article, filling defaults for anything the source lacks
+   */
+  normalizeArticle(fields, query) {
+    const summary = fields.summary || "";
+
+    return {
+      title: fields.title || extractTitleFromText(summary),
+      url: fields.url,
+      summary,
+      source: extractDomain(fields.url),
+      sourceName: fields.sourceName || extractDomain(fields.url),
+      author: fields.author || null,
+      publishedDate: fields.publishedDate || null,
+      relevanceScore:
+        typeof fields.relevanceScore === "number" ? fields.relevanceScore : null,
+      keyPoints: [],
+      searchQuery: query,
+      provider: this.name,
+    };
+  }
+}
+
+/**
+ * DuckDuckGo Instant Answer API (free, no key required)
+ */
+class DuckDuckGoProvider extends NewsProvider {
+  async search(query, timeframe = "d") {
+    const encodedQuery = encodeURIComponent(query);
+    const searchUrl = `https://api.duckduckgo.com/?q=${encodedQuery}&format=json&no_html=1&skip_disambig=1`;
+
+    console.log(`🌐 Requesting: ${searchUrl}`);
+
+    let data;
+    try {
+      data = await getJson(searchUrl, { timeout: this.requestTimeout });
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        console.error("❌ Failed to parse search results:", error.message);
+        return [];
+      }
+      throw error;
+    }
+
+    if (!data) {
+      console.log("⚠️ Empty response from API");
+      return [];
+    }
+
+    return this.parseResults(data, query);
+  }
+
+  /**
+   * Extracts articles from the abstract, RelatedTopics and Results sections
+   */
+  parseResults(data, query) {
+    const articles = [];
+
+    // Direct abstract result is the most relevant hit when present
+    if (data.AbstractURL && data.AbstractText && data.AbstractText.length > 50) {
+      articles.push(
+        this.normalizeArticle(
+          {
+            title: data.Heading,
+            url: data.AbstractURL,
+            summary: data.AbstractText,
+            publishedDate: new Date(), // DuckDuckGo doesn't provide exact dates
+            relevanceScore: 0.9,
+          },
+          query
+        )
+      );
+    }
+
+    // Related topics may be nested one level deep under Topics
+    const items = [];
+    for (const topic of data.RelatedTopics || []) {
+      items.push(...(topic.Topics ? topic.Topics : [topic]));
+    }
+    items.push(...(data.Results || []));
+
+    for (const item of items) {
+      if (!item.FirstURL || !item.Text) continue;
+
+      const cleanText = item.Text.replace(/<[^>]*>/g, "").trim();
+      if (cleanText.length <= 100) continue; // Require substantial content
+
+      articles.push(
+        this.normalizeArticle(
+          {
+            url: item.FirstURL,
+            summary: cleanText,
+            publishedDate: new Date(), // Approximate date
+          },
+          query
+        )
+      );
+    }
+
+    return articles;
+  }
+}
+
+/**
+ * NewsAPI.org "everything" endpoint (requires NEWS_API_KEY)
+ */
+class NewsAPIProvider extends NewsProvider {
+  constructor(options = {}) {
+    super(options);
+    this.apiKey = options.apiKey || process.env.NEWS_API_KEY;
+    this.language = options.language || "en";
+    this.sortBy = options.sortBy || "relevancy";
+    this.pageSize = options.pageSize || 20;
+    this.baseUrl = options.baseUrl || "https://newsapi.org/v2";
+  }
+
+  isAvailable() {
+    return Boolean(this.apiKey);
+  }
+
+  async search(query, timeframe = "d") {
+    if (!this.apiKey) {
+      throw new Error("NewsAPI provider requires NEWS_API_KEY");
+    }
+
+    const from = timeframeStart(timeframe).toISOString().split("T")[0];
+    const url =
+      `${this.baseUrl}/everything?q=${encodeURIComponent(query)}` +
+      `&from=${from}&sortBy=${this.sortBy}&language=${this.language}` +
+      `&pageSize=${this.pageSize}&apiKey=${this.apiKey}`;
+
+    const data = await getJson(url, { timeout: this.requestTimeout });
+
+    return ((data && data.articles) || [])
+      .filter((article) => article.url && article.title)
+      .map((article) =>
+        this.normalizeArticle(
+          {
+            title: article.title,
+            url: article.url,
+            // NewsAPI's content is the description cut off at 200 characters
+            // with a "[+2345 chars]" marker, so it is not article text
+            summary: article.description || "",
+            sourceName: article.source && article.source.name,
+            author: article.author,
+            publishedDate: article.publishedAt
+              ? new Date(article.publishedAt)
+              : null,
+          },
+          query
+        )
+      );
+  }
+}
+
+/**
+ * Generic RSS 2.0 / Atom feeds
+ * Fetches each configured feed once per provider instance and matches items
+ * against the query words and timeframe locally. With usePreferredSources,
+ * the publishers in sources.preferred are added via PUBLISHER_FEEDS (or
+ * the publisherFeeds override map).
+ */
+class RSSProvider extends NewsProvider {
+  constructor(options = {}) {
+    super(options);
+    this.feeds = [...(options.feeds || [])];
+    this.feedCache = new Map();
+
+    if (options.usePreferredSources) {
+      const publisherFeeds = {
+        ...PUBLISHER_FEEDS,
+        ...(options.publisherFeeds || {}),
+      };
+
+      for (const domain of options.preferredSources || []) {
+        const feedUrl = publisherFeeds[domain.toLowerCase()];
+        if (!feedUrl) {
+          console.log(`⚠️ No known feed for preferred source ${domain}`);
+        } else if (!this.feeds.includes(feedUrl)) {
+          this.feeds.push(feedUrl);
+        }
+      }
+    }
+  }
+
+  isAvailable() {
+    return this.feeds.length > 0;
+  }
+
+  async search(query, timeframe = "d") {
+    const cutoff = timeframeStart(timeframe);
+    const queryWords = query
+      .toLowerCase()
+      .split(/\s+/)
+      .filter((word) => word.length > 2);
+
+    const articles = [];
+
+    for (const feedUrl of this.feeds) {
+      const items = await this.fetchFeed(feedUrl);
+
+      for (const item of items) {
+        if (item.publishedDate && item.publishedDate < cutoff) continue;
+
+        // Feeds are already topic-scoped, so any query word is enough
+        const text = `${item.title} ${item.summary}`.toLowerCase();
+        if (!queryWords.some((word) => text.includes(word))) continue;
+
+        articles.push(
+          this.normalizeArticle(
+            {
+              title: item.title,
+              url: item.link,
+              summary: item.summary,
+              author: item.author,
+              publishedDate: item.publishedDate,
+            },
+            query
+          )
+        );
+      }
+    }
+
+    return articles;
+  }
+
+  /**
+   * Downloads and parses a feed, reusing the result for later queries
+   * A feed that fails is remembered as empty so it is not retried per keyword
+   */
+  async fetchFeed(feedUrl) {
+    if (!this.feedCache.has(feedUrl)) {
+      let items = [];
+      try {
+        const xml = await getText(feedUrl, {
+          timeout: this.requestTimeout,
+          headers: {
+            Accept: "application/rss+xml, application/atom+xml, application/xml",
+          },
+        });
+        items = parseFeed(xml).items;
+        console.log(`📡 Loaded ${items.length} items from ${feedUrl}`);
+      } catch (error) {
+        console.error(`❌ Feed failed (${feedUrl}):`, error.message);
+      }
+      this.feedCache.set(feedUrl, items);
+    }
+    return this.feedCache.get(feedUrl);
+  }
+}
+
+/**
+ * Provider registry
+ */
+const providerRegistry = new Map();
+
+/**
+ * Registers a provider class under a config name (e.g. "duckduckgo")
+ */
+function registerProvider(name, ProviderClass) {
+  if (!(ProviderClass.prototype instanceof NewsProvider)) {
+    throw new Error(`Provider "${name}" must extend NewsProvider`);
+  }
+  ProviderClass.providerName = name;
+  providerRegistry.set(name, ProviderClass);
+}
+
+function getRegisteredProviders() {
+  return [...providerRegistry.keys()];
+}
+
+/**
+ * Instantiates a single registered provider
+ */
+function createProvider(name, options = {}) {
+  const ProviderClass = providerRegistry.get(name);
+  if (!ProviderClass) {
+    throw new Error(
+      `Unknown news provider "${name}". Registered providers: ${getRegisteredProviders().join(
+        ", "
+      )}`
+    );
+  }
+  return new ProviderClass(options);
+}
+
+/**
+ * Instantiates the providers listed in config.providers.enabled
+ * Per-provider options come from config.providers[name]; providers that are
+ * not available (e.g. missing API key) are skipped with a warning.
+ */
+function createProviders(config) {
+  const providerConfig = config.providers || { enabled: ["duckduckgo"] };
+  const requestTimeout = config.search && config.search.requestTimeout;
+  const preferredSources = config.sources && config.sources.preferred;
+
+  const providers = [];
+  for (const name of providerConfig.enabled) {
+    const provider = createProvider(name, {
+      requestTimeout,
+      preferredSources,
+      ...(providerConfig[name] || {}),
+    });
+
+    if (!provider.isAvailable()) {
+      console.log(`⚠️ Skipping news provider "${name}" (not configured)`);
+      continue;
+    }
+    providers.push(provider);
+  }
+
+  return providers;
+}
+
+/**
+ * Utility functions shared by providers
+ */
+function timeframeStart(timeframe) {
+  const days = TIMEFRAME_DAYS[timeframe] || TIMEFRAME_DAYS.d;
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+}
+
+function extractDomain(url) {
+  try {
+    return new URL(url).hostname.replace("www.", "");
+  } catch {
+    return "unknown-source.com";
+  }
+}
+
+function extractTitleFromText(text) {
+  const firstSentence = (text || "").split(/[.!?]/)[0].trim();
+
+  if (firstSentence.length > 100) {
+    return firstSentence.substring(0, 97) + "...";
+  }
+
+  return firstSentence || "AI News Article";
+}
+
+registerProvider("duckduckgo", DuckDuckGoProvider);
+registerProvider("newsapi", NewsAPIProvider);
+registerProvider("rss", RSSProvider);
+
+module.exports = {
+  PUBLISHER_FEEDS,
+  NewsProvider,
+  DuckDuckGoProvider,
+  NewsAPIProvider,
+  RSSProvider,
+  registerProvider,
+  getRegisteredProviders,
+  createProvider,
+  createProviders,
+  timeframeStart,
+};
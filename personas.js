@@ -0,0 +1,323 @@
+/**
+ * Personas
+ *
+ * A persona describes who a post is written as and for:
+ *
+ *   { name, role, industry, tone, audience, opinionLevel, emoji }
+ *
+ *   tone          "professional" | "enthusiastic" | "casual" | "analytical"
+ *   opinionLevel  "none" | "light" | "strong" (how much first-person take to add)
+ *   emoji         "none" | "some" | "lots"
+ *
+ * The same profile drives the template composers in LinkedInAINewsAgent
+ * (hooks, closings, opinion lines, emoji) and the LLM post prompt. The
+ * "default" persona takes its tone and opinion level from
+ * userPreferences.postTone / includePersonalOpinions; teams add their own in
+ * config.personas and pick one with userPreferences.persona (or per request
+ * in the web UI).
+ */
+
+const TONES = ["professional", "enthusiastic", "casual", "analytical"];
+const OPINION_LEVELS = ["none", "light", "strong"];
+const EMOJI_LEVELS = ["none", "some", "lots"];
+
+const BUILTIN_PERSONAS = {
+  default: {
+    name: "Default",
+    role: "technology professional",
+    industry: "technology",
+    tone: "professional",
+    audience: "professionals following AI",
+    opinionLevel: "none",
+    emoji: "some",
+  },
+  engineer: {
+    name: "ML Engineer",
+    role: "machine learning engineer",
+    industry: "software",
+    tone: "analytical",
+    audience: "engineers and data scientists",
+    opinionLevel: "light",
+    emoji: "none",
+  },
+  founder: {
+    name: "Startup Founder",
+    role: "startup founder",
+    industry: "tech startups",
+    tone: "enthusiastic",
+    audience: "founders and investors",
+    opinionLevel: "strong",
+    emoji: "lots",
+  },
+  educator: {
+    name: "Educator",
+    role: "educator",
+    industry: "education",
+    tone: "casual",
+    audience: "students and lifelong learners",
+    opinionLevel: "light",
+    emoji: "some",
+  },
+};
+
+/**
+ * Template phrasing per tone; [emoji, text] pairs lose the emoji for emoji "none"
+ * {topic} and persona fields such as {industry} are filled in by fillPhrase
+ */
+const TONE_PHRASES = {
+  professional: {
+    hooks: [
+      ["📰", "Notable development in AI:"],
+      ["💼", "Worth noting in today's AI news:"],
+      ["📈", "An important step forward in AI:"],
+      ["🔍", "A closer look at a new AI development:"],
+    ],
+    fundingHook: ["💰", "{company} has raised {amount}:"],
+    questions: [
+      "How do you expect {topic} to affect {industry}?",
+      "What does this development mean for {audience}?",
+      "Is this a breakthrough or incremental progress?",
+      "What opportunities does this create for organizations?",
+    ],
+    shareClosing: "What are your thoughts on this development?",
+    questionClosing: "I'd welcome your perspectives in the comments.",
+    insightIntro: ["💡", "Key insight from today's AI news:"],
+    insightClosing: "This could change how organizations approach AI adoption.",
+    listIntro: ["📋", "Key takeaways from the latest AI news:"],
+    listClosing: "Which of these points matters most for your work?",
+    digestClosing: "Which of these developments matters most for your work?",
+  },
+  enthusiastic: {
+    hooks: [
+      ["🚀", "Exciting developments in AI:"],
+      ["💡", "This caught my attention in today's AI news:"],
+      ["🔥", "Hot off the press in artificial intelligence:"],
+      ["⚡", "Breaking: Major AI advancement just announced:"],
+      ["🎯", "Here's what's making waves in the AI world:"],
+      ["🌟", "Fascinating AI breakthrough to share:"],
+      ["📈", "The AI industry just took another big step forward:"],
+    ],
+    fundingHook: ["💰", "Big funding news: {company} just raised {amount}!"],
+    questions: [
+      "How do you think {topic} will impact {industry}?",
+      "What's your take on this latest development in AI?",
+      "Do you see this as a breakthrough or just incremental progress?",
+      "How might this change the way we work with AI?",
+      "What opportunities does this create for businesses?",
+    ],
+    shareClosing: "What are your thoughts on this development?",
+    questionClosing: "I'd love to hear your perspectives in the comments!",
+    insightIntro: ["💡", "Key insight from today's AI news:"],
+    insightClosing: "This could be a game-changer for how we approach AI development.",
+    listIntro: ["📋", "Key takeaways from latest AI news:"],
+    listClosing: "What's your take on this development?",
+    digestClosing: "Which of these got you most excited?",
+  },
+  casual: {
+    hooks: [
+      ["👀", "Saw this today and had to share:"],
+      ["☕", "Interesting read with my morning coffee:"],
+      ["🙌", "Some good AI news for a change:"],
+      ["🤓", "Okay, this one is pretty cool:"],
+    ],
+    fundingHook: ["💸", "{company} just picked up {amount}:"],
+    questions: [
+      "Would you actually use something like this?",
+      "How do you think {audience} will feel about {topic}?",
+      "Is this hype or the real deal?",
+      "What would you build with this?",
+    ],
+    shareClosing: "Curious what you all think!",
+    questionClosing: "Drop your thoughts below!",
+    insightIntro: ["💡", "Here's what stood out to me:"],
+    insightClosing: "Pretty exciting stuff if you ask me.",
+    listIntro: ["📋", "The short version:"],
+    listClosing: "Anything I missed?",
+    digestClosing: "Which one caught your eye?",
+  },
+  analytical: {
+    hooks: [
+      ["📊", "Breaking down a new AI development:"],
+      ["🔬", "What the latest AI research actually shows:"],
+      ["🧩", "Putting today's AI news in context:"],
+      ["📐", "A measured look at a new AI result:"],
+    ],
+    fundingHook: ["📊", "Funding signal: {company} raised {amount}."],
+    questions: [
+      "Which constraints do you see on applying {topic} in {industry}?",
+      "What evidence would convince you this generalizes?",
+      "How would you measure the impact of this for {audience}?",
+      "What are the second-order effects worth watching?",
+    ],
+    shareClosing: "Which part of this do you find most significant?",
+    questionClosing: "I'm interested in data points and counterexamples in the comments.",
+    insightIntro: ["💡", "The key takeaway, in context:"],
+    insightClosing: "The details will matter more than the headline here.",
+    listIntro: ["📋", "Breaking it down:"],
+    listClosing: "Which of these do you expect to hold up?",
+    digestClosing: "Which of these do you expect to have the most lasting impact?",
+  },
+};
+
+const OPINION_PHRASES = {
+  light: [
+    "Working in {industry}, I'll be watching how this plays out.",
+    "From where I sit in {industry}, this is one to keep an eye on.",
+  ],
+  strong: [
+    "My take: this is the kind of progress {industry} has been waiting for.",
+    "I'll say it plainly: {audience} should be paying attention to this.",
+  ],
+};
+
+// Guidance lines for the LLM post prompt (see prompts/post.v2.txt)
+const OPINION_GUIDANCE = {
+  none: "Stay neutral: report the development without personal opinions.",
+  light: "Add one short first-person observation from your role.",
+  strong: "Share a clear first-person opinion on why this matters.",
+};
+
+const EMOJI_GUIDANCE = {
+  none: "Do not use any emoji.",
+  some: "Use at most one or two emoji.",
+  lots: "Use emoji generously to structure the post.",
+};
+
+const CLOSING_EMOJI = "👇";
+const NUMBER_EMOJI = ["1️⃣", "2️⃣", "3️⃣", "4️⃣", "5️⃣", "6️⃣", "7️⃣", "8️⃣", "9️⃣"];
+
+/**
+ * Raised for unknown persona ids
+ */
+class PersonaError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "PersonaError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * The default persona with the legacy userPreferences applied
+ */
+function defaultPersona(config = {}) {
+  const preferences = config.userPreferences || {};
+  const persona = { ...BUILTIN_PERSONAS.default };
+
+  if (preferences.postTone) persona.tone = preferences.postTone;
+  if (preferences.includePersonalOpinions) persona.opinionLevel = "light";
+
+  return persona;
+}
+
+/**
+ * Every available persona (built-in and config.personas) as [{ id, ...profile }]
+ * Config profiles may be partial; missing fields come from the default persona.
+ */
+function listPersonas(config = {}) {
+  const base = defaultPersona(config);
+  const profiles = { ...BUILTIN_PERSONAS, default: base, ...(config.personas || {}) };
+
+  return Object.entries(profiles).map(([id, profile]) => ({
+    id,
+    ...base,
+    name: id,
+    ...profile,
+  }));
+}
+
+/**
+ * Looks up a persona by id (default: userPreferences.persona)
+ */
+function resolvePersona(config = {}, id) {
+  const wanted = id || (config.userPreferences && config.userPreferences.persona) || "default";
+  const personas = listPersonas(config);
+  const persona = personas.find((p) => p.id === wanted);
+
+  if (!persona) {
+    throw new PersonaError(
+      `Unknown persona "${wanted}" (available: ${personas.map((p) => p.id).join(", ")})`
+    );
+  }
+  return persona;
+}
+
+/**
+ * Phrase set for the persona's tone; unknown tones use the professional set
+ */
+function phrasesFor(persona) {
+  return TONE_PHRASES[persona.tone] || TONE_PHRASES.professional;
+}
+
+/**
+ * Fills {placeholders} in a phrase from the persona and extra values
+ */
+function fillPhrase(text, persona, values = {}) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = name in values ? values[name] : persona[name];
+    return value === undefined ? match : value;
+  });
+}
+
+/**
+ * Renders an [emoji, text] phrase; emoji are dropped for emoji "none"
+ */
+function decorate([emoji, text], persona, values) {
+  const filled = fillPhrase(text, persona, values);
+  return persona.emoji === "none" ? filled : `${emoji} ${filled}`;
+}
+
+/**
+ * Closing line, with a pointer emoji for emoji "lots"
+ */
+function closing(text, persona, values) {
+  const filled = fillPhrase(text, persona, values);
+  return persona.emoji === "lots" ? `${filled} ${CLOSING_EMOJI}` : filled;
+}
+
+/**
+ * List marker for position i: number emoji for emoji "lots", "1." otherwise
+ */
+function bullet(i, persona) {
+  return persona.emoji === "lots" && i < NUMBER_EMOJI.length ? NUMBER_EMOJI[i] : `${i + 1}.`;
+}
+
+/**
+ * A first-person opinion line, or null for opinionLevel "none"
+ */
+function opinionLine(persona, pick) {
+  const options = OPINION_PHRASES[persona.opinionLevel];
+  return options ? fillPhrase(pick(options), persona) : null;
+}
+
+/**
+ * Variables the post prompt uses to write as the persona
+ */
+function promptVariables(persona) {
+  return {
+    persona: persona.name,
+    role: persona.role,
+    industry: persona.industry,
+    audience: persona.audience,
+    tone: persona.tone,
+    opinionGuidance: OPINION_GUIDANCE[persona.opinionLevel] || OPINION_GUIDANCE.none,
+    emojiGuidance: EMOJI_GUIDANCE[persona.emoji] || EMOJI_GUIDANCE.some,
+  };
+}
+
+module.exports = {
+  TONES,
+  OPINION_LEVELS,
+  EMOJI_LEVELS,
+  BUILTIN_PERSONAS,
+  PersonaError,
+  listPersonas,
+  resolvePersona,
+  phrasesFor,
+  fillPhrase,
+  decorate,
+  closing,
+  bullet,
+  opinionLine,
+  promptVariables,
+};
@@ -0,0 +1,697 @@
+/**
+ * News Pipeline
+ *
+ * Single discover → filter → analyze → compose → output workflow shared by
+ * the CLI agent, the Kiro hook and the web UI. Each step is a stage object
+ * ({ name, label, run(context) }), so template-based and LLM-based stages
+ * can be swapped without changing the orchestration, and every run returns
+ * the same versioned result schema (see createResult).
+ */
+
+/**
+ * Version of the result object returned by NewsPipeline.run()
+ * Bump when fields are renamed or removed; adding fields is compatible.
+ */
+const RESULT_SCHEMA_VERSION = 1;
+
+const { clusterArticles, topicFor } = require("./topic-clusters");
+const { computeTrends, describeTrends, momentumFor } = require("./trends");
+const { ArticleHistory } = require("./article-history");
+const { ArticleEnricher } = require("./article-extractor");
+const { countCharacters, lintPost } = require("./post-linter");
+
+const STAGE_ORDER = ["discover", "filter", "analyze", "compose", "output"];
+
+/**
+ * Orchestrates the configured stages and builds the result object
+ * Each stage slot holds a single stage or an array run in order.
+ */
+class NewsPipeline {
+  constructor({ config = {}, stages = {} } = {}) {
+    this.config = config;
+    this.stages = stages;
+  }
+
+  async run() {
+    const context = {
+      config: this.config,
+      startTime: Date.now(),
+      articles: [],
+      analysis: null,
+      posts: [],
+      generators: {},
+      promptVersions: {},
+    };
+
+    let currentStage = null;
+
+    try {
+      for (const slot of STAGE_ORDER) {
+        currentStage = slot;
+
+        for (const stage of this.getStages(slot)) {
+          if (stage.label) {
+            console.log(`\n${stage.label}`);
+          }
+
+          try {
+            await stage.run(context);
+          } catch (error) {
+            // Output problems (display, bookkeeping) never discard the posts
+            if (slot !== "output") throw error;
+            console.error(`❌ Output stage "${stage.name}" failed:`, error.message);
+          }
+        }
+
+        if (slot === "filter" && context.articles.length === 0) {
+          return createResult(context, {
+            status: "empty",
+            error: new Error("No articles found"),
+            stage: slot,
+          });
+        }
+
+        if (slot === "compose" && context.posts.length === 0) {
+          return createResult(context, {
+            status: "partial",
+            error: new Error("Post generation failed"),
+            stage: slot,
+          });
+        }
+      }
+
+      return createResult(context, { status: "success" });
+    } catch (error) {
+      const canKeepArticles =
+        context.articles.length > 0 &&
+        (currentStage === "analyze" || currentStage === "compose");
+
+      return createResult(context, {
+        status: canKeepArticles ? "partial" : "error",
+        error,
+        stage: currentStage,
+      });
+    }
+  }
+
+  getStages(slot) {
+    const stage = this.stages[slot];
+    if (!stage) return [];
+    return Array.isArray(stage) ? stage : [stage];
+  }
+}
+
+/**
+ * Stage builders
+ * Each takes the engine that implements the step (LinkedInAINewsAgent for
+ * discovery, ranking and templates; AIGoodNewsAgent for LLM steps and the
+ * seen-articles store) and returns a stage object.
+ */
+const stages = {
+  /**
+   * Discover articles through the configured news providers (with cache fallback)
+   */
+  discover(engine) {
+    return {
+      name: "discover",
+      label: "📡 Step 1: Searching for AI news...",
+      async run(context) {
+        context.articles = await engine.discoverAINews();
+        console.log(`📰 Found ${context.articles.length} candidate articles`);
+      },
+    };
+  },
+
+  /**
+   * Filter by source quality and relevance, then rank
+   */
+  rank(engine) {
+    return {
+      name: "rank",
+      async run(context) {
+        context.articles = engine.filterAndRankArticles(context.articles);
+      },
+    };
+  },
+
+  /**
+   * Drop articles already used in an earlier run
+   */
+  skipSeen(store) {
+    return {
+      name: "skipSeen",
+      async run(context) {
+        const before = context.articles.length;
+        context.articles = context.articles.filter(
+          (article) => !store.hasSeenArticle(article.url)
+        );
+        console.log(
+          `🗂️ Skipped ${before - context.articles.length} previously seen articles`
+        );
+      },
+    };
+  },
+
+  /**
+   * Fetch the pages of the top articles and keep their full text
+   */
+  enrich(enricher) {
+    return {
+      name: "enrich",
+      label: "📄 Fetching full articles...",
+      async run(context) {
+        const { enriched, failed } = await enricher.enrich(context.articles);
+        console.log(`📄 Extracted the full text of ${enriched} articles`);
+        for (const { url, error } of failed) {
+          console.log(`  ⚠️ Kept the feed summary of ${url}: ${error}`);
+        }
+      },
+    };
+  },
+
+  /**
+   * Add this run's articles to the article history used for trends
+   */
+  recordHistory(history) {
+    return {
+      name: "recordHistory",
+      async run(context) {
+        // Bookkeeping only: a history problem never stops the run
+        try {
+          const { added, total } = await history.record(context.articles);
+          console.log(`📚 Added ${added} new articles to the history (${total} kept)`);
+        } catch (error) {
+          console.error("⚠️ Could not update the article history:", error.message);
+        }
+      },
+    };
+  },
+
+  /**
+   * Trends from the article history: adds analysis.trends and the momentum
+   * of the top article's topic, and replaces a missing or fallback
+   * overallTrend with the strongest movement
+   */
+  trendAnalysis(history, settings) {
+    return {
+      name: "trendAnalysis",
+      async run(context) {
+        let trends;
+        try {
+          trends = computeTrends(await history.list(), {
+            windowDays: settings.trendWindowDays,
+          });
+        } catch (error) {
+          console.error("⚠️ Could not compute trends:", error.message);
+          return;
+        }
+
+        const top = context.analysis.topArticles[0];
+        const topic =
+          top && (top.topic || topicFor(context.articles[top.originalIndex]));
+
+        context.analysis.trends = trends;
+        context.analysis.momentum = topic ? momentumFor(trends, topic) : null;
+        if (!context.analysis.overallTrend || context.generators.analysis === "fallback") {
+          context.analysis.overallTrend =
+            describeTrends(trends) || context.analysis.overallTrend;
+        }
+        if (context.analysis.momentum) {
+          console.log(`📈 ${context.analysis.momentum}`);
+        }
+      },
+    };
+  },
+
+  /**
+   * Template analysis: key points per article, top articles in ranked order
+   */
+  templateAnalysis(engine) {
+    return {
+      name: "templateAnalysis",
+      label: "🔎 Step 2: Extracting key points...",
+      async run(context) {
+        const maxPosts =
+          (context.config.userPreferences &&
+            context.config.userPreferences.maxPostsPerRun) ||
+          3;
+
+        context.analysis = {
+          topArticles: context.articles.slice(0, maxPosts).map((article, i) => ({
+            rank: i + 1,
+            title: article.title,
+            summary: article.summary,
+            whyPositive: null,
+            keyPoints: engine.extractKeyPoints(article).map((point) => point.text),
+            originalIndex: i,
+          })),
+          overallTrend: null,
+        };
+        context.generators.analysis = "template";
+      },
+    };
+  },
+
+  /**
+   * LLM analysis: the analysis model ranks the articles and explains the top developments
+   */
+  llmAnalysis(engine) {
+    return {
+      name: "llmAnalysis",
+      label: `🤖 Step 2: Analyzing articles with ${engine.analysisLLM.displayName}...`,
+      async run(context) {
+        context.analysis = await engine.analyzeWithLLM(context.articles);
+        context.generators.analysis = engine.analysisGenerator;
+        context.promptVersions.analysis = engine.analysisPromptVersion;
+      },
+    };
+  },
+
+  /**
+   * Template posts: one post per top article, rotating through post styles;
+   * the "digest" style adds one roundup post covering all top articles
+   */
+  templateComposer(engine) {
+    return {
+      name: "templateComposer",
+      label: "✍️ Step 3: Generating LinkedIn posts...",
+      async run(context) {
+        const styles = context.config.posts.styles;
+        const articleStyles = styles.filter((style) => style !== "digest");
+        const topArticles = context.analysis.topArticles.map(
+          (top) => context.articles[top.originalIndex]
+        );
+
+        if (articleStyles.length > 0) {
+          for (const [i, article] of topArticles.entries()) {
+            try {
+              const post = await engine.createLinkedInPost(
+                article,
+                articleStyles[i % articleStyles.length]
+              );
+              if (post) {
+                context.posts.push({ ...post, generator: "template" });
+              }
+            } catch (error) {
+              console.error(`❌ Failed to generate post for article: ${error.message}`);
+            }
+          }
+        }
+
+        if (styles.includes("digest")) {
+          try {
+            context.posts.push({
+              ...engine.createDigestPost(topArticles),
+              generator: "template",
+            });
+          } catch (error) {
+            console.error(`❌ Failed to generate digest post: ${error.message}`);
+          }
+        }
+        console.log(`📝 Generated ${context.posts.length} LinkedIn posts`);
+      },
+    };
+  },
+
+  /**
+   * LLM post: the post model writes one post about the top-ranked article,
+   * linted with the posts settings (maxCharacters, maxHashtags)
+   */
+  llmComposer(engine, posts = {}) {
+    return {
+      name: "llmComposer",
+      label: `✍️ Step 3: Generating LinkedIn post with ${engine.postLLM.displayName}...`,
+      async run(context) {
+        const top = context.analysis.topArticles[0];
+        const article = context.articles[top.originalIndex];
+        const content = await engine.generateLinkedInPost(
+          context.analysis,
+          context.articles
+        );
+
+        context.posts.push({
+          content,
+          hashtags: content.match(/#\w+/g) || [],
+          sourceUrl: article.url,
+          style: "llm",
+          characterCount: countCharacters(content),
+          warnings: lintPost(content, {
+            maxCharacters: posts.maxCharacters,
+            maxHashtags: posts.maxHashtags,
+          }).warnings,
+          article: { title: article.title, source: article.source },
+          generator: engine.postGenerator,
+          promptVersion: engine.postPromptVersion,
+          persona: engine.persona.id,
+        });
+      },
+    };
+  },
+
+  /**
+   * Digest analysis: group ranked articles by topic and keep the best article per topic
+   */
+  digestAnalysis(settings) {
+    return {
+      name: "digestAnalysis",
+      label: "🧩 Step 2: Grouping articles by topic...",
+      async run(context) {
+        const candidates = context.articles.slice(0, settings.maxArticles);
+        const clusters = clusterArticles(candidates, {
+          threshold: settings.similarityThreshold,
+          maxClusters: settings.maxClusters,
+        });
+
+        context.analysis = {
+          topArticles: clusters.map((cluster, i) => ({
+            rank: i + 1,
+            title: candidates[cluster.top].title,
+            summary: candidates[cluster.top].summary,
+            whyPositive: null,
+            keyPoints: [],
+            originalIndex: cluster.top,
+            topic: cluster.label,
+          })),
+          overallTrend: clusters
+            .map((cluster) => `${cluster.label} (${cluster.indexes.length})`)
+            .join(", "),
+          clusters: clusters.map((cluster) => ({
+            topic: cluster.label,
+            size: cluster.indexes.length,
+            urls: cluster.indexes.map((index) => candidates[index].url),
+          })),
+        };
+        context.generators.analysis = "clusters";
+        console.log(
+          `🧩 Found ${clusters.length} topics in ${candidates.length} articles: ${context.analysis.overallTrend}`
+        );
+      },
+    };
+  },
+
+  /**
+   * Digest post: one roundup post with the top article of each topic
+   */
+  digestComposer(engine) {
+    return {
+      name: "digestComposer",
+      label: "✍️ Step 3: Writing the digest post...",
+      async run(context) {
+        const picks = context.analysis.topArticles.map((top) => ({
+          ...context.articles[top.originalIndex],
+          topic: top.topic,
+        }));
+        context.posts.push({ ...engine.createDigestPost(picks), generator: "template" });
+      },
+    };
+  },
+
+  /**
+   * Print posts and the run summary to the console
+   */
+  display(engine) {
+    return {
+      name: "display",
+      label: "📋 Step 4: Formatting output...",
+      async run(context) {
+        engine.displayPosts(context.posts);
+        engine.displaySummary(context.articles, context.posts, context.startTime);
+      },
+    };
+  },
+
+  /**
+   * Remember every article from this run so later runs skip them
+   */
+  markSeen(store) {
+    return {
+      name: "markSeen",
+      async run(context) {
+        context.articles.forEach((article) => store.markArticleSeen(article.url));
+        store.saveSeenArticles();
+      },
+    };
+  },
+};
+
+/**
+ * Builds the standard pipeline from config.pipeline (overridable via options)
+ *
+ *   analyzer: "template" | "llm" ("gemini" is accepted as an alias)
+ *   composer: "template" | "llm"
+ *   digest: one roundup post with the top article per topic (config.digest);
+ *     replaces analyzer and composer, searches over digest.timeframe and
+ *     ranks up to digest.maxArticles articles
+ *   skipSeenArticles: skip articles used in earlier runs and record new ones
+ *   history: ArticleHistory to record articles in and compute trends from;
+ *     false disables it (default: config.history when enabled)
+ *   enricher: ArticleEnricher that fetches the full text of the top articles;
+ *     false disables it (default: config.enrichment when enabled)
+ *   display: print posts and summary to the console (CLI / Kiro hook)
+ */
+function createNewsPipeline(config, options = {}) {
+  // Required here because both agents require this module for their run()
+  const { LinkedInAINewsAgent } = require("./linkedin-ai-news-agent");
+  const AIGoodNewsAgent = require("./ai-agent");
+  const { resolvePersona } = require("./personas");
+
+  const settings = { ...(config.pipeline || {}), ...options };
+  if (settings.digest) {
+    config = {
+      ...config,
+      search: {
+        ...config.search,
+        timeframe: config.digest.timeframe,
+        maxResults: config.digest.maxArticles,
+      },
+    };
+  }
+  const engine = options.engine || new LinkedInAINewsAgent(config);
+
+  const llmAnalyzer = !settings.digest && isLLMStep(settings.analyzer);
+  const llmComposer = !settings.digest && isLLMStep(settings.composer);
+
+  // The LLM agent also owns the seen-articles store; only create it when used
+  const needsLlm = llmAnalyzer || llmComposer || settings.skipSeenArticles;
+  const llm = needsLlm
+    ? options.llm ||
+      new AIGoodNewsAgent({
+        llm: config.llm,
+        prompts: config.prompts,
+        persona: resolvePersona(config),
+      })
+    : null;
+
+  const history =
+    options.history !== undefined
+      ? options.history
+      : config.history && config.history.enabled
+        ? new ArticleHistory({
+            filePath: config.history.path,
+            retentionDays: config.history.retentionDays,
+          })
+        : null;
+
+  const enricher =
+    options.enricher !== undefined
+      ? options.enricher
+      : config.enrichment && config.enrichment.enabled
+        ? new ArticleEnricher(config.enrichment)
+        : null;
+
+  const filter = [stages.rank(engine)];
+  const output = [];
+
+  if (history) {
+    filter.push(stages.recordHistory(history));
+  }
+
+  if (settings.skipSeenArticles) {
+    filter.push(stages.skipSeen(llm));
+    output.push(stages.markSeen(llm));
+  }
+
+  // Last, so only the articles this run can still use are fetched
+  if (enricher) {
+    filter.push(stages.enrich(enricher));
+  }
+
+  if (settings.display) {
+    output.unshift(stages.display(engine));
+  }
+
+  return new NewsPipeline({
+    config,
+    stages: {
+      discover: stages.discover(engine),
+      filter,
+      analyze: [
+        settings.digest
+          ? stages.digestAnalysis(config.digest)
+          : llmAnalyzer
+            ? stages.llmAnalysis(llm)
+            : stages.templateAnalysis(engine),
+        ...(history ? [stages.trendAnalysis(history, config.history)] : []),
+      ],
+      compose: settings.digest
+        ? stages.digestComposer(engine)
+        : llmComposer
+          ? stages.llmComposer(llm, config.posts)
+          : stages.templateComposer(engine),
+      output,
+    },
+  });
+}
+
+function isLLMStep(step) {
+  return step === "llm" || step === "gemini";
+}
+
+/**
+ * Builds the versioned result object
+ *
+ * {
+ *   schemaVersion, success, status ("success" | "partial" | "empty" | "error"),
+ *   timestamp, runtime,
+ *   articles: [{ title, url, summary, source, sourceName, author,
+ *                publishedDate, relevanceScore, keyPoints, rank, whyPositive,
+ *                topic }],
+ *   posts: [{ content, style, characterCount, warnings, hashtags, sourceUrl,
+ *             article: { title, source, url }, generator, promptVersion,
+ *             persona, slides, parts, poll, items }],
+ *     (characterCount as LinkedIn counts it; warnings: post-linter.js
+ *      [{ rule, severity, message, line }])
+ *     (slides: carousel [{ title, bullets }], parts: series texts,
+ *      poll: { question, options }, items: digest [{ title, source, url }];
+ *      null for other styles)
+ *   analysis: { overallTrend, generator, promptVersion,
+ *               clusters: null | [{ topic, size, urls }] (digest runs),
+ *               momentum: null | "<top article's topic>: 6 articles in ...",
+ *               trends: null | { windowDays, articleCount, previousCount,
+ *                                topics, rising } (see trends.js) },
+ *   summary: { articlesFound, postsGenerated, sources, styles },
+ *   error: null | { message, type, stage },
+ *   message
+ * }
+ */
+function createResult(context, { status, error = null, stage = null }) {
+  const topByIndex = new Map(
+    ((context.analysis && context.analysis.topArticles) || []).map((top) => [
+      top.originalIndex,
+      top,
+    ])
+  );
+
+  const articles = context.articles.map((article, index) =>
+    normalizeArticle(article, topByIndex.get(index))
+  );
+  const posts = context.posts.map(normalizePost);
+
+  return {
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    success: status === "success",
+    status,
+    timestamp: new Date().toISOString(),
+    runtime: Date.now() - context.startTime,
+    articles,
+    posts,
+    analysis: {
+      overallTrend: (context.analysis && context.analysis.overallTrend) || null,
+      generator: context.generators.analysis || null,
+      promptVersion: context.promptVersions.analysis || null,
+      clusters: (context.analysis && context.analysis.clusters) || null,
+      momentum: (context.analysis && context.analysis.momentum) || null,
+      trends: summarizeTrends(context.analysis && context.analysis.trends),
+    },
+    summary: {
+      articlesFound: articles.length,
+      postsGenerated: posts.length,
+      sources: [...new Set(articles.map((a) => a.source))],
+      styles: [...new Set(posts.map((p) => p.style))],
+    },
+    error: error
+      ? { message: error.message, type: error.constructor.name, stage }
+      : null,
+    message: RESULT_MESSAGES[status],
+  };
+}
+
+const RESULT_MESSAGES = {
+  success: "Workflow completed successfully",
+  partial: "Workflow partially completed with errors",
+  empty: "No data could be retrieved",
+  error: "Workflow failed with errors",
+};
+
+function summarizeTrends(trends) {
+  if (!trends) return null;
+
+  const { windowDays, articleCount, previousCount, topics, rising } = trends;
+  return { windowDays, articleCount, previousCount, topics, rising };
+}
+
+function normalizeArticle(article, top) {
+  const keyPoints = top ? top.keyPoints : article.keyPoints;
+
+  return {
+    title: (top && top.title) || article.title,
+    url: article.url,
+    summary: (top && top.summary) || article.summary,
+    source: article.source,
+    sourceName: article.sourceName || article.source,
+    sourceCategory: article.sourceCategory || null,
+    paywall: Boolean(article.paywall),
+    image: article.image || null,
+    enriched: Boolean(article.enriched),
+    entities: article.entities || null,
+    author: article.author || null,
+    publishedDate: toIsoDate(article.publishedDate),
+    relevanceScore:
+      typeof article.relevanceScore === "number" ? article.relevanceScore : null,
+    scoreBreakdown: article.scoreBreakdown || null,
+    keyPoints: (keyPoints || []).map((point) =>
+      typeof point === "string" ? point : point.text
+    ),
+    rank: top ? top.rank : null,
+    whyPositive: (top && top.whyPositive) || null,
+    topic: (top && top.topic) || null,
+  };
+}
+
+function normalizePost(post) {
+  return {
+    content: post.content,
+    style: post.style,
+    characterCount: post.characterCount ?? countCharacters(post.content),
+    warnings: post.warnings || [],
+    hashtags: post.hashtags || [],
+    sourceUrl: post.sourceUrl || null,
+    article: {
+      title: post.article ? post.article.title : null,
+      source: post.article ? post.article.source : null,
+      url: post.sourceUrl || null,
+    },
+    generator: post.generator || "template",
+    promptVersion: post.promptVersion || null,
+    persona: post.persona || null,
+    slides: post.slides || null,
+    parts: post.parts || null,
+    poll: post.poll || null,
+    items: post.items || null,
+  };
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+module.exports = {
+  RESULT_SCHEMA_VERSION,
+  NewsPipeline,
+  stages,
+  createNewsPipeline,
+  createResult,
+  normalizePost,
+};
@@ -0,0 +1,257 @@
+/**
+ * Post Linter
+ *
+ * Checks a LinkedIn post the way LinkedIn will show it; shared by the agent
+ * (Node) and the web UI (loaded by index.html as the PostLinter global):
+ *
+ *   - countCharacters: LinkedIn's count, one per visible character
+ *     (grapheme) and two per emoji, so "👩‍💻" and "🇫🇷" count 2, not the
+ *     5 and 4 of String length, and a line break counts 1
+ *   - truncatePost: shortens a text to a LinkedIn length without splitting
+ *     an emoji, a hashtag or a link
+ *   - lintPost: { characterCount, foldAt, warnings } where warnings are
+ *     [{ rule, severity ("error" | "warning"), message, line }]:
+ *
+ *       length    over posts.maxCharacters (LinkedIn rejects the post)
+ *       fold      the opening paragraph runs past the "see more" fold
+ *       hashtags  more than posts.maxHashtags, or the same one twice
+ *       links     a link in the opening paragraph or above the fold
+ *       emoji     too many emoji, or three or more in a row
+ *       caps      a line in capitals
+ *       repeated  a line that repeats an earlier one
+ */
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  } else {
+    root.PostLinter = api;
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const MAX_CHARACTERS = 3000;
+
+  // LinkedIn collapses a post after about this many characters ("…see more")
+  const FOLD_LENGTH = 210;
+
+  const MAX_HASHTAGS = 5;
+  const MAX_EMOJI = 10;
+  const MAX_EMOJI_RUN = 2;
+
+  // Lines with this many capitalized words of 4+ letters read as shouting
+  const MAX_CAPS_WORDS = 3;
+
+  // Shorter lines (sign-offs, separators) may repeat
+  const MIN_REPEATED_LENGTH = 12;
+
+  const ELLIPSIS = "…";
+
+  const EMOJI = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u;
+  const HASHTAG = /(^|[^\p{L}\p{N}_&])(#[\p{L}\p{N}_]+)/gu;
+  const URL = /https?:\/\/[^\s<>"]+/g;
+
+  const segmenter =
+    typeof Intl !== "undefined" && Intl.Segmenter
+      ? new Intl.Segmenter(undefined, { granularity: "grapheme" })
+      : null;
+
+  /**
+   * Visible characters of a text with their string offsets: [{ text, index }]
+   */
+  function graphemes(text) {
+    const value = String(text || "");
+    if (segmenter) {
+      return Array.from(segmenter.segment(value), (part) => ({
+        text: part.segment,
+        index: part.index,
+      }));
+    }
+
+    // Code points are the closest fallback without Intl.Segmenter
+    const parts = [];
+    let index = 0;
+    for (const char of value) {
+      parts.push({ text: char, index });
+      index += char.length;
+    }
+    return parts;
+  }
+
+  function weight(grapheme) {
+    return EMOJI.test(grapheme) ? 2 : 1;
+  }
+
+  /**
+   * Characters of a text as LinkedIn counts them
+   */
+  function countCharacters(text) {
+    return graphemes(normalizeLineBreaks(text)).reduce(
+      (sum, grapheme) => sum + weight(grapheme.text),
+      0
+    );
+  }
+
+  /**
+   * The text in at most maxLength LinkedIn characters: cut before the word,
+   * hashtag or link the limit falls in (when that keeps at least half) and
+   * marked with an ellipsis
+   */
+  function truncatePost(text, maxLength) {
+    const value = normalizeLineBreaks(text);
+    if (countCharacters(value) <= maxLength) return value;
+
+    let used = 0;
+    let end = 0;
+    for (const grapheme of graphemes(value)) {
+      used += weight(grapheme.text);
+      if (used > maxLength - ELLIPSIS.length) break;
+      end = grapheme.index + grapheme.text.length;
+    }
+
+    // Back up to the start of a word the limit cuts through
+    let cut = end;
+    if (cut < value.length && !/\s/.test(value[cut])) {
+      const wordStart = value.slice(0, cut).search(/\S+$/);
+      if (wordStart > end / 2) cut = wordStart;
+    }
+
+    return value.slice(0, cut).replace(/[\s,;:–—-]+$/, "") + ELLIPSIS;
+  }
+
+  /**
+   * Warnings for a post (see the rules above)
+   *
+   * options: maxCharacters, maxHashtags, foldLength, maxEmoji
+   */
+  function lintPost(text, options = {}) {
+    const {
+      maxCharacters = MAX_CHARACTERS,
+      maxHashtags = MAX_HASHTAGS,
+      foldLength = FOLD_LENGTH,
+      maxEmoji = MAX_EMOJI,
+    } = options;
+
+    const value = normalizeLineBreaks(text);
+    const characterCount = countCharacters(value);
+    const foldAt = foldIndex(value, foldLength);
+    const warnings = [];
+    const warn = (rule, severity, message, line = null) =>
+      warnings.push({ rule, severity, message, line });
+
+    if (characterCount > maxCharacters) {
+      warn(
+        "length",
+        "error",
+        `${characterCount} characters; LinkedIn allows ${maxCharacters}`
+      );
+    }
+
+    const hookEnd = value.search(/\S\s*\n\s*\n/) + 1 || value.length;
+    const hook = value.slice(0, hookEnd).trim();
+    if (countCharacters(hook) > foldLength) {
+      warn(
+        "fold",
+        "warning",
+        `The opening paragraph runs past the "see more" fold; only its first ~${foldLength} characters show`,
+        1
+      );
+    }
+
+    const hashtags = [...value.matchAll(HASHTAG)].map((match) => match[2]);
+    if (hashtags.length > maxHashtags) {
+      warn("hashtags", "warning", `${hashtags.length} hashtags; use at most ${maxHashtags}`);
+    }
+    const seen = new Set();
+    for (const tag of hashtags) {
+      const key = tag.toLowerCase();
+      if (seen.has(key)) warn("hashtags", "warning", `${tag} appears more than once`);
+      seen.add(key);
+    }
+
+    for (const match of value.matchAll(URL)) {
+      if (match.index < hookEnd || (foldAt !== null && match.index < foldAt)) {
+        warn(
+          "links",
+          "warning",
+          "A link above the fold pulls readers away before they read on; move it to the end",
+          lineOf(value, match.index)
+        );
+      }
+    }
+
+    const emoji = graphemes(value.replace(URL, "")).filter((grapheme) => EMOJI.test(grapheme.text));
+    if (emoji.length > maxEmoji) {
+      warn("emoji", "warning", `${emoji.length} emoji; more than ${maxEmoji} looks like spam`);
+    }
+
+    const lines = value.split("\n");
+    const firstSeen = new Map();
+    lines.forEach((line, i) => {
+      if (emojiRun(line) > MAX_EMOJI_RUN) {
+        warn("emoji", "warning", `Line ${i + 1} has ${emojiRun(line)} emoji in a row`, i + 1);
+      }
+
+      const words = line
+        .replace(URL, "")
+        .replace(HASHTAG, "$1")
+        .match(/\p{L}{4,}/gu) || [];
+      const shouted = words.filter((word) => word === word.toUpperCase() && word !== word.toLowerCase());
+      if (shouted.length >= MAX_CAPS_WORDS) {
+        warn("caps", "warning", `Line ${i + 1} is in capitals, which reads as shouting`, i + 1);
+      }
+
+      const key = line.replace(/\s+/g, " ").trim().toLowerCase();
+      if (key.length < MIN_REPEATED_LENGTH) return;
+      if (firstSeen.has(key)) {
+        warn("repeated", "warning", `Line ${i + 1} repeats line ${firstSeen.get(key)}`, i + 1);
+      } else {
+        firstSeen.set(key, i + 1);
+      }
+    });
+
+    return { characterCount, foldAt, warnings };
+  }
+
+  /**
+   * String offset where the "see more" fold cuts the text, or null when
+   * the whole text shows
+   */
+  function foldIndex(text, foldLength) {
+    let used = 0;
+    for (const grapheme of graphemes(text)) {
+      used += weight(grapheme.text);
+      if (used > foldLength) return grapheme.index;
+    }
+    return null;
+  }
+
+  function emojiRun(line) {
+    let longest = 0;
+    let run = 0;
+    for (const grapheme of graphemes(line)) {
+      if (EMOJI.test(grapheme.text)) {
+        run++;
+        longest = Math.max(longest, run);
+      } else if (!/\s/.test(grapheme.text)) {
+        run = 0;
+      }
+    }
+    return longest;
+  }
+
+  function lineOf(text, index) {
+    return text.slice(0, index).split("\n").length;
+  }
+
+  function normalizeLineBreaks(text) {
+    return String(text || "").replace(/\r\n?/g, "\n");
+  }
+
+  return {
+    MAX_CHARACTERS,
+    FOLD_LENGTH,
+    countCharacters,
+    truncatePost,
+    lintPost,
+  };
+});
@@ -0,0 +1,95 @@
+/**
+ * Post Output
+ *
+ * Machine-readable renderings of a pipeline result for the CLI agent:
+ * JSON for piping into other tools, a Markdown document with every post,
+ * or one plain-text file per post that can be pasted straight into LinkedIn.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Serializes the result object (see pipeline.js createResult)
+ */
+function renderJson(result) {
+  return JSON.stringify(result, null, 2) + "\n";
+}
+
+/**
+ * Renders all posts as a Markdown document
+ * Post text goes in fenced blocks so line breaks and hashtags survive as-is
+ */
+function renderMarkdown(result) {
+  const lines = [
+    "# LinkedIn AI News Posts",
+    "",
+    `_Generated ${result.timestamp} · ${result.summary.postsGenerated} posts from ${result.summary.articlesFound} articles_`,
+    "",
+  ];
+
+  if (result.posts.length === 0) {
+    lines.push(
+      `> ⚠️ No posts were generated: ${
+        result.error ? result.error.message : result.message
+      }`,
+      ""
+    );
+  }
+
+  result.posts.forEach((post, index) => {
+    lines.push(
+      `## Post ${index + 1}: ${formatStyle(post.style)} (${post.characterCount} characters)`,
+      ""
+    );
+
+    if (post.article.title) {
+      const title = post.article.url
+        ? `[${post.article.title}](${post.article.url})`
+        : post.article.title;
+      lines.push(`**Source:** ${title} · ${post.article.source}`, "");
+    }
+
+    if (post.hashtags.length > 0) {
+      lines.push(`**Hashtags:** ${post.hashtags.join(" ")}`, "");
+    }
+
+    lines.push("```text", post.content, "```", "");
+  });
+
+  if (result.summary.sources.length > 0) {
+    lines.push(`**Sources:** ${result.summary.sources.join(", ")}`, "");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Writes one text file per post (post-01-news_share.txt, ...) into dir
+ * Carousel outlines are Markdown, so they get a .md extension
+ * Returns the written file paths
+ */
+async function writePostFiles(result, dir) {
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const written = [];
+  for (const [index, post] of result.posts.entries()) {
+    const number = String(index + 1).padStart(2, "0");
+    const extension = post.style === "carousel" ? "md" : "txt";
+    const filePath = path.join(dir, `post-${number}-${post.style}.${extension}`);
+    await fs.promises.writeFile(filePath, post.content + "\n");
+    written.push(filePath);
+  }
+  return written;
+}
+
+function formatStyle(style) {
+  const words = style.replace(/_/g, " ");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+module.exports = {
+  renderJson,
+  renderMarkdown,
+  writePostFiles,
+};
@@ -0,0 +1,222 @@
+/**
+ * Prompt Templates
+ *
+ * LLM prompts live in text files named <name>.v<version>.txt, e.g.
+ * prompts/post.v1.txt, with {{variable}} placeholders:
+ *
+ *   analysis  {{articles}}
+ *   post      {{title}} {{summary}} {{whyPositive}} {{keyPoints}} {{source}} {{url}}
+ *             plus the persona: {{persona}} {{role}} {{industry}} {{audience}} {{tone}}
+ *             {{opinionGuidance}} {{emojiGuidance}} (see personas.js)
+ *             and {{momentum}} (coverage of the topic over time, see trends.js)
+ *
+ * Templates from config.prompts.directory are loaded after the built-in
+ * prompts/ directory, so a team can add new versions or replace a file by
+ * using the same name. The newest version of each template is used unless
+ * config.prompts.versions pins one. The id of the template used ("post.v1")
+ * is recorded on generated posts so results can be compared per version.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { BUILTIN_PERSONAS, promptVariables } = require("./personas");
+
+const BUILTIN_PROMPTS_DIR = path.join(__dirname, "prompts");
+const TEMPLATE_FILE = /^([a-z][\w-]*)\.v(\d+)\.txt$/i;
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Sample values for previewing the built-in templates
+ */
+const SAMPLE_VARIABLES = {
+  analysis: {
+    articles: [
+      "",
+      "1. Title: Open-source model matches specialists at protein folding",
+      "   Description: Researchers released weights and training code for a model that predicts protein structures in minutes.",
+      "   Source: technologyreview.com",
+      "",
+      "",
+      "2. Title: Hospitals cut radiology wait times with AI triage",
+      "   Description: A two-year study across 12 hospitals found urgent scans were read 40% sooner.",
+      "   Source: wired.com",
+      "",
+    ].join("\n"),
+  },
+  post: {
+    title: "Open-source model matches specialists at protein folding",
+    summary:
+      "Researchers released weights and training code for a model that predicts protein structures in minutes.",
+    whyPositive: "Puts state-of-the-art biology tools in the hands of every lab",
+    keyPoints: ["Open weights and training code", "Minutes instead of days", "Runs on a single GPU"],
+    source: "technologyreview.com",
+    url: "https://www.technologyreview.com/example-protein-model",
+    momentum: "Research: 6 articles in the past 7 days, up from 2 the 7 days before",
+    ...promptVariables(BUILTIN_PERSONAS.default),
+  },
+};
+
+/**
+ * Raised for unknown templates and missing variables
+ */
+class PromptTemplateError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "PromptTemplateError";
+    this.statusCode = statusCode;
+  }
+}
+
+class PromptTemplate {
+  constructor({ name, version, text, source }) {
+    this.name = name;
+    this.version = version;
+    this.text = text;
+    this.source = source;
+  }
+
+  get id() {
+    return `${this.name}.v${this.version}`;
+  }
+
+  /**
+   * Variable names used by the template, in order of first use
+   */
+  get variables() {
+    return [...new Set([...this.text.matchAll(PLACEHOLDER)].map((match) => match[1]))];
+  }
+
+  /**
+   * Fills in the placeholders; arrays are joined with ", " and null becomes ""
+   * Throws when a variable is not provided, so typos in templates surface
+   */
+  render(variables = {}) {
+    const missing = this.variables.filter((name) => variables[name] === undefined);
+    if (missing.length > 0) {
+      throw new PromptTemplateError(
+        `Prompt ${this.id} needs ${missing.map((name) => `{{${name}}}`).join(", ")}`
+      );
+    }
+
+    return this.text.replace(PLACEHOLDER, (match, name) => {
+      const value = variables[name];
+      if (value === null) return "";
+      return Array.isArray(value) ? value.join(", ") : String(value);
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      version: this.version,
+      source: this.source,
+      variables: this.variables,
+      text: this.text,
+    };
+  }
+}
+
+class PromptRegistry {
+  /**
+   * options:
+   *   directories: template directories, later ones override earlier ones
+   *   versions: { name: version } pins; otherwise the newest version is used
+   */
+  constructor({ directories = [BUILTIN_PROMPTS_DIR], versions = {} } = {}) {
+    this.versions = versions;
+    this.templates = new Map();
+
+    for (const directory of directories) {
+      this.loadDirectory(directory);
+    }
+  }
+
+  loadDirectory(directory) {
+    if (!fs.existsSync(directory)) {
+      throw new PromptTemplateError(`Prompt directory not found: ${directory}`, 500);
+    }
+
+    for (const file of fs.readdirSync(directory).sort()) {
+      const match = file.match(TEMPLATE_FILE);
+      if (!match) continue;
+
+      const template = new PromptTemplate({
+        name: match[1],
+        version: Number(match[2]),
+        text: fs.readFileSync(path.join(directory, file), "utf8").trim(),
+        source: path.relative(process.cwd(), path.join(directory, file)),
+      });
+      this.templates.set(template.id, template);
+    }
+  }
+
+  /**
+   * Returns a template by name, using the pinned or newest version by default
+   */
+  get(name, version = this.versions[name]) {
+    const candidates = [...this.templates.values()].filter((t) => t.name === name);
+    if (candidates.length === 0) {
+      throw new PromptTemplateError(`Unknown prompt template "${name}"`, 404);
+    }
+
+    if (version === undefined || version === null) {
+      return candidates.reduce((newest, t) => (t.version > newest.version ? t : newest));
+    }
+
+    const template = candidates.find((t) => t.version === Number(version));
+    if (!template) {
+      throw new PromptTemplateError(
+        `Prompt template "${name}" has no version ${version} (available: ${candidates
+          .map((t) => t.version)
+          .sort((a, b) => a - b)
+          .join(", ")})`,
+        404
+      );
+    }
+    return template;
+  }
+
+  /**
+   * Renders a template; returns { id, text }
+   */
+  render(name, variables, version) {
+    const template = this.get(name, version);
+    return { id: template.id, text: template.render(variables) };
+  }
+
+  /**
+   * Every loaded template, marking the ones get(name) would use
+   */
+  list() {
+    return [...this.templates.values()]
+      .sort((a, b) => a.name.localeCompare(b.name) || a.version - b.version)
+      .map((template) => ({
+        ...template.toJSON(),
+        active: this.get(template.name).id === template.id,
+      }));
+  }
+}
+
+/**
+ * Creates the registry for config.prompts; directory is relative to baseDir
+ */
+function createPromptRegistry(config = {}, baseDir = process.cwd()) {
+  const settings = config.prompts || {};
+  const directories = [BUILTIN_PROMPTS_DIR];
+
+  if (settings.directory) {
+    directories.push(path.resolve(baseDir, settings.directory));
+  }
+
+  return new PromptRegistry({ directories, versions: settings.versions || {} });
+}
+
+module.exports = {
+  BUILTIN_PROMPTS_DIR,
+  SAMPLE_VARIABLES,
+  PromptTemplateError,
+  PromptTemplate,
+  PromptRegistry,
+  createPromptRegistry,
+};
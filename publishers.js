@@ -0,0 +1,328 @@
+/**
+ * Publishers
+ *
+ * Optional last step after "Copy to Clipboard": send an approved draft to a
+ * social network. Every publisher implements the same small interface
+ * (isAvailable, publish), so the server and scheduler never talk to an API
+ * directly and tests can point the LinkedIn publisher at a local mock server
+ * (see mock-linkedin-server.js).
+ *
+ * Failures are raised as PublishError with a stable `code`:
+ *
+ *   unauthorized  401 - access token missing, invalid or expired
+ *   forbidden     403 - token lacks the w_member_social scope
+ *   rate_limited  429 - retry after `retryAfter` seconds
+ *   invalid_post  422 - LinkedIn rejected the content (e.g. too long)
+ *   api_error     anything else
+ */
+
+const { request } = require("./http-client");
+const { countCharacters, MAX_CHARACTERS } = require("./post-linter");
+
+const LINKEDIN_MAX_CHARACTERS = MAX_CHARACTERS;
+
+class PublishError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "PublishError";
+    this.code = code;
+    this.statusCode = details.statusCode || null;
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+/**
+ * Base class for publishers
+ */
+class Publisher {
+  constructor(options = {}) {
+    this.options = options;
+    this.dryRun = Boolean(options.dryRun);
+    this.requestTimeout = options.requestTimeout || 15000;
+  }
+
+  get name() {
+    return this.constructor.publisherName || this.constructor.name;
+  }
+
+  /**
+   * Whether the publisher has the credentials it needs
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Publishes the text of a draft
+   * Resolves with { urn, url, publishedAt, dryRun, request? }
+   */
+  async publish(draft) {
+    throw new Error(`${this.name} publisher must implement publish(draft)`);
+  }
+}
+
+/**
+ * Publishes text posts through LinkedIn's Posts API (the successor of the
+ * UGC Posts API) with a member OAuth 2.0 access token
+ *
+ * options:
+ *   accessToken  defaults to LINKEDIN_ACCESS_TOKEN
+ *   authorUrn    urn:li:person:... (defaults to LINKEDIN_AUTHOR_URN, otherwise
+ *                looked up once via the OpenID userinfo endpoint)
+ *   apiBaseUrl, apiVersion, visibility, dryRun, requestTimeout
+ */
+class LinkedInPublisher extends Publisher {
+  constructor(options = {}) {
+    super(options);
+    this.accessToken = options.accessToken || process.env.LINKEDIN_ACCESS_TOKEN;
+    this.authorUrn = options.authorUrn || process.env.LINKEDIN_AUTHOR_URN || null;
+    this.apiBaseUrl = (options.apiBaseUrl || "https://api.linkedin.com").replace(/\/$/, "");
+    this.apiVersion = options.apiVersion || "202405";
+    this.visibility = options.visibility || "PUBLIC";
+  }
+
+  isAvailable() {
+    return Boolean(this.accessToken);
+  }
+
+  async publish(draft) {
+    const content = (draft.content || "").trim();
+    if (!content) {
+      throw new PublishError("invalid_post", "Cannot publish an empty post");
+    }
+    // As LinkedIn counts: an emoji is 2 characters, whatever its length in JS
+    const characterCount = countCharacters(content);
+    if (characterCount > LINKEDIN_MAX_CHARACTERS) {
+      throw new PublishError(
+        "invalid_post",
+        `Post is ${characterCount} characters; LinkedIn allows ${LINKEDIN_MAX_CHARACTERS}`
+      );
+    }
+
+    // Dry runs work without credentials so the payload can be reviewed first
+    const author =
+      this.dryRun && !this.accessToken
+        ? this.authorUrn || "urn:li:person:DRY_RUN"
+        : await this.resolveAuthor();
+
+    const body = {
+      author,
+      commentary: toLittleText(content),
+      visibility: this.visibility,
+      distribution: {
+        feedDistribution: "MAIN_FEED",
+        targetEntities: [],
+        thirdPartyDistributionChannels: [],
+      },
+      lifecycleState: "PUBLISHED",
+      isReshareDisabledByAuthor: false,
+    };
+    const url = `${this.apiBaseUrl}/rest/posts`;
+
+    if (this.dryRun) {
+      console.log("🧪 Dry run: LinkedIn post not sent");
+      return {
+        urn: null,
+        url: null,
+        publishedAt: null,
+        dryRun: true,
+        request: {
+          method: "POST",
+          url,
+          headers: this.headers({ redact: true }),
+          body,
+        },
+      };
+    }
+
+    const response = await this.send(url, {
+      method: "POST",
+      headers: { ...this.headers(), "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+    // The new post's URN comes back in a header, not the (empty) body
+    const urn = response.headers["x-restli-id"] || response.headers["x-linkedin-id"];
+    if (!urn) {
+      throw new PublishError("api_error", "LinkedIn did not return a post URN", {
+        statusCode: response.statusCode,
+      });
+    }
+
+    console.log(`✅ Published to LinkedIn: ${urn}`);
+    return {
+      urn,
+      url: `https://www.linkedin.com/feed/update/${urn}/`,
+      publishedAt: new Date().toISOString(),
+      dryRun: false,
+    };
+  }
+
+  /**
+   * Returns the author URN, asking LinkedIn who the token belongs to if needed
+   */
+  async resolveAuthor() {
+    if (!this.accessToken) {
+      throw new PublishError(
+        "unauthorized",
+        "LinkedIn publishing requires LINKEDIN_ACCESS_TOKEN"
+      );
+    }
+    if (this.authorUrn) return this.authorUrn;
+
+    const response = await this.send(`${this.apiBaseUrl}/v2/userinfo`, {
+      headers: { Authorization: `Bearer ${this.accessToken}` },
+    });
+    const profile = JSON.parse(response.body);
+
+    this.authorUrn = `urn:li:person:${profile.sub}`;
+    return this.authorUrn;
+  }
+
+  headers({ redact = false } = {}) {
+    return {
+      Authorization: `Bearer ${redact ? "***" : this.accessToken}`,
+      "LinkedIn-Version": this.apiVersion,
+      "X-Restli-Protocol-Version": "2.0.0",
+    };
+  }
+
+  /**
+   * Sends a request and maps LinkedIn error responses to PublishError
+   */
+  async send(url, options) {
+    let response;
+    try {
+      response = await request(url, {
+        ...options,
+        timeout: this.requestTimeout,
+        allowErrors: true,
+      });
+    } catch (error) {
+      throw new PublishError("api_error", `Could not reach LinkedIn: ${error.message}`);
+    }
+
+    if (response.statusCode >= 200 && response.statusCode < 300) {
+      return response;
+    }
+
+    throw mapLinkedInError(response);
+  }
+}
+
+function mapLinkedInError(response) {
+  const { statusCode } = response;
+  const detail = errorMessage(response.body);
+  const details = { statusCode };
+
+  switch (statusCode) {
+    case 401:
+      return new PublishError(
+        "unauthorized",
+        "LinkedIn access token is invalid or expired; re-authorize and update LINKEDIN_ACCESS_TOKEN",
+        details
+      );
+
+    case 403:
+      return new PublishError(
+        "forbidden",
+        `LinkedIn refused the request${detail ? `: ${detail}` : ""} (the token needs the w_member_social scope)`,
+        details
+      );
+
+    case 429: {
+      const retryAfter = Number(response.headers["retry-after"]);
+      return new PublishError(
+        "rate_limited",
+        "LinkedIn rate limit reached; try again later",
+        { ...details, retryAfter: Number.isFinite(retryAfter) ? retryAfter : null }
+      );
+    }
+
+    case 422:
+      return new PublishError(
+        "invalid_post",
+        `LinkedIn rejected the post${detail ? `: ${detail}` : ""}`,
+        details
+      );
+
+    default:
+      return new PublishError(
+        "api_error",
+        `LinkedIn API error ${statusCode}${detail ? `: ${detail}` : ""}`,
+        details
+      );
+  }
+}
+
+function errorMessage(body) {
+  try {
+    const parsed = JSON.parse(body);
+    return parsed.message || "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Converts plain post text to LinkedIn's "little text" commentary format
+ * Reserved characters are escaped and #Hashtags become hashtag templates,
+ * otherwise LinkedIn drops text after e.g. an unescaped parenthesis
+ */
+function toLittleText(text) {
+  const escape = (value) => value.replace(/[\\|{}@\[\]()<>#*_~]/g, "\\$&");
+
+  let output = "";
+  let lastIndex = 0;
+  for (const match of text.matchAll(/#(\w+)/g)) {
+    output += escape(text.slice(lastIndex, match.index));
+    output += `{hashtag|\\#|${match[1]}}`;
+    lastIndex = match.index + match[0].length;
+  }
+  return output + escape(text.slice(lastIndex));
+}
+
+const publisherRegistry = new Map();
+
+function registerPublisher(name, PublisherClass) {
+  if (!(PublisherClass.prototype instanceof Publisher)) {
+    throw new Error(`Publisher "${name}" must extend Publisher`);
+  }
+  PublisherClass.publisherName = name;
+  publisherRegistry.set(name, PublisherClass);
+}
+
+/**
+ * Creates the publisher configured in config.publishing
+ * Options override the config (e.g. { dryRun: true } for a preview)
+ */
+function createPublisher(config, options = {}) {
+  const settings = { ...(config.publishing || {}), ...options };
+  const PublisherClass = publisherRegistry.get(settings.provider);
+
+  if (!PublisherClass) {
+    throw new Error(
+      `Unknown publisher "${settings.provider}". Registered publishers: ${[
+        ...publisherRegistry.keys(),
+      ].join(", ")}`
+    );
+  }
+
+  return new PublisherClass({
+    requestTimeout: config.search && config.search.requestTimeout,
+    ...(settings[settings.provider] || {}),
+    dryRun: settings.dryRun,
+  });
+}
+
+registerPublisher("linkedin", LinkedInPublisher);
+
+module.exports = {
+  LINKEDIN_MAX_CHARACTERS,
+  PublishError,
+  Publisher,
+  LinkedInPublisher,
+  registerPublisher,
+  createPublisher,
+  toLittleText,
+};
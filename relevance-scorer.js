@@ -0,0 +1,227 @@
+/**
+ * Relevance Scorers
+ *
+ * Rank articles by a weighted mix of three sub-scores, each 0-1:
+ *
+ *   relevance  how well the title and summary match config.aiKeywords
+ *              (implemented per scorer; the built-in "bm25" scorer uses BM25)
+ *   recency    halves every recencyHalfLifeHours since the publish date
+ *   authority  trust of the article's source in the source registry
+ *              (source-registry.js)
+ *
+ * score() sets relevanceScore (the weighted total) and scoreBreakdown
+ * ({ scorer, relevance, recency, authority, weights }) on every article, so
+ * ranking decisions can be traced in the result and the UI.
+ *
+ * Scorers are chosen with config.scoring.scorer. New ones extend
+ * RelevanceScorer, implement relevance(articles) and are registered with
+ * registerScorer("name", MyScorer); options come from config.scoring plus
+ * config.scoring[name].
+ */
+
+const { SourceRegistry } = require("./source-registry");
+
+const DAY_HOURS = 24;
+
+/**
+ * Base class: recency, authority and the weighted total
+ */
+class RelevanceScorer {
+  constructor(options = {}) {
+    this.keywords = options.keywords || [];
+    this.sources = options.sources || new SourceRegistry();
+    this.weights = { relevance: 0.6, recency: 0.25, authority: 0.15, ...options.weights };
+    this.recencyHalfLifeHours = options.recencyHalfLifeHours ?? 2 * DAY_HOURS;
+  }
+
+  /**
+   * Registry name of the scorer (set by registerScorer)
+   */
+  get name() {
+    return this.constructor.scorerName || this.constructor.name;
+  }
+
+  /**
+   * Keyword relevance (0-1) of each article, in order
+   */
+  relevance(articles) {
+    throw new Error(`${this.name} scorer does not implement relevance()`);
+  }
+
+  /**
+   * 1 when just published, 0.5 after one half-life; unknown dates count as 0.5
+   */
+  recency(article, now) {
+    const published = article.publishedDate ? new Date(article.publishedDate) : null;
+    if (!published || Number.isNaN(published.getTime())) return 0.5;
+
+    const ageHours = Math.max(0, (now.getTime() - published.getTime()) / 3600000);
+    return Math.pow(0.5, ageHours / this.recencyHalfLifeHours);
+  }
+
+  authorityOf(article) {
+    return this.sources.lookup(article).trust;
+  }
+
+  /**
+   * Sets relevanceScore and scoreBreakdown on each article (in place)
+   * Returns the articles
+   */
+  score(articles, now = new Date()) {
+    const relevance = this.relevance(articles);
+    const totalWeight =
+      this.weights.relevance + this.weights.recency + this.weights.authority || 1;
+
+    articles.forEach((article, i) => {
+      const parts = {
+        relevance: relevance[i],
+        recency: this.recency(article, now),
+        authority: this.authorityOf(article),
+      };
+      const total =
+        (parts.relevance * this.weights.relevance +
+          parts.recency * this.weights.recency +
+          parts.authority * this.weights.authority) /
+        totalWeight;
+
+      article.relevanceScore = round(total);
+      article.scoreBreakdown = {
+        scorer: this.name,
+        relevance: round(parts.relevance),
+        recency: round(parts.recency),
+        authority: round(parts.authority),
+        weights: { ...this.weights },
+      };
+    });
+    return articles;
+  }
+}
+
+/**
+ * BM25 relevance of the title (counted twice) and summary against the
+ * keyword terms, with IDF taken from the batch being scored
+ *
+ * The IDF is ln(1 + (N + 1) / (n + 0.5)) rather than the classic
+ * ln(1 + (N - n + 0.5) / (n + 0.5)): search results are all about AI, so a
+ * keyword found in every article must still count. The raw score s is mapped
+ * to 0-1 as s / (s + saturation).
+ */
+class Bm25Scorer extends RelevanceScorer {
+  constructor(options = {}) {
+    super(options);
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.saturation = options.saturation ?? 3;
+    this.terms = [...new Set(this.keywords.flatMap(tokenize))];
+  }
+
+  relevance(articles) {
+    if (articles.length === 0 || this.terms.length === 0) {
+      return articles.map(() => 0);
+    }
+
+    const documents = articles.map((article) => {
+      const title = tokenize(article.title);
+      return termCounts([...title, ...title, ...tokenize(article.summary)]);
+    });
+    const averageLength =
+      documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length || 1;
+
+    const idf = new Map(
+      this.terms.map((term) => {
+        const containing = documents.filter((doc) => doc.counts.has(term)).length;
+        return [term, Math.log(1 + (documents.length + 1) / (containing + 0.5))];
+      })
+    );
+
+    return documents.map((doc) => {
+      let score = 0;
+      for (const term of this.terms) {
+        const tf = doc.counts.get(term) || 0;
+        if (tf === 0) continue;
+
+        const norm = this.k1 * (1 - this.b + (this.b * doc.length) / averageLength);
+        score += (idf.get(term) * tf * (this.k1 + 1)) / (tf + norm);
+      }
+      return score / (score + this.saturation);
+    });
+  }
+}
+
+/**
+ * Lowercased words with a plural "s" removed ("networks" → "network")
+ */
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .map((word) =>
+      word.length > 3 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word
+    );
+}
+
+function termCounts(tokens) {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  return { counts, length: tokens.length };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Scorer registry
+ */
+const scorerRegistry = new Map();
+
+/**
+ * Registers a scorer class under a config name (e.g. "bm25")
+ */
+function registerScorer(name, ScorerClass) {
+  if (!(ScorerClass.prototype instanceof RelevanceScorer)) {
+    throw new Error(`Scorer "${name}" must extend RelevanceScorer`);
+  }
+  ScorerClass.scorerName = name;
+  scorerRegistry.set(name, ScorerClass);
+}
+
+function getRegisteredScorers() {
+  return [...scorerRegistry.keys()];
+}
+
+/**
+ * Instantiates the scorer named in config.scoring.scorer with the keywords of
+ * the config; sources defaults to a registry built from config.sources
+ */
+function createScorer(config, sources = SourceRegistry.fromConfig(config.sources)) {
+  const scoring = config.scoring || { scorer: "bm25" };
+  const ScorerClass = scorerRegistry.get(scoring.scorer);
+  if (!ScorerClass) {
+    throw new Error(
+      `Unknown relevance scorer "${scoring.scorer}". Registered scorers: ${getRegisteredScorers().join(
+        ", "
+      )}`
+    );
+  }
+
+  return new ScorerClass({
+    keywords: config.aiKeywords,
+    sources,
+    ...scoring,
+    ...(scoring[scoring.scorer] || {}),
+  });
+}
+
+registerScorer("bm25", Bm25Scorer);
+
+module.exports = {
+  RelevanceScorer,
+  Bm25Scorer,
+  registerScorer,
+  getRegisteredScorers,
+  createScorer,
+};
@@ -0,0 +1,357 @@
+/**
+ * Local Scheduler
+ *
+ * Runs inside server.js while the web UI is up. Once per tick it:
+ *
+ * - advances scheduled drafts through their states
+ *     scheduled → ready (within readyLeadMinutes of the slot) → due (slot reached)
+ * - publishes drafts as they become due, if a publish callback is given
+ *   (publishing.publishScheduled), retrying rate limits and LinkedIn
+ *   outages with a growing delay; other failures, or MAX_PUBLISH_ATTEMPTS
+ *   failures in a row, end the schedule as failed
+ * - starts a generation run when the configured cron expression matches
+ *
+ * Cron expressions use the usual five fields in local time:
+ *
+ *   minute (0-59) hour (0-23) day-of-month (1-31) month (1-12) day-of-week (0-7, 0 and 7 = Sunday)
+ *
+ * Each field accepts *, numbers, ranges (1-5), lists (1,3,5) and steps (0-59/15, 8-18/2).
+ * As in standard cron, a day matches when both day fields match, unless
+ * both are restricted (don't start with *): then either may match.
+ */
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+// Far enough to cover e.g. "0 0 29 2 *" (Feb 29th) across leap years
+const MAX_CRON_LOOKAHEAD_DAYS = 366 * 8;
+
+// Publish failures worth trying again (PublishError codes, see publishers.js)
+const RETRYABLE_PUBLISH_ERRORS = ["rate_limited", "api_error"];
+const MAX_PUBLISH_ATTEMPTS = 5;
+// Delay before the first retry unless LinkedIn sent Retry-After; it doubles
+// with each failed attempt, up to MAX_PUBLISH_RETRY_DELAY
+const PUBLISH_RETRY_DELAY = 60000;
+const MAX_PUBLISH_RETRY_DELAY = 3600000;
+
+/**
+ * Parses a five-field cron expression
+ * Returns { expression, minute, hour, dayOfMonth, month, dayOfWeek } where
+ * each field is a Set of allowed values; throws on invalid syntax
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(
+      `Cron expression "${expression}" must have 5 fields (minute hour day-of-month month day-of-week)`
+    );
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) =>
+    parseCronField(part, CRON_FIELDS[i], expression)
+  );
+
+  // 7 is an alias for Sunday
+  if (dayOfWeek.values.has(7)) {
+    dayOfWeek.values.delete(7);
+    dayOfWeek.values.add(0);
+  }
+
+  return {
+    expression: parts.join(" "),
+    minute: minute.values,
+    hour: hour.values,
+    dayOfMonth: dayOfMonth.values,
+    month: month.values,
+    dayOfWeek: dayOfWeek.values,
+    // Standard cron: when both day fields are restricted, either may match;
+    // "*/2" starts with * and so is not restricted
+    dayOfMonthRestricted: !dayOfMonth.wildcard,
+    dayOfWeekRestricted: !dayOfWeek.wildcard,
+  };
+}
+
+function parseCronField(part, field, expression) {
+  const values = new Set();
+  const invalid = () =>
+    new Error(
+      `Invalid ${field.name} "${part}" in cron expression "${expression}" (allowed ${field.min}-${field.max})`
+    );
+
+  for (const item of part.split(",")) {
+    const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw invalid();
+
+    const [, range, start, end, step] = match;
+    let from = field.min;
+    let to = field.max;
+
+    if (range !== "*") {
+      from = Number(start);
+      // "5/15" means "from 5 to the end, every 15"
+      to = end !== undefined ? Number(end) : step !== undefined ? field.max : from;
+    }
+
+    const increment = step !== undefined ? Number(step) : 1;
+    if (from < field.min || to > field.max || from > to || increment < 1) {
+      throw invalid();
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return { values, wildcard: part.startsWith("*") };
+}
+
+/**
+ * Whether the cron expression fires at the minute containing date
+ */
+function cronMatches(cron, date) {
+  return (
+    cron.minute.has(date.getMinutes()) &&
+    cron.hour.has(date.getHours()) &&
+    cron.month.has(date.getMonth() + 1) &&
+    dayMatches(cron, date)
+  );
+}
+
+function dayMatches(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getDate());
+  const dow = cron.dayOfWeek.has(date.getDay());
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return dom || dow;
+  }
+  return dom && dow;
+}
+
+/**
+ * Returns the first minute strictly after `after` at which the cron fires,
+ * or null if there is none (e.g. "0 0 31 2 *")
+ */
+function nextCronRun(cron, after = new Date()) {
+  const candidate = new Date(after);
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+
+  const limit = new Date(candidate);
+  limit.setDate(limit.getDate() + MAX_CRON_LOOKAHEAD_DAYS);
+
+  while (candidate < limit) {
+    if (!cron.month.has(candidate.getMonth() + 1) || !dayMatches(cron, candidate)) {
+      // Skip to the start of the next day
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!cron.hour.has(candidate.getHours())) {
+      candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (cron.minute.has(candidate.getMinutes())) {
+      return candidate;
+    }
+    candidate.setMinutes(candidate.getMinutes() + 1);
+  }
+
+  return null;
+}
+
+class LocalScheduler {
+  /**
+   * options:
+   *   store: DraftsStore holding the scheduled drafts
+   *   generate: async () => result, starts one generation run
+   *   publish: optional async (draft) => ..., called when a scheduled draft becomes due
+   *   generationCron: cron expression for generation runs ("" = none)
+   *   readyLeadMinutes, tickInterval: see config.schedule
+   */
+  constructor({ store, generate, publish = null, generationCron = "", readyLeadMinutes = 60, tickInterval = 60000 }) {
+    this.store = store;
+    this.generate = generate;
+    this.publish = publish;
+    this.cron = generationCron ? parseCron(generationCron) : null;
+    this.readyLead = readyLeadMinutes * 60000;
+    this.tickInterval = tickInterval;
+
+    this.timer = null;
+    this.running = false;
+    this.lastCheck = null;
+    this.lastRun = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    // Never keep the process alive just for the scheduler
+    this.timer.unref();
+    this.tick();
+
+    console.log(
+      this.cron
+        ? `⏰ Scheduler started (generation runs: "${this.cron.expression}")`
+        : "⏰ Scheduler started (no automatic generation runs)"
+    );
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick(now = new Date()) {
+    await this.advance(now);
+
+    if (this.cron) {
+      // Look for a cron minute since the previous tick, so timer drift never
+      // skips a run; the first tick also counts the current minute
+      const since = this.lastCheck || new Date(now.getTime() - 60000);
+      this.lastCheck = now;
+
+      const next = nextCronRun(this.cron, since);
+      if (next && next <= now) {
+        await this.runGeneration(now);
+      }
+    }
+  }
+
+  /**
+   * Moves scheduled drafts to ready / due without touching generation runs
+   */
+  async advance(now = new Date()) {
+    try {
+      const changed = await this.store.advanceSchedules(now, this.readyLead);
+      for (const draft of changed) {
+        const title = draft.article && draft.article.title ? draft.article.title : draft.id;
+        const icon = draft.schedule.state === "due" ? "🔔" : "📌";
+        console.log(`${icon} Scheduled post is ${draft.schedule.state}: ${title}`);
+      }
+
+      if (this.publish) {
+        const due = changed.filter((d) => d.schedule.state === "due");
+        const retries = (await this.store.listScheduled()).filter(
+          (d) => !due.some((other) => other.id === d.id) && isRetryDue(d, now)
+        );
+        for (const draft of [...due, ...retries]) {
+          await this.publishDue(draft, now);
+        }
+      }
+    } catch (error) {
+      console.error("❌ Could not update scheduled posts:", error.message);
+    }
+  }
+
+  /**
+   * Publishes a draft whose slot arrived; failures stay on the draft for the
+   * UI, and one that won't be retried ends the schedule as failed
+   */
+  async publishDue(draft, now = new Date()) {
+    try {
+      await this.publish(draft);
+    } catch (error) {
+      console.error(`❌ Could not publish scheduled post ${draft.id}:`, error.message);
+
+      // A draft someone else is publishing or has changed is left alone
+      const current = await this.store.get(draft.id);
+      const waiting = current.status === "approved" && current.schedule && current.schedule.state === "due";
+      if (waiting && !canRetry(current.publishError)) {
+        await this.store.failSchedule(draft.id, now);
+        console.error(`❌ Gave up publishing scheduled post ${draft.id}`);
+      }
+    }
+  }
+
+  /**
+   * Starts a generation run unless one is still in progress
+   */
+  async runGeneration(now = new Date()) {
+    if (this.running) {
+      console.warn("⚠️ Skipping scheduled generation run: previous run still in progress");
+      return null;
+    }
+
+    this.running = true;
+    console.log("🗓️ Starting scheduled generation run...");
+
+    try {
+      const result = await this.generate();
+      this.lastRun = {
+        startedAt: now.toISOString(),
+        status: result.status,
+        postsGenerated: result.summary.postsGenerated,
+        error: result.error ? result.error.message : null,
+      };
+      return result;
+    } catch (error) {
+      console.error("❌ Scheduled generation run failed:", error.message);
+      this.lastRun = {
+        startedAt: now.toISOString(),
+        status: "error",
+        postsGenerated: 0,
+        error: error.message,
+      };
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  status(now = new Date()) {
+    const next = this.cron ? nextCronRun(this.cron, now) : null;
+
+    return {
+      active: Boolean(this.timer),
+      generationCron: this.cron ? this.cron.expression : null,
+      nextGenerationRun: next ? next.toISOString() : null,
+      running: this.running,
+      lastRun: this.lastRun,
+      readyLeadMinutes: this.readyLead / 60000,
+    };
+  }
+}
+
+/**
+ * Whether a failed publish is worth another attempt
+ */
+function canRetry(publishError) {
+  return Boolean(
+    publishError &&
+      RETRYABLE_PUBLISH_ERRORS.includes(publishError.code) &&
+      (publishError.attempts || 1) < MAX_PUBLISH_ATTEMPTS
+  );
+}
+
+/**
+ * Whether a due draft whose last publish failed should be tried again now
+ */
+function isRetryDue(draft, now) {
+  const { schedule, publishError } = draft;
+  if (draft.status !== "approved" || schedule.state !== "due" || !canRetry(publishError)) {
+    return false;
+  }
+
+  const delay = publishError.retryAfter
+    ? publishError.retryAfter * 1000
+    : Math.min(
+        PUBLISH_RETRY_DELAY * 2 ** ((publishError.attempts || 1) - 1),
+        MAX_PUBLISH_RETRY_DELAY
+      );
+  return now.getTime() >= new Date(publishError.at).getTime() + delay;
+}
+
+module.exports = {
+  parseCron,
+  cronMatches,
+  nextCronRun,
+  LocalScheduler,
+};
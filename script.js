@@ -1,6 +1,8 @@
 class AIGoodNewsUI {
     constructor() {
         this.generateBtn = document.getElementById('generateBtn');
+        this.templatePostsBtn = document.getElementById('templatePostsBtn');
+        this.digestBtn = document.getElementById('digestBtn');
         this.loading = document.getElementById('loading');
         this.resultsSection = document.getElementById('resultsSection');
         this.errorSection = document.getElementById('errorSection');
@@ -9,51 +11,137 @@ class AIGoodNewsUI {
         this.copyBtn = document.getElementById('copyBtn');
         this.regenerateBtn = document.getElementById('regenerateBtn');
         this.charCount = document.getElementById('charCount');
+        this.postWarnings = document.getElementById('postWarnings');
         this.briefingMeta = document.getElementById('briefingMeta');
         this.retryBtn = document.getElementById('retryBtn');
+        this.postsPanel = document.getElementById('postsPanel');
+        this.postsList = document.getElementById('postsList');
+        this.draftStatus = document.getElementById('draftStatus');
+        this.saveState = document.getElementById('saveState');
+        this.similarWarning = document.getElementById('similarWarning');
+        this.historyList = document.getElementById('historyList');
+        this.historyFilter = document.getElementById('historyFilter');
+        this.scheduleAt = document.getElementById('scheduleAt');
+        this.scheduleBtn = document.getElementById('scheduleBtn');
+        this.scheduleHint = document.getElementById('scheduleHint');
+        this.publishBtn = document.getElementById('publishBtn');
+        this.publishedLink = document.getElementById('publishedLink');
+        this.calendarBtn = document.getElementById('calendarBtn');
+        this.calendarSection = document.getElementById('calendarSection');
+        this.calendarTitle = document.getElementById('calendarTitle');
+        this.calendarMeta = document.getElementById('calendarMeta');
+        this.calendarGrid = document.getElementById('calendarGrid');
+        this.trendsBtn = document.getElementById('trendsBtn');
+        this.trendsSection = document.getElementById('trendsSection');
+        this.trendWindow = document.getElementById('trendWindow');
+        this.trendsMeta = document.getElementById('trendsMeta');
+        this.trendChart = document.getElementById('trendChart');
+        this.trendTopics = document.getElementById('trendTopics');
+        this.trendEntitiesHeading = document.getElementById('trendEntitiesHeading');
+        this.trendEntities = document.getElementById('trendEntities');
+        this.sourcesBtn = document.getElementById('sourcesBtn');
+        this.sourcesSection = document.getElementById('sourcesSection');
+        this.sourcesMeta = document.getElementById('sourcesMeta');
+        this.sourcesList = document.getElementById('sourcesList');
+        this.sourceForm = document.getElementById('sourceForm');
+        this.sourceDomain = document.getElementById('sourceDomain');
+        this.allowPatterns = document.getElementById('allowPatterns');
+        this.denyPatterns = document.getElementById('denyPatterns');
+        this.promptsBtn = document.getElementById('promptsBtn');
+        this.promptsSection = document.getElementById('promptsSection');
+        this.promptSelect = document.getElementById('promptSelect');
+        this.promptMeta = document.getElementById('promptMeta');
+        this.promptTemplate = document.getElementById('promptTemplate');
+        this.promptPreview = document.getElementById('promptPreview');
+        this.personaSelect = document.getElementById('personaSelect');
         
         this.currentData = null;
+        this.currentPost = null;
+        this.saveTimer = null;
+        this.calendarStart = this.startOfDay(new Date());
+        this.prompts = [];
+        this.personas = [];
+        // posts.maxCharacters / maxHashtags from the server; the linter's defaults until loaded
+        this.postLimits = {};
+        this.lastRun = { endpoint: '/api/generate', button: this.generateBtn };
         
         this.initializeEventListeners();
     }
 
     initializeEventListeners() {
-        this.generateBtn.addEventListener('click', () => this.generateBriefing());
+        this.generateBtn.addEventListener('click', () => this.generateBriefing('/api/generate', this.generateBtn));
+        this.templatePostsBtn.addEventListener('click', () => this.generateBriefing('/api/linkedin-posts', this.templatePostsBtn));
+        this.digestBtn.addEventListener('click', () => this.generateBriefing('/api/digest', this.digestBtn));
         this.copyBtn.addEventListener('click', () => this.copyToClipboard());
         this.regenerateBtn.addEventListener('click', () => this.regeneratePost());
-        this.retryBtn.addEventListener('click', () => this.generateBriefing());
-        this.linkedinPost.addEventListener('input', () => this.updateCharCount());
+        this.retryBtn.addEventListener('click', () => this.generateBriefing(this.lastRun.endpoint, this.lastRun.button));
+        this.linkedinPost.addEventListener('input', () => {
+            this.updateCharCount();
+            this.scheduleDraftSave();
+        });
+        this.draftStatus.addEventListener('change', () => this.updateDraft({ status: this.draftStatus.value }));
+        this.historyFilter.addEventListener('change', () => this.loadHistory());
+        this.scheduleBtn.addEventListener('click', () => this.schedulePost());
+        this.publishBtn.addEventListener('click', () => this.publishPost());
+        this.calendarBtn.addEventListener('click', () => this.toggleCalendar());
+        document.getElementById('calendarPrev').addEventListener('click', () => this.shiftCalendar(-7));
+        document.getElementById('calendarNext').addEventListener('click', () => this.shiftCalendar(7));
+        this.trendsBtn.addEventListener('click', () => this.toggleTrends());
+        this.trendWindow.addEventListener('change', () => this.loadTrends());
+        this.sourcesBtn.addEventListener('click', () => this.toggleSources());
+        this.sourceForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSource(this.sourceDomain.value.trim(), {}).then(saved => {
+                if (saved) this.sourceDomain.value = '';
+            });
+        });
+        document.getElementById('savePatternsBtn').addEventListener('click', () => this.savePatterns());
+        this.promptsBtn.addEventListener('click', () => this.togglePrompts());
+        this.promptSelect.addEventListener('change', () => this.previewPrompt());
+        this.personaSelect.addEventListener('change', () => {
+            if (this.promptsSection.style.display !== 'none') {
+                this.previewPrompt();
+            }
+        });
+        
+        this.loadPersonas();
+        this.loadPostLimits();
+        this.loadHistory();
     }
 
-    async generateBriefing() {
+    async generateBriefing(endpoint, button) {
+        this.lastRun = { endpoint, button };
+        
         try {
-            this.showLoading();
+            this.showLoading(button);
             this.updateProgressStep(1);
             
-            const result = await this.executeAgent();
+            const result = await this.executeAgent(endpoint);
             
             if (result.success) {
                 this.currentData = result;
                 this.displayResults(result);
+                this.loadHistory();
             } else {
-                this.showError(result.error);
+                this.showError(result.error ? result.error.message : result.message);
             }
         } catch (error) {
             this.showError(`Failed to generate briefing: ${error.message}`);
         } finally {
-            this.hideLoading();
+            this.hideLoading(button);
         }
     }
 
-    async executeAgent() {
+    async executeAgent(endpoint) {
         try {
             this.updateProgressStep(1);
             
-            const response = await fetch('/api/generate', {
+            const response = await fetch(endpoint, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
-                }
+                },
+                body: JSON.stringify({ persona: this.getPersona() })
             });
             
             this.updateProgressStep(2);
@@ -71,70 +159,113 @@ class AIGoodNewsUI {
     }
 
     getSampleData() {
+        const linkedinPost = `🚀 Incredible breakthrough in AI research!
+
+Scientists have developed an AI system that can conduct research autonomously at human-level performance. This isn't just another AI milestone - it's a potential game-changer for solving humanity's biggest challenges.
+
+Imagine AI systems accelerating discoveries in:
+• Climate science solutions
+• Medical breakthroughs  
+• Sustainable technology
+• Space exploration
+
+The possibilities are endless when we combine human creativity with AI's computational power.
+
+What scientific challenge would you want AI to tackle first?
+
+#ArtificialIntelligence #Research #Innovation #Science #FutureOfWork
+
+Source: https://example.com/ai-research-breakthrough`;
+
         return {
+            schemaVersion: 1,
             success: true,
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            runtime: 0,
             articles: [
                 {
-                    rank: 1,
                     title: "Revolutionary AI Model Achieves Human-Level Performance in Scientific Research",
+                    url: "https://example.com/ai-research-breakthrough",
                     summary: "Researchers have developed an AI system that can conduct scientific research autonomously, making discoveries at the pace of human scientists while requiring minimal supervision.",
-                    whyPositive: "This breakthrough could accelerate scientific discovery across multiple fields, from medicine to climate science, potentially solving complex global challenges faster than ever before.",
+                    source: "TechCrunch",
+                    sourceName: "TechCrunch",
+                    author: null,
+                    publishedDate: null,
+                    relevanceScore: null,
                     keyPoints: [
                         "Autonomous research capabilities",
                         "Human-level performance in complex tasks",
                         "Potential to accelerate global problem-solving"
                     ],
-                    url: "https://example.com/ai-research-breakthrough",
-                    source: "TechCrunch"
+                    rank: 1,
+                    whyPositive: "This breakthrough could accelerate scientific discovery across multiple fields, from medicine to climate science, potentially solving complex global challenges faster than ever before."
                 },
                 {
-                    rank: 2,
                     title: "AI-Powered Drug Discovery Platform Reduces Development Time by 70%",
+                    url: "https://example.com/ai-drug-discovery",
                     summary: "A new AI platform has successfully identified potential drug candidates in months rather than years, with three compounds already entering clinical trials.",
-                    whyPositive: "This advancement could dramatically reduce the time and cost of bringing life-saving medications to market, potentially helping millions of patients worldwide.",
+                    source: "VentureBeat",
+                    sourceName: "VentureBeat",
+                    author: null,
+                    publishedDate: null,
+                    relevanceScore: null,
                     keyPoints: [
                         "70% reduction in discovery time",
                         "Three compounds in clinical trials",
                         "Significant cost savings for healthcare"
                     ],
-                    url: "https://example.com/ai-drug-discovery",
-                    source: "VentureBeat"
+                    rank: 2,
+                    whyPositive: "This advancement could dramatically reduce the time and cost of bringing life-saving medications to market, potentially helping millions of patients worldwide."
                 }
             ],
-            linkedinPost: `🚀 Incredible breakthrough in AI research!
-
-Scientists have developed an AI system that can conduct research autonomously at human-level performance. This isn't just another AI milestone - it's a potential game-changer for solving humanity's biggest challenges.
-
-Imagine AI systems accelerating discoveries in:
-• Climate science solutions
-• Medical breakthroughs  
-• Sustainable technology
-• Space exploration
-
-The possibilities are endless when we combine human creativity with AI's computational power.
-
-What scientific challenge would you want AI to tackle first?
-
-#ArtificialIntelligence #Research #Innovation #Science #FutureOfWork
-
-Source: https://example.com/ai-research-breakthrough`,
-            overallTrend: "The AI field is experiencing unprecedented positive momentum with breakthroughs in autonomous research, drug discovery, and scientific applications that promise to benefit humanity.",
-            timestamp: new Date().toISOString()
+            posts: [
+                {
+                    content: linkedinPost,
+                    style: 'llm',
+                    characterCount: PostLinter.countCharacters(linkedinPost),
+                    hashtags: ['#ArtificialIntelligence', '#Research', '#Innovation', '#Science', '#FutureOfWork'],
+                    sourceUrl: "https://example.com/ai-research-breakthrough",
+                    article: {
+                        title: "Revolutionary AI Model Achieves Human-Level Performance in Scientific Research",
+                        source: "TechCrunch",
+                        url: "https://example.com/ai-research-breakthrough"
+                    },
+                    generator: 'sample'
+                }
+            ],
+            analysis: {
+                overallTrend: "The AI field is experiencing unprecedented positive momentum with breakthroughs in autonomous research, drug discovery, and scientific applications that promise to benefit humanity.",
+                generator: 'sample'
+            },
+            summary: {
+                articlesFound: 2,
+                postsGenerated: 1,
+                sources: ['TechCrunch', 'VentureBeat'],
+                styles: ['llm']
+            },
+            error: null,
+            message: 'Workflow completed successfully'
         };
     }
 
-    showLoading() {
+    showLoading(button) {
         this.generateBtn.disabled = true;
-        this.generateBtn.textContent = 'Generating...';
+        this.templatePostsBtn.disabled = true;
+        this.digestBtn.disabled = true;
+        button.dataset.label = button.textContent;
+        button.textContent = 'Generating...';
         this.loading.style.display = 'block';
         this.resultsSection.style.display = 'none';
         this.errorSection.style.display = 'none';
         this.resetProgressSteps();
     }
 
-    hideLoading() {
+    hideLoading(button) {
         this.generateBtn.disabled = false;
-        this.generateBtn.textContent = 'Generate Briefing';
+        this.templatePostsBtn.disabled = false;
+        this.digestBtn.disabled = false;
+        button.textContent = button.dataset.label;
         this.loading.style.display = 'none';
     }
 
@@ -168,41 +299,207 @@ Source: https://example.com/ai-research-breakthrough`,
             month: 'long',
             day: 'numeric'
         });
-        this.briefingMeta.textContent = `Generated on ${date} • ${data.articles.length} positive developments found`;
+        const rankedArticles = this.getRankedArticles(data);
+        this.briefingMeta.textContent = `Generated on ${date} • ${rankedArticles.length} positive developments found`;
+        const promptVersion = data.posts[0] && data.posts[0].promptVersion;
+        if (promptVersion) {
+            this.briefingMeta.textContent += ` • prompt ${promptVersion}`;
+        }
+        const persona = data.posts[0] && data.posts[0].persona;
+        if (persona) {
+            this.briefingMeta.textContent += ` • as ${this.getPersonaName(persona)}`;
+        }
         
         // Display news articles
-        this.displayNewsArticles(data.articles);
+        this.displayNewsArticles(rankedArticles);
         
         // Display LinkedIn post
-        this.linkedinPost.value = data.linkedinPost;
-        this.updateCharCount();
+        this.showPost(data.posts[0] || null);
+        
+        // Display every generated post with its style
+        this.displayPosts(data.posts);
         
         // Scroll to results
         this.resultsSection.scrollIntoView({ behavior: 'smooth' });
     }
 
+    showPost(post) {
+        this.currentPost = post;
+        this.linkedinPost.value = post ? post.content : '';
+        this.draftStatus.value = (post && post.status) || 'draft';
+        this.draftStatus.disabled = !post || !post.draftId || post.status === 'publishing';
+        this.saveState.textContent = '';
+        this.updateCharCount();
+        this.updateScheduleControls();
+        this.updateSimilarWarning();
+    }
+
+    // Warns when the draft repeats something posted recently (drafts-store similarTo)
+    updateSimilarWarning() {
+        const similarTo = this.currentPost && this.currentPost.similarTo;
+        
+        this.similarWarning.style.display = similarTo ? 'block' : 'none';
+        if (similarTo) {
+            const percent = Math.round(similarTo.similarity * 100);
+            this.similarWarning.textContent = `⚠️ ${percent}% similar to a post from ${this.formatDateTime(similarTo.postedAt)}`;
+        }
+    }
+
+    updateScheduleControls() {
+        const post = this.currentPost;
+        const canSchedule = Boolean(post && post.draftId && post.status === 'approved');
+        
+        this.scheduleAt.disabled = !canSchedule;
+        this.scheduleBtn.disabled = !canSchedule;
+        this.publishBtn.disabled = !canSchedule;
+        
+        const publication = post && post.publication;
+        this.publishedLink.style.display = publication ? 'inline' : 'none';
+        if (publication) {
+            this.publishedLink.href = publication.url;
+            this.publishedLink.textContent = `🔗 View on LinkedIn (${publication.urn})`;
+        }
+        this.scheduleAt.value = post && post.schedule ? this.toLocalInputValue(new Date(post.schedule.scheduledFor)) : '';
+        
+        if (post && post.publishError && post.status === 'approved') {
+            this.scheduleHint.textContent = `⚠️ Last publish failed: ${post.publishError.message}`;
+        } else if (post && post.schedule) {
+            this.scheduleHint.textContent = `Scheduled for ${this.formatDateTime(post.schedule.scheduledFor)} (${post.schedule.state})`;
+        } else {
+            this.scheduleHint.textContent = canSchedule ? 'Pick a date and time' : 'Approve the draft to schedule it';
+        }
+    }
+
+    getRankedArticles(data) {
+        return data.articles
+            .filter(article => article.rank !== null)
+            .sort((a, b) => a.rank - b.rank);
+    }
+
     displayNewsArticles(articles) {
         this.newsArticles.innerHTML = '';
         
+        // Article fields come from feeds and web pages, so never render them as HTML
         articles.forEach(article => {
             const articleEl = document.createElement('div');
             articleEl.className = 'news-article';
             
-            articleEl.innerHTML = `
-                <a href="${article.url}" target="_blank" class="article-title">
-                    ${article.title}
-                </a>
-                <div class="article-summary">${article.summary}</div>
-                <div class="article-meta">
-                    <span>${article.source}</span>
-                    <span>Rank #${article.rank}</span>
-                </div>
-            `;
+            const title = document.createElement('a');
+            title.className = 'article-title';
+            title.target = '_blank';
+            title.rel = 'noopener';
+            title.textContent = article.title;
+            if (/^https?:\/\//i.test(article.url || '')) {
+                title.href = article.url;
+            }
+            
+            const summary = document.createElement('div');
+            summary.className = 'article-summary';
+            summary.textContent = article.summary;
+            
+            const meta = document.createElement('div');
+            meta.className = 'article-meta';
+            meta.append(this.createMetaTag(article.source));
+            if (article.topic) {
+                meta.append(this.createMetaTag(article.topic));
+            }
+            if (article.paywall) {
+                meta.append(this.createMetaTag('🔒 Paywall', 'Paywalled source'));
+            }
+            if (article.enriched) {
+                meta.append(this.createMetaTag('📄 Full text', 'Key points from the full article text'));
+            }
+            const funding = article.entities && article.entities.money.find(item => item.round && item.company);
+            if (funding) {
+                meta.append(this.createMetaTag(`💰 ${funding.text}`, `Funding raised by ${funding.company}`));
+            }
+            if (typeof article.relevanceScore === 'number') {
+                meta.append(this.createScoreTag(article));
+            }
+            meta.append(this.createMetaTag(`Rank #${article.rank}`));
             
+            articleEl.append(title, summary, meta);
             this.newsArticles.appendChild(articleEl);
         });
     }
 
+    createMetaTag(text, tooltip) {
+        const tag = document.createElement('span');
+        tag.textContent = text;
+        if (tooltip) {
+            tag.title = tooltip;
+        }
+        return tag;
+    }
+
+    // Score with its sub-scores in the tooltip, to trace ranking decisions
+    createScoreTag(article) {
+        const breakdown = article.scoreBreakdown;
+        const tooltip = breakdown
+            ? `${breakdown.scorer}: relevance ${breakdown.relevance} • recency ${breakdown.recency} • authority ${breakdown.authority}`
+            : 'Relevance score';
+        const tag = this.createMetaTag(`Score ${article.relevanceScore.toFixed(2)}`, tooltip);
+        tag.className = 'article-score';
+        return tag;
+    }
+
+    displayPosts(posts) {
+        this.postsList.innerHTML = '';
+        this.postsPanel.style.display = posts.length > 1 ? 'block' : 'none';
+        
+        posts.forEach((post, index) => {
+            const card = document.createElement('div');
+            card.className = index === 0 ? 'post-card selected' : 'post-card';
+            
+            const header = document.createElement('div');
+            header.className = 'post-card-header';
+            
+            const style = document.createElement('span');
+            style.className = 'post-style';
+            style.textContent = post.style.replace(/_/g, ' ');
+            
+            const meta = document.createElement('span');
+            meta.textContent = `Post ${index + 1} • ${post.characterCount} characters`;
+            
+            header.append(style, meta);
+            
+            // Post content comes from article text, so never render it as HTML
+            const preview = document.createElement('pre');
+            preview.className = 'post-preview';
+            preview.textContent = post.content;
+            
+            const actions = document.createElement('div');
+            actions.className = 'post-card-actions';
+            
+            const useBtn = document.createElement('button');
+            useBtn.textContent = '✏️ Use this post';
+            useBtn.addEventListener('click', () => this.selectPost(card, post));
+            
+            const copyBtn = document.createElement('button');
+            copyBtn.textContent = '📋 Copy';
+            copyBtn.addEventListener('click', async () => {
+                await navigator.clipboard.writeText(post.content);
+                copyBtn.textContent = '✅ Copied!';
+                setTimeout(() => {
+                    copyBtn.textContent = '📋 Copy';
+                }, 2000);
+            });
+            
+            actions.append(useBtn, copyBtn);
+            card.append(header, preview, actions);
+            this.postsList.appendChild(card);
+        });
+    }
+
+    selectPost(card, post) {
+        this.postsList.querySelectorAll('.post-card').forEach(el => el.classList.remove('selected'));
+        card.classList.add('selected');
+        
+        this.flushDraftSave();
+        this.showPost(post);
+        this.linkedinPost.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
     async copyToClipboard() {
         try {
             await navigator.clipboard.writeText(this.linkedinPost.value);
@@ -241,16 +538,19 @@ Source: https://example.com/ai-research-breakthrough`,
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    articles: this.currentData.articles,
-                    overallTrend: this.currentData.overallTrend
+                    articles: this.getRankedArticles(this.currentData),
+                    overallTrend: this.currentData.analysis.overallTrend,
+                    momentum: this.currentData.analysis.momentum,
+                    persona: this.getPersona()
                 })
             });
             
             const result = await response.json();
             
             if (result.success) {
-                this.linkedinPost.value = result.linkedinPost;
-                this.updateCharCount();
+                this.flushDraftSave();
+                this.showPost(result.post);
+                this.loadHistory();
             } else {
                 alert('Failed to regenerate post: ' + result.error);
             }
@@ -263,12 +563,23 @@ Source: https://example.com/ai-research-breakthrough`,
         }
     }
 
+    // Counts and checks the post the way LinkedIn shows it (post-linter.js)
     updateCharCount() {
-        const count = this.linkedinPost.value.length;
+        const value = this.linkedinPost.value;
+        const count = PostLinter.countCharacters(value);
         this.charCount.textContent = `${count} characters`;
         
+        // Series parts are posted one by one, so each is checked on its own
+        const parts = this.currentPost && this.currentPost.style === 'series'
+            ? value.split(/\n\s*---\s*\n/)
+            : [value];
+        this.updatePostWarnings(parts.flatMap((part, i) => PostLinter.lintPost(part, this.postLimits).warnings.map(warning => ({
+            ...warning,
+            message: parts.length > 1 ? `Part ${i + 1}: ${warning.message}` : warning.message
+        }))));
+        
         // Color coding for LinkedIn limits
-        if (count > 3000) {
+        if (count > (this.postLimits.maxCharacters || PostLinter.MAX_CHARACTERS)) {
             this.charCount.style.color = '#d93025';
         } else if (count > 1300) {
             this.charCount.style.color = '#f9ab00';
@@ -277,6 +588,753 @@ Source: https://example.com/ai-research-breakthrough`,
         }
     }
 
+    // Lists the linter warnings right under the post and outlines the textarea
+    updatePostWarnings(warnings) {
+        const hasError = warnings.some(warning => warning.severity === 'error');
+        this.linkedinPost.classList.toggle('has-error', hasError);
+        this.linkedinPost.classList.toggle('has-warning', !hasError && warnings.length > 0);
+        
+        this.postWarnings.innerHTML = '';
+        this.postWarnings.style.display = warnings.length > 0 ? 'block' : 'none';
+        for (const warning of warnings) {
+            const item = document.createElement('li');
+            item.className = `post-warning ${warning.severity}`;
+            item.textContent = `${warning.severity === 'error' ? '❌' : '⚠️'} ${warning.message}`;
+            this.postWarnings.appendChild(item);
+        }
+    }
+
+    scheduleDraftSave() {
+        if (!this.currentPost || !this.currentPost.draftId) return;
+        
+        this.currentPost.content = this.linkedinPost.value;
+        this.saveState.textContent = 'Unsaved changes';
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.flushDraftSave(), 800);
+    }
+
+    flushDraftSave() {
+        if (!this.saveTimer) return;
+        
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (this.currentPost.content.trim()) {
+            this.updateDraft({ content: this.currentPost.content });
+        }
+    }
+
+    async updateDraft(changes) {
+        const post = this.currentPost;
+        if (!post || !post.draftId) return;
+        
+        try {
+            const response = await fetch(`/api/drafts/${post.draftId}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(changes)
+            });
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            post.status = result.draft.status;
+            post.schedule = result.draft.schedule;
+            post.publication = result.draft.publication;
+            post.similarTo = result.draft.similarTo;
+            if (post === this.currentPost) {
+                this.saveState.textContent = '💾 Saved';
+                this.updateScheduleControls();
+                this.updateSimilarWarning();
+            }
+            this.loadHistory();
+        } catch (error) {
+            this.saveState.textContent = `⚠️ Not saved: ${error.message}`;
+            // A rejected status change leaves the draft as it was
+            if (changes.status !== undefined && post === this.currentPost) {
+                this.draftStatus.value = post.status || 'draft';
+            }
+        }
+    }
+
+    async loadHistory() {
+        try {
+            const query = this.historyFilter.value ? `?status=${this.historyFilter.value}` : '';
+            const response = await fetch(`/api/drafts${query}`);
+            const result = await response.json();
+            
+            this.displayHistory(result.success ? result.drafts : []);
+        } catch (error) {
+            // History needs the server; the sample-data fallback has none
+            this.displayHistory([]);
+        }
+    }
+
+    displayHistory(drafts) {
+        this.historyList.innerHTML = '';
+        
+        if (drafts.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'history-empty';
+            empty.textContent = 'No saved drafts yet.';
+            this.historyList.appendChild(empty);
+            return;
+        }
+        
+        drafts.forEach(draft => {
+            const item = document.createElement('button');
+            item.className = 'history-item';
+            if (this.currentPost && this.currentPost.draftId === draft.id) {
+                item.classList.add('active');
+            }
+            
+            const title = document.createElement('span');
+            title.className = 'history-title';
+            title.textContent = draft.article && draft.article.title ? draft.article.title : draft.content.slice(0, 60);
+            
+            const meta = document.createElement('span');
+            meta.className = 'history-meta';
+            const date = new Date(draft.updatedAt).toLocaleString('en-US', {
+                month: 'short',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit'
+            });
+            meta.textContent = `${date} • ${draft.style.replace(/_/g, ' ')}${draft.promptVersion ? ` (${draft.promptVersion})` : ''}${draft.edited ? ' • edited' : ''}`;
+            if (draft.schedule && draft.schedule.state !== 'posted') {
+                meta.textContent += ` • 📅 ${this.formatDateTime(draft.schedule.scheduledFor)}`;
+            }
+            
+            const status = document.createElement('span');
+            status.className = `history-status status-${draft.status}`;
+            status.textContent = draft.status;
+            
+            item.append(title, meta, status);
+            item.addEventListener('click', () => this.openDraft(draft));
+            this.historyList.appendChild(item);
+        });
+    }
+
+    openDraft(draft) {
+        this.flushDraftSave();
+        
+        this.currentData = {
+            timestamp: draft.createdAt,
+            articles: draft.articles,
+            posts: [{
+                content: draft.content,
+                style: draft.style,
+                characterCount: PostLinter.countCharacters(draft.content),
+                hashtags: draft.hashtags,
+                sourceUrl: draft.sourceUrl,
+                article: draft.article,
+                generator: draft.generator,
+                promptVersion: draft.promptVersion,
+                draftId: draft.id,
+                status: draft.status,
+                schedule: draft.schedule,
+                publication: draft.publication,
+                publishError: draft.publishError,
+                similarTo: draft.similarTo
+            }],
+            analysis: { overallTrend: draft.overallTrend }
+        };
+        
+        this.displayResults(this.currentData);
+        this.loadHistory();
+    }
+
+    async schedulePost() {
+        const post = this.currentPost;
+        if (!post || !post.draftId || !this.scheduleAt.value) return;
+        
+        try {
+            this.scheduleBtn.disabled = true;
+            
+            const response = await fetch('/api/schedule', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    draftId: post.draftId,
+                    // datetime-local values are local time
+                    scheduledFor: new Date(this.scheduleAt.value).toISOString()
+                })
+            });
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            post.schedule = result.draft.schedule;
+            this.calendarStart = this.startOfDay(new Date(post.schedule.scheduledFor));
+            this.calendarSection.style.display = 'block';
+            this.loadCalendar();
+            this.loadHistory();
+        } catch (error) {
+            alert('Failed to schedule post: ' + error.message);
+        } finally {
+            this.updateScheduleControls();
+        }
+    }
+
+    async publishPost() {
+        const post = this.currentPost;
+        if (!post || !post.draftId) return;
+        
+        this.flushDraftSave();
+        if (!confirm('Publish this post to LinkedIn now?')) return;
+        
+        try {
+            this.publishBtn.disabled = true;
+            this.publishBtn.textContent = '🚀 Publishing...';
+            
+            const response = await fetch(`/api/drafts/${post.draftId}/publish`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({})
+            });
+            const result = await response.json();
+            
+            if (!result.success) {
+                const retry = result.retryAfter ? ` (retry in ${result.retryAfter}s)` : '';
+                post.publishError = { message: result.error + retry };
+                throw new Error(result.error + retry);
+            }
+            
+            if (result.dryRun) {
+                alert('Dry run: nothing was sent to LinkedIn.\n\n' +
+                    'Set publishing.dryRun to false in agent-config.json to publish for real. Request preview:\n\n' +
+                    JSON.stringify(result.publication.request.body, null, 2));
+                return;
+            }
+            
+            post.status = result.draft.status;
+            post.schedule = result.draft.schedule;
+            post.publication = result.draft.publication;
+            post.publishError = undefined;
+            this.draftStatus.value = post.status;
+            this.loadHistory();
+            if (this.calendarSection.style.display !== 'none') {
+                this.loadCalendar();
+            }
+        } catch (error) {
+            alert('Failed to publish post: ' + error.message);
+        } finally {
+            this.publishBtn.textContent = '🚀 Publish to LinkedIn';
+            this.updateScheduleControls();
+        }
+    }
+
+    async unschedulePost(draftId) {
+        try {
+            const response = await fetch(`/api/schedule/${draftId}`, { method: 'DELETE' });
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            if (this.currentPost && this.currentPost.draftId === draftId) {
+                this.currentPost.schedule = undefined;
+                this.updateScheduleControls();
+            }
+            this.loadCalendar();
+            this.loadHistory();
+        } catch (error) {
+            alert('Failed to unschedule post: ' + error.message);
+        }
+    }
+
+    toggleCalendar() {
+        const visible = this.calendarSection.style.display !== 'none';
+        this.calendarSection.style.display = visible ? 'none' : 'block';
+        if (!visible) {
+            this.loadCalendar();
+        }
+    }
+
+    shiftCalendar(days) {
+        this.calendarStart.setDate(this.calendarStart.getDate() + days);
+        this.loadCalendar();
+    }
+
+    async loadCalendar() {
+        const start = new Date(this.calendarStart);
+        const end = new Date(start);
+        end.setDate(end.getDate() + 7);
+        
+        const options = { month: 'short', day: 'numeric' };
+        const last = new Date(end.getTime() - 1);
+        this.calendarTitle.textContent = `${start.toLocaleDateString('en-US', options)} – ${last.toLocaleDateString('en-US', options)}`;
+        
+        try {
+            const query = `from=${start.toISOString()}&to=${last.toISOString()}`;
+            const response = await fetch(`/api/schedule?${query}`);
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            const { scheduler } = result;
+            this.calendarMeta.textContent = scheduler.nextGenerationRun
+                ? `Next automatic generation run: ${this.formatDateTime(scheduler.nextGenerationRun)} (${scheduler.generationCron})`
+                : 'Automatic generation runs are off (set schedule.generationCron in agent-config.json)';
+            
+            this.displayCalendar(start, result.entries);
+        } catch (error) {
+            this.calendarMeta.textContent = `⚠️ Could not load the schedule: ${error.message}`;
+            this.displayCalendar(start, []);
+        }
+    }
+
+    displayCalendar(start, entries) {
+        this.calendarGrid.innerHTML = '';
+        
+        for (let i = 0; i < 7; i++) {
+            const day = new Date(start);
+            day.setDate(day.getDate() + i);
+            
+            const column = document.createElement('div');
+            column.className = 'calendar-day';
+            if (this.startOfDay(new Date()).getTime() === day.getTime()) {
+                column.classList.add('today');
+            }
+            
+            const heading = document.createElement('div');
+            heading.className = 'calendar-day-heading';
+            heading.textContent = day.toLocaleDateString('en-US', { weekday: 'short', day: 'numeric' });
+            column.appendChild(heading);
+            
+            entries
+                .filter(draft => this.startOfDay(new Date(draft.schedule.scheduledFor)).getTime() === day.getTime())
+                .forEach(draft => column.appendChild(this.createCalendarEntry(draft)));
+            
+            this.calendarGrid.appendChild(column);
+        }
+    }
+
+    createCalendarEntry(draft) {
+        const entry = document.createElement('div');
+        entry.className = `calendar-entry schedule-${draft.schedule.state}`;
+        entry.title = draft.schedule.state === 'failed' && draft.publishError
+            ? `Publishing failed: ${draft.publishError.message}`
+            : draft.content;
+        
+        const time = document.createElement('span');
+        time.className = 'calendar-entry-time';
+        time.textContent = new Date(draft.schedule.scheduledFor).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        
+        const title = document.createElement('span');
+        title.className = 'calendar-entry-title';
+        title.textContent = draft.article && draft.article.title ? draft.article.title : draft.content.slice(0, 40);
+        
+        const state = document.createElement('span');
+        state.className = 'calendar-entry-state';
+        state.textContent = draft.schedule.state;
+        
+        entry.append(time, title, state);
+        entry.addEventListener('click', () => this.openDraft(draft));
+        
+        if (draft.schedule.state !== 'posted') {
+            const remove = document.createElement('button');
+            remove.className = 'calendar-entry-remove';
+            remove.title = 'Unschedule';
+            remove.textContent = '✕';
+            remove.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.unschedulePost(draft.id);
+            });
+            entry.appendChild(remove);
+        }
+        
+        return entry;
+    }
+
+    toggleTrends() {
+        const visible = this.trendsSection.style.display !== 'none';
+        this.trendsSection.style.display = visible ? 'none' : 'block';
+        if (!visible) {
+            this.loadTrends();
+        }
+    }
+
+    async loadTrends() {
+        try {
+            const response = await fetch(`/api/trends?window=${this.trendWindow.value}`);
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            this.displayTrends(result.trends, result.summary);
+        } catch (error) {
+            this.trendsMeta.textContent = `⚠️ Could not load trends: ${error.message}`;
+            this.trendChart.innerHTML = '';
+            this.trendTopics.innerHTML = '';
+        }
+    }
+
+    displayTrends(trends, summary) {
+        const days = trends.windowDays;
+        this.trendsMeta.textContent = `${trends.articleCount} articles in the past ${days} days, ${trends.previousCount} in the ${days} days before${summary ? ` • ${summary}` : ''}`;
+        
+        // Articles per day
+        this.trendChart.innerHTML = '';
+        const maxDay = Math.max(1, ...trends.daily.map(day => day.count));
+        trends.daily.forEach(day => {
+            const column = document.createElement('div');
+            column.className = 'trend-day';
+            column.title = Object.entries(day.topics).map(([topic, count]) => `${topic}: ${count}`).join('\n') || 'No articles';
+            
+            const bar = document.createElement('div');
+            bar.className = 'trend-bar';
+            bar.style.height = `${(day.count / maxDay) * 100}%`;
+            
+            const count = document.createElement('span');
+            count.className = 'trend-count';
+            count.textContent = day.count || '';
+            
+            const label = document.createElement('span');
+            label.className = 'trend-label';
+            label.textContent = new Date(`${day.date}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+            
+            column.append(count, bar, label);
+            this.trendChart.appendChild(column);
+        });
+        
+        // Articles per topic and per named company, product or person,
+        // with the change against the previous period
+        const entities = trends.entities || [];
+        this.displayTrendRows(this.trendTopics, trends.topics, 'topic');
+        this.displayTrendRows(this.trendEntities, entities, 'name');
+        this.trendEntitiesHeading.style.display = entities.length > 0 ? 'block' : 'none';
+    }
+
+    displayTrendRows(container, items, field) {
+        container.innerHTML = '';
+        const max = Math.max(1, ...items.map(item => item.count));
+        items.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'trend-topic';
+            
+            const name = document.createElement('span');
+            name.className = 'trend-topic-name';
+            name.textContent = item[field];
+            
+            const track = document.createElement('div');
+            track.className = 'trend-topic-track';
+            const fill = document.createElement('div');
+            fill.className = 'trend-topic-fill';
+            fill.style.width = `${(item.count / max) * 100}%`;
+            track.appendChild(fill);
+            
+            const change = document.createElement('span');
+            change.className = `trend-change ${item.change > 0 ? 'up' : item.change < 0 ? 'down' : ''}`;
+            change.textContent = `${item.count} ${item.change > 0 ? `▲ ${item.change}` : item.change < 0 ? `▼ ${-item.change}` : '–'}`;
+            
+            row.append(name, track, change);
+            container.appendChild(row);
+        });
+    }
+
+    toggleSources() {
+        const visible = this.sourcesSection.style.display !== 'none';
+        this.sourcesSection.style.display = visible ? 'none' : 'block';
+        if (!visible) {
+            this.loadSources();
+        }
+    }
+
+    async loadSources() {
+        try {
+            const response = await fetch('/api/sources');
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            this.displaySources(result);
+        } catch (error) {
+            this.sourcesMeta.textContent = `⚠️ Could not load sources: ${error.message}`;
+        }
+    }
+
+    displaySources(registry) {
+        const configPatterns = [...registry.configAllow.map(p => `allow ${p}`), ...registry.configDeny.map(p => `deny ${p}`)];
+        this.sourcesMeta.textContent = `${registry.sources.length} domains • other sources get trust ${registry.defaultTrust}` +
+            (configPatterns.length ? ` • from agent-config.json: ${configPatterns.join(', ')}` : '');
+        this.allowPatterns.value = registry.allow.join('\n');
+        this.denyPatterns.value = registry.deny.join('\n');
+        
+        this.sourcesList.innerHTML = '';
+        registry.sources.forEach(source => {
+            const row = document.createElement('tr');
+            row.className = source.blocked ? 'source-row blocked' : 'source-row';
+            
+            const domain = document.createElement('td');
+            domain.textContent = source.name ? `${source.name} (${source.domain})` : source.domain;
+            domain.title = source.origin === 'config' ? 'From agent-config.json' : 'Edited here';
+            
+            const trust = document.createElement('input');
+            trust.type = 'number';
+            trust.min = '0';
+            trust.max = '1';
+            trust.step = '0.1';
+            trust.value = source.trust;
+            trust.className = 'source-trust';
+            
+            const category = document.createElement('select');
+            category.className = 'prompt-select';
+            ['', ...registry.categories].forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name || '–';
+                option.selected = name === (source.category || '');
+                category.appendChild(option);
+            });
+            
+            const paywall = document.createElement('input');
+            paywall.type = 'checkbox';
+            paywall.checked = source.paywall;
+            
+            const blocked = document.createElement('input');
+            blocked.type = 'checkbox';
+            blocked.checked = source.blocked;
+            
+            // Every change saves the whole entry as a custom one
+            const save = () => this.saveSource(source.domain, {
+                name: source.name,
+                trust: Number(trust.value),
+                category: category.value || null,
+                paywall: paywall.checked,
+                blocked: blocked.checked
+            });
+            [trust, category, paywall, blocked].forEach(input => input.addEventListener('change', save));
+            
+            const actions = document.createElement('td');
+            if (source.origin === 'custom') {
+                const remove = document.createElement('button');
+                remove.className = 'calendar-entry-remove';
+                remove.title = 'Remove custom settings';
+                remove.textContent = '✕';
+                remove.addEventListener('click', () => this.removeSource(source.domain));
+                actions.appendChild(remove);
+            }
+            
+            const cells = [trust, category, paywall, blocked].map(input => {
+                const cell = document.createElement('td');
+                cell.appendChild(input);
+                return cell;
+            });
+            row.append(domain, ...cells, actions);
+            this.sourcesList.appendChild(row);
+        });
+    }
+
+    async saveSource(domain, fields) {
+        if (!domain) return false;
+        
+        try {
+            const response = await fetch(`/api/sources/${encodeURIComponent(domain)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(fields)
+            });
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            await this.loadSources();
+            return true;
+        } catch (error) {
+            this.sourcesMeta.textContent = `⚠️ Could not save ${domain}: ${error.message}`;
+            return false;
+        }
+    }
+
+    async removeSource(domain) {
+        try {
+            const response = await fetch(`/api/sources/${encodeURIComponent(domain)}`, { method: 'DELETE' });
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            await this.loadSources();
+        } catch (error) {
+            this.sourcesMeta.textContent = `⚠️ Could not remove ${domain}: ${error.message}`;
+        }
+    }
+
+    async savePatterns() {
+        const lines = textarea => textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+        
+        try {
+            const response = await fetch('/api/sources/patterns', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ allow: lines(this.allowPatterns), deny: lines(this.denyPatterns) })
+            });
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            await this.loadSources();
+        } catch (error) {
+            this.sourcesMeta.textContent = `⚠️ Could not save patterns: ${error.message}`;
+        }
+    }
+
+    togglePrompts() {
+        const visible = this.promptsSection.style.display !== 'none';
+        this.promptsSection.style.display = visible ? 'none' : 'block';
+        if (!visible) {
+            this.loadPrompts();
+        }
+    }
+
+    async loadPrompts() {
+        try {
+            const response = await fetch('/api/prompts');
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            this.prompts = result.prompts;
+            this.promptSelect.innerHTML = '';
+            this.prompts.forEach((prompt, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = `${prompt.id}${prompt.active ? ' (in use)' : ''}`;
+                this.promptSelect.appendChild(option);
+            });
+            
+            this.previewPrompt();
+        } catch (error) {
+            this.promptMeta.textContent = `⚠️ Could not load prompt templates: ${error.message}`;
+        }
+    }
+
+    async previewPrompt() {
+        const prompt = this.prompts[this.promptSelect.value];
+        if (!prompt) return;
+        
+        this.promptMeta.textContent = `${prompt.source} • variables: ${prompt.variables.map(name => `{{${name}}}`).join(', ') || 'none'}`;
+        this.promptTemplate.textContent = prompt.text;
+        this.promptPreview.textContent = 'Rendering...';
+        
+        try {
+            const response = await fetch('/api/prompts/preview', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: prompt.name, version: prompt.version, persona: this.getPersona() })
+            });
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            this.promptPreview.textContent = result.text;
+        } catch (error) {
+            this.promptPreview.textContent = `⚠️ ${error.message}`;
+        }
+    }
+
+    async loadPersonas() {
+        try {
+            const response = await fetch('/api/personas');
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            this.personas = result.personas;
+            this.personaSelect.innerHTML = '';
+            this.personas.forEach(persona => {
+                const option = document.createElement('option');
+                option.value = persona.id;
+                option.textContent = `${persona.name} (${persona.tone})`;
+                option.title = `${persona.role} in ${persona.industry}, for ${persona.audience}`;
+                option.selected = persona.id === result.active;
+                this.personaSelect.appendChild(option);
+            });
+        } catch (error) {
+            // Without the server the configured persona is used
+            console.warn('Could not load personas:', error.message);
+            this.personaSelect.parentElement.style.display = 'none';
+        }
+    }
+
+    // posts.maxCharacters and posts.maxHashtags for the editor's checks
+    async loadPostLimits() {
+        try {
+            const response = await fetch('/api/post-limits');
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            this.postLimits = { maxCharacters: result.maxCharacters, maxHashtags: result.maxHashtags };
+            if (this.currentPost) {
+                this.updateCharCount();
+            }
+        } catch (error) {
+            // Without the server the linter's LinkedIn defaults are used
+            console.warn('Could not load post limits:', error.message);
+        }
+    }
+
+    getPersona() {
+        return this.personaSelect.value || undefined;
+    }
+
+    getPersonaName(id) {
+        const persona = this.personas.find(p => p.id === id);
+        return persona ? persona.name : id;
+    }
+
+    startOfDay(date) {
+        const day = new Date(date);
+        day.setHours(0, 0, 0, 0);
+        return day;
+    }
+
+    formatDateTime(value) {
+        return new Date(value).toLocaleString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
+    toLocalInputValue(date) {
+        const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+        return local.toISOString().slice(0, 16);
+    }
+
     showError(message) {
         this.errorSection.style.display = 'block';
         this.resultsSection.style.display = 'none';
@@ -1,44 +1,183 @@
 require('dotenv').config();
 const express = require('express');
 const AIGoodNewsAgent = require('./ai-agent');
+const { LinkedInAINewsAgent } = require('./linkedin-ai-news-agent');
+const { loadConfig } = require('./config-loader');
+const { RESULT_SCHEMA_VERSION, createNewsPipeline, stages, normalizePost } = require('./pipeline');
+const { DraftsStore, DraftError } = require('./drafts-store');
+const { LocalScheduler } = require('./scheduler');
+const { createPublisher, PublishError } = require('./publishers');
+const { createPromptRegistry, PromptTemplateError, SAMPLE_VARIABLES } = require('./prompt-templates');
+const { listPersonas, resolvePersona, promptVariables, PersonaError } = require('./personas');
+const { ArticleHistory } = require('./article-history');
+const { computeTrends, describeTrends } = require('./trends');
+const { SourceRegistryStore, SourceError } = require('./source-registry');
 const path = require('path');
 const fs = require('fs');
 
 const app = express();
 const PORT = 3000;
 
-// Serve static files
-app.use(express.static('.'));
+// Serve the web UI files only; the project folder also holds drafts,
+// sources, the article history and the article cache
+const UI_FILES = ['index.html', 'script.js', 'style.css', 'post-linter.js'];
+
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+app.get(UI_FILES.map(file => `/${file}`), (req, res) => {
+    res.sendFile(path.join(__dirname, path.basename(req.path)));
+});
 app.use(express.json());
 
-// API endpoint to execute the AI Good News Agent
+const serverConfig = loadConfig({ baseDir: __dirname });
+
+// Every generated post is kept as a draft so earlier briefings can be reopened
+// and compared with recent posts (config.dedupe)
+const draftsStore = new DraftsStore({
+    filePath: serverConfig.drafts.path,
+    postSimilarity: serverConfig.dedupe.postSimilarity,
+    recentPostDays: serverConfig.dedupe.recentPostDays
+});
+
+// Articles of earlier runs (recorded by the pipeline) for the trends API
+const articleHistory = new ArticleHistory({
+    filePath: serverConfig.history.path
+});
+
+// Custom source registry entries and block patterns; each run's agent reads
+// them from the same file
+const sourceStore = new SourceRegistryStore({
+    filePath: serverConfig.sources.path,
+    config: serverConfig.sources
+});
+
+// Saves the posts of a result as drafts and tags each post with its draftId
+// (and similarTo when it repeats a recent post)
+async function saveDrafts(result) {
+    if (result.posts.length === 0) return;
+    
+    try {
+        const drafts = await draftsStore.createFromResult(result);
+        result.posts.forEach((post, index) => {
+            post.draftId = drafts[index].id;
+            post.similarTo = drafts[index].similarTo;
+        });
+    } catch (error) {
+        // Losing the history is not worth failing the briefing over
+        console.error('⚠️ Could not save drafts:', error.message);
+    }
+}
+
+// Web UI runs: LLM analysis and post (config.llm), skipping articles used in earlier briefings
+const WEB_PIPELINE_OPTIONS = {
+    analyzer: 'llm',
+    composer: 'llm',
+    skipSeenArticles: true
+};
+
+// HTTP status for each PublishError code
+const PUBLISH_ERROR_STATUS = {
+    unauthorized: 401,
+    forbidden: 403,
+    rate_limited: 429,
+    invalid_post: 422,
+    api_error: 502
+};
+
+// Sends an approved draft through the configured publisher and stores the post URN
+// A dry run (config default) only returns the request that would be sent
+async function publishDraft(id, { dryRun = false } = {}) {
+    const config = loadConfig({ baseDir: __dirname });
+    const publisher = createPublisher(config, dryRun ? { dryRun: true } : {});
+    
+    if (publisher.dryRun) {
+        const draft = await draftsStore.get(id);
+        if (draft.status !== 'approved') {
+            throw new DraftError(`Only approved drafts can be published (draft is ${draft.status})`, 409);
+        }
+        return { draft, publication: await publisher.publish(draft) };
+    }
+    
+    // The claim makes a second click, or the scheduler, get a 409 instead of posting again
+    const draft = await draftsStore.claimForPublishing(id);
+    let publication;
+    try {
+        publication = await publisher.publish(draft);
+    } catch (error) {
+        await draftsStore.releasePublishing(id, error instanceof PublishError ? error : null);
+        throw error;
+    }
+    
+    const published = await draftsStore.markPublished(id, { ...publication, publisher: publisher.name });
+    return { draft: published, publication };
+}
+
+// Generation runs available to the UI and the scheduler (config.schedule.generator)
+const GENERATORS = {
+    briefing: (config) => createNewsPipeline(config, WEB_PIPELINE_OPTIONS).run(),
+    template: (config) => new LinkedInAINewsAgent(config).run(),
+    digest: (config) => createNewsPipeline(config, { digest: true, skipSeenArticles: false }).run()
+};
+
+// Runs scheduled generation and moves scheduled posts through ready / due
+const scheduler = new LocalScheduler({
+    store: draftsStore,
+    generationCron: serverConfig.schedule.generationCron,
+    readyLeadMinutes: serverConfig.schedule.readyLeadMinutes,
+    tickInterval: serverConfig.schedule.tickInterval,
+    publish: serverConfig.publishing.publishScheduled
+        ? (draft) => publishDraft(draft.id)
+        : null,
+    generate: async () => {
+        const config = loadConfig({ baseDir: __dirname });
+        const result = await GENERATORS[config.schedule.generator](config);
+        await saveDrafts(result);
+        return result;
+    }
+});
+
+// Loads the config for one request; body.persona (the UI picker) overrides userPreferences.persona
+function loadRequestConfig(req) {
+    const config = loadConfig({ baseDir: __dirname });
+    const persona = req.body && req.body.persona;
+    
+    if (persona) {
+        resolvePersona(config, persona); // Unknown ids throw a PersonaError (400)
+        config.userPreferences = { ...config.userPreferences, persona };
+    }
+    return config;
+}
+
+// API endpoint to execute the news pipeline
 app.post('/api/generate', async (req, res) => {
     try {
-        console.log('🚀 Starting AI Good News Agent...');
+        console.log('🚀 Starting AI Good News pipeline...');
         
-        const agent = new AIGoodNewsAgent();
-        const result = await agent.run();
+        const config = loadRequestConfig(req);
+        const result = await GENERATORS.briefing(config);
+        await saveDrafts(result);
         
         if (result.success) {
-            console.log(`✅ Successfully generated briefing with ${result.articles.length} articles`);
+            console.log(`✅ Successfully generated briefing with ${result.summary.articlesFound} articles`);
             res.json(result);
         } else {
-            console.error('❌ Agent execution failed:', result.error);
-            res.status(500).json(result);
+            console.error('❌ Pipeline execution failed:', result.error.message);
+            res.status(result.status === 'error' ? 500 : 200).json(result);
         }
     } catch (error) {
         console.error('❌ Server error:', error.message);
-        res.status(500).json({
+        res.status(error instanceof PersonaError ? error.statusCode : 500).json({
+            schemaVersion: RESULT_SCHEMA_VERSION,
             success: false,
-            error: `Server error: ${error.message}`
+            status: 'error',
+            error: { message: `Server error: ${error.message}`, type: error.name, stage: null }
         });
     }
 });
 
-// API endpoint to regenerate LinkedIn post
+// API endpoint to regenerate the LinkedIn post for ranked result articles
 app.post('/api/regenerate-post', async (req, res) => {
     try {
-        const { articles, overallTrend } = req.body;
+        const { articles, overallTrend, momentum } = req.body;
         
         if (!articles || articles.length === 0) {
             return res.status(400).json({
@@ -49,123 +188,360 @@ app.post('/api/regenerate-post', async (req, res) => {
 
         console.log('🔄 Regenerating LinkedIn post...');
         
-        const agent = new AIGoodNewsAgent();
-        const analysis = { topArticles: articles, overallTrend };
-        const mockArticles = articles.map(article => ({
-            title: article.title,
-            description: article.summary,
-            url: article.url,
-            source: article.source
-        }));
+        const config = loadRequestConfig(req);
+        const agent = new AIGoodNewsAgent({
+            llm: config.llm,
+            prompts: config.prompts,
+            persona: resolvePersona(config)
+        });
+        const ranked = [...articles].sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity));
+        const context = {
+            articles: ranked,
+            analysis: {
+                topArticles: ranked.map((article, index) => ({ ...article, originalIndex: index })),
+                overallTrend,
+                momentum
+            },
+            posts: []
+        };
         
-        const newPost = await agent.generateLinkedInPost(analysis, mockArticles);
+        await stages.llmComposer(agent, config.posts).run(context);
+        
+        const post = normalizePost(context.posts[0]);
+        try {
+            const draft = await draftsStore.create({ post, articles: ranked, overallTrend });
+            post.draftId = draft.id;
+            post.similarTo = draft.similarTo;
+        } catch (error) {
+            console.error('⚠️ Could not save draft:', error.message);
+        }
         
         res.json({
+            schemaVersion: RESULT_SCHEMA_VERSION,
             success: true,
-            linkedinPost: newPost
+            post
         });
         
     } catch (error) {
         console.error('❌ Post regeneration failed:', error.message);
-        res.status(500).json({
+        res.status(error instanceof PersonaError ? error.statusCode : 500).json({
             success: false,
             error: `Regeneration failed: ${error.message}`
         });
     }
 });
 
-function executeLinkedInAgent() {
-    return new Promise((resolve) => {
-        let output = '';
-        let posts = [];
-        let currentPost = null;
+// API endpoint to run the template-based LinkedIn agent (multiple posts, one per style)
+app.post('/api/linkedin-posts', async (req, res) => {
+    try {
+        console.log('🚀 Starting LinkedIn AI News Agent...');
         
-        const child = spawn('node', ['linkedin-ai-news-agent.js'], {
-            stdio: ['pipe', 'pipe', 'pipe']
-        });
+        const config = loadRequestConfig(req);
+        const result = await GENERATORS.template(config);
+        await saveDrafts(result);
         
-        child.stdout.on('data', (data) => {
-            const text = data.toString();
-            output += text;
-            
-            // Parse the output to extract posts
-            const lines = text.split('\n');
-            for (const line of lines) {
-                if (line.includes('POST ') && line.includes('(') && line.includes(')')) {
-                    // Start of a new post
-                    if (currentPost) {
-                        posts.push(currentPost);
-                    }
-                    
-                    const styleMatch = line.match(/\(([^)]+)\)/);
-                    const charMatch = line.match(/(\d+) characters/);
-                    
-                    currentPost = {
-                        content: '',
-                        style: styleMatch ? styleMatch[1].toLowerCase() : 'unknown',
-                        characterCount: charMatch ? parseInt(charMatch[1]) : 0,
-                        hashtags: [],
-                        sourceUrl: '',
-                        article: { title: '', source: '' }
-                    };
-                } else if (currentPost && line.trim() && !line.includes('────')) {
-                    // Add content to current post
-                    if (line.includes('Source: http')) {
-                        currentPost.sourceUrl = line.replace('Source: ', '').trim();
-                    } else if (line.includes('#')) {
-                        // Extract hashtags
-                        const hashtagMatches = line.match(/#\w+/g);
-                        if (hashtagMatches) {
-                            currentPost.hashtags = hashtagMatches;
-                        }
-                    } else if (!line.includes('📊') && !line.includes('🏷️') && !line.includes('········')) {
-                        currentPost.content += line + '\n';
-                    }
-                }
-            }
+        if (result.success) {
+            console.log(`✅ Generated ${result.summary.postsGenerated} LinkedIn posts`);
+            res.json(result);
+        } else {
+            res.status(result.status === 'error' ? 500 : 200).json(result);
+        }
+    } catch (error) {
+        console.error('❌ LinkedIn agent failed:', error.message);
+        res.status(error instanceof PersonaError ? error.statusCode : 500).json({
+            schemaVersion: RESULT_SCHEMA_VERSION,
+            success: false,
+            status: 'error',
+            error: { message: `Server error: ${error.message}`, type: error.name, stage: null }
         });
+    }
+});
+
+// API endpoint for the digest: one roundup post with the top article per topic
+app.post('/api/digest', async (req, res) => {
+    try {
+        console.log('🗞️ Starting digest run...');
+        
+        const config = loadRequestConfig(req);
+        const result = await GENERATORS.digest(config);
+        await saveDrafts(result);
         
-        child.stderr.on('data', (data) => {
-            console.error('Agent stderr:', data.toString());
+        if (result.success) {
+            console.log(`✅ Generated digest covering ${result.analysis.clusters.length} topics`);
+            res.json(result);
+        } else {
+            res.status(result.status === 'error' ? 500 : 200).json(result);
+        }
+    } catch (error) {
+        console.error('❌ Digest run failed:', error.message);
+        res.status(error instanceof PersonaError ? error.statusCode : 500).json({
+            schemaVersion: RESULT_SCHEMA_VERSION,
+            success: false,
+            status: 'error',
+            error: { message: `Server error: ${error.message}`, type: error.name, stage: null }
+        });
+    }
+});
+
+// Drafts API: saved posts with their source articles, edits and status
+app.get('/api/drafts', async (req, res) => {
+    try {
+        const drafts = await draftsStore.list({ status: req.query.status });
+        res.json({ success: true, drafts });
+    } catch (error) {
+        sendDraftError(res, error);
+    }
+});
+
+app.get('/api/drafts/:id', async (req, res) => {
+    try {
+        res.json({ success: true, draft: await draftsStore.get(req.params.id) });
+    } catch (error) {
+        sendDraftError(res, error);
+    }
+});
+
+app.post('/api/drafts', async (req, res) => {
+    try {
+        const { post, articles, overallTrend } = req.body;
+        const draft = await draftsStore.create({ post, articles, overallTrend });
+        res.status(201).json({ success: true, draft });
+    } catch (error) {
+        sendDraftError(res, error);
+    }
+});
+
+app.patch('/api/drafts/:id', async (req, res) => {
+    try {
+        const { content, status } = req.body;
+        const draft = await draftsStore.update(req.params.id, { content, status });
+        res.json({ success: true, draft });
+    } catch (error) {
+        sendDraftError(res, error);
+    }
+});
+
+app.post('/api/drafts/:id/publish', async (req, res) => {
+    try {
+        const { draft, publication } = await publishDraft(req.params.id, {
+            dryRun: Boolean(req.body && req.body.dryRun)
         });
+        res.json({ success: true, dryRun: publication.dryRun, draft, publication });
+    } catch (error) {
+        if (!(error instanceof PublishError)) {
+            return sendDraftError(res, error);
+        }
         
-        child.on('close', (code) => {
-            // Add the last post if exists
-            if (currentPost) {
-                posts.push(currentPost);
-            }
-            
-            if (code === 0 && posts.length > 0) {
-                // Clean up post content
-                posts = posts.map(post => ({
-                    ...post,
-                    content: post.content.trim(),
-                    article: {
-                        title: 'AI News Article',
-                        source: post.sourceUrl ? new URL(post.sourceUrl).hostname : 'unknown'
-                    }
-                }));
-                
-                resolve({
-                    success: true,
-                    posts: posts,
-                    rawOutput: output
-                });
-            } else {
-                resolve({
-                    success: false,
-                    error: `Agent execution failed with code ${code}. Check console for details.`,
-                    rawOutput: output
-                });
-            }
+        console.error(`❌ Publishing failed (${error.code}):`, error.message);
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+        res.status(PUBLISH_ERROR_STATUS[error.code] || 502).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            retryAfter: error.retryAfter
+        });
+    }
+});
+
+app.delete('/api/drafts/:id', async (req, res) => {
+    try {
+        await draftsStore.delete(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        sendDraftError(res, error);
+    }
+});
+
+// Schedule API: approved drafts queued for publishing, plus scheduler status
+app.get('/api/schedule', async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        res.json({
+            success: true,
+            scheduler: scheduler.status(),
+            entries: await draftsStore.listScheduled({ from, to })
         });
+    } catch (error) {
+        sendDraftError(res, error);
+    }
+});
+
+app.post('/api/schedule', async (req, res) => {
+    try {
+        const { draftId, scheduledFor } = req.body;
+        const draft = await draftsStore.schedule(draftId, scheduledFor);
+        // Pick up the ready / due state right away for slots that are close
+        await scheduler.advance();
+        res.status(201).json({ success: true, draft: await draftsStore.get(draft.id) });
+    } catch (error) {
+        sendDraftError(res, error);
+    }
+});
+
+app.delete('/api/schedule/:draftId', async (req, res) => {
+    try {
+        const draft = await draftsStore.unschedule(req.params.draftId);
+        res.json({ success: true, draft });
+    } catch (error) {
+        sendDraftError(res, error);
+    }
+});
+
+// Prompt templates API: loaded templates and previews with sample data
+app.get('/api/prompts', (req, res) => {
+    try {
+        const config = loadConfig({ baseDir: __dirname });
+        res.json({ success: true, prompts: createPromptRegistry(config).list() });
+    } catch (error) {
+        sendPromptError(res, error);
+    }
+});
+
+app.post('/api/prompts/preview', (req, res) => {
+    try {
+        const { name, version, variables, persona } = req.body;
+        const config = loadConfig({ baseDir: __dirname });
+        const sample = {
+            ...(SAMPLE_VARIABLES[name] || {}),
+            ...(name === 'post' ? promptVariables(resolvePersona(config, persona)) : {})
+        };
         
-        child.on('error', (error) => {
-            resolve({
-                success: false,
-                error: `Failed to start agent: ${error.message}`
-            });
+        const prompt = createPromptRegistry(config).render(name, { ...sample, ...variables }, version);
+        res.json({ success: true, id: prompt.id, text: prompt.text });
+    } catch (error) {
+        sendPromptError(res, error);
+    }
+});
+
+// Personas API: profiles the posts can be written as (config.personas plus built-ins)
+app.get('/api/personas', (req, res) => {
+    try {
+        const config = loadConfig({ baseDir: __dirname });
+        res.json({
+            success: true,
+            active: config.userPreferences.persona,
+            personas: listPersonas(config)
+        });
+    } catch (error) {
+        console.error('❌ Personas request failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Post limits for the editor's checks, so the UI lints like the agent does
+app.get('/api/post-limits', (req, res) => {
+    try {
+        const { posts } = loadConfig({ baseDir: __dirname });
+        res.json({ success: true, maxCharacters: posts.maxCharacters, maxHashtags: posts.maxHashtags });
+    } catch (error) {
+        console.error('❌ Post limits request failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Trends API: articles per day, topic and keyword momentum from the article history
+app.get('/api/trends', async (req, res) => {
+    const windowDays = req.query.window === undefined
+        ? serverConfig.history.trendWindowDays
+        : Number(req.query.window);
+    
+    if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > 90) {
+        return res.status(400).json({
+            success: false,
+            error: 'window must be a whole number of days from 1 to 90'
         });
+    }
+    
+    try {
+        const trends = computeTrends(await articleHistory.list(), { windowDays });
+        res.json({ success: true, trends, summary: describeTrends(trends) });
+    } catch (error) {
+        console.error('❌ Trends request failed:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Sources API: trust, category, paywall and block rules per registrable domain
+app.get('/api/sources', async (req, res) => {
+    try {
+        res.json({ success: true, ...(await sourceStore.describe()) });
+    } catch (error) {
+        sendSourceError(res, error);
+    }
+});
+
+// How one URL or host would be treated by the registry
+app.get('/api/sources/check', async (req, res) => {
+    if (!req.query.url) {
+        return res.status(400).json({ success: false, error: 'url is required' });
+    }
+    
+    try {
+        const registry = await sourceStore.load();
+        res.json({ success: true, source: registry.lookup(req.query.url) });
+    } catch (error) {
+        sendSourceError(res, error);
+    }
+});
+
+app.put('/api/sources/patterns', async (req, res) => {
+    try {
+        const { allow, deny } = req.body;
+        res.json({ success: true, ...(await sourceStore.setPatterns({ allow, deny })) });
+    } catch (error) {
+        sendSourceError(res, error);
+    }
+});
+
+app.put('/api/sources/:domain', async (req, res) => {
+    try {
+        const { name, trust, category, paywall, blocked } = req.body;
+        const source = await sourceStore.save(req.params.domain, { name, trust, category, paywall, blocked });
+        res.json({ success: true, source });
+    } catch (error) {
+        sendSourceError(res, error);
+    }
+});
+
+app.delete('/api/sources/:domain', async (req, res) => {
+    try {
+        await sourceStore.remove(req.params.domain);
+        res.json({ success: true });
+    } catch (error) {
+        sendSourceError(res, error);
+    }
+});
+
+function sendSourceError(res, error) {
+    if (!(error instanceof SourceError)) {
+        console.error('❌ Sources request failed:', error.message);
+    }
+    res.status(error instanceof SourceError ? error.statusCode : 500).json({
+        success: false,
+        error: error.message
+    });
+}
+
+function sendPromptError(res, error) {
+    const expected = error instanceof PromptTemplateError || error instanceof PersonaError;
+    if (!expected) {
+        console.error('❌ Prompts request failed:', error.message);
+    }
+    res.status(expected ? error.statusCode : 500).json({
+        success: false,
+        error: error.message
+    });
+}
+
+function sendDraftError(res, error) {
+    if (!(error instanceof DraftError)) {
+        console.error('❌ Drafts request failed:', error.message);
+    }
+    res.status(error instanceof DraftError ? error.statusCode : 500).json({
+        success: false,
+        error: error.message
     });
 }
 
@@ -174,11 +550,14 @@ app.get('/api/health', (req, res) => {
     res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Start the server
-app.listen(PORT, () => {
-    console.log(`🌐 LinkedIn AI News Agent UI running at http://localhost:${PORT}`);
-    console.log('📱 Open your browser and navigate to the URL above');
-    console.log('🚀 Click "Generate AI News Posts" to start');
-});
+// Start the server (tests require the app and listen on their own port)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🌐 LinkedIn AI News Agent UI running at http://localhost:${PORT}`);
+        console.log('📱 Open your browser and navigate to the URL above');
+        console.log('🚀 Click "Generate AI News Posts" to start');
+        scheduler.start();
+    });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,412 @@
+/**
+ * Source Registry
+ *
+ * Reputation of news sources, keyed by registrable domain ("news.bbc.co.uk"
+ * and "bbc.co.uk" are the same source, "notwired.com.evil" is not wired.com):
+ *
+ *   { domain, name, trust, category, paywall, blocked, origin }
+ *
+ *   trust     0-1, the authority sub-score of relevance-scorer.js; domains
+ *             without an entry get sources.defaultTrust
+ *   category  press, blog, vendor or research (or null)
+ *   paywall   articles need a subscription; skipped with sources.skipPaywalled
+ *   blocked   articles are never used
+ *   origin    "config" (sources.preferred / sources.excluded) or "custom"
+ *
+ * Hosts can also be blocked with deny patterns ("*.blogspot.com",
+ * "content-farm.*"); allow patterns carve exceptions out of deny patterns and
+ * blocked domains. A pattern without "*" matches the host and its subdomains.
+ *
+ * sources.preferred (trust 1, press) and sources.excluded (blocked) seed the
+ * registry. Entries and patterns edited in the web UI (/api/sources) are kept
+ * in sources.path and replace the seeded entry of the same domain.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SOURCE_CATEGORIES = ["press", "blog", "vendor", "research"];
+
+// Suffixes under which every label is a separate site; a small subset of the
+// Public Suffix List covering the sources this agent sees
+const MULTI_LABEL_SUFFIXES = new Set([
+  "co.uk",
+  "org.uk",
+  "ac.uk",
+  "gov.uk",
+  "com.au",
+  "net.au",
+  "org.au",
+  "co.nz",
+  "co.jp",
+  "co.in",
+  "com.br",
+  "com.cn",
+  "github.io",
+  "blogspot.com",
+  "substack.com",
+  "wordpress.com",
+]);
+
+const PATTERN_FORMAT = /^[a-z0-9*.-]+$/;
+
+/**
+ * Raised for invalid entries or patterns and unknown domains
+ * statusCode is the HTTP status the server should respond with
+ */
+class SourceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "SourceError";
+    this.statusCode = statusCode;
+  }
+}
+
+class SourceRegistry {
+  constructor({ sources = [], allow = [], deny = [], defaultTrust = 0.5 } = {}) {
+    this.defaultTrust = defaultTrust;
+    this.allow = allow.map((pattern) => pattern.toLowerCase());
+    this.deny = deny.map((pattern) => pattern.toLowerCase());
+
+    // Later entries replace earlier ones for the same domain
+    this.entries = new Map();
+    for (const source of sources) {
+      const entry = normalizeSource(source, defaultTrust);
+      this.entries.set(entry.domain, entry);
+    }
+  }
+
+  /**
+   * Registry seeded from config.sources, with the stored custom entries and
+   * patterns ({ sources, allow, deny } of sources.path) on top
+   */
+  static fromConfig(config = {}, stored = {}) {
+    return new SourceRegistry({
+      sources: [
+        ...(config.preferred || []).map((domain) => ({
+          domain,
+          trust: 1,
+          category: "press",
+          origin: "config",
+        })),
+        ...(config.excluded || []).map((domain) => ({
+          domain,
+          trust: 0,
+          blocked: true,
+          origin: "config",
+        })),
+        ...(stored.sources || []).map((source) => ({ ...source, origin: "custom" })),
+      ],
+      allow: [...(config.allow || []), ...(stored.allow || [])],
+      deny: [...(config.deny || []), ...(stored.deny || [])],
+      defaultTrust: config.defaultTrust ?? 0.5,
+    });
+  }
+
+  /**
+   * Entries sorted by domain
+   */
+  list() {
+    return [...this.entries.values()].sort((a, b) => a.domain.localeCompare(b.domain));
+  }
+
+  /**
+   * How an article (its url, else its source) or a URL / host is treated:
+   * { host, domain, known, name, trust, category, paywall, blocked, reason }
+   */
+  lookup(target) {
+    const host = hostOf(target);
+    const domain = registrableDomain(host);
+    const entry = this.entries.get(domain) || null;
+
+    let reason = null;
+    if (host && !this.allow.some((pattern) => matchesPattern(host, pattern))) {
+      const denied = this.deny.find((pattern) => matchesPattern(host, pattern));
+      if (entry && entry.blocked) reason = "blocked source";
+      else if (denied) reason = `deny pattern ${denied}`;
+    }
+
+    return {
+      host,
+      domain,
+      known: Boolean(entry),
+      name: entry ? entry.name : null,
+      trust: entry ? entry.trust : this.defaultTrust,
+      category: entry ? entry.category : null,
+      paywall: entry ? entry.paywall : false,
+      blocked: reason !== null,
+      reason,
+    };
+  }
+}
+
+/**
+ * Custom entries and patterns in a JSON file (sources.path), combined with
+ * config.sources into a SourceRegistry
+ *
+ * Like the drafts store, the file is replaced atomically and writes are
+ * serialized within the process.
+ */
+class SourceRegistryStore {
+  constructor(options = {}) {
+    this.filePath = path.resolve(options.filePath || "data/sources.json");
+    this.config = options.config || {};
+    this.queue = Promise.resolve();
+  }
+
+  async load() {
+    return SourceRegistry.fromConfig(this.config, await this.readData());
+  }
+
+  /**
+   * Synchronous load for the agent constructor
+   */
+  loadSync() {
+    let raw = null;
+    try {
+      raw = fs.readFileSync(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") throw this.unreadable(error);
+    }
+    return SourceRegistry.fromConfig(this.config, this.parse(raw));
+  }
+
+  /**
+   * Every entry plus the patterns: { sources, allow, deny, configAllow,
+   * configDeny, defaultTrust, categories }; allow and deny are the editable
+   * (stored) patterns
+   */
+  async describe() {
+    const stored = await this.readData();
+    return {
+      sources: SourceRegistry.fromConfig(this.config, stored).list(),
+      allow: stored.allow,
+      deny: stored.deny,
+      configAllow: this.config.allow || [],
+      configDeny: this.config.deny || [],
+      defaultTrust: this.config.defaultTrust ?? 0.5,
+      categories: SOURCE_CATEGORIES,
+    };
+  }
+
+  /**
+   * Creates or updates the custom entry of a domain; fields left out keep
+   * the domain's current settings (custom or from config), so only a new
+   * domain starts at defaultTrust
+   */
+  async save(domain, fields = {}) {
+    const changes = validateSource({ ...fields, domain });
+
+    return this.modify((data) => {
+      const registry = SourceRegistry.fromConfig(this.config, data);
+      const key = registrableDomain(domain);
+      const given = Object.fromEntries(
+        Object.entries(changes).filter(([, value]) => value !== undefined)
+      );
+      const entry = normalizeSource({ ...registry.entries.get(key), ...given }, registry.defaultTrust);
+      delete entry.origin;
+
+      data.sources = data.sources.filter((source) => source.domain !== entry.domain);
+      data.sources.push(entry);
+      return { ...entry, origin: "custom" };
+    });
+  }
+
+  /**
+   * Removes a custom entry; a domain seeded from config.sources goes back to
+   * its config settings
+   */
+  async remove(domain) {
+    const key = registrableDomain(domain);
+    return this.modify((data) => {
+      const kept = data.sources.filter((source) => source.domain !== key);
+      if (kept.length === data.sources.length) {
+        throw new SourceError(`No custom entry for ${key}`, 404);
+      }
+      data.sources = kept;
+    });
+  }
+
+  /**
+   * Replaces the stored allow and/or deny patterns
+   */
+  async setPatterns({ allow, deny }) {
+    const patterns = {};
+    if (allow !== undefined) patterns.allow = validatePatterns(allow, "allow");
+    if (deny !== undefined) patterns.deny = validatePatterns(deny, "deny");
+
+    return this.modify((data) => {
+      Object.assign(data, patterns);
+      return { allow: data.allow, deny: data.deny };
+    });
+  }
+
+  /**
+   * Runs a read-modify-write cycle after any pending one has finished
+   */
+  modify(change) {
+    const run = this.queue.then(async () => {
+      const data = await this.readData();
+      const result = change(data);
+      await this.writeData(data);
+      return result;
+    });
+
+    // Keep the queue going even if this update fails
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Reads the file; a missing file means no custom entries
+   */
+  async readData() {
+    let raw = null;
+    try {
+      raw = await fs.promises.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code !== "ENOENT") throw this.unreadable(error);
+    }
+    return this.parse(raw);
+  }
+
+  parse(raw) {
+    if (raw === null) return { sources: [], allow: [], deny: [] };
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      throw this.unreadable(error);
+    }
+    return {
+      sources: Array.isArray(parsed.sources) ? parsed.sources : [],
+      allow: Array.isArray(parsed.allow) ? parsed.allow : [],
+      deny: Array.isArray(parsed.deny) ? parsed.deny : [],
+    };
+  }
+
+  unreadable(error) {
+    return new Error(`Unreadable source registry ${this.filePath}: ${error.message}`);
+  }
+
+  async writeData(data) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify({ version: 1, ...data }, null, 2));
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+/**
+ * Lowercased host of an article (url, else source), URL or host name,
+ * without "www."
+ */
+function hostOf(target) {
+  if (target && typeof target === "object") {
+    return hostOf(target.url) || hostOf(target.source);
+  }
+  if (typeof target !== "string" || !target.trim()) return "";
+
+  let host = target.trim().toLowerCase();
+  if (host.includes("://")) {
+    try {
+      host = new URL(host).hostname;
+    } catch {
+      return "";
+    }
+  }
+  return host.split(/[/?#:]/)[0].replace(/\.$/, "").replace(/^www\./, "");
+}
+
+/**
+ * The part of a host that one owner registers: "news.bbc.co.uk" → "bbc.co.uk"
+ */
+function registrableDomain(value) {
+  const host = hostOf(value);
+  const labels = host.split(".");
+  if (labels.length <= 2 || /^\d+$/.test(labels[labels.length - 1])) return host;
+
+  const suffixLabels = MULTI_LABEL_SUFFIXES.has(labels.slice(-2).join(".")) ? 3 : 2;
+  return labels.slice(-suffixLabels).join(".");
+}
+
+/**
+ * "*" matches any characters; a pattern without "*" also matches subdomains
+ */
+function matchesPattern(host, pattern) {
+  if (!pattern.includes("*")) {
+    return host === pattern || host.endsWith(`.${pattern}`);
+  }
+  const regex = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\-]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${regex}$`).test(host);
+}
+
+function normalizeSource(source, defaultTrust) {
+  return {
+    domain: registrableDomain(source.domain),
+    name: source.name || null,
+    trust: typeof source.trust === "number" ? source.trust : defaultTrust,
+    category: source.category || null,
+    paywall: Boolean(source.paywall),
+    blocked: Boolean(source.blocked),
+    origin: source.origin || "custom",
+  };
+}
+
+function validateSource(fields) {
+  const errors = [];
+  const domain = registrableDomain(fields.domain);
+
+  if (!domain.includes(".") || !PATTERN_FORMAT.test(domain) || domain.includes("*")) {
+    errors.push(`"${fields.domain}" is not a domain name`);
+  }
+  if (fields.trust !== undefined && (typeof fields.trust !== "number" || fields.trust < 0 || fields.trust > 1)) {
+    errors.push("trust must be a number from 0 to 1");
+  }
+  if (fields.category != null && !SOURCE_CATEGORIES.includes(fields.category)) {
+    errors.push(`category must be one of: ${SOURCE_CATEGORIES.join(", ")}`);
+  }
+  for (const flag of ["paywall", "blocked"]) {
+    if (fields[flag] !== undefined && typeof fields[flag] !== "boolean") {
+      errors.push(`${flag} must be true or false`);
+    }
+  }
+  if (fields.name != null && typeof fields.name !== "string") {
+    errors.push("name must be a string");
+  }
+
+  if (errors.length > 0) {
+    throw new SourceError(errors.join("; "));
+  }
+  return fields;
+}
+
+function validatePatterns(patterns, name) {
+  if (!Array.isArray(patterns)) {
+    throw new SourceError(`${name} must be a list of host patterns`);
+  }
+
+  const cleaned = patterns.map((pattern) => String(pattern).trim().toLowerCase()).filter(Boolean);
+  const invalid = cleaned.filter((pattern) => !PATTERN_FORMAT.test(pattern));
+  if (invalid.length > 0) {
+    throw new SourceError(
+      `Invalid ${name} pattern${invalid.length > 1 ? "s" : ""}: ${invalid.join(", ")} (use host names with *)`
+    );
+  }
+  return [...new Set(cleaned)];
+}
+
+module.exports = {
+  SOURCE_CATEGORIES,
+  SourceError,
+  SourceRegistry,
+  SourceRegistryStore,
+  hostOf,
+  registrableDomain,
+  matchesPattern,
+};
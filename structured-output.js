@@ -0,0 +1,197 @@
+/**
+ * Structured Output
+ *
+ * Turns free-form model text into validated data. Models often wrap JSON in
+ * ```json fences, add a sentence before or after it, or drift from the
+ * requested shape, so instead of JSON.parse on the raw text:
+ *
+ *   extractJson(text)                       finds the JSON value in the text
+ *   validateAnalysis(analysis, count)       checks the article analysis shape
+ *   buildRepairPrompt(prompt, text, errors) asks the model to fix its reply
+ *
+ * Validators return a list of human-readable problems (empty when valid),
+ * phrased so they can be sent back to the model verbatim.
+ */
+
+/**
+ * Raised when no parseable JSON value is found in model output
+ */
+class StructuredOutputError extends Error {
+  constructor(message, errors = [message]) {
+    super(message);
+    this.name = "StructuredOutputError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Extracts the first JSON object or array from model output
+ * Tries, in order: the whole text, fenced code blocks, then every balanced
+ * {...} / [...] span in the text
+ */
+function extractJson(text) {
+  if (typeof text !== "string" || !text.trim()) {
+    throw new StructuredOutputError("The response was empty");
+  }
+
+  const candidates = [text.trim()];
+
+  for (const match of text.matchAll(/```[a-zA-Z]*\s*\n?([\s\S]*?)```/g)) {
+    candidates.push(match[1].trim());
+  }
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "{" || text[i] === "[") {
+      const end = findClosingBracket(text, i);
+      if (end !== -1) candidates.push(text.slice(i, end + 1));
+    }
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const value = JSON.parse(candidate);
+      if (value !== null && typeof value === "object") {
+        return value;
+      }
+    } catch {
+      // Try the next candidate
+    }
+  }
+
+  throw new StructuredOutputError("The response did not contain valid JSON");
+}
+
+/**
+ * Returns the index of the bracket closing the one at `start`, or -1
+ * Brackets inside JSON strings are ignored
+ */
+function findClosingBracket(text, start) {
+  const stack = [];
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === "\\") i++;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === "{") stack.push("}");
+    else if (char === "[") stack.push("]");
+    else if (char === "}" || char === "]") {
+      if (stack.pop() !== char) return -1;
+      if (stack.length === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Validates an LLM article analysis
+ *
+ *   { topArticles: [{ rank, title, summary, whyPositive, keyPoints, originalIndex }],
+ *     overallTrend }
+ *
+ * originalIndex must point into the analyzed articles (0 to articleCount - 1)
+ * and may only be used once.
+ */
+function validateAnalysis(analysis, articleCount) {
+  if (!isPlainObject(analysis)) {
+    return [`The response must be a JSON object (got ${describe(analysis)})`];
+  }
+
+  const errors = [];
+  const { topArticles, overallTrend } = analysis;
+
+  if (typeof overallTrend !== "string" || !overallTrend.trim()) {
+    errors.push(`"overallTrend" must be a non-empty string (got ${describe(overallTrend)})`);
+  }
+
+  if (!Array.isArray(topArticles)) {
+    errors.push(`"topArticles" must be an array (got ${describe(topArticles)})`);
+    return errors;
+  }
+  if (topArticles.length === 0) {
+    errors.push('"topArticles" must contain at least one article');
+  }
+
+  const usedIndexes = new Set();
+  topArticles.forEach((top, i) => {
+    const at = `topArticles[${i}]`;
+
+    if (!isPlainObject(top)) {
+      errors.push(`${at} must be an object (got ${describe(top)})`);
+      return;
+    }
+
+    if (!Number.isInteger(top.rank) || top.rank < 1) {
+      errors.push(`${at}.rank must be a whole number from 1 (got ${describe(top.rank)})`);
+    }
+    for (const field of ["title", "summary", "whyPositive"]) {
+      if (typeof top[field] !== "string" || !top[field].trim()) {
+        errors.push(`${at}.${field} must be a non-empty string (got ${describe(top[field])})`);
+      }
+    }
+    if (!Array.isArray(top.keyPoints) || top.keyPoints.some((point) => typeof point !== "string")) {
+      errors.push(`${at}.keyPoints must be an array of strings (got ${describe(top.keyPoints)})`);
+    }
+
+    if (
+      !Number.isInteger(top.originalIndex) ||
+      top.originalIndex < 0 ||
+      top.originalIndex >= articleCount
+    ) {
+      errors.push(
+        `${at}.originalIndex must be a whole number from 0 to ${articleCount - 1} (got ${describe(top.originalIndex)})`
+      );
+    } else if (usedIndexes.has(top.originalIndex)) {
+      errors.push(`${at}.originalIndex ${top.originalIndex} is used by more than one article`);
+    } else {
+      usedIndexes.add(top.originalIndex);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Builds the follow-up prompt that tells the model what was wrong with its reply
+ */
+function buildRepairPrompt(prompt, response, errors) {
+  const previous =
+    response.length > 4000 ? `${response.slice(0, 4000)}\n[... cut ...]` : response;
+
+  return `${prompt}
+
+Your previous response was:
+${previous}
+
+It could not be used because:
+${errors.map((error) => `- ${error}`).join("\n")}
+
+Reply again with only the corrected JSON object, without code fences or any other text.`;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function describe(value) {
+  if (value === undefined) return "nothing";
+  if (Array.isArray(value)) return "an array";
+  if (value === null) return "null";
+  if (typeof value === "string") return `"${value.length > 40 ? `${value.slice(0, 40)}...` : value}"`;
+  if (typeof value === "object") return "an object";
+  return String(value);
+}
+
+module.exports = {
+  StructuredOutputError,
+  extractJson,
+  validateAnalysis,
+  buildRepairPrompt,
+};
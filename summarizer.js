@@ -0,0 +1,250 @@
+/**
+ * Extractive Summarizer
+ *
+ * Offline summaries for the template posts, built from the article's own
+ * sentences:
+ *
+ *   - splitSentences: sentence boundaries that survive abbreviations
+ *     ("Dr.", "Inc.", "e.g."), initials, acronyms ("U.S."), decimals and
+ *     closing quotes; line breaks (headings, list items) always end one
+ *   - rankSentences: TextRank. Sentences are graph nodes, edges weigh the
+ *     content words two sentences share, and PageRank scores the sentences
+ *     the rest of the text agrees with; the random jumps favour early
+ *     sentences and title words, as news puts the story first
+ *   - summarize: the best-ranked sentences that fit a length, in text
+ *     order; when not even one fits it is cut at a clause or word boundary
+ *
+ * linkedin-ai-news-agent.js takes the key points and summaries of template
+ * posts from here, so they read well without an LLM.
+ */
+
+const { tokenize } = require("./topic-clusters");
+
+const ABBREVIATIONS = new Set(
+  (
+    "mr mrs ms dr prof sr jr st mt vs etc inc ltd co corp llc plc dept est " +
+    "approx fig no vol ed rev gen gov sen rep ft jan feb mar apr jun jul aug " +
+    "sep sept oct nov dec"
+  ).split(" ")
+);
+
+// Sentence-final punctuation, closing quotes or brackets, then whitespace
+// and something that can start a sentence
+const BOUNDARY = /[.!?…]+["'”’)\]]*(?=\s+["'“‘(\[]?[\p{Lu}\p{N}])/gu;
+
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-6;
+
+// Shorter fragments (headings, bylines) are not used as summary sentences
+const MIN_WORDS = 4;
+
+const ELLIPSIS = "…";
+
+/**
+ * Sentences of a text, trimmed and with whitespace collapsed
+ */
+function splitSentences(text) {
+  const sentences = [];
+
+  for (const block of String(text || "").split(/\n+/)) {
+    const line = block.replace(/\s+/g, " ").trim();
+    let start = 0;
+
+    for (const match of line.matchAll(BOUNDARY)) {
+      if (match[0].startsWith(".") && !match[0].startsWith("..")) {
+        const word = line.slice(start, match.index).split(" ").pop();
+        if (isAbbreviation(word)) continue;
+      }
+      const end = match.index + match[0].length;
+      sentences.push(line.slice(start, end).trim());
+      start = end;
+    }
+
+    const rest = line.slice(start).trim();
+    if (rest) sentences.push(rest);
+  }
+
+  return sentences;
+}
+
+/**
+ * Whether the word before a period is an abbreviation rather than the end
+ * of a sentence: a known abbreviation, an initial ("J.") or a dotted
+ * acronym ("U.S", "e.g")
+ */
+function isAbbreviation(word) {
+  const bare = word.replace(/^["'“‘(\[]+/, "");
+  return (
+    ABBREVIATIONS.has(bare.toLowerCase()) ||
+    /^\p{Lu}$/u.test(bare) ||
+    /^(\p{L}\.)+\p{L}$/u.test(bare)
+  );
+}
+
+/**
+ * TextRank scores of the sentences, best first:
+ * [{ text, index, score }] with the best score 1
+ */
+function rankSentences(sentences, { title = "" } = {}) {
+  const words = sentences.map((sentence) => new Set(tokenize(sentence)));
+  const titleWords = new Set(tokenize(title));
+  const count = sentences.length;
+  if (count === 0) return [];
+
+  const weights = words.map((a, i) =>
+    words.map((b, j) => (i === j ? 0 : similarity(a, b)))
+  );
+  const outWeights = weights.map((row) => row.reduce((sum, weight) => sum + weight, 0));
+
+  // Where the random surfer jumps to: early sentences and title words
+  const prior = words.map(
+    (set, i) => 1 + 1 / (i + 1) + shared(set, titleWords) / Math.max(1, titleWords.size)
+  );
+  const priorSum = prior.reduce((sum, value) => sum + value, 0);
+  const jump = prior.map((value) => value / priorSum);
+
+  let scores = jump.slice();
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    // Sentences without edges pass their score on like a random jump
+    const dangling = scores.reduce(
+      (sum, score, j) => (outWeights[j] === 0 ? sum + score : sum),
+      0
+    );
+    const next = scores.map((_, i) => {
+      let linked = 0;
+      for (let j = 0; j < count; j++) {
+        if (weights[j][i] > 0) linked += (weights[j][i] / outWeights[j]) * scores[j];
+      }
+      return (1 - DAMPING) * jump[i] + DAMPING * (linked + dangling * jump[i]);
+    });
+
+    const change = next.reduce((max, score, i) => Math.max(max, Math.abs(score - scores[i])), 0);
+    scores = next;
+    if (change < TOLERANCE) break;
+  }
+
+  const best = Math.max(...scores);
+  return sentences
+    .map((text, index) => ({ text, index, score: round(scores[index] / best) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+}
+
+/**
+ * Shared content words, normalized by sentence length so long sentences
+ * don't win by size alone (Mihalcea & Tarau)
+ */
+function similarity(a, b) {
+  const common = shared(a, b);
+  return common === 0 ? 0 : common / (Math.log(a.size + 1) + Math.log(b.size + 1));
+}
+
+function shared(a, b) {
+  let common = 0;
+  for (const word of a) {
+    if (b.has(word)) common++;
+  }
+  return common;
+}
+
+/**
+ * Summary of a text in at most maxLength characters:
+ * the best-ranked sentences that fit (up to maxSentences), in text order
+ *
+ * Options:
+ *   title: words that mark the central sentences
+ *   exclude: sentences to leave out, e.g. ones the post shows elsewhere
+ */
+function summarize(text, { maxLength = 200, maxSentences = 3, title = "", exclude = [] } = {}) {
+  const sentences = splitSentences(text);
+  const ranked = rankSentences(sentences, { title });
+  const excluded = new Set(exclude.map((sentence) => normalize(sentence)));
+
+  let candidates = ranked.filter(
+    (sentence) => wordCount(sentence.text) >= MIN_WORDS && !excluded.has(normalize(sentence.text))
+  );
+  if (candidates.length === 0) candidates = ranked;
+  if (candidates.length === 0) return "";
+
+  const picked = [];
+  let length = 0;
+  for (const sentence of candidates) {
+    if (picked.length >= maxSentences) break;
+    const added = length + (picked.length > 0 ? 1 : 0) + sentence.text.length;
+    if (added <= maxLength) {
+      picked.push(sentence);
+      length = added;
+    }
+  }
+
+  if (picked.length === 0) {
+    return trimToLength(candidates[0].text, maxLength);
+  }
+  return picked
+    .sort((a, b) => a.index - b.index)
+    .map((sentence) => sentence.text)
+    .join(" ");
+}
+
+/**
+ * The count best-ranked sentences between minLength and maxLength
+ * characters, best first: [{ text, importance }]
+ */
+function keySentences(text, { count = 3, title = "", minLength = 30, maxLength = 200 } = {}) {
+  return rankSentences(splitSentences(text), { title })
+    .filter(
+      (sentence) =>
+        sentence.text.length >= minLength &&
+        sentence.text.length <= maxLength &&
+        wordCount(sentence.text) >= MIN_WORDS
+    )
+    .slice(0, count)
+    .map((sentence) => ({ text: sentence.text, importance: sentence.score }));
+}
+
+/**
+ * Shortens a text to maxLength characters: whole sentences when at least
+ * one fits, otherwise cut after a clause (",", ";", ":", dash) or a word
+ * and marked with an ellipsis
+ */
+function trimToLength(text, maxLength) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  if (clean.length <= maxLength) return clean;
+
+  let whole = "";
+  for (const sentence of splitSentences(clean)) {
+    const next = whole ? `${whole} ${sentence}` : sentence;
+    if (next.length > maxLength) break;
+    whole = next;
+  }
+  if (whole) return whole;
+
+  const cut = clean.slice(0, maxLength - ELLIPSIS.length + 1);
+  const clause = Math.max(
+    ...[", ", "; ", ": ", " – ", " — "].map((mark) => cut.lastIndexOf(mark))
+  );
+  const space = cut.lastIndexOf(" ");
+  const end = clause > maxLength / 2 ? clause : space > maxLength / 2 ? space : cut.length - 1;
+
+  return clean.slice(0, end).replace(/[\s,;:–—-]+$/, "") + ELLIPSIS;
+}
+
+function normalize(sentence) {
+  return sentence.replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+function wordCount(text) {
+  return text.split(" ").filter(Boolean).length;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  splitSentences,
+  rankSentences,
+  summarize,
+  keySentences,
+  trimToLength,
+};
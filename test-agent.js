@@ -13,13 +13,13 @@ async function testAgent() {
         if (result.success) {
             console.log('✅ Agent test PASSED');
             console.log(`📰 Found ${result.articles.length} articles`);
-            console.log(`📝 Generated LinkedIn post (${result.linkedinPost.length} chars)`);
+            console.log(`📝 Generated LinkedIn post (${result.posts[0].characterCount} chars)`);
             console.log('\n📋 Sample LinkedIn Post:');
             console.log('─'.repeat(50));
-            console.log(result.linkedinPost);
+            console.log(result.posts[0].content);
             console.log('─'.repeat(50));
         } else {
-            console.log('❌ Agent test FAILED:', result.error);
+            console.log('❌ Agent test FAILED:', result.error.message);
         }
     } catch (error) {
         console.error('❌ Test error:', error.message);
@@ -0,0 +1,140 @@
+// Offline tests for the disk-backed article cache: expiry, eviction and the lock file
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ArticleCache = require('./article-cache');
+const { test, report } = require('./test-helper');
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function withCacheDir(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'article-cache-'));
+    try {
+        return await fn(path.join(dir, 'article-cache.json'));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+async function runTests() {
+    console.log('🧪 Testing article cache...');
+
+    await test('stores, lists and removes entries', () => withCacheDir(async (filePath) => {
+        const cache = new ArticleCache({ filePath });
+        assert.strictEqual(await cache.get('search:ai'), null);
+
+        await cache.set('search:ai', [{ title: 'A' }], { query: 'ai' });
+        await sleep(5);
+        await cache.set('search:robots', [{ title: 'B' }]);
+        await cache.set('other', 'x');
+
+        assert.deepStrictEqual(await cache.get('search:ai'), [{ title: 'A' }]);
+        const listed = await cache.entries('search:');
+        assert.deepStrictEqual(listed.map(entry => entry.key), ['search:robots', 'search:ai'], 'newest first');
+        assert.strictEqual(listed[1].query, 'ai');
+
+        // A new cache on the same file (a later run) sees the entries
+        assert.deepStrictEqual(await new ArticleCache({ filePath }).get('other'), 'x');
+
+        await cache.delete('other');
+        assert.strictEqual(await cache.get('other'), null);
+        await cache.clear();
+        assert.deepStrictEqual(await cache.entries(), []);
+        assert.ok(!fs.existsSync(`${filePath}.lock`));
+    }));
+
+    await test('expires entries after the ttl', () => withCacheDir(async (filePath) => {
+        const cache = new ArticleCache({ filePath, ttl: 40 });
+        await cache.set('search:ai', ['fresh']);
+        assert.deepStrictEqual(await cache.get('search:ai'), ['fresh']);
+
+        await sleep(60);
+        assert.strictEqual(await cache.get('search:ai'), null);
+        assert.deepStrictEqual(await cache.entries('search:'), []);
+
+        // The next write drops the expired entry from the file
+        await cache.set('search:robots', ['new']);
+        assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8')).entries), ['search:robots']);
+    }));
+
+    await test('evicts the least recently used entries over maxEntries', () => withCacheDir(async (filePath) => {
+        const cache = new ArticleCache({ filePath, maxEntries: 2 });
+        await cache.set('a', 1);
+        await sleep(5);
+        await cache.set('b', 2);
+        await sleep(5);
+        await cache.get('a'); // a is now used more recently than b
+        await sleep(5);
+        await cache.set('c', 3);
+
+        assert.strictEqual(await cache.get('b'), null);
+        assert.strictEqual(await cache.get('a'), 1);
+        assert.strictEqual(await cache.get('c'), 3);
+    }));
+
+    await test('serializes writers through the lock file', () => withCacheDir(async (filePath) => {
+        // Two caches on one file stand in for two runs at the same time
+        const first = new ArticleCache({ filePath });
+        const second = new ArticleCache({ filePath });
+
+        await Promise.all(Array.from({ length: 20 }, (_, i) => (i % 2 ? first : second).set(`key:${i}`, i)));
+
+        const entries = await first.entries('key:');
+        assert.strictEqual(entries.length, 20, 'no write was lost');
+        assert.ok(!fs.existsSync(`${filePath}.lock`));
+    }));
+
+    await test('waits for a held lock and breaks a stale one', () => withCacheDir(async (filePath) => {
+        const lockPath = `${filePath}.lock`;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(lockPath, '99999');
+
+        const cache = new ArticleCache({ filePath, lockTimeout: 100 });
+        await assert.rejects(cache.set('a', 1), /Timed out waiting for cache lock/);
+        assert.ok(fs.existsSync(lockPath), 'a live lock is left alone');
+
+        // Released while waiting
+        const waiting = new ArticleCache({ filePath, lockTimeout: 2000 }).set('a', 1);
+        setTimeout(() => fs.rmSync(lockPath, { force: true }), 100);
+        await waiting;
+        assert.strictEqual(await cache.get('a'), 1);
+
+        // Left behind by a crashed run
+        fs.writeFileSync(lockPath, '99999');
+        const old = new Date(Date.now() - 60000);
+        fs.utimesSync(lockPath, old, old);
+        await new ArticleCache({ filePath, lockTimeout: 100, staleLockAge: 30000 }).set('b', 2);
+        assert.strictEqual(await cache.get('b'), 2);
+        assert.ok(!fs.existsSync(lockPath));
+    }));
+
+    await test('removes the lock file when writing it fails', () => withCacheDir(async (filePath) => {
+        const cache = new ArticleCache({ filePath, lockTimeout: 100 });
+        const { open } = fs.promises;
+        fs.promises.open = async (...args) => {
+            const handle = await open(...args);
+            handle.writeFile = async () => {
+                throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+            };
+            return handle;
+        };
+
+        try {
+            await assert.rejects(cache.set('a', 1), /ENOSPC/);
+        } finally {
+            fs.promises.open = open;
+        }
+
+        assert.ok(!fs.existsSync(`${filePath}.lock`), 'the lock does not block later runs');
+        await cache.set('a', 1);
+        assert.strictEqual(await cache.get('a'), 1);
+    }));
+
+    report();
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,238 @@
+// Offline tests for full-article extraction using saved HTML page fixtures
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { extractArticle, ArticleEnricher } = require('./article-extractor');
+const { LinkedInAINewsAgent } = require('./linkedin-ai-news-agent');
+const { DEFAULT_CONFIG, validateConfig } = require('./config-loader');
+const { stages, createResult, createNewsPipeline } = require('./pipeline');
+const { NewsAPIProvider } = require('./news-providers');
+const AIGoodNewsAgent = require('./ai-agent');
+const { test, report } = require('./test-helper');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'pages');
+const readFixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+const TECHCRUNCH_URL = 'https://techcrunch.com/2025/05/12/ai-agents-startup-raises-50m-series-b/';
+
+// A NewsAPI "everything" article: content is the description cut off with a marker
+const NEWSAPI_ARTICLE = {
+    source: { id: null, name: 'Dev Weekly' },
+    author: 'Sam Lee',
+    title: 'Open-source coding assistant reaches a million developers',
+    description: 'An open-source coding assistant now has a million users. Many developers say it saves them hours every week.',
+    url: 'https://devweekly.example.com/coding-assistant',
+    publishedAt: '2025-05-12T09:00:00Z',
+    content: 'An open-source coding assistant now has a million users. Many developers say it saves them hours every week… [+2345 chars]'
+};
+
+// Serves the page fixtures, plus a JSON response for the non-HTML case and a
+// NewsAPI search response
+async function startServer() {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/api/story.json') {
+            res.setHeader('Content-Type', 'application/json');
+            res.end('{"title": "Not a page"}');
+            return;
+        }
+        if (req.url.startsWith('/v2/everything?')) {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ status: 'ok', totalResults: 1, articles: [NEWSAPI_ARTICLE] }));
+            return;
+        }
+        const file = path.join(FIXTURES, path.basename(new URL(req.url, 'http://localhost').pathname));
+        if (!fs.existsSync(file)) {
+            res.statusCode = 404;
+            res.end();
+            return;
+        }
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.end(fs.readFileSync(file));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function runTests() {
+    console.log('🧪 Testing article extractor...');
+
+    await test('extracts metadata from meta tags and JSON-LD', () => {
+        const page = extractArticle(readFixture('techcrunch-article.html'), TECHCRUNCH_URL);
+
+        assert.strictEqual(page.title, 'Anthropic rival raises $50M Series B to build enterprise AI agents');
+        assert.strictEqual(page.canonicalUrl, TECHCRUNCH_URL);
+        assert.strictEqual(page.publishedDate.toISOString(), '2025-05-12T17:30:00.000Z');
+        assert.strictEqual(page.author, 'Kyle Wiggers');
+        assert.strictEqual(page.image, 'https://techcrunch.com/wp-content/uploads/2025/05/agents-hero.jpg?w=1200');
+        assert.strictEqual(page.siteName, 'TechCrunch');
+    });
+
+    await test('keeps the article body and drops page chrome', () => {
+        const page = extractArticle(readFixture('techcrunch-article.html'), TECHCRUNCH_URL);
+
+        assert.ok(page.content.startsWith('Agentic Labs, a startup building AI agents'));
+        assert.ok(page.content.includes('The company’s platform lets operations teams'), 'entities should be decoded');
+        assert.ok(page.content.includes('Safety first'));
+        assert.ok(page.content.endsWith('to sign on.'));
+        assert.ok(page.wordCount > 200);
+
+        for (const chrome of ['Share on LinkedIn', 'Advertisement', 'Read more', 'Related', 'Great article', 'Subscribe', 'Image Credits', 'not markup']) {
+            assert.ok(!page.content.includes(chrome), `"${chrome}" should not be in the content`);
+        }
+    });
+
+    await test('resolves relative URLs and joins body sections split across containers', () => {
+        const url = 'https://roboworks.example/blog/warehouse-robots-fold-boxes?utm_source=feed';
+        const page = extractArticle(readFixture('blog-post.html'), url);
+
+        assert.strictEqual(page.title, 'How our warehouse robots learned to fold boxes');
+        assert.strictEqual(page.canonicalUrl, 'https://roboworks.example/blog/warehouse-robots-fold-boxes');
+        assert.strictEqual(page.image, 'https://roboworks.example/images/box-folding.png');
+        assert.strictEqual(page.author, 'Priya Natarajan');
+        assert.strictEqual(page.publishedDate.toISOString().slice(0, 10), '2026-03-02');
+        assert.strictEqual(page.siteName, null);
+
+        assert.ok(page.content.startsWith('For two years'));
+        assert.ok(page.content.includes('Success rate went from 71% to 96%'), 'list items belong to the body');
+        assert.ok(page.content.includes('under an open licence'), 'the second section should be joined');
+
+        // A numeric entity that is not a character is kept, not thrown on
+        const broken = readFixture('blog-post.html').replace('For two years', 'For two &#99999999; years');
+        assert.ok(extractArticle(broken, url).content.startsWith('For two &#99999999; years'));
+        for (const chrome of ['cookies', 'Careers', 'leads the manipulation team', 'Popular posts', 'Rust']) {
+            assert.ok(!page.content.includes(chrome), `"${chrome}" should not be in the content`);
+        }
+    });
+
+    await test('enriches the top articles over HTTP and records failures', async () => {
+        const { server, base } = await startServer();
+        try {
+            const articles = [
+                { title: 'Agents', summary: 'Snippet.', url: `${base}/techcrunch-article.html`, author: 'Feed Author' },
+                { title: 'Robots', summary: 'Snippet.', url: `${base}/blog-post.html?utm_source=feed` },
+                { title: 'JSON', summary: 'Snippet.', url: `${base}/api/story.json` },
+                { title: 'Gone', summary: 'Snippet.', url: `${base}/missing.html` },
+                { title: 'Paywalled', summary: 'Snippet.', url: `${base}/techcrunch-article.html`, paywall: true },
+                { title: 'Not in the top', summary: 'Snippet.', url: `${base}/blog-post.html` }
+            ];
+
+            const enricher = new ArticleEnricher({ maxArticles: 5, concurrency: 2 });
+            const { enriched, failed: failures } = await enricher.enrich(articles);
+
+            assert.strictEqual(enriched, 2);
+            // Workers finish in any order
+            failures.sort((a, b) => a.url.localeCompare(b.url));
+            assert.deepStrictEqual(failures.map(f => f.url), [`${base}/api/story.json`, `${base}/missing.html`]);
+            assert.ok(/Not an HTML page/.test(failures[0].error));
+
+            const [agents, robots, json, , paywalled, rest] = articles;
+            assert.ok(agents.enriched && agents.content.startsWith('Agentic Labs'));
+            assert.strictEqual(agents.author, 'Feed Author', 'feed metadata wins');
+            assert.strictEqual(agents.publishedDate.toISOString(), '2025-05-12T17:30:00.000Z');
+            assert.strictEqual(agents.url, `${base}/techcrunch-article.html`, 'a canonical on another site is not followed');
+
+            assert.strictEqual(robots.url, `${base}/blog/warehouse-robots-fold-boxes`, 'a same-site canonical replaces the URL');
+            assert.strictEqual(robots.image, `${base}/images/box-folding.png`);
+            assert.strictEqual(robots.author, 'Priya Natarajan');
+
+            assert.ok(!json.enriched && json.content === undefined);
+            assert.ok(!paywalled.enriched, 'paywalled sources are not fetched');
+            assert.ok(!rest.enriched, 'only maxArticles are fetched');
+
+            const short = new ArticleEnricher({ maxContentLength: 500 });
+            const article = { title: 'Agents', summary: 'Snippet.', url: `${base}/techcrunch-article.html` };
+            await short.enrich([article]);
+            assert.ok(article.content.length <= 500 && article.content.endsWith('...'));
+
+            // Pages over maxBytes are not downloaded
+            const large = { title: 'Agents', summary: 'Snippet.', url: `${base}/techcrunch-article.html` };
+            const { failed: tooLarge } = await new ArticleEnricher({ maxBytes: 1000 }).enrich([large]);
+            assert.match(tooLarge[0].error, /Response too large/);
+            assert.ok(!large.enriched);
+        } finally {
+            server.close();
+        }
+    });
+
+    await test('pipeline enrich stage feeds the full text to key points and the result', async () => {
+        const { server, base } = await startServer();
+        try {
+            const config = { ...DEFAULT_CONFIG, enrichment: { ...DEFAULT_CONFIG.enrichment, enabled: true } };
+            const agent = new LinkedInAINewsAgent(config);
+            const article = {
+                title: 'Agentic Labs raises $50M',
+                summary: 'The startup announced on Monday that it has raised $50 million.',
+                url: `${base}/techcrunch-article.html`,
+                source: 'techcrunch.com'
+            };
+
+            const before = agent.extractKeyPoints(article);
+            const context = { articles: [article] };
+            await stages.enrich(new ArticleEnricher(config.enrichment)).run(context);
+            const after = agent.extractKeyPoints(article);
+
+            assert.ok(after.length > before.length, 'the full text should yield more key points');
+            assert.ok(after.some(point => point.text.includes('40 enterprise customers')));
+            assert.ok(after.every(point => !point.text.includes('\n')));
+
+            const result = createResult(
+                { articles: [article], analysis: null, posts: [], generators: {}, promptVersions: {}, startTime: Date.now() },
+                { status: 'success' }
+            );
+            assert.strictEqual(result.articles[0].enriched, true);
+            assert.strictEqual(result.articles[0].image, 'https://techcrunch.com/wp-content/uploads/2025/05/agents-hero.jpg?w=1200');
+            assert.ok(!('content' in result.articles[0]), 'the page text stays out of the result');
+
+            const stageNames = (pipeline) => pipeline.stages.filter.map(stage => stage.name);
+            const options = { engine: agent, analyzer: 'template', composer: 'template', skipSeenArticles: false, history: false };
+            assert.deepStrictEqual(stageNames(createNewsPipeline(config, options)), ['rank', 'enrich']);
+            assert.deepStrictEqual(stageNames(createNewsPipeline(DEFAULT_CONFIG, options)), ['rank']);
+            assert.deepStrictEqual(stageNames(createNewsPipeline(config, { ...options, enricher: false })), ['rank']);
+        } finally {
+            server.close();
+        }
+    });
+
+    await test('NewsAPI snippets are not used as article text', async () => {
+        const { server, base } = await startServer();
+        try {
+            const provider = new NewsAPIProvider({ apiKey: 'test-key', baseUrl: `${base}/v2` });
+            const [article] = await provider.search('coding assistant');
+            assert.strictEqual(article.summary, NEWSAPI_ARTICLE.description);
+            assert.ok(!('content' in article), 'only the enrich stage sets content');
+
+            const agent = new LinkedInAINewsAgent(DEFAULT_CONFIG);
+            const keyPoints = agent.extractKeyPoints(article);
+            assert.ok(keyPoints.length > 0);
+            assert.ok(keyPoints.every(point => !point.text.includes('chars]')), keyPoints.map(point => point.text).join(' | '));
+            assert.ok(!agent.createSummary(article, keyPoints).includes('chars]'));
+
+            // The analysis prompt lists the description once, with no article text line
+            const writer = new AIGoodNewsAgent({ providers: { enabled: ['rss'] } });
+            let prompt = null;
+            writer.analysisLLM = { name: 'mock', displayName: 'mock', isAvailable: () => true };
+            writer.requestAnalysis = async (text) => {
+                prompt = text;
+                return writer.fallbackAnalysis([article]);
+            };
+            await writer.analyzeWithLLM([article]);
+            assert.ok(prompt.includes(`Description: ${NEWSAPI_ARTICLE.description}`));
+            assert.ok(!prompt.includes('Article text:'));
+        } finally {
+            server.close();
+        }
+    });
+
+    await test('config validates the enrichment section', () => {
+        assert.strictEqual(DEFAULT_CONFIG.enrichment.enabled, false);
+
+        const errors = validateConfig({ ...DEFAULT_CONFIG, enrichment: { ...DEFAULT_CONFIG.enrichment, concurrency: 0, skipPaywalled: 'yes' } });
+        assert.strictEqual(errors.length, 2);
+    });
+
+    report();
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,161 @@
+// Offline tests for the CLI output flags (--json, --markdown, --out) and the
+// post-output.js renderings; the CLI reads a local RSS feed
+const assert = require('assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { renderJson, renderMarkdown } = require('./post-output');
+const { createResult } = require('./pipeline');
+const { test, report } = require('./test-helper');
+
+const CLI = path.join(__dirname, 'linkedin-ai-news-agent.js');
+
+const STORIES = [
+    ['hospital-triage', 'Hospitals adopt an open generative AI model for radiology triage'],
+    ['protein-folding', 'Researchers release a machine learning model that folds proteins faster']
+];
+
+function feedXml() {
+    const items = STORIES.map(([slug, title]) => `
+    <item>
+      <title>${title}</title>
+      <link>https://news.example.com/${slug}</link>
+      <pubDate>${new Date().toUTCString()}</pubDate>
+      <description>${title}. The team released the artificial intelligence model and its training data so anyone can reuse the research. Early results show a breakthrough in accuracy.</description>
+    </item>`).join('');
+    return `<?xml version="1.0"?><rss version="2.0"><channel><title>AI News</title>${items}
+  </channel></rss>`;
+}
+
+async function startFeedServer() {
+    const server = http.createServer((req, res) => {
+        res.setHeader('Content-Type', 'application/rss+xml');
+        res.end(feedXml());
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, feedUrl: `http://127.0.0.1:${server.address().port}/feed.xml` };
+}
+
+// Runs the CLI in dir and resolves with { code, stdout, stderr }
+function runCli(dir, args) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [CLI, ...args], { cwd: dir, timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+const sampleResult = createResult({
+    articles: [{ title: 'Open model for hospitals', url: 'https://wired.com/story', source: 'wired.com', summary: 'Hospitals adopt an open model.' }],
+    analysis: null,
+    posts: [
+        {
+            content: 'Hospitals adopt an open model.\n\n#AI #Healthcare',
+            style: 'news_share',
+            hashtags: ['#AI', '#Healthcare'],
+            sourceUrl: 'https://wired.com/story',
+            article: { title: 'Open model for hospitals', source: 'wired.com' }
+        },
+        { content: 'What would you automate first?', style: 'question' }
+    ],
+    generators: {},
+    promptVersions: {},
+    startTime: Date.now()
+}, { status: 'success' });
+
+async function runTests() {
+    console.log('🧪 Testing CLI output...');
+
+    await test('renders every post as Markdown with its source and hashtags', () => {
+        const markdown = renderMarkdown(sampleResult);
+
+        assert.ok(markdown.startsWith('# LinkedIn AI News Posts\n\n'));
+        assert.ok(markdown.includes(`_Generated ${sampleResult.timestamp} · 2 posts from 1 articles_`));
+        assert.ok(markdown.includes([
+            '## Post 1: News share (47 characters)',
+            '',
+            '**Source:** [Open model for hospitals](https://wired.com/story) · wired.com',
+            '',
+            '**Hashtags:** #AI #Healthcare',
+            '',
+            '```text',
+            'Hospitals adopt an open model.',
+            '',
+            '#AI #Healthcare',
+            '```'
+        ].join('\n')), markdown);
+        assert.ok(markdown.includes('## Post 2: Question (30 characters)\n\n```text\nWhat would you automate first?\n```'), markdown);
+        assert.ok(markdown.endsWith('**Sources:** wired.com\n'));
+        assert.deepStrictEqual(JSON.parse(renderJson(sampleResult)), sampleResult);
+    });
+
+    await test('explains in the Markdown why no posts were generated', () => {
+        const empty = createResult(
+            { articles: [], analysis: null, posts: [], generators: {}, promptVersions: {}, startTime: Date.now() },
+            { status: 'empty', error: new Error('No articles found'), stage: 'filter' }
+        );
+        const markdown = renderMarkdown(empty);
+
+        assert.ok(markdown.includes('> ⚠️ No posts were generated: No articles found'));
+        assert.ok(!markdown.includes('## Post'));
+        assert.ok(!markdown.includes('**Sources:**'));
+    });
+
+    const { server, feedUrl } = await startFeedServer();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    const configPath = path.join(dir, 'cli-config.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+        providers: { enabled: ['rss'], rss: { feeds: [feedUrl], usePreferredSources: false } },
+        search: { timeframe: 'w', minRelevanceScore: 0 },
+        cache: { enabled: false },
+        history: { enabled: false }
+    }));
+
+    try {
+        await test('--json prints only the result on stdout and logs to stderr', async () => {
+            const outDir = path.join(dir, 'posts');
+            const { code, stdout, stderr } = await runCli(dir, ['--config', configPath, '--json', '--out', outDir]);
+
+            assert.strictEqual(code, 0, stderr);
+            const result = JSON.parse(stdout);
+            assert.strictEqual(result.status, 'success');
+            assert.deepStrictEqual(result.articles.map(article => article.url).sort(), STORIES.map(([slug]) => `https://news.example.com/${slug}`).sort());
+            assert.strictEqual(stdout, renderJson(result));
+
+            assert.ok(stderr.includes('🤖 LinkedIn AI News Agent starting...'));
+            assert.ok(stderr.includes(`⚙️ Loaded configuration from ${configPath}`));
+            assert.ok(stderr.includes(`📁 Wrote ${result.posts.length} post files to ${outDir}`));
+
+            const files = fs.readdirSync(outDir).sort();
+            assert.strictEqual(files.length, result.posts.length);
+            assert.strictEqual(fs.readFileSync(path.join(outDir, files[0]), 'utf8'), `${result.posts[0].content}\n`);
+        });
+
+        await test('--markdown - prints the Markdown document on stdout', async () => {
+            const { code, stdout, stderr } = await runCli(dir, ['--config', configPath, '--markdown', '-']);
+
+            assert.strictEqual(code, 0, stderr);
+            assert.ok(stdout.startsWith('# LinkedIn AI News Posts\n'), stdout.slice(0, 200));
+            assert.ok(stdout.includes('## Post 1: '));
+            assert.ok(!stdout.includes('🤖'), 'logs belong on stderr');
+        });
+
+        await test('rejects two outputs on stdout before searching', async () => {
+            const { code, stdout, stderr } = await runCli(dir, ['--config', configPath, '--json', '--markdown', '-']);
+
+            assert.strictEqual(code, 1);
+            assert.strictEqual(stdout, '');
+            assert.strictEqual(stderr, '❌ --json and --markdown - both write to stdout; pick one\n');
+        });
+    } finally {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    report();
+}
+
+// Run the tests
+runTests();
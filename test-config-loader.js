@@ -0,0 +1,180 @@
+// Offline tests for config loading: schema validation, AGENT_* overrides,
+// legacy section names and which config file is used
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_CONFIG, ConfigError, loadConfig, validateConfig } = require('./config-loader');
+const { test, report } = require('./test-helper');
+
+function configDir(files = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-config-'));
+    for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    return dir;
+}
+
+// Legacy section names log a deprecation warning; keep the test output clean
+function quietly(fn) {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        console.warn = warn;
+    }
+}
+
+async function runTests() {
+    console.log('🧪 Testing config loader...');
+
+    await test('accepts the defaults and reports every schema problem', () => {
+        assert.deepStrictEqual(validateConfig(DEFAULT_CONFIG), []);
+
+        const errors = validateConfig({
+            ...DEFAULT_CONFIG,
+            search: { ...DEFAULT_CONFIG.search, maxResults: 0, timeframe: 'y' },
+            aiKeywords: ['AI', 42],
+            colour: 'blue'
+        });
+        assert.ok(errors.includes('search.maxResults must be at least 1 (got 0)'), errors.join('\n'));
+        assert.ok(errors.some(error => error.startsWith('search.timeframe must be one of') && error.includes('(got "y")')), errors.join('\n'));
+        assert.ok(errors.includes('aiKeywords[1] must be a string (got number 42)'), errors.join('\n'));
+        assert.ok(errors.includes('colour is not a recognized setting'), errors.join('\n'));
+    });
+
+    await test('collects all problems in one ConfigError naming the file', () => {
+        const dir = configDir({ 'agent-config.json': { search: { maxResults: 0 }, colour: 'blue' } });
+        assert.throws(() => loadConfig({ baseDir: dir, env: {} }), (error) => {
+            assert.ok(error instanceof ConfigError);
+            assert.strictEqual(error.errors.length, 2);
+            assert.ok(error.message.includes(path.join(dir, 'agent-config.json')));
+            return true;
+        });
+    });
+
+    await test('falls back to the defaults without a config file', () => {
+        const config = loadConfig({ baseDir: configDir(), env: {} });
+        assert.strictEqual(config.configPath, null);
+        assert.deepStrictEqual(config.search, DEFAULT_CONFIG.search);
+        assert.ok(!Object.keys(config).includes('configPath'));
+    });
+
+    await test('applies AGENT_* overrides over the config file', () => {
+        const dir = configDir({ 'agent-config.json': { search: { maxResults: 5 }, cache: { enabled: true } } });
+        const config = loadConfig({
+            baseDir: dir,
+            env: {
+                AGENT_MAX_RESULTS: '25',
+                AGENT_KEYWORDS: 'robotics, computer vision,,',
+                AGENT_CACHE_ENABLED: 'false',
+                AGENT_PROVIDERS: 'rss',
+                AGENT_PERSONA: 'engineer'
+            }
+        });
+        assert.strictEqual(config.search.maxResults, 25);
+        assert.deepStrictEqual(config.aiKeywords, ['robotics', 'computer vision']);
+        assert.strictEqual(config.cache.enabled, false);
+        assert.deepStrictEqual(config.providers.enabled, ['rss']);
+        assert.strictEqual(config.userPreferences.persona, 'engineer');
+        assert.strictEqual(config.search.timeframe, DEFAULT_CONFIG.search.timeframe);
+
+        assert.strictEqual(loadConfig({ baseDir: dir, env: { AGENT_CACHE_ENABLED: '0' } }).cache.enabled, false);
+        assert.strictEqual(loadConfig({ baseDir: dir, env: { AGENT_CACHE_ENABLED: 'TRUE' } }).cache.enabled, true);
+    });
+
+    await test('treats blank environment variables as not set', () => {
+        const dir = configDir({ 'agent-config.json': { search: { maxResults: 5 } } });
+        const config = loadConfig({ baseDir: dir, env: { AGENT_MAX_RESULTS: '  ', AGENT_KEYWORDS: '', AGENT_CACHE_ENABLED: ' ', AGENT_CONFIG_PATH: ' ' } });
+        assert.strictEqual(config.search.maxResults, 5);
+        assert.deepStrictEqual(config.aiKeywords, DEFAULT_CONFIG.aiKeywords);
+        assert.strictEqual(config.cache.enabled, DEFAULT_CONFIG.cache.enabled);
+        assert.strictEqual(config.configPath, path.join(dir, 'agent-config.json'));
+    });
+
+    await test('names the environment variable behind an invalid value', () => {
+        const dir = configDir({ 'agent-config.json': { search: { maxResults: 5, timeframe: 'y' } } });
+        assert.throws(() => loadConfig({ baseDir: dir, env: { AGENT_MAX_RESULTS: '0' } }), (error) => {
+            assert.ok(error.errors.includes('search.maxResults must be at least 1 (got 0) (set by AGENT_MAX_RESULTS)'), error.message);
+            assert.ok(error.errors.some(message => message.startsWith('search.timeframe') && !message.includes('set by')), error.message);
+            return true;
+        });
+
+        assert.throws(
+            () => loadConfig({ baseDir: dir, env: { AGENT_MAX_RESULTS: 'ten' } }),
+            { name: 'ConfigError', message: 'Environment variable AGENT_MAX_RESULTS must be a number (got "ten")' }
+        );
+        assert.throws(
+            () => loadConfig({ baseDir: dir, env: { AGENT_CACHE_ENABLED: 'yes' } }),
+            { name: 'ConfigError', message: 'Environment variable AGENT_CACHE_ENABLED must be true or false (got "yes")' }
+        );
+    });
+
+    await test('maps legacy searchSettings and postSettings sections', () => {
+        const dir = configDir({ 'config.json': { searchSettings: { minRelevanceScore: 0.6 }, postSettings: { maxHashtags: 3 } } });
+        const config = quietly(() => loadConfig({ baseDir: dir, env: {} }));
+        assert.strictEqual(config.search.minRelevanceScore, 0.6);
+        assert.strictEqual(config.search.maxResults, DEFAULT_CONFIG.search.maxResults);
+        assert.strictEqual(config.posts.maxHashtags, 3);
+        assert.ok(!('searchSettings' in config));
+        assert.ok(!('postSettings' in config));
+
+        const both = configDir({ 'config.json': { searchSettings: { maxResults: 3 }, search: { maxResults: 4 } } });
+        assert.throws(
+            () => quietly(() => loadConfig({ baseDir: both, env: {} })),
+            { name: 'ConfigError', message: 'Config defines both "searchSettings" and "search"; keep only "search"' }
+        );
+    });
+
+    await test('prefers agent-config.json over config.json', () => {
+        const dir = configDir({
+            'agent-config.json': { search: { minRelevanceScore: 0.4 } },
+            'config.json': { searchSettings: { minRelevanceScore: 0.6 } }
+        });
+        const config = loadConfig({ baseDir: dir, env: {} });
+        assert.strictEqual(config.configPath, path.join(dir, 'agent-config.json'));
+        assert.strictEqual(config.search.minRelevanceScore, 0.4);
+
+        fs.unlinkSync(path.join(dir, 'agent-config.json'));
+        const fallback = quietly(() => loadConfig({ baseDir: dir, env: {} }));
+        assert.strictEqual(fallback.configPath, path.join(dir, 'config.json'));
+        assert.strictEqual(fallback.search.minRelevanceScore, 0.6);
+    });
+
+    await test('uses an explicit config path before AGENT_CONFIG_PATH and the defaults', () => {
+        const dir = configDir({
+            'agent-config.json': { search: { maxResults: 5 } },
+            'team.json': { search: { maxResults: 6 } },
+            'ops.json': { search: { maxResults: 7 } }
+        });
+        const team = path.join(dir, 'team.json');
+        const ops = path.join(dir, 'ops.json');
+
+        assert.strictEqual(loadConfig({ baseDir: dir, env: { AGENT_CONFIG_PATH: ops } }).search.maxResults, 7);
+        assert.strictEqual(loadConfig({ baseDir: dir, configPath: team, env: { AGENT_CONFIG_PATH: ops } }).search.maxResults, 6);
+        assert.throws(
+            () => loadConfig({ baseDir: dir, env: { AGENT_CONFIG_PATH: path.join(dir, 'missing.json') } }),
+            (error) => error instanceof ConfigError && error.message.includes('missing.json')
+        );
+    });
+
+    await test('rejects config files that are not a JSON object', () => {
+        const broken = configDir({ 'agent-config.json': '{ "search": ' });
+        assert.throws(
+            () => loadConfig({ baseDir: broken, env: {} }),
+            (error) => error instanceof ConfigError && error.message.includes('is not valid JSON')
+        );
+
+        const list = configDir({ 'agent-config.json': '[]' });
+        assert.throws(
+            () => loadConfig({ baseDir: list, env: {} }),
+            (error) => error instanceof ConfigError && error.message.endsWith('must contain a JSON object at the top level')
+        );
+    });
+
+    report();
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,200 @@
+// Offline tests for the drafts store: saving, editing, the status workflow and scheduling
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DraftsStore, DraftError, STATUS_TRANSITIONS } = require('./drafts-store');
+const { test, report } = require('./test-helper');
+
+const POST = {
+    content: '🚀 A hospital network cut sepsis deaths by 18% with an early-warning model.\n\n#AI #HealthTech',
+    style: 'news_share',
+    hashtags: ['#AI', '#HealthTech'],
+    sourceUrl: 'https://example.com/sepsis',
+    article: { title: 'Hospital network cuts sepsis deaths', source: 'example.com' }
+};
+
+async function withStore(fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drafts-'));
+    try {
+        return await fn(new DraftsStore({ filePath: path.join(dir, 'drafts.json') }), dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+async function expectDraftError(promise, statusCode, pattern) {
+    await assert.rejects(promise, (error) => {
+        assert.ok(error instanceof DraftError, `expected a DraftError, got ${error.name}`);
+        assert.strictEqual(error.statusCode, statusCode);
+        if (pattern) assert.match(error.message, pattern);
+        return true;
+    });
+}
+
+async function runTests() {
+    console.log('🧪 Testing drafts store...');
+
+    await test('creates, lists, gets and deletes drafts', () => withStore(async (store, dir) => {
+        const first = await store.create({ post: POST, articles: [{ url: POST.sourceUrl, rank: 1 }], overallTrend: 'Healthcare AI' });
+        assert.strictEqual(first.status, 'draft');
+        assert.strictEqual(first.content, POST.content);
+        assert.strictEqual(first.originalContent, POST.content);
+        assert.strictEqual(first.edited, false);
+        assert.strictEqual(first.style, 'news_share');
+        assert.strictEqual(first.overallTrend, 'Healthcare AI');
+
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const second = await store.create({ post: { content: 'A second post' } });
+        assert.strictEqual(second.style, 'custom');
+
+        assert.deepStrictEqual((await store.list()).map(draft => draft.id), [second.id, first.id]);
+        assert.deepStrictEqual((await store.get(first.id)).articles, [{ url: POST.sourceUrl, rank: 1 }]);
+
+        // Another store on the same file sees the same drafts
+        const reopened = new DraftsStore({ filePath: path.join(dir, 'drafts.json') });
+        assert.strictEqual((await reopened.list()).length, 2);
+
+        assert.strictEqual((await store.delete(second.id)).id, second.id);
+        assert.deepStrictEqual((await store.list()).map(draft => draft.id), [first.id]);
+
+        await expectDraftError(store.get(second.id), 404, /not found/);
+        await expectDraftError(store.delete(second.id), 404);
+        await expectDraftError(store.create({ post: { content: '   ' } }), 400);
+    }));
+
+    await test('edits keep the original content', () => withStore(async (store) => {
+        const draft = await store.create({ post: POST });
+
+        const edited = await store.update(draft.id, { content: 'Rewritten by hand' });
+        assert.strictEqual(edited.content, 'Rewritten by hand');
+        assert.strictEqual(edited.originalContent, POST.content);
+        assert.strictEqual(edited.edited, true);
+
+        const restored = await store.update(draft.id, { content: POST.content });
+        assert.strictEqual(restored.edited, false);
+
+        await expectDraftError(store.update(draft.id, { content: '' }), 400);
+        await expectDraftError(store.update('missing', { content: 'x' }), 404);
+    }));
+
+    await test('statuses follow the workflow and are listed by status', () => withStore(async (store) => {
+        const draft = await store.create({ post: POST });
+
+        const approved = await store.update(draft.id, { status: 'approved' });
+        assert.strictEqual(approved.status, 'approved');
+        assert.ok(approved.approvedAt);
+
+        const posted = await store.update(draft.id, { status: 'posted' });
+        assert.strictEqual(posted.status, 'posted');
+        assert.ok(posted.postedAt);
+
+        const discarded = await store.create({ post: { content: 'Not this one' } });
+        await store.update(discarded.id, { status: 'discarded' });
+
+        assert.deepStrictEqual((await store.list({ status: 'posted' })).map(d => d.id), [draft.id]);
+        assert.deepStrictEqual((await store.list({ status: 'discarded' })).map(d => d.id), [discarded.id]);
+        await expectDraftError(store.list({ status: 'published' }), 400, /Invalid status/);
+
+        // Unchanged status is not a transition
+        assert.strictEqual((await store.update(draft.id, { status: 'posted' })).status, 'posted');
+    }));
+
+    await test('rejects status changes the workflow does not allow', () => withStore(async (store) => {
+        const draft = await store.create({ post: POST });
+        await expectDraftError(store.update(draft.id, { status: 'posted' }), 409, /Cannot change a draft draft to posted/);
+        assert.strictEqual((await store.get(draft.id)).status, 'draft');
+
+        // A rejected change saves nothing, not even the content sent with it
+        await expectDraftError(store.update(draft.id, { content: 'Edited', status: 'posted' }), 409);
+        assert.strictEqual((await store.get(draft.id)).content, POST.content);
+
+        await store.update(draft.id, { status: 'approved' });
+        await store.update(draft.id, { status: 'posted' });
+        for (const status of ['draft', 'approved', 'discarded']) {
+            await expectDraftError(store.update(draft.id, { status }), 409);
+        }
+
+        const discarded = await store.create({ post: { content: 'Maybe later' } });
+        await store.update(discarded.id, { status: 'discarded' });
+        await expectDraftError(store.update(discarded.id, { status: 'approved' }), 409);
+        assert.strictEqual((await store.update(discarded.id, { status: 'draft' })).status, 'draft');
+
+        const reconsidered = await store.create({ post: { content: 'Second thoughts' } });
+        await store.update(reconsidered.id, { status: 'approved' });
+        assert.strictEqual((await store.update(reconsidered.id, { status: 'draft' })).status, 'draft');
+
+        assert.deepStrictEqual(STATUS_TRANSITIONS.posted, []);
+    }));
+
+    await test('publishing claims the draft so it is posted once', () => withStore(async (store) => {
+        const draft = await store.create({ post: POST });
+        await expectDraftError(store.claimForPublishing(draft.id), 409, /Only approved drafts can be published \(draft is draft\)/);
+        await store.update(draft.id, { status: 'approved' });
+        await expectDraftError(store.update(draft.id, { status: 'publishing' }), 409);
+
+        // Two publishes at once (a double click, or the scheduler): one gets the claim
+        const claims = await Promise.allSettled([store.claimForPublishing(draft.id), store.claimForPublishing(draft.id)]);
+        assert.deepStrictEqual(claims.map(claim => claim.status).sort(), ['fulfilled', 'rejected']);
+        assert.strictEqual(claims.find(claim => claim.status === 'rejected').reason.statusCode, 409);
+        assert.strictEqual((await store.get(draft.id)).status, 'publishing');
+
+        // Nobody can change it by hand while the publish runs
+        await expectDraftError(store.update(draft.id, { status: 'discarded' }), 409, /while publishing/);
+
+        // A failed publish hands it back as approved with the error
+        const released = await store.releasePublishing(draft.id, { code: 'rate_limited', message: 'Slow down' });
+        assert.strictEqual(released.status, 'approved');
+        assert.strictEqual(released.publishError.code, 'rate_limited');
+        assert.strictEqual(released.publishingAt, undefined);
+
+        await store.claimForPublishing(draft.id);
+        const posted = await store.markPublished(draft.id, { urn: 'urn:li:share:1', publisher: 'linkedin' });
+        assert.strictEqual(posted.status, 'posted');
+        assert.strictEqual(posted.publication.urn, 'urn:li:share:1');
+        assert.strictEqual(posted.publishError, undefined);
+        await expectDraftError(store.claimForPublishing(draft.id), 409);
+
+        // A draft discarded meanwhile is not overwritten
+        const discarded = await store.create({ post: { content: 'Changed my mind' } });
+        await store.update(discarded.id, { status: 'discarded' });
+        await expectDraftError(store.markPublished(discarded.id, { urn: 'urn:li:share:2' }), 409, /Cannot change a discarded draft to posted/);
+        assert.strictEqual((await store.get(discarded.id)).status, 'discarded');
+    }));
+
+    await test('a publishing claim left by a crashed run can be taken over', () => withStore(async (store, dir) => {
+        const draft = await store.create({ post: POST });
+        await store.update(draft.id, { status: 'approved' });
+        await store.claimForPublishing(draft.id);
+
+        const later = new DraftsStore({ filePath: path.join(dir, 'drafts.json'), publishTimeout: 0 });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        assert.strictEqual((await later.claimForPublishing(draft.id)).status, 'publishing');
+        await expectDraftError(store.claimForPublishing(draft.id), 409);
+    }));
+
+    await test('only approved drafts are scheduled, and leaving approved unschedules', () => withStore(async (store) => {
+        const draft = await store.create({ post: POST });
+        const slot = '2030-01-07T09:00:00.000Z';
+
+        await expectDraftError(store.schedule(draft.id, slot), 409, /Only approved drafts/);
+        await store.update(draft.id, { status: 'approved' });
+        await expectDraftError(store.schedule(draft.id, 'not a date'), 400);
+
+        const scheduled = await store.schedule(draft.id, slot);
+        assert.deepStrictEqual([scheduled.schedule.scheduledFor, scheduled.schedule.state], [slot, 'scheduled']);
+        assert.deepStrictEqual((await store.listScheduled({ from: '2030-01-01', to: '2030-01-31' })).map(d => d.id), [draft.id]);
+        assert.deepStrictEqual(await store.listScheduled({ to: '2029-12-31' }), []);
+
+        const [ready] = await store.advanceSchedules(new Date('2030-01-07T08:30:00.000Z'));
+        assert.strictEqual(ready.schedule.state, 'ready');
+
+        const backToDraft = await store.update(draft.id, { status: 'draft' });
+        assert.strictEqual(backToDraft.schedule, undefined);
+    }));
+
+    report();
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,173 @@
+// Offline tests for company, person, product and funding extraction
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractEntities, fundingOf } = require('./entity-extractor');
+const { hashtagFor } = require('./hashtag-engine');
+const { extractArticle } = require('./article-extractor');
+const { LinkedInAINewsAgent } = require('./linkedin-ai-news-agent');
+const { DEFAULT_CONFIG } = require('./config-loader');
+const { ArticleHistory } = require('./article-history');
+const { computeTrends, describeTrends } = require('./trends');
+const { createResult } = require('./pipeline');
+const { test, report } = require('./test-helper');
+
+const MODELS = {
+    title: 'OpenAI Releases GPT-4o Mini For Developers',
+    summary: 'OpenAI on Tuesday released GPT-4o Mini, a cheaper model for developers. "It is much faster," said Sam Altman, CEO of OpenAI. ' +
+        'Meanwhile Google DeepMind showed Gemini 2.0 Flash, and Meta released Llama 3.1 with 405 billion parameters.',
+    url: 'https://example.com/gpt-4o-mini'
+};
+
+const FUNDING = {
+    title: 'Paris robotics startup raises €20m seed round',
+    summary: 'French robotics startup Nimbus Robotics has raised €20 million in a seed round led by Andreessen Horowitz, according to Dr. Claire Dubois, its co-founder. ' +
+        'The round values the company at US$150 million, and the first robots ship to warehouses across Europe this summer.',
+    url: 'https://example.com/nimbus-seed'
+};
+
+async function runTests() {
+    console.log('🧪 Testing entity extractor...');
+
+    await test('finds gazetteer names and versioned models, most prominent first', () => {
+        const entities = extractEntities(MODELS);
+
+        assert.deepStrictEqual(entities.companies, ['OpenAI', 'Google DeepMind', 'Meta']);
+        assert.deepStrictEqual(entities.products, ['GPT-4o Mini', 'Gemini 2.0 Flash', 'Llama 3.1']);
+        assert.deepStrictEqual(entities.people, ['Sam Altman']);
+        assert.ok(!entities.companies.includes('Google'), '"Google" only appears inside "Google DeepMind"');
+        assert.ok(!entities.products.includes('Gemini'), '"Gemini" only appears versioned');
+        assert.deepStrictEqual(entities.money, []);
+
+        assert.deepStrictEqual(extractEntities({ title: 'Metaverse Labs opens an office', summary: '' }).companies, []);
+        assert.deepStrictEqual(extractEntities({ title: '', summary: 'Team lead Ana Silva said Metaverse Labs uses Claude 3.5 Sonnet and Phi-3.' }), {
+            companies: ['Metaverse Labs'],
+            people: ['Ana Silva'],
+            products: ['Claude 3.5 Sonnet', 'Phi-3'],
+            money: []
+        });
+    });
+
+    await test('finds companies and people by pattern and funding by round', () => {
+        const entities = extractEntities(FUNDING);
+
+        assert.deepStrictEqual(entities.companies, ['Nimbus Robotics', 'Andreessen Horowitz']);
+        assert.deepStrictEqual(entities.people, ['Claire Dubois']);
+        assert.deepStrictEqual(entities.money, [
+            { text: '$150M', amount: 150000000, currency: 'USD', round: null, company: null },
+            { text: '€20M seed round', amount: 20000000, currency: 'EUR', round: 'seed round', company: 'Nimbus Robotics' }
+        ]);
+        assert.deepStrictEqual(fundingOf(entities), { company: 'Nimbus Robotics', amount: '€20M seed round' });
+        assert.strictEqual(fundingOf(extractEntities(MODELS)), null);
+    });
+
+    await test('keeps places and organisation names out of companies and people', () => {
+        const lawsuit = extractEntities({
+            title: '',
+            summary: 'The New York Times sues OpenAI over its training data. The Times said the models copy its articles.'
+        });
+        assert.deepStrictEqual(lawsuit.companies, ['The New York Times', 'OpenAI']);
+        assert.deepStrictEqual(lawsuit.people, []);
+        assert.deepStrictEqual(extractEntities({ title: '', summary: 'The Planet said the deal was off.' }).people, []);
+
+        const seed = { title: '', summary: 'Berlin-based Foo Labs raised €20 million in a seed round.' };
+        assert.deepStrictEqual(extractEntities(seed).companies, ['Foo Labs']);
+        assert.deepStrictEqual(fundingOf(extractEntities(seed)), { company: 'Foo Labs', amount: '€20M seed round' });
+        assert.deepStrictEqual(extractEntities({ title: '', summary: 'San Francisco-based Foo Labs hired Dr. Ruiz.' }), {
+            companies: ['Foo Labs'],
+            people: ['Ruiz'],
+            products: [],
+            money: []
+        });
+
+        const agent = new LinkedInAINewsAgent(DEFAULT_CONFIG);
+        assert.strictEqual(agent.getEngagingHook(seed), '💰 Foo Labs has raised €20M seed round:');
+    });
+
+    await test('credits funding to the company in the article body, not the headline', () => {
+        const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'pages', 'techcrunch-article.html'), 'utf8');
+        const page = extractArticle(html, 'https://techcrunch.com/2025/05/12/ai-agents-startup-raises-50m-series-b/');
+        const entities = extractEntities(page);
+
+        // "Anthropic rival raises $50M Series B ..."
+        assert.ok(entities.companies.includes('Anthropic'));
+        assert.ok(entities.companies.includes('Agentic Labs'));
+        assert.ok(entities.companies.includes('Sequoia Capital'));
+        assert.deepStrictEqual(entities.people, ['Maya Chen']);
+        assert.deepStrictEqual(fundingOf(entities), { company: 'Agentic Labs', amount: '$50M Series B' });
+        assert.strictEqual(entities.companies[0], 'Agentic Labs', 'the funded company outranks the headline rival');
+    });
+
+    await test('ranks the funded company first and investors last', () => {
+        const entities = extractEntities({
+            title: 'Nimbus Robotics raises $50M Series B led by Sequoia Capital',
+            summary: 'Nimbus Robotics raised $50M in a Series B round led by Sequoia Capital, with Index Ventures ' +
+                'and Acme Labs joining. Sequoia Capital partner Jane Doe joins the board, and Sequoia Capital said the round was oversubscribed.'
+        });
+
+        assert.deepStrictEqual(entities.companies, ['Nimbus Robotics', 'Acme Labs', 'Sequoia Capital', 'Index Ventures']);
+        assert.deepStrictEqual(fundingOf(entities), { company: 'Nimbus Robotics', amount: '$50M Series B' });
+    });
+
+    await test('hashtags, hooks and question topics use the entities', () => {
+        const agent = new LinkedInAINewsAgent({ ...DEFAULT_CONFIG, posts: { ...DEFAULT_CONFIG.posts, maxHashtags: 5 } });
+
+        assert.strictEqual(hashtagFor('Agentic Labs'), '#AgenticLabs');
+        assert.strictEqual(hashtagFor('GPT-4o Mini'), '#GPT4oMini');
+        assert.strictEqual(hashtagFor('DALL-E'), '#DALLE');
+
+        assert.deepStrictEqual(agent.generateHashtags(MODELS).slice(0, 3), ['#OpenAI', '#AI', '#GPT4oMini']);
+        assert.ok(agent.generateHashtags(FUNDING).includes('#NimbusRobotics'));
+        assert.ok(agent.generateHashtags(FUNDING).includes('#TechFunding'));
+
+        assert.strictEqual(agent.getEngagingHook(FUNDING), '💰 Nimbus Robotics has raised €20M seed round:');
+        assert.strictEqual(agent.extractMainTopic(FUNDING), 'Nimbus Robotics');
+        assert.strictEqual(agent.extractMainTopic(MODELS), 'GPT-4o Mini');
+        assert.strictEqual(agent.extractMainTopic({ title: 'New generative model for farms', summary: 'Farmers use it.' }), 'generative AI');
+    });
+
+    await test('ranking stores entities on articles and in the result', () => {
+        const agent = new LinkedInAINewsAgent(DEFAULT_CONFIG);
+        const ranked = agent.filterAndRankArticles([{ ...FUNDING, source: 'example.com', publishedDate: new Date() }]);
+
+        assert.strictEqual(ranked.length, 1);
+        assert.deepStrictEqual(ranked[0].entities, extractEntities(FUNDING));
+
+        const result = createResult(
+            { articles: ranked, analysis: null, posts: [], generators: {}, promptVersions: {}, startTime: Date.now() },
+            { status: 'success' }
+        );
+        assert.deepStrictEqual(result.articles[0].entities.people, ['Claire Dubois']);
+    });
+
+    await test('history keeps entity names and trends count them', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'entities-'));
+        try {
+            const now = new Date('2026-03-15T12:00:00Z');
+            const history = new ArticleHistory({ filePath: path.join(dir, 'history.json') });
+            await history.record([MODELS, FUNDING].map(article => ({ ...article, publishedDate: now })), now);
+
+            const stored = await history.list();
+            assert.deepStrictEqual(stored.find(entry => entry.url === FUNDING.url).entities, ['Nimbus Robotics', 'Andreessen Horowitz', 'Claire Dubois']);
+
+            // Entries without entities were recorded before entity extraction
+            const day = 86400000;
+            const entries = [
+                ...stored,
+                { url: 'https://example.com/a', title: 'OpenAI news', entities: ['OpenAI'], date: new Date(now - day).toISOString() },
+                { url: 'https://example.com/b', title: 'Older news', date: new Date(now - 2 * day).toISOString() }
+            ];
+            const trends = computeTrends(entries, { now, windowDays: 7 });
+            assert.deepStrictEqual(trends.entities, [{ name: 'OpenAI', count: 2, previousCount: 0, change: 2 }]);
+            assert.ok(describeTrends(trends).includes('Rising names: OpenAI.'));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    report();
+}
+
+// Run the tests
+runTests();
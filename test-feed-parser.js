@@ -0,0 +1,162 @@
+// Offline tests for RSS/Atom feed ingestion using saved feed fixtures
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseFeed } = require('./feed-parser');
+const { RSSProvider, PUBLISHER_FEEDS } = require('./news-providers');
+const { test, report } = require('./test-helper');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'feeds');
+const readFixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+async function runTests() {
+    console.log('🧪 Testing feed parser...');
+
+    await test('parses RSS 2.0 items with dc:creator and CDATA descriptions', () => {
+        const feed = parseFeed(readFixture('techcrunch-rss.xml'));
+
+        assert.strictEqual(feed.format, 'rss');
+        assert.strictEqual(feed.title, 'AI News & Artificial Intelligence | TechCrunch');
+        assert.strictEqual(feed.items.length, 2, 'untitled item should be skipped');
+
+        const [first] = feed.items;
+        assert.strictEqual(first.title, 'Anthropic rival raises $50M Series B to build enterprise AI agents');
+        assert.strictEqual(first.link, 'https://techcrunch.com/2025/05/12/ai-agents-startup-raises-50m-series-b/');
+        assert.strictEqual(first.author, 'Kyle Wiggers');
+        assert.strictEqual(first.publishedDate.toISOString(), '2025-05-12T17:30:00.000Z');
+        assert.ok(first.summary.startsWith('The startup announced on Monday'));
+        assert.ok(!first.summary.includes('<p>'), 'HTML tags should be stripped');
+        assert.ok(!first.summary.includes('appeared first on'), 'WordPress footer should be removed');
+    });
+
+    await test('falls back to content:encoded and decodes numeric entities', () => {
+        const [, second] = parseFeed(readFixture('techcrunch-rss.xml')).items;
+
+        assert.strictEqual(second.title, 'OpenAI’s new reasoning model is available to developers');
+        assert.ok(second.summary.startsWith('OpenAI released a new generative AI model'));
+    });
+
+    await test('parses Atom entries with html text constructs and multiple authors', () => {
+        const feed = parseFeed(readFixture('theverge-atom.xml'));
+
+        assert.strictEqual(feed.format, 'atom');
+        assert.strictEqual(feed.title, 'AI | The Verge');
+        assert.strictEqual(feed.items.length, 2);
+
+        const [first, second] = feed.items;
+        assert.strictEqual(first.title, 'Google’s Gemini can now control your phone’s apps');
+        assert.strictEqual(first.link, 'https://www.theverge.com/news/665432/google-gemini-android-app-actions');
+        assert.strictEqual(first.author, 'Emma Roth, Jay Peters');
+        assert.strictEqual(first.publishedDate.toISOString(), '2025-05-12T17:45:00.000Z');
+        assert.ok(first.summary.includes('AI agents that do things for you'));
+        assert.ok(first.summary.includes('Tom & Jerry'));
+
+        // No <published>, so <updated> is used; link without rel is the alternate
+        assert.strictEqual(second.publishedDate.toISOString(), '2025-05-11T09:00:00.000Z');
+        assert.strictEqual(second.link, 'https://www.theverge.com/news/665000/meta-open-source-vision-model');
+        assert.strictEqual(second.author, 'Wes Davis');
+    });
+
+    await test('uses permalink guid, dc:date and RSS author names', () => {
+        const [first, second] = parseFeed(readFixture('technologyreview-rss.xml')).items;
+
+        assert.strictEqual(first.link, 'https://www.technologyreview.com/2025/05/10/ai-weather-forecasting/');
+        assert.strictEqual(first.publishedDate.toISOString(), '2025-05-10T08:00:00.000Z');
+        assert.strictEqual(first.author, 'Casey Crownhart');
+        assert.ok(first.summary.includes('— and run in minutes'));
+        assert.ok(first.summary.includes('< 1% off'), 'escaped < in text should survive');
+
+        assert.strictEqual(second.publishedDate, null);
+        assert.strictEqual(second.author, '');
+    });
+
+    await test('never turns escaped markup into tags', () => {
+        const feed = parseFeed(`<?xml version="1.0"?>
+<rss version="2.0"><channel><title>Test</title>
+<item>
+  <title>Model &amp;lt;img src=x onerror=alert(1)&amp;gt; launched</title>
+  <link>https://example.com/a</link>
+  <description>&lt;p&gt;Fish &amp;amp; chips &amp;lt;script&amp;gt;alert(1)&amp;lt;/script&amp;gt;&lt;/p&gt;</description>
+</item>
+</channel></rss>`);
+        const [item] = feed.items;
+
+        assert.strictEqual(item.title, 'Model launched');
+        assert.ok(!/[<>]/.test(item.summary), item.summary);
+        assert.ok(item.summary.startsWith('Fish & chips'));
+    });
+
+    await test('keeps numeric entities that are not characters as they are', () => {
+        const feed = parseFeed(readFixture('invalid-entities-rss.xml'));
+        const [robots, chatbots] = feed.items;
+
+        assert.strictEqual(feed.items.length, 2);
+        assert.strictEqual(robots.title, 'Robots learn to sort recycling &#99999999;');
+        assert.strictEqual(robots.summary, 'A vision model helps robots sort recycling &#xD800; with 95% accuracy 🤖.');
+        assert.strictEqual(chatbots.summary, 'Residents get answers in seconds &#x110000; instead of days.');
+    });
+
+    await test('rejects documents that are not feeds', () => {
+        assert.throws(() => parseFeed(readFixture('not-a-feed.xml')), /Unrecognized feed format/);
+        assert.throws(() => parseFeed(''), /Feed is empty/);
+    });
+
+    await test('maps preferred sources to publisher feeds', () => {
+        const provider = new RSSProvider({
+            usePreferredSources: true,
+            preferredSources: ['techcrunch.com', 'unknown-blog.example'],
+            publisherFeeds: { 'wired.com': 'https://example.com/wired.xml' }
+        });
+
+        assert.deepStrictEqual(provider.feeds, [PUBLISHER_FEEDS['techcrunch.com']]);
+        assert.ok(provider.isAvailable());
+    });
+
+    await test('RSS provider returns normalized articles from served fixtures', async () => {
+        const server = http.createServer((req, res) => {
+            const file = path.join(FIXTURES, path.basename(req.url));
+            if (!fs.existsSync(file)) {
+                res.statusCode = 404;
+                res.end();
+                return;
+            }
+            res.setHeader('Content-Type', 'application/rss+xml');
+            res.end(fs.readFileSync(file));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const base = `http://127.0.0.1:${server.address().port}`;
+
+        const realNow = Date.now;
+        Date.now = () => Date.parse('2025-05-12T18:00:00Z');
+        try {
+            const provider = new RSSProvider({
+                feeds: [`${base}/techcrunch-rss.xml`, `${base}/theverge-atom.xml`, `${base}/missing.xml`]
+            });
+            const articles = await provider.search('OpenAI developers', 'd');
+
+            assert.strictEqual(articles.length, 1);
+            const [article] = articles;
+            assert.strictEqual(article.url, 'https://techcrunch.com/2025/05/12/openai-reasoning-model-developers/');
+            assert.strictEqual(article.source, 'techcrunch.com');
+            assert.strictEqual(article.author, 'Maxwell Zeff');
+            assert.strictEqual(article.relevanceScore, null);
+            assert.deepStrictEqual(article.keyPoints, []);
+            assert.strictEqual(article.searchQuery, 'OpenAI developers');
+            assert.strictEqual(article.provider, 'rss');
+
+            // Week timeframe also includes the older Atom entry
+            const weekArticles = await provider.search('Meta vision', 'w');
+            assert.strictEqual(weekArticles.length, 1);
+            assert.strictEqual(weekArticles[0].source, 'theverge.com');
+        } finally {
+            Date.now = realNow;
+            server.close();
+        }
+    });
+
+    report();
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,155 @@
+// Offline tests for dictionary-driven hashtag selection
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HashtagEngine, HashtagDictionaryError, hashtagFor, toHashtag, loadDictionary } = require('./hashtag-engine');
+const { LinkedInAINewsAgent } = require('./linkedin-ai-news-agent');
+const { DEFAULT_CONFIG, loadConfig } = require('./config-loader');
+const { test, report } = require('./test-helper');
+
+const HOSPITAL = {
+    title: 'Hospital network cuts sepsis deaths with an AI early-warning model',
+    summary: 'A hospital network in Ohio cut sepsis deaths by 18% after deploying artificial intelligence that reads patient vitals. ' +
+        'Doctors say the machine learning model flags patients hours earlier.',
+    url: 'https://example.com/sepsis'
+};
+
+const FUNDING = {
+    title: 'Agentic Labs raises $50M Series B to build AI agents for enterprises',
+    summary: 'AI startup Agentic Labs has raised $50 million in a Series B led by Sequoia Capital. ' +
+        'The startup builds AI agents that automate back-office work for enterprise customers.',
+    url: 'https://example.com/agentic-labs'
+};
+
+function withDictionary(entries, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hashtags-'));
+    try {
+        const filePath = path.join(dir, 'team-hashtags.json');
+        fs.writeFileSync(filePath, JSON.stringify({ hashtags: entries }));
+        return fn(filePath);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+async function runTests() {
+    console.log('🧪 Testing hashtag engine...');
+
+    await test('generates CamelCase hashtags for new names', () => {
+        assert.strictEqual(toHashtag('Agentic Labs'), '#AgenticLabs');
+        assert.strictEqual(toHashtag('deep sea robotics'), '#DeepSeaRobotics');
+        assert.strictEqual(toHashtag('GPT-4o Mini'), '#GPT4oMini');
+        assert.strictEqual(toHashtag("Hugging Face's"), '#HuggingFace');
+        assert.strictEqual(toHashtag("O'Reilly Media"), '#OReillyMedia');
+        assert.strictEqual(toHashtag('xAI'), '#xAI');
+        assert.strictEqual(toHashtag('Société Générale'), '#SocieteGenerale');
+        assert.strictEqual(toHashtag('2025'), null);
+        assert.strictEqual(toHashtag(''), null);
+
+        // Gazetteer hashtags, and model versions use their family's
+        assert.strictEqual(hashtagFor('Google DeepMind'), '#DeepMind');
+        assert.strictEqual(hashtagFor('Llama 3.1'), '#Llama');
+        assert.strictEqual(hashtagFor('Claude 3.5 Sonnet'), '#Claude');
+    });
+
+    await test('scores dictionary tags by title, body, topic and entities', () => {
+        const engine = HashtagEngine.fromConfig({});
+        const scores = engine.score(HOSPITAL);
+        const byTag = Object.fromEntries(scores.map(candidate => [candidate.tag, candidate]));
+
+        assert.ok(byTag['#HealthTech'].reasons.includes('title'));
+        assert.ok(byTag['#HealthTech'].reasons.includes('topic Healthcare'));
+        assert.ok(byTag['#HealthTech'].score > byTag['#MachineLearning'].score);
+        assert.ok(!byTag['#Robotics'], 'tags without a match are not candidates');
+        assert.ok(scores.every((candidate, i) => i === 0 || candidate.score <= scores[i - 1].score));
+
+        const funding = Object.fromEntries(engine.score(FUNDING).map(candidate => [candidate.tag, candidate]));
+        assert.deepStrictEqual(funding['#AgenticLabs'].reasons, ['title', 'body', 'entity Agentic Labs', 'funding']);
+        assert.strictEqual(funding['#AgenticLabs'].category, 'company');
+        assert.ok(funding['#Sequoia'].reasons.includes('entity Sequoia Capital'));
+    });
+
+    await test('selects without near-duplicates or too many tags of a category', () => {
+        const engine = HashtagEngine.fromConfig({});
+        const hospital = engine.select([HOSPITAL], 5);
+
+        // Only tags the article points to; #ArtificialIntelligence is in #AI's group
+        assert.deepStrictEqual(hospital, ['#AI', '#HealthTech', '#MachineLearning']);
+
+        const funding = engine.select([FUNDING], 8);
+        assert.ok(funding.includes('#AgenticLabs'));
+        assert.ok(funding.includes('#TechFunding'));
+        assert.ok(!funding.includes('#VentureCapital'), 'same group as #TechFunding');
+        assert.ok(!(funding.includes('#AIStartup') && funding.includes('#Startups')));
+        assert.strictEqual(funding.filter(tag => ['#AgenticLabs', '#Sequoia'].includes(tag)).length, 2);
+
+        const strict = new HashtagEngine({ entries: loadDictionary(path.join(__dirname, 'hashtag-dictionary.json')), maxPerCategory: 1 });
+        const companies = strict.select([FUNDING], 8).filter(tag => ['#AgenticLabs', '#Sequoia'].includes(tag));
+        assert.deepStrictEqual(companies, ['#AgenticLabs']);
+
+        // Tags differing only in case or plural are one tag
+        const plural = new HashtagEngine({
+            entries: [{ tag: '#Startups', category: 'business', weight: 1, synonyms: ['startup', 'startups'] }],
+            pinned: ['#startup']
+        });
+        assert.deepStrictEqual(plural.select([{ title: 'One startup, three startups', summary: '' }], 5), ['#startup']);
+        assert.deepStrictEqual(engine.select([FUNDING], 0), []);
+    });
+
+    await test('pinned brand hashtags come first and count towards the limit', () => {
+        const engine = HashtagEngine.fromConfig({ pinned: ['#AcmeAI', 'acme labs', '#AI', '#acmeai'] });
+        const tags = engine.select([HOSPITAL], 4);
+
+        assert.deepStrictEqual(tags.slice(0, 3), ['#AcmeAI', '#AcmeLabs', '#AI']);
+        assert.strictEqual(tags.length, 4);
+        assert.ok(!tags.includes('#ArtificialIntelligence'), 'a pinned tag blocks its group');
+        assert.deepStrictEqual(engine.select([HOSPITAL], 2), ['#AcmeAI', '#AcmeLabs']);
+    });
+
+    await test('team dictionaries add and replace entries; invalid ones are rejected', () => {
+        withDictionary([
+            { tag: '#Sepsis', category: 'topic', weight: 1, synonyms: ['sepsis'] },
+            { tag: '#AI', category: 'core', group: 'ai', weight: 0.1, synonyms: ['ai'] }
+        ], (filePath) => {
+            const engine = HashtagEngine.fromConfig({ dictionary: filePath });
+            // The replaced #AI is no longer a default, so #ArtificialIntelligence wins the group
+            assert.deepStrictEqual(engine.select([HOSPITAL], 3), ['#HealthTech', '#Sepsis', '#ArtificialIntelligence']);
+            assert.ok(!engine.score(HOSPITAL).find(candidate => candidate.tag === '#AI').reasons.includes('default'));
+        });
+
+        withDictionary([{ tag: 'NoHash', category: 'misc', weight: 2, synonyms: 'ai' }], (filePath) => {
+            assert.throws(() => HashtagEngine.fromConfig({ dictionary: filePath }), (error) => {
+                assert.ok(error instanceof HashtagDictionaryError);
+                assert.ok(error.message.includes('hashtags[0]: tag "NoHash"'));
+                assert.ok(error.message.includes('category must be one of'));
+                assert.ok(error.message.includes('weight must be a number from 0 to 1'));
+                assert.ok(error.message.includes('synonyms must be an array of strings'));
+                return true;
+            });
+        });
+        assert.throws(() => HashtagEngine.fromConfig({ dictionary: '/nonexistent/hashtags.json' }), HashtagDictionaryError);
+    });
+
+    await test('the agent uses config.hashtags for posts and digests', () => {
+        const config = loadConfig({ baseDir: os.tmpdir(), env: { AGENT_PINNED_HASHTAGS: '#AcmeAI, #BuildWithAcme' } });
+        assert.deepStrictEqual(config.hashtags.pinned, ['#AcmeAI', '#BuildWithAcme']);
+
+        const agent = new LinkedInAINewsAgent(config);
+        assert.deepStrictEqual(agent.generateHashtags(HOSPITAL).slice(0, 2), ['#AcmeAI', '#BuildWithAcme']);
+
+        const digest = agent.createDigestPost([{ ...HOSPITAL, source: 'example.com' }, { ...FUNDING, source: 'example.com' }]);
+        assert.strictEqual(digest.hashtags.length, config.posts.maxHashtags);
+        assert.ok(digest.hashtags.includes('#AgenticLabs') || digest.hashtags.includes('#HealthTech'));
+        assert.ok(digest.content.endsWith(digest.hashtags.join(' ')));
+
+        // A broken team dictionary falls back to the built-in one
+        const fallback = new LinkedInAINewsAgent({ ...DEFAULT_CONFIG, hashtags: { ...DEFAULT_CONFIG.hashtags, dictionary: '/nonexistent/hashtags.json' } });
+        assert.ok(fallback.generateHashtags(HOSPITAL).includes('#AI'));
+    });
+
+    report();
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,26 @@
+// Shared runner for the offline test files: each file runs in its own process,
+// so the counts here are that file's results
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        passed++;
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`❌ ${name}`);
+        console.log(`   ${error.message}`);
+    }
+}
+
+// Prints the totals and fails the process if any test failed
+function report() {
+    console.log(`\n📊 ${passed} passed, ${failed} failed`);
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { test, report };
@@ -0,0 +1,156 @@
+// Offline tests for the HTTP client against a local server: redirects and the size limit
+const assert = require('assert');
+const http = require('http');
+const https = require('https');
+const { request, getText, HttpError } = require('./http-client');
+const { test, report } = require('./test-helper');
+
+// /redirect/<status> redirects to /echo (or ?to=<url>), which answers with the
+// request it got; /headers answers with the request headers;
+// /big streams 64 KB without a Content-Length, /big-declared declares it
+async function startServer() {
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const redirect = req.url.match(/^\/redirect\/(\d+)(?:\?to=(.+))?$/);
+            if (redirect) {
+                res.writeHead(Number(redirect[1]), { Location: redirect[2] ? decodeURIComponent(redirect[2]) : '/echo' });
+                res.end();
+            } else if (req.url === '/headers') {
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify(req.headers));
+            } else if (req.url === '/echo') {
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify({
+                    method: req.method,
+                    body: Buffer.concat(chunks).toString('utf8'),
+                    contentType: req.headers['content-type'] || null
+                }));
+            } else if (req.url === '/big') {
+                for (let i = 0; i < 64; i++) {
+                    res.write('x'.repeat(1024));
+                }
+                res.end();
+            } else if (req.url === '/big-declared') {
+                res.setHeader('Content-Length', 65536);
+                res.end('x'.repeat(65536));
+            } else {
+                res.statusCode = 404;
+                res.end('Not here');
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function runTests() {
+    console.log('🧪 Testing HTTP client...');
+    const { server, base } = await startServer();
+
+    try {
+        const post = (status) => request(`${base}/redirect/${status}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{"text":"hello"}'
+        }).then(response => JSON.parse(response.body));
+
+        await test('a 303 is followed with a GET without the body', async () => {
+            assert.deepStrictEqual(await post(303), { method: 'GET', body: '', contentType: null });
+
+            const put = await request(`${base}/redirect/303`, { method: 'PUT', body: 'data' });
+            assert.strictEqual(JSON.parse(put.body).method, 'GET');
+        });
+
+        await test('a 301 or 302 turns a POST into a GET, but keeps other methods', async () => {
+            assert.deepStrictEqual(await post(301), { method: 'GET', body: '', contentType: null });
+            assert.deepStrictEqual(await post(302), { method: 'GET', body: '', contentType: null });
+
+            const put = await request(`${base}/redirect/302`, { method: 'PUT', body: 'data' });
+            assert.deepStrictEqual(JSON.parse(put.body), { method: 'PUT', body: 'data', contentType: null });
+
+            const get = await request(`${base}/redirect/301`);
+            assert.strictEqual(JSON.parse(get.body).method, 'GET');
+            assert.strictEqual(get.url, `${base}/echo`);
+        });
+
+        await test('a 307 or 308 repeats the method and body', async () => {
+            const expected = { method: 'POST', body: '{"text":"hello"}', contentType: 'application/json' };
+            assert.deepStrictEqual(await post(307), expected);
+            assert.deepStrictEqual(await post(308), expected);
+        });
+
+        await test('keeps credentials on same-origin redirects only', async () => {
+            const other = await startServer();
+            try {
+                const credentials = {
+                    Authorization: 'Bearer secret-token',
+                    'x-goog-api-key': 'secret-key',
+                    Cookie: 'session=secret',
+                    'LinkedIn-Version': '202401'
+                };
+                const headersAfter = async (target) => JSON.parse((await request(
+                    `${base}/redirect/302?to=${encodeURIComponent(target)}`, { headers: credentials }
+                )).body);
+
+                const same = await headersAfter('/headers');
+                assert.strictEqual(same.authorization, 'Bearer secret-token');
+                assert.strictEqual(same['x-goog-api-key'], 'secret-key');
+
+                const away = await headersAfter(`${other.base}/headers`);
+                assert.strictEqual(away.authorization, undefined);
+                assert.strictEqual(away['x-goog-api-key'], undefined);
+                assert.strictEqual(away.cookie, undefined);
+                assert.strictEqual(away['linkedin-version'], '202401', 'other headers are kept');
+            } finally {
+                other.server.close();
+            }
+        });
+
+        await test('refuses to follow a redirect from https to http', async () => {
+            // Sends the "https" requests to the local plain-HTTP server
+            const { request: httpsRequest } = https;
+            https.request = (url, options, callback) => {
+                const plain = new URL(url);
+                plain.protocol = 'http:';
+                return http.request(plain, options, callback);
+            };
+            try {
+                const secure = base.replace('http:', 'https:');
+                await assert.rejects(
+                    request(`${secure}/redirect/302?to=${encodeURIComponent(`${base}/headers`)}`),
+                    /Refusing to follow a redirect from HTTPS to http:\/\/127\.0\.0\.1/
+                );
+                assert.strictEqual(JSON.parse((await request(`${secure}/redirect/302?to=%2Fheaders`)).body).host, base.slice(7));
+            } finally {
+                https.request = httpsRequest;
+            }
+        });
+
+        await test('aborts responses larger than maxBytes', async () => {
+            await assert.rejects(getText(`${base}/big`, { maxBytes: 10000 }), /Response too large \(over 10000 bytes\)/);
+            await assert.rejects(getText(`${base}/big-declared`, { maxBytes: 10000 }), /Response too large/);
+
+            assert.strictEqual((await getText(`${base}/big`, { maxBytes: 65536 })).length, 65536);
+            assert.strictEqual((await getText(`${base}/big`)).length, 65536, 'no limit by default');
+        });
+
+        await test('rejects non-2xx responses with HttpError', async () => {
+            await assert.rejects(getText(`${base}/missing`), (error) => {
+                assert.ok(error instanceof HttpError);
+                assert.strictEqual(error.statusCode, 404);
+                assert.strictEqual(error.body, 'Not here');
+                return true;
+            });
+            assert.strictEqual((await request(`${base}/missing`, { allowErrors: true })).statusCode, 404);
+        });
+    } finally {
+        server.close();
+    }
+
+    report();
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,132 @@
+// Offline tests for LinkedIn publishing against the local mock API
+const assert = require('assert');
+const { LinkedInPublisher, PublishError, createPublisher, toLittleText } = require('./publishers');
+const { createMockLinkedInServer, MOCK_MEMBER_ID } = require('./mock-linkedin-server');
+const { test, report } = require('./test-helper');
+
+const draft = {
+    id: 'draft-1',
+    content: '🚀 Big news (really) for #AI and #MachineLearning teams!\n\nSource: https://example.com/a_b'
+};
+
+async function expectPublishError(promise, code, statusCode, message = /./) {
+    await assert.rejects(promise, (error) => {
+        assert.ok(error instanceof PublishError, `expected PublishError, got ${error.name}`);
+        assert.strictEqual(error.code, code);
+        assert.strictEqual(error.statusCode, statusCode);
+        assert.match(error.message, message);
+        return true;
+    });
+}
+
+async function runTests() {
+    console.log('🧪 Testing LinkedIn publisher...');
+
+    // Keep stray credentials from the environment out of the tests
+    delete process.env.LINKEDIN_ACCESS_TOKEN;
+    delete process.env.LINKEDIN_AUTHOR_URN;
+
+    const server = createMockLinkedInServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const apiBaseUrl = `http://127.0.0.1:${server.address().port}`;
+    const publisher = (options) => new LinkedInPublisher({ apiBaseUrl, ...options });
+
+    try {
+        await test('escapes little text and turns hashtags into hashtag templates', () => {
+            assert.strictEqual(
+                toLittleText('Hello (world) #AI_Ethics @team'),
+                'Hello \\(world\\) {hashtag|\\#|AI_Ethics} \\@team'
+            );
+            assert.strictEqual(toLittleText('C# is [not] <AI>'), 'C\\# is \\[not\\] \\<AI\\>');
+        });
+
+        await test('publishes a post and returns its URN', async () => {
+            const result = await publisher({ accessToken: 'valid-token' }).publish(draft);
+
+            assert.strictEqual(result.dryRun, false);
+            assert.match(result.urn, /^urn:li:share:\d+$/);
+            assert.strictEqual(result.url, `https://www.linkedin.com/feed/update/${result.urn}/`);
+            assert.ok(result.publishedAt);
+
+            const [sent] = server.posts;
+            assert.strictEqual(sent.urn, result.urn);
+            assert.strictEqual(sent.body.author, `urn:li:person:${MOCK_MEMBER_ID}`, 'author looked up via userinfo');
+            assert.strictEqual(sent.body.visibility, 'PUBLIC');
+            assert.strictEqual(sent.body.lifecycleState, 'PUBLISHED');
+            assert.ok(sent.body.commentary.includes('{hashtag|\\#|AI}'));
+            assert.ok(sent.body.commentary.includes('\\(really\\)'));
+            assert.strictEqual(sent.headers.authorization, 'Bearer valid-token');
+            assert.strictEqual(sent.headers['linkedin-version'], '202405');
+            assert.strictEqual(sent.headers['x-restli-protocol-version'], '2.0.0');
+        });
+
+        await test('dry run returns the request without sending it', async () => {
+            const before = server.posts.length;
+            const result = await publisher({ dryRun: true, authorUrn: 'urn:li:person:abc' }).publish(draft);
+
+            assert.strictEqual(result.dryRun, true);
+            assert.strictEqual(result.urn, null);
+            assert.strictEqual(result.request.url, `${apiBaseUrl}/rest/posts`);
+            assert.strictEqual(result.request.headers.Authorization, 'Bearer ***');
+            assert.strictEqual(result.request.body.author, 'urn:li:person:abc');
+            assert.strictEqual(server.posts.length, before);
+        });
+
+        await test('maps 401 to unauthorized', async () => {
+            await expectPublishError(publisher({ accessToken: 'expired-token' }).publish(draft), 'unauthorized', 401);
+            await expectPublishError(publisher({}).publish(draft), 'unauthorized', null);
+        });
+
+        await test('maps 429 to rate_limited with Retry-After', async () => {
+            const promise = publisher({ accessToken: 'rate-limited-token', authorUrn: 'urn:li:person:abc' }).publish(draft);
+            await assert.rejects(promise, (error) => {
+                assert.strictEqual(error.code, 'rate_limited');
+                assert.strictEqual(error.statusCode, 429);
+                assert.strictEqual(error.retryAfter, 120);
+                return true;
+            });
+        });
+
+        await test('maps 422 to invalid_post with the API message', async () => {
+            const promise = publisher({ accessToken: 'valid-token' }).publish({ content: 'FAIL VALIDATION please' });
+            await expectPublishError(promise, 'invalid_post', 422, /text failed validation/);
+        });
+
+        await test('rejects posts over the LinkedIn limit before calling the API', async () => {
+            const before = server.posts.length;
+            await expectPublishError(
+                publisher({ accessToken: 'valid-token' }).publish({ content: 'x'.repeat(3001) }),
+                'invalid_post',
+                null
+            );
+            assert.strictEqual(server.posts.length, before);
+
+            // Counted the way LinkedIn counts: each flag is 2, not 4
+            await publisher({ accessToken: 'valid-token', authorUrn: 'urn:li:person:abc' }).publish({ content: '🇫🇷'.repeat(1000) });
+            assert.strictEqual(server.posts.length, before + 1);
+            await expectPublishError(
+                publisher({ accessToken: 'valid-token' }).publish({ content: `${'🚀'.repeat(1500)}!` }),
+                'invalid_post',
+                null
+            );
+        });
+
+        await test('createPublisher reads config.publishing', () => {
+            const created = createPublisher({
+                publishing: { provider: 'linkedin', dryRun: true, linkedin: { apiBaseUrl, visibility: 'CONNECTIONS' } }
+            });
+
+            assert.ok(created instanceof LinkedInPublisher);
+            assert.strictEqual(created.dryRun, true);
+            assert.strictEqual(created.visibility, 'CONNECTIONS');
+            assert.strictEqual(createPublisher({ publishing: { provider: 'linkedin', dryRun: true } }, { dryRun: false }).dryRun, false);
+        });
+    } finally {
+        server.close();
+    }
+
+    report();
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,294 @@
+// Offline tests for the LLM client adapters against the local mock LLM server
+const assert = require('assert');
+const http = require('http');
+const {
+    LLMError,
+    GeminiClient,
+    OpenAICompatibleClient,
+    OllamaClient,
+    createLLMClient
+} = require('./llm-client');
+const { extractJson, validateAnalysis, StructuredOutputError } = require('./structured-output');
+const { createMockLLMServer } = require('./mock-llm-server');
+const AIGoodNewsAgent = require('./ai-agent');
+const { test, report } = require('./test-helper');
+
+async function expectLLMError(promise, code, statusCode = null) {
+    await assert.rejects(promise, (error) => {
+        assert.ok(error instanceof LLMError, `expected LLMError, got ${error.name}`);
+        assert.strictEqual(error.code, code);
+        assert.strictEqual(error.statusCode, statusCode);
+        return true;
+    });
+}
+
+async function runTests() {
+    console.log('🧪 Testing LLM client...');
+
+    // Keep real keys from the environment out of the tests
+    delete process.env.GEMINI_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+
+    const server = createMockLLMServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const lastRequest = () => server.requests[server.requests.length - 1];
+
+    try {
+        await test('Gemini adapter sends generateContent with the key in a header', async () => {
+            const client = new GeminiClient({ apiKey: 'test-key', baseUrl: `${base}/v1beta`, maxOutputTokens: 512 });
+            const text = await client.generate('Hello Gemini');
+
+            assert.strictEqual(text, 'Mock reply to: Hello Gemini');
+            const request = lastRequest();
+            assert.strictEqual(request.url, '/v1beta/models/gemini-2.0-flash-exp:generateContent');
+            assert.strictEqual(request.headers['x-goog-api-key'], 'test-key');
+            assert.strictEqual(request.body.generationConfig.maxOutputTokens, 512);
+        });
+
+        await test('OpenAI-compatible adapter sends chat completions', async () => {
+            const client = new OpenAICompatibleClient({ apiKey: 'sk-test', baseUrl: `${base}/v1`, model: 'local-model' });
+            const response = await client.complete('Hello OpenAI', { temperature: 0.2 });
+
+            assert.strictEqual(response.text, 'Mock reply to: Hello OpenAI');
+            assert.strictEqual(response.model, 'local-model');
+            assert.deepStrictEqual(response.usage, { inputTokens: 10, outputTokens: 5 });
+            const request = lastRequest();
+            assert.strictEqual(request.headers.authorization, 'Bearer sk-test');
+            assert.deepStrictEqual(request.body.messages, [{ role: 'user', content: 'Hello OpenAI' }]);
+            assert.strictEqual(request.body.temperature, 0.2);
+            assert.strictEqual(request.body.max_tokens, 2048);
+        });
+
+        await test('Ollama adapter sends a non-streaming generate request', async () => {
+            const client = new OllamaClient({ baseUrl: base, maxOutputTokens: 256 });
+            const text = await client.generate('Hello Ollama');
+
+            assert.strictEqual(text, 'Mock reply to: Hello Ollama');
+            const request = lastRequest();
+            assert.strictEqual(request.body.stream, false);
+            assert.strictEqual(request.body.model, 'llama3.1');
+            assert.strictEqual(request.body.options.num_predict, 256);
+        });
+
+        await test('retries transient 503 and 429 responses', async () => {
+            const client = new OllamaClient({ baseUrl: base, retryDelay: 10 });
+            const before = server.requests.length;
+
+            assert.strictEqual(await client.generate('FAIL ONCE then work'), 'Mock reply to: FAIL ONCE then work');
+            assert.strictEqual(await client.generate('RATE LIMIT then work'), 'Mock reply to: RATE LIMIT then work');
+            assert.strictEqual(server.requests.length - before, 4);
+        });
+
+        await test('gives up after maxRetries', async () => {
+            const client = new OllamaClient({ baseUrl: base, maxRetries: 0 });
+            await expectLLMError(client.generate('FAIL ONCE and stop'), 'http_error', 503);
+        });
+
+        await test('fails at once when Retry-After is longer than maxRetryDelay', async () => {
+            const client = new OllamaClient({ baseUrl: base, maxRetryDelay: 500 });
+            const before = server.requests.length;
+            const start = Date.now();
+
+            await expectLLMError(client.generate('RATE LIMIT and give up'), 'http_error', 429);
+            assert.strictEqual(server.requests.length - before, 1);
+            assert.ok(Date.now() - start < 500, 'did not wait for Retry-After');
+        });
+
+        await test('retries network errors but not other failures', async () => {
+            const countSends = (client) => {
+                const send = client.send.bind(client);
+                client.calls = 0;
+                client.send = (...args) => {
+                    client.calls++;
+                    return send(...args);
+                };
+                return client;
+            };
+
+            // Nothing listens on a closed server's port
+            const closed = http.createServer();
+            await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+            const port = closed.address().port;
+            await new Promise(resolve => closed.close(resolve));
+
+            const refused = countSends(new OllamaClient({ baseUrl: `http://127.0.0.1:${port}`, retryDelay: 10, maxRetries: 1 }));
+            await expectLLMError(refused.generate('Hello'), 'http_error');
+            assert.strictEqual(refused.calls, 2);
+
+            const invalid = countSends(new OllamaClient({ baseUrl: 'not a url', retryDelay: 10 }));
+            await assert.rejects(invalid.generate('Hello'), (error) => {
+                assert.ok(error instanceof LLMError);
+                assert.strictEqual(error.retryable, false);
+                assert.match(error.message, /Invalid URL/);
+                return true;
+            });
+            assert.strictEqual(invalid.calls, 1);
+
+            // A bug in an adapter, after the request went through
+            const broken = countSends(new OllamaClient({ baseUrl: base, retryDelay: 10 }));
+            const send = broken.send;
+            broken.send = (...args) => send(...args).then(() => {
+                throw new TypeError("Cannot read properties of undefined (reading 'text')");
+            });
+            await assert.rejects(broken.generate('Hello'), (error) => error instanceof LLMError && !error.retryable);
+            assert.strictEqual(broken.calls, 1);
+        });
+
+        await test('does not retry client errors', async () => {
+            const client = new GeminiClient({ apiKey: 'test-key', baseUrl: `${base}/missing`, retryDelay: 10 });
+            const before = server.requests.length;
+
+            await expectLLMError(client.generate('Hello'), 'http_error', 404);
+            assert.strictEqual(server.requests.length, before, '404s never reach the request log');
+        });
+
+        await test('times out slow responses', async () => {
+            const client = new OllamaClient({ baseUrl: base, timeout: 200, maxRetries: 0 });
+            await expectLLMError(client.generate('SLOW please'), 'timeout');
+        });
+
+        await test('rejects prompts over maxInputTokens before sending', async () => {
+            const client = new OllamaClient({ baseUrl: base, maxInputTokens: 10 });
+            const before = server.requests.length;
+
+            await expectLLMError(client.generate('x'.repeat(100)), 'token_limit');
+            assert.strictEqual(server.requests.length, before);
+        });
+
+        await test('flags replies cut off at the output token limit', async () => {
+            const gemini = new GeminiClient({ apiKey: 'test-key', baseUrl: `${base}/v1beta` });
+            const openai = new OpenAICompatibleClient({ baseUrl: `${base}/v1` });
+
+            assert.strictEqual((await gemini.complete('TRUNCATE me')).truncated, true);
+            assert.strictEqual((await openai.complete('TRUNCATE me')).truncated, true);
+            assert.strictEqual((await openai.complete('Complete me')).truncated, false);
+        });
+
+        await test('reports missing API keys as unavailable', async () => {
+            const client = new GeminiClient({ baseUrl: `${base}/v1beta` });
+
+            assert.strictEqual(client.isAvailable(), false);
+            assert.strictEqual(new OpenAICompatibleClient().isAvailable(), false);
+            assert.strictEqual(new OpenAICompatibleClient({ baseUrl: `${base}/v1` }).isAvailable(), true);
+            await expectLLMError(client.generate('Hello'), 'unavailable');
+        });
+
+        await test('createLLMClient applies provider and per-task settings', () => {
+            const llm = {
+                provider: 'gemini',
+                timeout: 5000,
+                gemini: { model: 'gemini-test' },
+                openai: { model: 'gpt-test', baseUrl: `${base}/v1`, timeout: 9000 },
+                tasks: {
+                    analysis: { maxOutputTokens: 1024 },
+                    post: { provider: 'openai', temperature: 0.9 }
+                }
+            };
+
+            const analysis = createLLMClient({ llm }, 'analysis');
+            assert.ok(analysis instanceof GeminiClient);
+            assert.strictEqual(analysis.model, 'gemini-test');
+            assert.strictEqual(analysis.timeout, 5000);
+            assert.strictEqual(analysis.maxOutputTokens, 1024);
+
+            const post = createLLMClient({ llm }, 'post');
+            assert.ok(post instanceof OpenAICompatibleClient);
+            assert.strictEqual(post.name, 'openai');
+            assert.strictEqual(post.model, 'gpt-test');
+            assert.strictEqual(post.timeout, 9000);
+            assert.strictEqual(post.temperature, 0.9);
+
+            assert.throws(() => createLLMClient({ llm: { provider: 'nope' } }, 'post'), /Unknown LLM provider "nope"/);
+        });
+
+        await test('extracts JSON from fences and surrounding prose', () => {
+            assert.deepStrictEqual(extractJson('{"a": 1}'), { a: 1 });
+            assert.deepStrictEqual(extractJson('Sure! Here it is:\n```json\n{"a": [1, 2]}\n```\nHope this helps.'), { a: [1, 2] });
+            assert.deepStrictEqual(extractJson('The analysis {"note": "uses } and { inside"} is done.'), { note: 'uses } and { inside' });
+            assert.deepStrictEqual(extractJson('Result: [{"a": 1}]'), [{ a: 1 }]);
+            assert.throws(() => extractJson('No JSON {here'), StructuredOutputError);
+            assert.throws(() => extractJson(''), StructuredOutputError);
+        });
+
+        await test('validates the analysis shape and originalIndex bounds', () => {
+            const top = { rank: 1, title: 'T', summary: 'S', whyPositive: 'W', keyPoints: ['K'], originalIndex: 0 };
+
+            assert.deepStrictEqual(validateAnalysis({ topArticles: [top], overallTrend: 'Up' }, 2), []);
+            assert.deepStrictEqual(validateAnalysis({ topArticles: [{ ...top, originalIndex: 2 }], overallTrend: 'Up' }, 2), [
+                'topArticles[0].originalIndex must be a whole number from 0 to 1 (got 2)'
+            ]);
+            assert.deepStrictEqual(validateAnalysis({ topArticles: [top, { ...top, rank: 2 }], overallTrend: 'Up' }, 2), [
+                'topArticles[1].originalIndex 0 is used by more than one article'
+            ]);
+            assert.deepStrictEqual(validateAnalysis({ topArticles: [{ ...top, keyPoints: 'K' }] }, 2), [
+                '"overallTrend" must be a non-empty string (got nothing)',
+                'topArticles[0].keyPoints must be an array of strings (got "K")'
+            ]);
+            assert.deepStrictEqual(validateAnalysis([], 2), ['The response must be a JSON object (got an array)']);
+        });
+
+        await test('AIGoodNewsAgent re-asks the model with the validation errors', async () => {
+            const articles = [
+                { title: 'AI model speeds up drug discovery', summary: 'Big step', source: 'example.com', url: 'https://example.com/a' }
+            ];
+            const valid = {
+                topArticles: [{ rank: 1, title: articles[0].title, summary: 'Big step', whyPositive: 'Faster cures', keyPoints: ['Speed'], originalIndex: 0 }],
+                overallTrend: 'Mock trend'
+            };
+            server.reply = (prompt) => prompt.includes('could not be used')
+                ? JSON.stringify(valid)
+                : 'Here you go:\n```json\n' + JSON.stringify({ ...valid, topArticles: [{ ...valid.topArticles[0], originalIndex: 1 }] }) + '\n```';
+
+            const agent = new AIGoodNewsAgent({
+                llm: { provider: 'openai', repairAttempts: 1, openai: { baseUrl: `${base}/v1`, model: 'mock' } }
+            });
+            const before = server.requests.length;
+            const analysis = await agent.analyzeWithLLM(articles);
+
+            assert.deepStrictEqual(analysis, valid);
+            assert.strictEqual(agent.analysisGenerator, 'openai');
+            assert.strictEqual(server.requests.length - before, 2);
+            assert.ok(lastRequest().prompt.includes('topArticles[0].originalIndex must be a whole number from 0 to 0 (got 1)'));
+
+            // Still invalid after the last repair attempt → fallback analysis
+            server.reply = '{"topArticles": []}';
+            await agent.analyzeWithLLM(articles);
+            assert.strictEqual(agent.analysisGenerator, 'fallback');
+            assert.strictEqual(server.requests.length - before, 4);
+        });
+
+        await test('AIGoodNewsAgent analyzes articles through the configured LLM', async () => {
+            const articles = [
+                { title: 'AI model speeds up drug discovery', summary: 'Big step', source: 'example.com', url: 'https://example.com/a' }
+            ];
+            server.reply = JSON.stringify({
+                topArticles: [{ rank: 1, title: articles[0].title, summary: 'Big step', whyPositive: 'Faster cures', keyPoints: ['Speed'], originalIndex: 0 }],
+                overallTrend: 'Mock trend'
+            });
+
+            const agent = new AIGoodNewsAgent({
+                llm: { provider: 'openai', repairAttempts: 0, openai: { baseUrl: `${base}/v1`, model: 'mock' } }
+            });
+            const analysis = await agent.analyzeWithLLM(articles);
+
+            assert.strictEqual(analysis.overallTrend, 'Mock trend');
+            assert.strictEqual(agent.analysisGenerator, 'openai');
+            assert.strictEqual(agent.analysisPromptVersion, 'analysis.v1');
+            assert.ok(lastRequest().prompt.includes(articles[0].title));
+
+            server.reply = 'not json';
+            await agent.analyzeWithLLM(articles);
+            assert.strictEqual(agent.analysisGenerator, 'fallback');
+            assert.strictEqual(agent.analysisPromptVersion, null);
+        });
+    } finally {
+        server.reply = null;
+        server.close();
+    }
+
+    report();
+}
+
+// Run the tests
+runTests();
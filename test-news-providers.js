@@ -0,0 +1,189 @@
+// Offline tests for the news provider registry and article normalization
+const assert = require('assert');
+const http = require('http');
+const {
+    NewsProvider,
+    DuckDuckGoProvider,
+    NewsAPIProvider,
+    RSSProvider,
+    registerProvider,
+    getRegisteredProviders,
+    createProvider,
+    createProviders
+} = require('./news-providers');
+const { test, report } = require('./test-helper');
+
+const SNIPPET = 'Hospitals adopt an open generative AI model for triage. The model was trained on public data and is free to reuse.';
+
+// Serves a NewsAPI "everything" response and records the request URLs
+async function startNewsAPI() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(new URL(req.url, 'http://localhost'));
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+            status: 'ok',
+            totalResults: 3,
+            articles: [
+                {
+                    source: { id: 'wired', name: 'Wired' },
+                    author: 'Ada Park',
+                    title: 'Hospitals adopt an open AI model for triage',
+                    description: SNIPPET,
+                    url: 'https://www.wired.com/story/hospital-ai-triage/',
+                    publishedAt: '2026-10-18T08:00:00Z',
+                    content: `${SNIPPET.slice(0, 60)}… [+2345 chars]`
+                },
+                { source: { name: 'Removed' }, title: '[Removed]', url: null },
+                { source: { name: 'Untitled' }, title: '', url: 'https://example.com/untitled' }
+            ]
+        }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, requests, baseUrl: `http://127.0.0.1:${server.address().port}/v2` };
+}
+
+async function runTests() {
+    console.log('🧪 Testing news providers...');
+
+    await test('creates registered providers by name', () => {
+        assert.deepStrictEqual(getRegisteredProviders().slice(0, 3), ['duckduckgo', 'newsapi', 'rss']);
+
+        const provider = createProvider('duckduckgo', { requestTimeout: 5000 });
+        assert.ok(provider instanceof DuckDuckGoProvider);
+        assert.strictEqual(provider.name, 'duckduckgo');
+        assert.strictEqual(provider.requestTimeout, 5000);
+
+        assert.throws(() => createProvider('bing'), /Unknown news provider "bing". Registered providers: duckduckgo, newsapi, rss/);
+    });
+
+    await test('registers custom providers that extend NewsProvider', async () => {
+        class StaticProvider extends NewsProvider {
+            async search(query) {
+                return [this.normalizeArticle({ url: 'https://example.com/static', summary: SNIPPET }, query)];
+            }
+        }
+        registerProvider('static', StaticProvider);
+
+        const [article] = await createProvider('static').search('AI');
+        assert.strictEqual(article.provider, 'static');
+        assert.ok(getRegisteredProviders().includes('static'));
+
+        assert.throws(() => registerProvider('plain', class { }), /Provider "plain" must extend NewsProvider/);
+        assert.ok(!getRegisteredProviders().includes('plain'));
+    });
+
+    await test('passes config to providers and skips the ones that are not configured', () => {
+        const savedKey = process.env.NEWS_API_KEY;
+        const log = console.log;
+        const logged = [];
+        delete process.env.NEWS_API_KEY;
+        console.log = (message) => logged.push(message);
+        try {
+            const providers = createProviders({
+                search: { requestTimeout: 4000 },
+                sources: { preferred: ['wired.com', 'example.org'] },
+                providers: {
+                    enabled: ['duckduckgo', 'newsapi', 'rss'],
+                    rss: { usePreferredSources: true },
+                    duckduckgo: { requestTimeout: 2000 }
+                }
+            });
+
+            assert.deepStrictEqual(providers.map(provider => provider.name), ['duckduckgo', 'rss']);
+            assert.strictEqual(providers[0].requestTimeout, 2000, 'per-provider options win');
+            assert.strictEqual(providers[1].requestTimeout, 4000);
+            assert.ok(providers[1] instanceof RSSProvider);
+            assert.deepStrictEqual(providers[1].feeds, ['https://www.wired.com/feed/tag/ai/latest/rss']);
+            assert.ok(logged.includes('⚠️ Skipping news provider "newsapi" (not configured)'));
+
+            const keyed = createProviders({ providers: { enabled: ['newsapi'], newsapi: { apiKey: 'test-key' } } });
+            assert.ok(keyed[0] instanceof NewsAPIProvider);
+            assert.deepStrictEqual(createProviders({}).map(provider => provider.name), ['duckduckgo']);
+        } finally {
+            console.log = log;
+            if (savedKey !== undefined) process.env.NEWS_API_KEY = savedKey;
+        }
+    });
+
+    await test('normalizes articles with defaults for missing fields', () => {
+        const provider = new DuckDuckGoProvider();
+        const article = provider.normalizeArticle({ url: 'https://www.theverge.com/ai/story', summary: SNIPPET }, 'generative AI');
+
+        assert.deepStrictEqual(article, {
+            title: 'Hospitals adopt an open generative AI model for triage',
+            url: 'https://www.theverge.com/ai/story',
+            summary: SNIPPET,
+            source: 'theverge.com',
+            sourceName: 'theverge.com',
+            author: null,
+            publishedDate: null,
+            relevanceScore: null,
+            keyPoints: [],
+            searchQuery: 'generative AI',
+            provider: 'duckduckgo'
+        });
+        assert.ok(!('content' in article), 'providers only have snippets; content comes from enrichment');
+
+        const long = provider.normalizeArticle({ url: 'not a url', summary: 'A'.repeat(150), relevanceScore: 0 }, 'AI');
+        assert.strictEqual(long.title, `${'A'.repeat(97)}...`);
+        assert.strictEqual(long.source, 'unknown-source.com');
+        assert.strictEqual(long.relevanceScore, 0);
+        assert.strictEqual(provider.normalizeArticle({ url: 'https://example.com' }, 'AI').title, 'AI News Article');
+    });
+
+    await test('parses DuckDuckGo abstracts and nested related topics', () => {
+        const provider = new DuckDuckGoProvider();
+        const articles = provider.parseResults({
+            Heading: 'Generative AI',
+            AbstractURL: 'https://en.wikipedia.org/wiki/Generative_AI',
+            AbstractText: 'Generative AI is artificial intelligence capable of generating text, images and other data.',
+            RelatedTopics: [
+                { Topics: [{ FirstURL: 'https://duckduckgo.com/Large_language_model', Text: `<b>Large language model</b> ${SNIPPET}` }] },
+                { FirstURL: 'https://duckduckgo.com/Short', Text: 'Too short to be an article' }
+            ]
+        }, 'generative AI');
+
+        assert.deepStrictEqual(articles.map(article => article.title), ['Generative AI', 'Large language model Hospitals adopt an open generative AI model for triage']);
+        assert.strictEqual(articles[0].relevanceScore, 0.9);
+        assert.ok(!articles[1].summary.includes('<b>'), 'HTML should be stripped');
+    });
+
+    await test('searches NewsAPI and keeps the description, not the truncated content', async () => {
+        const { server, requests, baseUrl } = await startNewsAPI();
+        try {
+            const provider = new NewsAPIProvider({ apiKey: 'test-key', baseUrl, pageSize: 5 });
+            const articles = await provider.search('AI triage', 'w');
+
+            assert.strictEqual(requests[0].pathname, '/v2/everything');
+            assert.strictEqual(requests[0].searchParams.get('q'), 'AI triage');
+            assert.strictEqual(requests[0].searchParams.get('pageSize'), '5');
+            assert.strictEqual(requests[0].searchParams.get('apiKey'), 'test-key');
+            const from = new Date(requests[0].searchParams.get('from'));
+            assert.ok(Date.now() - from.getTime() >= 6 * 24 * 60 * 60 * 1000, 'a week back');
+
+            assert.strictEqual(articles.length, 1, 'articles without a url or title are dropped');
+            const [article] = articles;
+            assert.strictEqual(article.summary, SNIPPET);
+            assert.ok(!('content' in article));
+            assert.strictEqual(article.source, 'wired.com');
+            assert.strictEqual(article.sourceName, 'Wired');
+            assert.strictEqual(article.author, 'Ada Park');
+            assert.strictEqual(article.publishedDate.toISOString(), '2026-10-18T08:00:00.000Z');
+            assert.strictEqual(article.provider, 'newsapi');
+
+            // NEWS_API_KEY may be set where the tests run, so drop the key afterwards
+            const keyless = new NewsAPIProvider({ baseUrl });
+            keyless.apiKey = undefined;
+            await assert.rejects(keyless.search('AI'), /requires NEWS_API_KEY/);
+            assert.strictEqual(requests.length, 1);
+        } finally {
+            server.close();
+        }
+    });
+
+    report();
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,124 @@
+// Offline tests for personas: resolution, config validation, template posts and the LLM post prompt
+const assert = require('assert');
+const { resolvePersona, PersonaError } = require('./personas');
+const { createMockLLMServer } = require('./mock-llm-server');
+const { DEFAULT_CONFIG, validateConfig } = require('./config-loader');
+const { LinkedInAINewsAgent } = require('./linkedin-ai-news-agent');
+const AIGoodNewsAgent = require('./ai-agent');
+const { test, report } = require('./test-helper');
+
+async function runTests() {
+    console.log('🧪 Testing personas...');
+
+    // Keep real keys from the environment out of the tests
+    delete process.env.GEMINI_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+
+    const server = createMockLLMServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const lastRequest = () => server.requests[server.requests.length - 1];
+
+    try {
+        await test('personas come from built-ins, config and the legacy preferences', () => {
+            const legacy = resolvePersona({
+                userPreferences: { postTone: 'casual', includePersonalOpinions: true }
+            });
+            assert.strictEqual(legacy.id, 'default');
+            assert.strictEqual(legacy.tone, 'casual');
+            assert.strictEqual(legacy.opinionLevel, 'light');
+
+            const config = {
+                ...DEFAULT_CONFIG,
+                userPreferences: { ...DEFAULT_CONFIG.userPreferences, persona: 'cto' },
+                personas: { cto: { role: 'CTO', tone: 'analytical', emoji: 'none' } }
+            };
+            assert.deepStrictEqual(validateConfig(config), []);
+            const cto = resolvePersona(config);
+            assert.strictEqual(cto.role, 'CTO');
+            assert.strictEqual(cto.name, 'cto');
+            assert.strictEqual(cto.audience, 'professionals following AI');
+
+            assert.throws(() => resolvePersona(config, 'pirate'), (error) => {
+                assert.ok(error instanceof PersonaError);
+                assert.match(error.message, /Unknown persona "pirate" \(available: default, engineer, founder, educator, cto\)/);
+                return true;
+            });
+            assert.deepStrictEqual(
+                validateConfig({ ...DEFAULT_CONFIG, personas: { cto: { emoji: 'many', mood: 'calm' } } }),
+                ['personas.cto.mood is not a recognized setting', 'personas.cto.emoji must be one of "none", "some", "lots" (got "many")']
+            );
+        });
+
+        await test('template posts follow the persona tone, opinions and emoji', async () => {
+            const article = {
+                title: 'OpenAI announced a new model',
+                url: 'https://example.com/model',
+                source: 'example.com',
+                summary: 'OpenAI announced a new machine learning model that improves accuracy significantly. The team released the research publicly for everyone to use today.'
+            };
+            const agentFor = (persona) => new LinkedInAINewsAgent({
+                ...DEFAULT_CONFIG,
+                userPreferences: { ...DEFAULT_CONFIG.userPreferences, persona }
+            });
+
+            const engineer = await agentFor('engineer').createLinkedInPost(article, 'list');
+            assert.strictEqual(engineer.persona, 'engineer');
+            assert.ok(engineer.content.startsWith('Breaking it down:'));
+            assert.ok(engineer.content.includes('\n1. OpenAI announced'));
+            assert.match(engineer.content, /(Working in|From where I sit in) software/);
+            assert.ok(!/\p{Extended_Pictographic}/u.test(engineer.content));
+
+            const founder = await agentFor('founder').createLinkedInPost(article, 'list');
+            assert.ok(founder.content.startsWith('📋 Key takeaways from latest AI news:'));
+            assert.ok(founder.content.includes('\n1️⃣ OpenAI announced'));
+            assert.ok(founder.content.includes("What's your take on this development? 👇"));
+
+            const neutral = await agentFor('default').createLinkedInPost(article, 'insight');
+            assert.ok(neutral.content.startsWith("💡 Key insight from today's AI news:"));
+            assert.ok(!/Working in|From where I sit|My take|say it plainly/.test(neutral.content));
+        });
+
+        await test('AIGoodNewsAgent writes the post prompt as the persona', async () => {
+            const articles = [
+                { title: 'AI model speeds up drug discovery', summary: 'Big step', source: 'example.com', url: 'https://example.com/a' }
+            ];
+            const analysis = {
+                topArticles: [{ rank: 1, title: articles[0].title, summary: 'Big step', whyPositive: 'Faster cures', keyPoints: ['Speed'], originalIndex: 0 }],
+                overallTrend: 'Mock trend'
+            };
+            server.reply = 'A great post about drug discovery';
+
+            const llm = { provider: 'openai', openai: { baseUrl: `${base}/v1`, model: 'mock' } };
+            const persona = resolvePersona(DEFAULT_CONFIG, 'engineer');
+            const agent = new AIGoodNewsAgent({ llm, persona });
+            const post = await agent.generateLinkedInPost(analysis, articles);
+
+            assert.strictEqual(post, 'A great post about drug discovery\n\nSource: https://example.com/a');
+            assert.strictEqual(agent.postGenerator, 'openai');
+            assert.strictEqual(agent.postPromptVersion, 'post.v3');
+            const prompt = lastRequest().prompt;
+            assert.ok(prompt.includes('Momentum: No trend data yet'));
+            assert.ok(prompt.includes('writing as a machine learning engineer working in software'));
+            assert.ok(prompt.includes('for an audience of engineers and data scientists'));
+            assert.ok(prompt.includes('- Keep the tone analytical'));
+            assert.ok(prompt.includes('- Do not use any emoji.'));
+
+            await agent.generateLinkedInPost({ ...analysis, momentum: 'Healthcare: 6 articles in the past 7 days, up from 2 the 7 days before' }, articles);
+            assert.ok(lastRequest().prompt.includes('Momentum: Healthcare: 6 articles in the past 7 days, up from 2'));
+
+            const pinned = new AIGoodNewsAgent({ llm, persona, prompts: { versions: { post: 1 } } });
+            await pinned.generateLinkedInPost(analysis, articles);
+            assert.strictEqual(pinned.postPromptVersion, 'post.v1');
+            assert.ok(lastRequest().prompt.includes('Keep it analytical but enthusiastic'));
+        });
+    } finally {
+        server.reply = null;
+        server.close();
+    }
+
+    report();
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,229 @@
+// Offline tests for the news pipeline: stage order, error results and the result schema
+const assert = require('assert');
+const { LinkedInAINewsAgent } = require('./linkedin-ai-news-agent');
+const { DEFAULT_CONFIG } = require('./config-loader');
+const { RESULT_SCHEMA_VERSION, NewsPipeline, createNewsPipeline, createResult, normalizePost } = require('./pipeline');
+const { test, report } = require('./test-helper');
+
+const ARTICLE = {
+    title: 'Hospitals adopt an open AI model for triage',
+    url: 'https://www.wired.com/story/hospital-ai-triage',
+    summary: 'Hospitals adopted an open generative AI model for triage. Researchers released the model and its training data for anyone to reuse.',
+    source: 'wired.com',
+    publishedDate: new Date('2026-10-18T08:00:00Z'),
+    relevanceScore: 0.8
+};
+
+// Names of the stages that were started, reset by pipelineWith()
+let calls = [];
+
+function recorder(name, run = () => {}) {
+    return {
+        name,
+        async run(context) {
+            calls.push(name);
+            await run(context);
+        }
+    };
+}
+
+function pipelineWith(overrides = {}) {
+    calls = [];
+    return new NewsPipeline({
+        config: DEFAULT_CONFIG,
+        stages: {
+            discover: recorder('discover', (context) => { context.articles = [ARTICLE]; }),
+            filter: [recorder('rank'), recorder('skipSeen')],
+            analyze: recorder('analyze', (context) => {
+                context.analysis = { topArticles: [{ rank: 1, title: ARTICLE.title, summary: ARTICLE.summary, keyPoints: ['Open model'], originalIndex: 0 }], overallTrend: 'Open models' };
+            }),
+            compose: recorder('compose', (context) => { context.posts.push({ content: 'Open models reach hospitals. #AI', style: 'news_share' }); }),
+            output: [recorder('display'), recorder('markSeen')],
+            ...overrides
+        }
+    });
+}
+
+// Runs fn with console.log and console.error captured
+async function captureConsole(fn) {
+    const { log, error } = console;
+    const lines = [];
+    console.log = console.error = (...args) => lines.push(args.join(' '));
+    try {
+        return { value: await fn(), lines };
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+}
+
+async function runTests() {
+    console.log('🧪 Testing news pipeline...');
+
+    await test('runs stage slots in order and each slot\'s stages in order', async () => {
+        const labelled = { ...recorder('discover', (context) => { context.articles = [ARTICLE]; }), label: '📡 Searching...' };
+        const { value: result, lines } = await captureConsole(() => pipelineWith({ discover: labelled }).run());
+
+        assert.deepStrictEqual(calls, ['discover', 'rank', 'skipSeen', 'analyze', 'compose', 'display', 'markSeen']);
+        assert.deepStrictEqual(lines, ['\n📡 Searching...'], 'only labelled stages are announced');
+        assert.strictEqual(result.status, 'success');
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.error, null);
+        assert.strictEqual(result.message, 'Workflow completed successfully');
+    });
+
+    await test('returns an empty result when no articles survive the filter', async () => {
+        const result = await pipelineWith({ filter: recorder('rank', (context) => { context.articles = []; }) }).run();
+
+        assert.deepStrictEqual(calls, ['discover', 'rank']);
+        assert.strictEqual(result.status, 'empty');
+        assert.strictEqual(result.success, false);
+        assert.deepStrictEqual(result.error, { message: 'No articles found', type: 'Error', stage: 'filter' });
+        assert.strictEqual(result.message, 'No data could be retrieved');
+    });
+
+    await test('keeps the articles when analysis or composition fails', async () => {
+        const noPosts = await pipelineWith({ compose: recorder('compose') }).run();
+        assert.deepStrictEqual(calls, ['discover', 'rank', 'skipSeen', 'analyze', 'compose']);
+        assert.strictEqual(noPosts.status, 'partial');
+        assert.deepStrictEqual(noPosts.error, { message: 'Post generation failed', type: 'Error', stage: 'compose' });
+        assert.strictEqual(noPosts.articles.length, 1);
+
+        const failed = await pipelineWith({ analyze: recorder('analyze', () => { throw new TypeError('LLM returned no JSON'); }) }).run();
+        assert.strictEqual(failed.status, 'partial');
+        assert.deepStrictEqual(failed.error, { message: 'LLM returned no JSON', type: 'TypeError', stage: 'analyze' });
+        assert.strictEqual(failed.articles[0].url, ARTICLE.url);
+        assert.strictEqual(failed.message, 'Workflow partially completed with errors');
+    });
+
+    await test('fails the run when discovery or filtering throws', async () => {
+        const discover = await pipelineWith({ discover: recorder('discover', () => { throw new Error('All providers failed'); }) }).run();
+        assert.deepStrictEqual(calls, ['discover']);
+        assert.strictEqual(discover.status, 'error');
+        assert.deepStrictEqual(discover.error, { message: 'All providers failed', type: 'Error', stage: 'discover' });
+        assert.strictEqual(discover.message, 'Workflow failed with errors');
+
+        const filter = await pipelineWith({ filter: recorder('rank', () => { throw new Error('Bad source registry'); }) }).run();
+        assert.strictEqual(filter.status, 'error', 'articles that were not filtered are not kept');
+        assert.strictEqual(filter.error.stage, 'filter');
+    });
+
+    await test('an output stage failure never discards the posts', async () => {
+        const { value: result, lines } = await captureConsole(() =>
+            pipelineWith({ output: [recorder('display', () => { throw new Error('stdout closed'); }), recorder('markSeen')] }).run()
+        );
+
+        assert.deepStrictEqual(calls, ['discover', 'rank', 'skipSeen', 'analyze', 'compose', 'display', 'markSeen']);
+        assert.strictEqual(result.status, 'success');
+        assert.strictEqual(result.posts.length, 1);
+        assert.ok(lines.includes('❌ Output stage "display" failed: stdout closed'));
+    });
+
+    await test('builds results in the versioned schema', async () => {
+        assert.strictEqual(RESULT_SCHEMA_VERSION, 1);
+        const result = await pipelineWith().run();
+
+        assert.deepStrictEqual(Object.keys(result), [
+            'schemaVersion', 'success', 'status', 'timestamp', 'runtime', 'articles', 'posts', 'analysis', 'summary', 'error', 'message'
+        ]);
+        assert.strictEqual(result.schemaVersion, RESULT_SCHEMA_VERSION);
+        assert.ok(!Number.isNaN(Date.parse(result.timestamp)));
+        assert.ok(result.runtime >= 0);
+        assert.deepStrictEqual(result.analysis, {
+            overallTrend: 'Open models', generator: null, promptVersion: null, clusters: null, momentum: null, trends: null
+        });
+        assert.deepStrictEqual(result.summary, { articlesFound: 1, postsGenerated: 1, sources: ['wired.com'], styles: ['news_share'] });
+
+        assert.deepStrictEqual(result.articles[0], {
+            title: ARTICLE.title,
+            url: ARTICLE.url,
+            summary: ARTICLE.summary,
+            source: 'wired.com',
+            sourceName: 'wired.com',
+            sourceCategory: null,
+            paywall: false,
+            image: null,
+            enriched: false,
+            entities: null,
+            author: null,
+            publishedDate: '2026-10-18T08:00:00.000Z',
+            relevanceScore: 0.8,
+            scoreBreakdown: null,
+            keyPoints: ['Open model'],
+            rank: 1,
+            whyPositive: null,
+            topic: null
+        });
+        assert.ok(!('content' in result.articles[0]));
+    });
+
+    await test('normalizes articles outside the top list and posts with missing fields', () => {
+        const result = createResult({
+            articles: [
+                { ...ARTICLE, url: 'https://example.com/a', publishedDate: 'not a date', keyPoints: [{ text: 'First point' }, 'Second point'], content: 'Full page text' },
+                { ...ARTICLE, url: 'https://example.com/b', publishedDate: '2026-10-17', relevanceScore: undefined }
+            ],
+            analysis: null,
+            posts: [{ content: 'Short post', style: 'question' }],
+            generators: {},
+            promptVersions: {},
+            startTime: Date.now()
+        }, { status: 'success' });
+
+        const [first, second] = result.articles;
+        assert.strictEqual(first.publishedDate, null);
+        assert.deepStrictEqual(first.keyPoints, ['First point', 'Second point']);
+        assert.strictEqual(first.rank, null);
+        assert.ok(!('content' in first));
+        assert.strictEqual(second.publishedDate, '2026-10-17T00:00:00.000Z');
+        assert.strictEqual(second.relevanceScore, null);
+        assert.deepStrictEqual(second.keyPoints, []);
+
+        assert.deepStrictEqual(result.posts[0], normalizePost({ content: 'Short post', style: 'question' }));
+        assert.deepStrictEqual(result.posts[0], {
+            content: 'Short post',
+            style: 'question',
+            characterCount: 10,
+            warnings: [],
+            hashtags: [],
+            sourceUrl: null,
+            article: { title: null, source: null, url: null },
+            generator: 'template',
+            promptVersion: null,
+            persona: null,
+            slides: null,
+            parts: null,
+            poll: null,
+            items: null
+        });
+    });
+
+    await test('createNewsPipeline wires the template stages from config.pipeline', async () => {
+        const config = { ...DEFAULT_CONFIG, search: { ...DEFAULT_CONFIG.search, minRelevanceScore: 0 } };
+        const engine = new LinkedInAINewsAgent(config);
+        engine.discoverAINews = async () => [{ ...ARTICLE }];
+        engine.scorer.score = (articles) => articles;
+
+        const pipeline = createNewsPipeline(config, {
+            engine, analyzer: 'template', composer: 'template', skipSeenArticles: false, history: false, enricher: false
+        });
+        const names = (slot) => pipeline.getStages(slot).map(stage => stage.name);
+        assert.deepStrictEqual(
+            ['discover', 'filter', 'analyze', 'compose', 'output'].map(names),
+            [['discover'], ['rank'], ['templateAnalysis'], ['templateComposer'], []]
+        );
+        assert.deepStrictEqual(createNewsPipeline(config, { engine, display: true, history: false, enricher: false }).getStages('output').map(stage => stage.name), ['display']);
+
+        const { value: result } = await captureConsole(() => pipeline.run());
+        assert.strictEqual(result.status, 'success');
+        assert.strictEqual(result.analysis.generator, 'template');
+        assert.strictEqual(result.articles[0].rank, 1);
+        assert.strictEqual(result.posts[0].sourceUrl, ARTICLE.url);
+        assert.strictEqual(result.posts[0].generator, 'template');
+    });
+
+    report();
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,211 @@
+// Offline tests for the template post formats (carousel, series, poll, digest) and digest runs
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LinkedInAINewsAgent } = require('./linkedin-ai-news-agent');
+const { DEFAULT_CONFIG, validateConfig } = require('./config-loader');
+const { stages, createResult, createNewsPipeline } = require('./pipeline');
+const { clusterArticles } = require('./topic-clusters');
+const { writePostFiles } = require('./post-output');
+const { test, report } = require('./test-helper');
+
+function createAgent(overrides = {}) {
+    return new LinkedInAINewsAgent({
+        ...DEFAULT_CONFIG,
+        posts: { ...DEFAULT_CONFIG.posts, ...overrides.posts },
+        search: { ...DEFAULT_CONFIG.search, ...overrides.search },
+        userPreferences: { ...DEFAULT_CONFIG.userPreferences, persona: 'engineer' }
+    });
+}
+
+const articles = [1, 2, 3, 4].map(n => ({
+    title: `Researchers announced machine learning result ${n}`,
+    url: `https://example.com/story-${n}`,
+    source: `site${n}.com`,
+    summary: `Researchers announced a machine learning model that improves accuracy by ${n}0 percent. ` +
+        'The team released the research code publicly for everyone to use today. ' +
+        'Early results show a breakthrough in efficiency across several benchmarks.'
+}));
+
+async function runTests() {
+    console.log('🧪 Testing post formats...');
+
+    await test('carousel outlines slides separated for Markdown export', async () => {
+        const post = await createAgent().createLinkedInPost(articles[0], 'carousel');
+
+        assert.strictEqual(post.style, 'carousel');
+        assert.deepStrictEqual(
+            post.slides.slice(1).map(slide => slide.title),
+            ['What happened', 'Key points', 'Why it matters', 'Your turn']
+        );
+        assert.deepStrictEqual(post.slides[0].bullets, [articles[0].title]);
+        assert.ok(post.slides.every(slide => slide.bullets.length > 0));
+        assert.ok(post.content.startsWith(`## 1. ${post.slides[0].title}`));
+        assert.strictEqual(post.content.split('\n\n---\n\n').length, post.slides.length + 1);
+        assert.match(post.content, /Caption:\n\n[\s\S]*Swipe through the 5 slides[\s\S]*Source: https:\/\/example\.com\/story-1$/);
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'posts-'));
+        try {
+            const result = createResult({ articles: [], posts: [post], startTime: Date.now(), generators: {}, promptVersions: {} }, { status: 'success' });
+            const [file] = await writePostFiles(result, dir);
+            assert.strictEqual(path.basename(file), 'post-01-carousel.md');
+            assert.deepStrictEqual(result.posts[0].slides, post.slides);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    await test('series numbers each part and keeps it within maxCharacters', async () => {
+        const agent = createAgent({ posts: { maxCharacters: 150 } });
+        const post = await agent.createLinkedInPost(articles[0], 'series');
+        const count = post.parts.length;
+
+        assert.strictEqual(post.style, 'series');
+        assert.ok(count >= 3 && count <= 5, `unexpected part count ${count}`);
+        post.parts.forEach((part, i) => {
+            assert.ok(part.startsWith(`${i + 1}/${count}\n\n`), `part ${i + 1} label: ${part.slice(0, 10)}`);
+            assert.ok(part.length <= 150, `part ${i + 1} has ${part.length} characters`);
+        });
+        assert.ok(post.parts[count - 1].endsWith('Source: https://example.com/story-1'));
+        assert.ok(!post.parts[0].includes('#AI'));
+        assert.strictEqual(post.content, post.parts.join('\n\n---\n\n'));
+    });
+
+    await test('poll drafts respect LinkedIn question and option limits', async () => {
+        const agent = createAgent();
+        agent.pickRandom = (options) => options[0];
+        agent.extractMainTopic = () => 'x'.repeat(150);
+
+        const post = await agent.createLinkedInPost(articles[0], 'poll');
+
+        assert.strictEqual(post.style, 'poll');
+        assert.strictEqual(post.poll.question, 'How soon will this matter in your work?');
+        assert.ok(post.poll.options.length >= 2 && post.poll.options.length <= 4);
+        assert.ok(post.poll.options.every(option => option.length <= 30));
+        assert.ok(post.content.includes(`Poll: ${post.poll.question}\n○ Already does\n○ Within a year`));
+        assert.ok(!post.content.includes('📊'), 'the engineer persona uses no emoji');
+    });
+
+    await test('digest rounds up articles within maxCharacters', async () => {
+        const agent = createAgent({ posts: { maxCharacters: 700 }, search: { timeframe: 'w' } });
+        const post = agent.createDigestPost(articles);
+
+        assert.strictEqual(post.style, 'digest');
+        assert.ok(post.content.startsWith('This week in AI:'));
+        assert.ok(post.content.length <= 700, `digest has ${post.content.length} characters`);
+        assert.ok(post.items.length >= 1 && post.items.length < articles.length);
+        assert.deepStrictEqual(post.items[0], { title: articles[0].title, source: 'site1.com', url: articles[0].url, topic: null });
+        post.items.forEach(item => assert.ok(post.content.includes(item.url)));
+        assert.strictEqual(post.sourceUrl, null);
+        assert.strictEqual(post.article.source, post.items.map(item => item.source).join(', '));
+    });
+
+    await test('template composer adds one digest next to the per-article posts', async () => {
+        const agent = createAgent();
+        const context = {
+            config: { ...agent.config, posts: { ...agent.config.posts, styles: ['poll', 'digest'] } },
+            articles,
+            analysis: { topArticles: [0, 1].map(i => ({ originalIndex: i })) },
+            posts: []
+        };
+
+        await stages.templateComposer(agent).run(context);
+
+        assert.deepStrictEqual(context.posts.map(post => post.style), ['poll', 'poll', 'digest']);
+        assert.strictEqual(context.posts[2].items.length, 2);
+        assert.ok(context.posts.every(post => post.generator === 'template'));
+    });
+
+    await test('config accepts the new styles but not a digest default', () => {
+        const posts = { ...DEFAULT_CONFIG.posts, styles: ['carousel', 'series', 'poll', 'digest'] };
+        assert.deepStrictEqual(validateConfig({ ...DEFAULT_CONFIG, posts }), []);
+
+        const errors = validateConfig({ ...DEFAULT_CONFIG, posts: { ...posts, defaultStyle: 'digest' } });
+        assert.strictEqual(errors.length, 1);
+        assert.match(errors[0], /^posts\.defaultStyle must be one of/);
+    });
+
+    const weekOfNews = [
+        ['Hospital AI triage cuts radiology wait times', 'A two-year study across hospitals found patients had urgent scans read sooner with AI triage.'],
+        ['OpenAI releases GPT model for developers', 'The new language model improves coding and reasoning for developers building chatbot products.'],
+        ['AI helps doctors detect disease earlier', 'A clinical trial shows medical AI spots disease in hospital patients months earlier than usual care.'],
+        ['Robotics startup raises $50M for warehouse robots', 'The funding round will expand production of autonomous warehouse robots across Europe.'],
+        ['Gemini language model update improves reasoning', 'Google says the Gemini language model is now better at coding, math and long chatbot conversations.'],
+        ['Humanoid robot learns household chores', 'Researchers taught a humanoid robot to fold laundry and load dishwashers from a few demonstrations.']
+    ].map(([title, summary], i) => ({
+        title,
+        summary: `${summary} The results were published this week and shared openly with the community.`,
+        url: `https://news${i}.example.com/story`,
+        source: `news${i}.example.com`,
+        relevanceScore: 0.9 - i * 0.05
+    }));
+
+    await test('clusters articles by topic and merges clusters with the same label', () => {
+        const clusters = clusterArticles(weekOfNews, { threshold: 0.25, maxClusters: 5 });
+
+        assert.deepStrictEqual(clusters.map(cluster => cluster.label), ['Healthcare', 'Generative AI', 'Robotics']);
+        assert.deepStrictEqual(clusters.map(cluster => cluster.indexes), [[0, 2], [1, 4], [3, 5]]);
+        assert.deepStrictEqual(clusters.map(cluster => cluster.top), [0, 1, 3]);
+        assert.strictEqual(clusterArticles(weekOfNews, { maxClusters: 2 }).length, 2);
+    });
+
+    await test('digest runs write one roundup post with the top article per topic', async () => {
+        const agent = createAgent({ posts: { maxCharacters: 1200 } });
+        agent.discoverAINews = async () => weekOfNews;
+        // Keep the fixture's ranking
+        agent.scorer.score = (articles) => articles;
+
+        const result = await createNewsPipeline(agent.config, { engine: agent, digest: true, skipSeenArticles: false, history: false }).run();
+
+        assert.strictEqual(result.status, 'success');
+        assert.strictEqual(result.posts.length, 1);
+        const [post] = result.posts;
+        assert.strictEqual(post.style, 'digest');
+        assert.deepStrictEqual(post.items.map(item => item.topic), ['Healthcare', 'Generative AI', 'Robotics']);
+        assert.ok(post.content.includes('1. Healthcare: Hospital AI triage cuts radiology wait times'));
+        assert.ok(post.content.length <= 1200);
+        assert.deepStrictEqual(result.analysis.clusters.map(cluster => [cluster.topic, cluster.size]), [['Healthcare', 2], ['Generative AI', 2], ['Robotics', 2]]);
+        assert.strictEqual(result.analysis.generator, 'clusters');
+        assert.deepStrictEqual(result.articles.filter(article => article.rank).map(article => article.topic), ['Healthcare', 'Generative AI', 'Robotics']);
+    });
+
+    await test('digest runs rank digest.maxArticles articles, not search.maxResults', async () => {
+        const subjects = [
+            'hospital radiology triage', 'warehouse robot picking', 'protein folding biology', 'bank fraud detection',
+            'classroom tutoring students', 'weather forecasting climate', 'chip design semiconductors', 'legal contract review',
+            'farm crop disease', 'factory quality inspection', 'city traffic signals', 'ocean shipping routes',
+            'music composition studio', 'translation of languages', 'wildfire satellite mapping'
+        ];
+        const manyStories = subjects.map((subject, i) => ({
+            title: `AI model for ${subject} announced`,
+            summary: `Researchers announced an AI model for ${subject} that improves results by ${i + 10} percent. ` +
+                `The team behind the ${subject} work shared its findings this week.`,
+            url: `https://news${i}.example.com/story`,
+            source: `news${i}.example.com`,
+            publishedDate: new Date()
+        }));
+        const config = {
+            ...DEFAULT_CONFIG,
+            search: { ...DEFAULT_CONFIG.search, maxResults: 10, minRelevanceScore: 0 },
+            digest: { ...DEFAULT_CONFIG.digest, maxArticles: 30 }
+        };
+
+        const { discoverAINews } = LinkedInAINewsAgent.prototype;
+        LinkedInAINewsAgent.prototype.discoverAINews = async () => manyStories;
+        try {
+            const result = await createNewsPipeline(config, { digest: true, skipSeenArticles: false, history: false }).run();
+
+            assert.strictEqual(result.status, 'success');
+            assert.strictEqual(result.articles.length, manyStories.length);
+            assert.strictEqual(result.analysis.clusters.reduce((sum, cluster) => sum + cluster.size, 0), manyStories.length);
+        } finally {
+            LinkedInAINewsAgent.prototype.discoverAINews = discoverAINews;
+        }
+    });
+
+    report();
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,147 @@
+// Offline tests for LinkedIn character counting and the post linter
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { countCharacters, truncatePost, lintPost, FOLD_LENGTH } = require('./post-linter');
+const { LinkedInAINewsAgent } = require('./linkedin-ai-news-agent');
+const { DEFAULT_CONFIG } = require('./config-loader');
+const { createResult } = require('./pipeline');
+const { test, report } = require('./test-helper');
+
+const ARTICLE = {
+    title: 'Hospital network cuts sepsis deaths with an early-warning model',
+    url: 'https://example.com/sepsis-model',
+    source: 'example.com',
+    summary: 'A hospital network in Ohio cut sepsis deaths by 18% after deploying an early-warning model that reads patient vitals every 15 minutes. ' +
+        'The model flags patients hours before doctors would usually notice the signs of sepsis. ' +
+        'Nurses at the network said the alerts were rarely false.'
+};
+
+function rules(result) {
+    return result.warnings.map(warning => warning.rule);
+}
+
+async function runTests() {
+    console.log('🧪 Testing post linter...');
+
+    await test('counts characters the way LinkedIn does', () => {
+        assert.strictEqual(countCharacters('Hello'), 5);
+        assert.strictEqual(countCharacters('🚀'), 2);
+        assert.strictEqual(countCharacters('👩‍💻'), 2, 'a ZWJ sequence is one emoji');
+        assert.strictEqual('👩‍💻'.length, 5);
+        assert.strictEqual(countCharacters('🇫🇷'), 2);
+        assert.strictEqual(countCharacters('❤️'), 2);
+        assert.strictEqual(countCharacters('café'), 4);
+        assert.strictEqual(countCharacters('cafe\u0301'), 4, 'a combining accent is part of its letter');
+        assert.strictEqual(countCharacters('a\r\nb'), 3);
+        assert.strictEqual(countCharacters(''), 0);
+    });
+
+    await test('truncates without splitting emoji, hashtags or links', () => {
+        assert.strictEqual(truncatePost('Short post', 50), 'Short post');
+
+        const emoji = truncatePost('🚀🚀🚀🚀🚀🚀', 7);
+        assert.strictEqual(emoji, '🚀🚀🚀…');
+        assert.ok(!/[\uD800-\uDBFF]…/.test(truncatePost('Launch 👩‍💻👩‍💻👩‍💻👩‍💻', 12)), 'no lone surrogate before the ellipsis');
+
+        assert.strictEqual(truncatePost('New models every week #GenerativeAI #MachineLearning', 45), 'New models every week #GenerativeAI…');
+        assert.strictEqual(truncatePost('The full story is at https://example.com/a/very/long/path', 40), 'The full story is at…');
+        assert.strictEqual(truncatePost('Supercalifragilisticexpialidocious', 10), 'Supercali…');
+
+        for (const maxLength of [20, 50, 100]) {
+            assert.ok(countCharacters(truncatePost(`${'🤖 robots and agents '.repeat(20)}`, maxLength)) <= maxLength);
+        }
+    });
+
+    await test('flags the length limit and the "see more" fold', () => {
+        const long = lintPost('word '.repeat(700));
+        assert.strictEqual(long.warnings[0].rule, 'length');
+        assert.strictEqual(long.warnings[0].severity, 'error');
+        assert.strictEqual(long.characterCount, 3500);
+        assert.ok(lintPost('word '.repeat(700), { maxCharacters: 4000 }).warnings.every(warning => warning.rule !== 'length'));
+
+        const hook = `${'A very long opening paragraph. '.repeat(8)}\n\nThe rest.`;
+        assert.deepStrictEqual(rules(lintPost(hook)), ['fold']);
+        assert.strictEqual(lintPost(hook).foldAt, FOLD_LENGTH);
+
+        const fine = `Short hook.\n\n${'Body text that goes on. '.repeat(20)}`;
+        assert.deepStrictEqual(rules(lintPost(fine)), []);
+        assert.strictEqual(lintPost('Short post').foldAt, null);
+    });
+
+    await test('checks hashtags, links, emoji, capitals and repeated lines', () => {
+        assert.deepStrictEqual(rules(lintPost('Post\n\n#a #b #c #d #e #f')), ['hashtags']);
+        assert.deepStrictEqual(rules(lintPost('Post\n\n#a #b #c #d #e #f', { maxHashtags: 6 })), []);
+        assert.deepStrictEqual(lintPost('Post #AI\n\n#ai').warnings.map(warning => warning.message), ['#ai appears more than once']);
+        assert.deepStrictEqual(rules(lintPost('Fish &#38; chips')), []);
+
+        const link = lintPost('Read https://example.com/story first\n\nThen this.');
+        assert.deepStrictEqual(rules(link), ['links']);
+        assert.strictEqual(link.warnings[0].line, 1);
+        assert.deepStrictEqual(rules(lintPost(`Hook.\n\n${'Body. '.repeat(40)}\n\nSource: https://example.com/story`)), []);
+
+        assert.deepStrictEqual(rules(lintPost(`Hook\n\n${'✨ '.repeat(11)}`)), ['emoji', 'emoji']);
+        assert.deepStrictEqual(lintPost('Launch day 🚀🚀🚀\n\nMore').warnings.map(warning => warning.line), [1]);
+        assert.deepStrictEqual(rules(lintPost('🚀 One\n\n🚀 Two\n\n🚀 Three')), []);
+
+        assert.deepStrictEqual(lintPost('Hook\n\nTHIS CHANGES EVERYTHING FOREVER').warnings.map(warning => warning.line), [3]);
+        assert.deepStrictEqual(rules(lintPost('NASA and NVIDIA use GPUs via AWS')), []);
+
+        assert.deepStrictEqual(lintPost('The model flags patients early.\nOther line\nThe model  flags patients early.').warnings, [
+            { rule: 'repeated', severity: 'warning', message: 'Line 3 repeats line 1', line: 3 }
+        ]);
+        assert.deepStrictEqual(rules(lintPost('---\nText\n---')), []);
+    });
+
+    await test('template posts are fitted and linted with the posts config', async () => {
+        const agent = new LinkedInAINewsAgent({ ...DEFAULT_CONFIG, posts: { ...DEFAULT_CONFIG.posts, maxCharacters: 300 } });
+
+        const finished = agent.finishContent(`🚀 ${'Agents 🤖 everywhere. '.repeat(40)}`, ['#AI', '#AIAgents'], ARTICLE.url);
+        assert.ok(countCharacters(finished) <= 300);
+        assert.ok(finished.endsWith(`#AI #AIAgents\n\nSource: ${ARTICLE.url}`));
+        assert.ok(!/[\uD800-\uDBFF](?![\uDC00-\uDFFF])/.test(finished), 'no split surrogate pairs');
+
+        for (const style of ['news_share', 'question', 'list', 'poll']) {
+            const post = await agent.createLinkedInPost(ARTICLE, style);
+            assert.strictEqual(post.characterCount, countCharacters(post.content));
+            assert.ok(post.characterCount <= 300, `${style}: ${post.characterCount}`);
+            assert.deepStrictEqual(post.warnings, agent.lintPost(post.content));
+        }
+
+        const digest = agent.createDigestPost([ARTICLE, { ...ARTICLE, url: 'https://example.com/other' }]);
+        assert.ok(digest.characterCount <= 300, `digest: ${digest.characterCount}`);
+        assert.strictEqual(digest.items.length, 1);
+
+        // Series parts are posted separately, so they are linted separately
+        const series = await agent.createLinkedInPost({ ...ARTICLE, summary: `${ARTICLE.summary} The model flags patients hours before doctors would usually notice the signs of sepsis.` }, 'series');
+        assert.ok(series.warnings.every(warning => /^Part \d+: /.test(warning.message)));
+        assert.ok(series.warnings.every(warning => warning.rule !== 'length'));
+
+        const result = createResult(
+            { articles: [], analysis: null, posts: [{ content: '👩‍💻 shipped', style: 'llm' }], generators: {}, promptVersions: {}, startTime: Date.now() },
+            { status: 'success' }
+        );
+        assert.strictEqual(result.posts[0].characterCount, 10);
+        assert.deepStrictEqual(result.posts[0].warnings, []);
+    });
+
+    await test('the web UI loads the same linter as a global', () => {
+        const code = fs.readFileSync(path.join(__dirname, 'post-linter.js'), 'utf8');
+        const window = {};
+        window.self = window;
+        vm.runInNewContext(code, window);
+
+        assert.strictEqual(window.PostLinter.countCharacters('👩‍💻 hi'), 5);
+        assert.deepStrictEqual(Array.from(window.PostLinter.lintPost('Post\n\n#a #b #c #d #e #f').warnings, warning => warning.rule), ['hashtags']);
+
+        const html = fs.readFileSync(path.join(__dirname, 'index.html'), 'utf8');
+        assert.ok(html.indexOf('src="post-linter.js"') < html.indexOf('src="script.js"'));
+        assert.ok(html.includes('id="postWarnings"'));
+    });
+
+    report();
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,62 @@
+// Offline tests for the versioned prompt template registry
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPromptRegistry, PromptTemplateError, SAMPLE_VARIABLES } = require('./prompt-templates');
+const { test, report } = require('./test-helper');
+
+async function runTests() {
+    console.log('🧪 Testing prompt templates...');
+
+    await test('renders the built-in prompt templates with sample data', () => {
+        const registry = createPromptRegistry();
+        const latest = registry.render('post', SAMPLE_VARIABLES.post);
+        assert.strictEqual(latest.id, 'post.v3');
+        assert.ok(latest.text.includes('writing as a technology professional working in technology'));
+        assert.ok(latest.text.includes(`Momentum: ${SAMPLE_VARIABLES.post.momentum}`));
+        assert.ok(latest.text.includes('- Keep the tone professional'));
+        assert.ok(!latest.text.includes('{{'));
+
+        const post = registry.render('post', SAMPLE_VARIABLES.post, 1);
+        assert.strictEqual(post.id, 'post.v1');
+        assert.ok(post.text.includes(`Title: ${SAMPLE_VARIABLES.post.title}`));
+        assert.ok(post.text.includes('Key points: Open weights and training code, Minutes instead of days'));
+        assert.ok(post.text.includes('Keep it professional but enthusiastic'));
+        assert.ok(!post.text.includes('{{'));
+        assert.ok(registry.render('analysis', SAMPLE_VARIABLES.analysis).text.includes('2. Title: Hospitals'));
+
+        assert.throws(() => registry.render('post', { title: 'Only a title' }, 1), (error) => {
+            assert.ok(error instanceof PromptTemplateError);
+            assert.match(error.message, /post\.v1 needs \{\{summary\}\}, \{\{whyPositive\}\}/);
+            return true;
+        });
+        assert.throws(() => registry.get('nope'), /Unknown prompt template "nope"/);
+        assert.throws(() => registry.get('post', 9), /has no version 9 \(available: 1, 2, 3\)/);
+    });
+
+    await test('team prompt directories add versions and can be pinned', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+        try {
+            fs.writeFileSync(path.join(dir, 'post.v3.txt'), 'Write a {{tone}} post about {{title}}.\n');
+
+            const registry = createPromptRegistry({ prompts: { directory: dir } });
+            assert.strictEqual(registry.get('post').id, 'post.v3');
+            assert.strictEqual(registry.render('post', { tone: 'playful', title: 'robots' }).text, 'Write a playful post about robots.');
+            assert.deepStrictEqual(
+                registry.list().filter(p => p.name === 'post').map(p => [p.id, p.active]),
+                [['post.v1', false], ['post.v2', false], ['post.v3', true]]
+            );
+
+            const pinned = createPromptRegistry({ prompts: { directory: dir, versions: { post: 1 } } });
+            assert.strictEqual(pinned.get('post').id, 'post.v1');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    report();
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,137 @@
+// Offline tests for the relevance scorers and article ranking
+const assert = require('assert');
+const { RelevanceScorer, Bm25Scorer, registerScorer, getRegisteredScorers, createScorer } = require('./relevance-scorer');
+const { LinkedInAINewsAgent } = require('./linkedin-ai-news-agent');
+const { DEFAULT_CONFIG, validateConfig } = require('./config-loader');
+const { createResult } = require('./pipeline');
+const { SourceRegistry } = require('./source-registry');
+const { test, report } = require('./test-helper');
+
+const HOUR = 3600000;
+const now = new Date('2026-03-15T12:00:00Z');
+const hoursAgo = hours => new Date(now.getTime() - hours * HOUR).toISOString();
+
+function article(title, summary, options = {}) {
+    return { title, summary, url: `https://${options.source || 'example.com'}/${title.length}`, source: options.source || 'example.com', ...options };
+}
+
+async function runTests() {
+    console.log('🧪 Testing relevance scoring...');
+
+    await test('BM25 ranks keyword-dense articles above passing mentions', () => {
+        const scorer = new Bm25Scorer({ keywords: DEFAULT_CONFIG.aiKeywords });
+        const [focused, passing, unrelated] = scorer.relevance([
+            article('Generative AI model speeds up drug discovery', 'A machine learning and deep learning pipeline built on neural networks.'),
+            article('City council approves new park budget', 'The plan also mentions an AI pilot for permits.'),
+            article('Local bakery wins regional award', 'The sourdough was judged best in the county.')
+        ]);
+
+        assert.ok(focused > passing, `focused ${focused} vs passing ${passing}`);
+        assert.ok(passing > 0);
+        assert.strictEqual(unrelated, 0);
+        assert.ok(focused < 1);
+    });
+
+    await test('keywords with regex characters are matched as words', () => {
+        const scorer = new Bm25Scorer({ keywords: ['C++ (compilers)', 'what?'] });
+        const [match, other] = scorer.relevance([
+            article('New C++ compilers ship', 'What changed in the compilers'),
+            article('Unrelated', 'Nothing here')
+        ]);
+
+        assert.ok(match > 0);
+        assert.strictEqual(other, 0);
+    });
+
+    await test('recency halves every half-life and authority is the trust of the source', () => {
+        const sources = SourceRegistry.fromConfig({ preferred: ['TechCrunch.com'], defaultTrust: 0.4 });
+        const scorer = new Bm25Scorer({ keywords: ['AI'], sources, recencyHalfLifeHours: 24 });
+
+        assert.strictEqual(scorer.recency({ publishedDate: hoursAgo(0) }, now), 1);
+        assert.strictEqual(scorer.recency({ publishedDate: hoursAgo(24) }, now), 0.5);
+        assert.strictEqual(scorer.recency({ publishedDate: hoursAgo(48) }, now), 0.25);
+        assert.strictEqual(scorer.recency({ publishedDate: 'unknown' }, now), 0.5);
+        assert.strictEqual(scorer.recency({ publishedDate: hoursAgo(-5) }, now), 1);
+
+        assert.strictEqual(scorer.authorityOf({ source: 'techcrunch.com' }), 1);
+        assert.strictEqual(scorer.authorityOf({ url: 'https://blog.example.com/post' }), 0.4);
+    });
+
+    await test('score sets the weighted total and a breakdown on each article', () => {
+        const scorer = createScorer({
+            ...DEFAULT_CONFIG,
+            sources: { preferred: ['techcrunch.com'], excluded: [] },
+            scoring: { ...DEFAULT_CONFIG.scoring, weights: { relevance: 2, recency: 1, authority: 1 } }
+        });
+        const fresh = article('AI model helps doctors', 'Machine learning for hospitals', { source: 'techcrunch.com', publishedDate: hoursAgo(0) });
+        const stale = article('AI model helps doctors', 'Machine learning for hospitals', { source: 'example.com', publishedDate: hoursAgo(96) });
+
+        scorer.score([fresh, stale], now);
+
+        assert.deepStrictEqual(Object.keys(fresh.scoreBreakdown), ['scorer', 'relevance', 'recency', 'authority', 'weights']);
+        assert.strictEqual(fresh.scoreBreakdown.scorer, 'bm25');
+        assert.strictEqual(fresh.scoreBreakdown.relevance, stale.scoreBreakdown.relevance);
+        assert.deepStrictEqual([stale.scoreBreakdown.recency, stale.scoreBreakdown.authority], [0.25, 0.5]);
+
+        const { relevance } = fresh.scoreBreakdown;
+        assert.strictEqual(fresh.relevanceScore, Math.round(((relevance * 2 + 1 + 1) / 4) * 1000) / 1000);
+        assert.ok(fresh.relevanceScore > stale.relevanceScore);
+    });
+
+    await test('custom scorers are registered and chosen by config', () => {
+        class TitleLengthScorer extends RelevanceScorer {
+            relevance(articles) {
+                return articles.map(a => Math.min(1, a.title.length / 100));
+            }
+        }
+        registerScorer('title-length', TitleLengthScorer);
+        assert.ok(getRegisteredScorers().includes('title-length'));
+
+        const scorer = createScorer({ ...DEFAULT_CONFIG, scoring: { ...DEFAULT_CONFIG.scoring, scorer: 'title-length' } });
+        const [scored] = scorer.score([article('x'.repeat(50), '')], now);
+        assert.strictEqual(scored.scoreBreakdown.scorer, 'title-length');
+        assert.strictEqual(scored.scoreBreakdown.relevance, 0.5);
+
+        assert.throws(() => registerScorer('plain', class {}), /must extend RelevanceScorer/);
+        assert.throws(
+            () => createScorer({ ...DEFAULT_CONFIG, scoring: { ...DEFAULT_CONFIG.scoring, scorer: 'missing' } }),
+            /Unknown relevance scorer "missing"\. Registered scorers: bm25, title-length/
+        );
+    });
+
+    await test('ranking uses the scorer and the result keeps the breakdown', () => {
+        const agent = new LinkedInAINewsAgent({ ...DEFAULT_CONFIG, sources: { preferred: ['techcrunch.com'], excluded: [] } });
+        const today = new Date();
+        const ranked = agent.filterAndRankArticles([
+            article('Bakery wins regional award', 'The sourdough was judged the best in the county this year, and the owners plan to open a second shop.', { publishedDate: today }),
+            article('AI regulation talks continue', 'Lawmakers met again to discuss AI ethics rules for hospitals, with a final vote expected next month.', { publishedDate: today }),
+            article('Generative AI startup releases open model', 'The AI model beats larger systems on reasoning benchmarks and is free to use for research and teaching.', { source: 'techcrunch.com', publishedDate: today })
+        ]);
+
+        assert.deepStrictEqual(ranked.map(a => a.title), ['Generative AI startup releases open model', 'AI regulation talks continue']);
+
+        const result = createResult(
+            { articles: ranked, analysis: null, posts: [], generators: {}, promptVersions: {}, startTime: Date.now() },
+            { status: 'success' }
+        );
+        assert.strictEqual(result.articles[0].scoreBreakdown.scorer, 'bm25');
+        assert.strictEqual(result.articles[0].relevanceScore, ranked[0].relevanceScore);
+    });
+
+    await test('config validates the scoring section', () => {
+        assert.deepStrictEqual(validateConfig(DEFAULT_CONFIG), []);
+
+        const errors = validateConfig({
+            ...DEFAULT_CONFIG,
+            scoring: { ...DEFAULT_CONFIG.scoring, minRelevance: 2, weights: { relevance: -1 } }
+        });
+        assert.strictEqual(errors.length, 2);
+        assert.ok(errors.some(error => error.startsWith('scoring.minRelevance must be at most 1')));
+        assert.ok(errors.some(error => error.startsWith('scoring.weights.relevance must be at least 0')));
+    });
+
+    report();
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,196 @@
+// Offline tests for cron parsing, next-run calculation (local time) and scheduled publishing retries
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCron, cronMatches, nextCronRun, LocalScheduler } = require('./scheduler');
+const { DraftsStore } = require('./drafts-store');
+const { PublishError } = require('./publishers');
+const { test, report } = require('./test-helper');
+
+// Dates in local time, like the scheduler: at(2025, 1, 31, 9, 30) is Jan 31st 2025, 09:30
+function at(year, month, day, hour = 0, minute = 0) {
+    return new Date(year, month - 1, day, hour, minute);
+}
+
+function next(expression, after) {
+    return nextCronRun(parseCron(expression), after);
+}
+
+function runs(expression, after, count) {
+    const cron = parseCron(expression);
+    const dates = [];
+    let date = after;
+    for (let i = 0; i < count; i++) {
+        date = nextCronRun(cron, date);
+        dates.push(date);
+    }
+    return dates;
+}
+
+// A scheduler over a temporary drafts store whose publish callback claims
+// the draft like server.js does, then fails with the queued errors in turn
+async function withScheduler(errors, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+    const store = new DraftsStore({ filePath: path.join(dir, 'drafts.json') });
+    const published = [];
+    const publish = async (draft) => {
+        await store.claimForPublishing(draft.id);
+        published.push(draft.id);
+        const error = errors.shift();
+        if (error) {
+            await store.releasePublishing(draft.id, error);
+            throw error;
+        }
+        return store.markPublished(draft.id, { urn: `urn:li:share:${published.length}` });
+    };
+    const scheduler = new LocalScheduler({ store, publish, generate: async () => null });
+
+    const scheduleDue = async (content) => {
+        const draft = await store.create({ post: { content } });
+        await store.update(draft.id, { status: 'approved' });
+        await store.schedule(draft.id, new Date(Date.now() - 1000));
+        return draft.id;
+    };
+
+    try {
+        return await fn({ store, scheduler, published, scheduleDue });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// Scheduler ticks seconds from now; publish errors are stamped with the real time
+const inSeconds = (seconds) => new Date(Date.now() + seconds * 1000);
+
+async function runTests() {
+    console.log('🧪 Testing scheduler...');
+
+    await test('parses steps, ranges and lists', () => {
+        const cron = parseCron('*/15 8-18/2 1,15 1-3 1-5');
+
+        assert.deepStrictEqual([...cron.minute], [0, 15, 30, 45]);
+        assert.deepStrictEqual([...cron.hour], [8, 10, 12, 14, 16, 18]);
+        assert.deepStrictEqual([...cron.dayOfMonth], [1, 15]);
+        assert.deepStrictEqual([...cron.month], [1, 2, 3]);
+        assert.deepStrictEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+        assert.deepStrictEqual([...parseCron('5/20 * * * *').minute], [5, 25, 45]);
+        assert.deepStrictEqual([...parseCron('0 9 * * 7').dayOfWeek], [0], '7 is Sunday');
+        assert.strictEqual(parseCron('  0   9 * *  1 ').expression, '0 9 * * 1');
+    });
+
+    await test('rejects invalid expressions', () => {
+        assert.throws(() => parseCron('0 9 * *'), /must have 5 fields/);
+        assert.throws(() => parseCron('60 * * * *'), /Invalid minute "60"/);
+        assert.throws(() => parseCron('0 9 0 * *'), /Invalid day of month "0"/);
+        assert.throws(() => parseCron('0 18-8 * * *'), /Invalid hour/);
+        assert.throws(() => parseCron('*/0 * * * *'), /Invalid minute/);
+        assert.throws(() => parseCron('0 9 * * MON'), /Invalid day of week/);
+    });
+
+    await test('finds the next run for steps, ranges and lists', () => {
+        assert.deepStrictEqual(next('*/15 * * * *', at(2025, 5, 12, 10, 7)), at(2025, 5, 12, 10, 15));
+        assert.deepStrictEqual(next('*/15 * * * *', at(2025, 5, 12, 10, 45)), at(2025, 5, 12, 11, 0), 'strictly after');
+        assert.deepStrictEqual(next('0 8-18/2 * * *', at(2025, 5, 12, 18, 30)), at(2025, 5, 13, 8, 0));
+        assert.deepStrictEqual(runs('0 9,17 * * *', at(2025, 5, 12, 12, 0), 3), [
+            at(2025, 5, 12, 17, 0), at(2025, 5, 13, 9, 0), at(2025, 5, 13, 17, 0)
+        ]);
+
+        // Weekdays only: Friday evening goes to Monday morning (May 16th 2025 is a Friday)
+        assert.deepStrictEqual(next('30 9 * * 1-5', at(2025, 5, 16, 10, 0)), at(2025, 5, 19, 9, 30));
+        assert.ok(cronMatches(parseCron('30 9 * * 1-5'), at(2025, 5, 16, 9, 30)));
+        assert.ok(!cronMatches(parseCron('30 9 * * 1-5'), at(2025, 5, 17, 9, 30)));
+    });
+
+    await test('matches either day field only when both are restricted', () => {
+        // The 1st of the month or any Monday (June 1st 2025 is a Sunday)
+        assert.deepStrictEqual(runs('0 9 1 * 1', at(2025, 5, 27), 3), [
+            at(2025, 6, 1, 9, 0), at(2025, 6, 2, 9, 0), at(2025, 6, 9, 9, 0)
+        ]);
+        assert.ok(cronMatches(parseCron('0 9 13 * 5'), at(2025, 6, 6, 9, 0)), 'a Friday');
+        assert.ok(cronMatches(parseCron('0 9 13 * 5'), at(2025, 7, 13, 9, 0)), 'the 13th');
+
+        // A step over * is not a restriction: odd days that are Mondays
+        const oddMondays = parseCron('0 9 */2 * 1');
+        assert.strictEqual(oddMondays.dayOfMonthRestricted, false);
+        assert.ok(!cronMatches(oddMondays, at(2025, 6, 2, 9, 0)), 'Monday the 2nd');
+        assert.ok(!cronMatches(oddMondays, at(2025, 6, 3, 9, 0)), 'Tuesday the 3rd');
+        assert.deepStrictEqual(next('0 9 */2 * 1', at(2025, 6, 1)), at(2025, 6, 9, 9, 0));
+
+        // The 1st or 15th when it is a Sunday, Tuesday, Thursday or Saturday (June 15th is a Sunday)
+        assert.strictEqual(parseCron('0 9 1,15 * */2').dayOfWeekRestricted, false);
+        assert.deepStrictEqual(next('0 9 1,15 * */2', at(2025, 6, 2)), at(2025, 6, 15, 9, 0));
+        assert.deepStrictEqual(next('0 9 * * 7', at(2025, 6, 2)), at(2025, 6, 8, 9, 0));
+    });
+
+    await test('finds the next run across month and year ends', () => {
+        assert.deepStrictEqual(next('0 0 31 * *', at(2025, 1, 31, 0, 0)), at(2025, 3, 31, 0, 0), 'February has no 31st');
+        assert.deepStrictEqual(next('0 0 31 * *', at(2025, 4, 15)), at(2025, 5, 31, 0, 0), 'nor April');
+        assert.deepStrictEqual(next('0 0 1 * *', at(2025, 12, 31, 23, 59)), at(2026, 1, 1, 0, 0));
+        assert.deepStrictEqual(next('59 23 28-31 * *', at(2025, 2, 28, 23, 59)), at(2025, 3, 28, 23, 59));
+        assert.deepStrictEqual(next('0 0 29 2 *', at(2025, 3, 1)), at(2028, 2, 29, 0, 0), 'next leap year');
+        assert.deepStrictEqual(next('0 12 30 * *', at(2024, 1, 30, 12, 0)), at(2024, 3, 30, 12, 0));
+        assert.strictEqual(next('0 0 31 2 *', at(2025, 1, 1)), null, 'never fires');
+    });
+
+    await test('retries scheduled posts after rate limits and outages with a growing delay', () => withScheduler([
+        new PublishError('rate_limited', 'LinkedIn rate limit reached', { retryAfter: 120 }),
+        new PublishError('api_error', 'LinkedIn returned HTTP 503')
+    ], async ({ store, scheduler, published, scheduleDue }) => {
+        const id = await scheduleDue('Scheduled post about warehouse robots');
+
+        await scheduler.advance(inSeconds(0));
+        assert.strictEqual(published.length, 1, 'published when it became due');
+        let draft = await store.get(id);
+        assert.deepStrictEqual([draft.status, draft.schedule.state], ['approved', 'due']);
+        assert.deepStrictEqual([draft.publishError.code, draft.publishError.attempts], ['rate_limited', 1]);
+
+        await scheduler.advance(inSeconds(60));
+        assert.strictEqual(published.length, 1, 'waits for Retry-After');
+        await scheduler.advance(inSeconds(125));
+        assert.strictEqual(published.length, 2);
+        assert.strictEqual((await store.get(id)).publishError.attempts, 2);
+
+        // Without Retry-After the second retry waits 2 minutes
+        await scheduler.advance(inSeconds(90));
+        assert.strictEqual(published.length, 2);
+        await scheduler.advance(inSeconds(125));
+        assert.strictEqual(published.length, 3);
+
+        draft = await store.get(id);
+        assert.deepStrictEqual([draft.status, draft.schedule.state], ['posted', 'posted']);
+        assert.strictEqual(draft.publishError, undefined);
+        await scheduler.advance(inSeconds(3600));
+        assert.strictEqual(published.length, 3);
+    }));
+
+    await test('ends the schedule as failed when a publish will not be retried', () => withScheduler([
+        new PublishError('unauthorized', 'LinkedIn access token expired'),
+        ...Array.from({ length: 5 }, () => new PublishError('api_error', 'LinkedIn returned HTTP 500'))
+    ], async ({ store, scheduler, published, scheduleDue }) => {
+        const expired = await scheduleDue('Posted with an expired token');
+        await scheduler.advance(inSeconds(0));
+
+        let draft = await store.get(expired);
+        assert.deepStrictEqual([draft.status, draft.schedule.state], ['approved', 'failed']);
+        assert.strictEqual(draft.publishError.message, 'LinkedIn access token expired');
+        await scheduler.advance(inSeconds(7200));
+        assert.strictEqual(published.length, 1, 'not retried, and not moved back to due');
+        assert.strictEqual((await store.get(expired)).schedule.state, 'failed');
+
+        // Rescheduling starts over; five outages in a row end it too
+        await store.schedule(expired, new Date(Date.now() - 1000));
+        assert.strictEqual((await store.get(expired)).publishError, undefined);
+        for (const hours of [0, 1, 2, 3, 4, 5]) {
+            await scheduler.advance(inSeconds(hours * 3600));
+        }
+        assert.strictEqual(published.length, 6);
+        draft = await store.get(expired);
+        assert.deepStrictEqual([draft.schedule.state, draft.publishError.attempts], ['failed', 5]);
+    }));
+
+    report();
+}
+
+// Run the tests
+runTests();
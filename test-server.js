@@ -0,0 +1,112 @@
+// Offline tests for the web server routes, with discovery stubbed out and
+// drafts, history and sources kept in a temporary directory
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { request } = require('./http-client');
+const { LinkedInAINewsAgent } = require('./linkedin-ai-news-agent');
+const { RESULT_SCHEMA_VERSION } = require('./pipeline');
+const { test, report } = require('./test-helper');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-'));
+Object.assign(process.env, {
+    AGENT_DRAFTS_PATH: path.join(dataDir, 'drafts.json'),
+    AGENT_HISTORY_PATH: path.join(dataDir, 'article-history.json'),
+    AGENT_SOURCES_PATH: path.join(dataDir, 'sources.json'),
+    AGENT_CACHE_ENABLED: 'false',
+    AGENT_ENRICH: 'false',
+    AGENT_PROVIDERS: 'duckduckgo',
+    AGENT_MIN_RELEVANCE: '0'
+});
+const app = require('./server');
+
+const stories = [
+    'Hospitals adopt an open generative AI model for radiology triage',
+    'Researchers release a machine learning model that folds proteins faster'
+].map((title, i) => ({
+    title,
+    summary: `${title}. The team released the model and its training data so anyone can reuse the artificial intelligence research. ` +
+        'Early results show a breakthrough in accuracy across several benchmarks.',
+    url: `https://news${i}.example.com/story`,
+    source: `news${i}.example.com`,
+    publishedDate: new Date(),
+    relevanceScore: 0.9 - i * 0.1
+}));
+
+function post(base, route, body = {}) {
+    return request(`${base}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        allowErrors: true
+    }).then(response => ({ statusCode: response.statusCode, body: JSON.parse(response.body) }));
+}
+
+// Runs fn with the agent's console output suppressed
+async function quietly(fn) {
+    const { log, error } = console;
+    console.log = console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+        console.error = error;
+    }
+}
+
+async function runTests() {
+    console.log('🧪 Testing web server...');
+
+    const { discoverAINews } = LinkedInAINewsAgent.prototype;
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        await test('POST /api/linkedin-posts returns template posts and saves them as drafts', async () => {
+            LinkedInAINewsAgent.prototype.discoverAINews = async () => stories.map(story => ({ ...story }));
+            const { statusCode, body } = await quietly(() => post(base, '/api/linkedin-posts', { persona: 'engineer' }));
+
+            assert.strictEqual(statusCode, 200);
+            assert.strictEqual(body.schemaVersion, RESULT_SCHEMA_VERSION);
+            assert.strictEqual(body.status, 'success');
+            assert.deepStrictEqual(body.articles.map(article => article.url), stories.map(story => story.url));
+            assert.strictEqual(body.posts.length, stories.length);
+            assert.ok(body.posts.every(p => p.generator === 'template' && p.draftId));
+
+            const { drafts } = JSON.parse(fs.readFileSync(process.env.AGENT_DRAFTS_PATH, 'utf8'));
+            assert.deepStrictEqual(drafts.map(draft => draft.id).sort(), body.posts.map(p => p.draftId).sort());
+        });
+
+        await test('POST /api/linkedin-posts reports discovery failures as a 500 result', async () => {
+            LinkedInAINewsAgent.prototype.discoverAINews = async () => { throw new Error('All providers failed'); };
+            const { statusCode, body } = await quietly(() => post(base, '/api/linkedin-posts'));
+
+            assert.strictEqual(statusCode, 500);
+            assert.strictEqual(body.success, false);
+            assert.strictEqual(body.status, 'error');
+            assert.deepStrictEqual(body.error, { message: 'All providers failed', type: 'Error', stage: 'discover' });
+            assert.deepStrictEqual(body.posts, []);
+        });
+
+        await test('POST /api/linkedin-posts rejects unknown personas with a 400', async () => {
+            LinkedInAINewsAgent.prototype.discoverAINews = async () => assert.fail('should not search');
+            const { statusCode, body } = await quietly(() => post(base, '/api/linkedin-posts', { persona: 'pirate' }));
+
+            assert.strictEqual(statusCode, 400);
+            assert.strictEqual(body.status, 'error');
+            assert.strictEqual(body.error.type, 'PersonaError');
+            assert.match(body.error.message, /pirate/);
+        });
+    } finally {
+        LinkedInAINewsAgent.prototype.discoverAINews = discoverAINews;
+        server.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    report();
+}
+
+// Run the tests
+runTests();
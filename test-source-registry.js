@@ -0,0 +1,147 @@
+// Offline tests for the source reputation registry
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SourceRegistry, SourceRegistryStore, SourceError, registrableDomain, matchesPattern } = require('./source-registry');
+const { LinkedInAINewsAgent } = require('./linkedin-ai-news-agent');
+const { DEFAULT_CONFIG, validateConfig } = require('./config-loader');
+const { createResult } = require('./pipeline');
+const { test, report } = require('./test-helper');
+
+function article(url, title = 'Open generative AI model for hospitals', topic = 'hospitals') {
+    const summary = `Researchers released an open generative AI model for ${topic}, with training data and evaluation results anyone can reuse.`;
+    return { title, summary, url, source: new URL(url).hostname.replace(/^www\./, ''), publishedDate: new Date() };
+}
+
+async function runTests() {
+    console.log('🧪 Testing source registry...');
+
+    await test('keys sources by registrable domain', () => {
+        assert.strictEqual(registrableDomain('https://www.techcrunch.com/2026/ai'), 'techcrunch.com');
+        assert.strictEqual(registrableDomain('news.bbc.co.uk'), 'bbc.co.uk');
+        assert.strictEqual(registrableDomain('ai-team.blogspot.com'), 'ai-team.blogspot.com');
+        assert.strictEqual(registrableDomain('wired.com.evil'), 'com.evil');
+        assert.strictEqual(registrableDomain('127.0.0.1'), '127.0.0.1');
+
+        const registry = SourceRegistry.fromConfig({ preferred: ['wired.com'], defaultTrust: 0.3 });
+        assert.strictEqual(registry.lookup('https://notwired.com/story').trust, 0.3);
+        assert.strictEqual(registry.lookup('https://wired.com.evil/story').trust, 0.3);
+        assert.deepStrictEqual(
+            registry.lookup({ url: 'https://www.wired.com/story/ai', source: 'wired.com' }),
+            { host: 'wired.com', domain: 'wired.com', known: true, name: null, trust: 1, category: 'press', paywall: false, blocked: false, reason: null }
+        );
+    });
+
+    await test('blocks excluded domains and deny patterns, with allow exceptions', () => {
+        assert.ok(matchesPattern('ai-team.blogspot.com', '*.blogspot.com'));
+        assert.ok(!matchesPattern('blogspot.com.evil', '*.blogspot.com'));
+        assert.ok(matchesPattern('content-farm.net', 'content-farm.*'));
+        assert.ok(matchesPattern('m.spam-site.com', 'spam-site.com'));
+        assert.ok(!matchesPattern('notspam-site.com', 'spam-site.com'));
+
+        const registry = SourceRegistry.fromConfig(
+            { excluded: ['spam-site.com'], deny: ['*.blogspot.com'], allow: ['ai-team.blogspot.com'] },
+            { sources: [{ domain: 'vendor.io', trust: 0.2, category: 'vendor', blocked: true }], deny: ['content-farm.*'] }
+        );
+
+        assert.strictEqual(registry.lookup('https://m.spam-site.com/a').reason, 'blocked source');
+        assert.strictEqual(registry.lookup('https://notspam-site.com/a').blocked, false);
+        assert.strictEqual(registry.lookup('https://someone.blogspot.com/a').reason, 'deny pattern *.blogspot.com');
+        assert.strictEqual(registry.lookup('https://ai-team.blogspot.com/a').blocked, false);
+        assert.strictEqual(registry.lookup('https://content-farm.net/a').blocked, true);
+        assert.strictEqual(registry.lookup('https://vendor.io/launch').reason, 'blocked source');
+        assert.strictEqual(registry.lookup({ source: 'Example Blog' }).blocked, false);
+    });
+
+    await test('stores custom entries and patterns over the config seed', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sources-'));
+        try {
+            const store = new SourceRegistryStore({
+                filePath: path.join(dir, 'sources.json'),
+                config: { preferred: ['techcrunch.com', 'wired.com'], excluded: [], defaultTrust: 0.5 }
+            });
+
+            const saved = await store.save('https://www.TechCrunch.com/', { trust: 0.7, category: 'press', paywall: true });
+            assert.deepStrictEqual(saved, { domain: 'techcrunch.com', name: null, trust: 0.7, category: 'press', paywall: true, blocked: false, origin: 'custom' });
+            await store.save('nature.com', { name: 'Nature', category: 'research' });
+            await store.setPatterns({ deny: ['*.Blogspot.com', '*.blogspot.com', ''] });
+
+            // Fields left out keep the current settings, custom or from config
+            const unblocked = await store.save('techcrunch.com', { blocked: false, paywall: false });
+            assert.deepStrictEqual([unblocked.trust, unblocked.category, unblocked.paywall], [0.7, 'press', false]);
+            await store.save('techcrunch.com', { paywall: true });
+            const wired = await store.save('wired.com', { paywall: true });
+            assert.deepStrictEqual([wired.trust, wired.category, wired.paywall], [1, 'press', true]);
+
+            const described = await store.describe();
+            assert.deepStrictEqual(described.sources.map(s => [s.domain, s.trust, s.origin]), [['nature.com', 0.5, 'custom'], ['techcrunch.com', 0.7, 'custom'], ['wired.com', 1, 'custom']]);
+            assert.deepStrictEqual(described.deny, ['*.blogspot.com']);
+            assert.deepStrictEqual(described.categories, ['press', 'blog', 'vendor', 'research']);
+
+            const registry = store.loadSync();
+            assert.strictEqual(registry.lookup('https://techcrunch.com/a').paywall, true);
+            assert.strictEqual(registry.lookup('https://x.blogspot.com/a').blocked, true);
+
+            // Removing the custom entry restores the config one
+            await store.remove('techcrunch.com');
+            assert.strictEqual((await store.load()).lookup('techcrunch.com').trust, 1);
+            await assert.rejects(store.remove('techcrunch.com'), error => error instanceof SourceError && error.statusCode === 404);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    await test('rejects invalid entries and patterns', async () => {
+        const store = new SourceRegistryStore({ filePath: path.join(os.tmpdir(), 'unused-sources.json') });
+
+        await assert.rejects(store.save('example.com', { trust: 2, category: 'tabloid' }), {
+            name: 'SourceError',
+            message: 'trust must be a number from 0 to 1; category must be one of: press, blog, vendor, research'
+        });
+        await assert.rejects(store.save('localhost', {}), /"localhost" is not a domain name/);
+        await assert.rejects(store.setPatterns({ deny: 'spam.com' }), /deny must be a list of host patterns/);
+        await assert.rejects(store.setPatterns({ allow: ['ok.com', 'not a host'] }), /Invalid allow pattern: not a host/);
+    });
+
+    await test('ranking skips blocked and paywalled sources and weighs trust', () => {
+        const agent = new LinkedInAINewsAgent({
+            ...DEFAULT_CONFIG,
+            sources: { preferred: ['technologyreview.com'], excluded: ['spam-site.com'], deny: ['*.blogspot.com'], defaultTrust: 0.5, skipPaywalled: false }
+        });
+        agent.sources.entries.set('wsj.com', { domain: 'wsj.com', name: null, trust: 0.8, category: 'press', paywall: true, blocked: false, origin: 'custom' });
+
+        const ranked = agent.filterAndRankArticles([
+            article('https://spam-site.com/ai', 'Generative AI model for farms', 'farms'),
+            article('https://notspam-site.com/ai', 'Generative AI model for schools', 'schools and teachers in rural districts'),
+            article('https://someone.blogspot.com/ai', 'Generative AI model for banks', 'banks'),
+            article('https://www.wsj.com/ai', 'Generative AI model for lawyers', 'law firms reviewing contracts and court filings'),
+            article('https://www.technologyreview.com/ai', 'Generative AI model for hospitals', 'hospital radiology departments')
+        ]);
+        assert.deepStrictEqual(ranked.map(a => a.source), ['technologyreview.com', 'wsj.com', 'notspam-site.com']);
+        assert.deepStrictEqual(ranked.map(a => a.scoreBreakdown.authority), [1, 0.8, 0.5]);
+        assert.deepStrictEqual(ranked.map(a => [a.sourceCategory, a.paywall]), [['press', false], ['press', true], [null, false]]);
+
+        const result = createResult(
+            { articles: ranked, analysis: null, posts: [], generators: {}, promptVersions: {}, startTime: Date.now() },
+            { status: 'success' }
+        );
+        assert.strictEqual(result.articles[1].paywall, true);
+        assert.strictEqual(result.articles[1].sourceCategory, 'press');
+
+        agent.config = { ...agent.config, sources: { ...agent.config.sources, skipPaywalled: true } };
+        assert.ok(!agent.filterAndRankArticles([article('https://www.wsj.com/ai')]).length);
+    });
+
+    await test('config validates the sources section', () => {
+        assert.deepStrictEqual(validateConfig(DEFAULT_CONFIG), []);
+
+        const errors = validateConfig({ ...DEFAULT_CONFIG, sources: { ...DEFAULT_CONFIG.sources, defaultTrust: 1.5, deny: 'x' } });
+        assert.strictEqual(errors.length, 2);
+    });
+
+    report();
+}
+
+// Run the tests
+runTests();
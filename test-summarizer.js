@@ -0,0 +1,126 @@
+// Offline tests for the extractive summarizer used by template posts
+const assert = require('assert');
+const { splitSentences, rankSentences, summarize, keySentences, trimToLength } = require('./summarizer');
+const { LinkedInAINewsAgent } = require('./linkedin-ai-news-agent');
+const { DEFAULT_CONFIG } = require('./config-loader');
+const { test, report } = require('./test-helper');
+
+const ARTICLE = {
+    title: 'Hospital network cuts sepsis deaths with an early-warning model',
+    url: 'https://example.com/sepsis-model',
+    source: 'example.com',
+    summary: [
+        'A hospital network in Ohio cut sepsis deaths by 18% after deploying an early-warning model that reads patient vitals every 15 minutes.',
+        'The model flags patients hours before doctors would usually notice the signs of sepsis.',
+        'Nurses at the network said the alerts were rarely false.',
+        'Sepsis kills more patients in U.S. hospitals than any other condition, according to Dr. Angela Ruiz of the network.',
+        'The network plans to share the early-warning model with 12 other hospitals next year.',
+        'Parking at the main campus was also expanded.'
+    ].join(' ')
+};
+
+async function runTests() {
+    console.log('🧪 Testing summarizer...');
+
+    await test('splits sentences without breaking at abbreviations, initials or decimals', () => {
+        assert.deepStrictEqual(
+            splitSentences('Dr. Smith of Acme Inc. joined the U.S. team. Costs fell 3.5% in Q1, e.g. on GPUs. "It works," said J. Doe! Why now?\nA heading\nNext line'),
+            [
+                'Dr. Smith of Acme Inc. joined the U.S. team.',
+                'Costs fell 3.5% in Q1, e.g. on GPUs.',
+                '"It works," said J. Doe!',
+                'Why now?',
+                'A heading',
+                'Next line'
+            ]
+        );
+        assert.deepStrictEqual(splitSentences('It shipped... Then it sold out. see lowercase. “Quoted.” Next.'), [
+            'It shipped...',
+            'Then it sold out. see lowercase.',
+            '“Quoted.”',
+            'Next.'
+        ]);
+        assert.deepStrictEqual(splitSentences(''), []);
+    });
+
+    await test('ranks the sentences the rest of the text agrees with first', () => {
+        const sentences = splitSentences(ARTICLE.summary);
+        const ranked = rankSentences(sentences, { title: ARTICLE.title });
+
+        assert.strictEqual(ranked.length, sentences.length);
+        assert.strictEqual(ranked[0].score, 1);
+        assert.strictEqual(ranked[0].index, 0, 'the lead sentence shares the most with the rest');
+        assert.strictEqual(ranked[ranked.length - 1].text, 'Parking at the main campus was also expanded.');
+        assert.ok(ranked.every((sentence, i) => i === 0 || sentence.score <= ranked[i - 1].score));
+        assert.deepStrictEqual(rankSentences([]), []);
+    });
+
+    await test('summarizes to whole sentences in text order within the length', () => {
+        for (const maxLength of [100, 150, 200, 300]) {
+            const summary = summarize(ARTICLE.summary, { maxLength, title: ARTICLE.title });
+            assert.ok(summary.length <= maxLength, `${summary.length} > ${maxLength}`);
+            assert.ok(/[.!?]$/.test(summary), `"${summary}" should end a sentence`);
+        }
+
+        const long = summarize(ARTICLE.summary, { maxLength: 300, title: ARTICLE.title });
+        const sentences = splitSentences(long);
+        assert.ok(sentences.length >= 2);
+        assert.strictEqual(sentences[0], splitSentences(ARTICLE.summary)[0]);
+        const positions = sentences.map(sentence => ARTICLE.summary.indexOf(sentence));
+        assert.deepStrictEqual(positions, positions.slice().sort((a, b) => a - b), 'sentences keep their order');
+
+        const without = summarize(ARTICLE.summary, { maxLength: 300, exclude: [sentences[1]] });
+        assert.ok(!without.includes(sentences[1]));
+    });
+
+    await test('trims at sentence, clause or word boundaries', () => {
+        assert.strictEqual(trimToLength('Short text.', 50), 'Short text.');
+        assert.strictEqual(trimToLength('First one here. Second one is longer than the rest.', 30), 'First one here.');
+        assert.strictEqual(
+            trimToLength('The model flags patients early, hours before doctors would usually notice the signs', 55),
+            'The model flags patients early…'
+        );
+        assert.strictEqual(
+            trimToLength('The model flags patients hours before doctors would usually notice the signs', 40),
+            'The model flags patients hours before…'
+        );
+        assert.strictEqual(trimToLength('Supercalifragilisticexpialidocious', 10), 'Supercali…');
+        assert.strictEqual(summarize('One very long sentence without any place to stop that goes on and on and on', { maxLength: 30 }).length <= 30, true);
+    });
+
+    await test('key points are the best-ranked sentences of a readable length', () => {
+        const points = keySentences(ARTICLE.summary, { title: ARTICLE.title, count: 3 });
+
+        assert.strictEqual(points.length, 3);
+        assert.ok(points.every(point => point.text.length >= 30 && point.text.length <= 200));
+        assert.ok(points.every((point, i) => i === 0 || point.importance <= points[i - 1].importance));
+        assert.ok(!points.some(point => point.text.startsWith('Parking')));
+    });
+
+    await test('template posts use the summarizer', () => {
+        const agent = new LinkedInAINewsAgent(DEFAULT_CONFIG);
+        const keyPoints = agent.extractKeyPoints(ARTICLE);
+        assert.deepStrictEqual(keyPoints, keySentences(ARTICLE.summary, { count: 3, title: ARTICLE.title }));
+
+        for (const maxLength of [100, 150, 200]) {
+            const summary = agent.createSummary(ARTICLE, keyPoints, maxLength);
+            assert.ok(summary.length <= maxLength);
+            assert.ok(!summary.endsWith('...') && /[.!?…]$/.test(summary));
+        }
+
+        // The list post shows the key points; its summary doesn't repeat them
+        const post = agent.createListPost(ARTICLE, keyPoints);
+        for (const point of keyPoints.slice(1)) {
+            assert.strictEqual(post.split(point.text).length, 2, `"${point.text}" should appear once`);
+        }
+
+        // Full article text wins over the snippet
+        const enriched = { ...ARTICLE, summary: 'Short snippet.', content: ARTICLE.summary };
+        assert.deepStrictEqual(agent.extractKeyPoints(enriched), keyPoints);
+    });
+
+    report();
+}
+
+// Run the tests
+runTests();
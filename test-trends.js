@@ -0,0 +1,164 @@
+// Offline tests for the article history and trend detection
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ArticleHistory } = require('./article-history');
+const { computeTrends, describeTrends, momentumFor } = require('./trends');
+const { topicFor } = require('./topic-clusters');
+const { stages, createResult } = require('./pipeline');
+const { test, report } = require('./test-helper');
+
+const DAY = 86400000;
+const now = new Date('2026-03-15T12:00:00Z');
+const daysAgo = (days, from = now) => new Date(from.getTime() - days * DAY).toISOString();
+
+// History entries dated relative to reference: Healthcare grows from 1 to 3
+// articles over the last 7 days, Robotics drops from 2 to 1
+function historyAt(reference) {
+    return [
+        ['Hospital triage model cuts wait times', 'Healthcare', 0.5],
+        ['Clinical model spots disease early', 'Healthcare', 2.5],
+        ['Hospital chatbot answers patient questions', 'Healthcare', 3.5],
+        ['Warehouse robot startup expands', 'Robotics', 1.5],
+        ['Hospital adds robot nurses', 'Healthcare', 9],
+        ['Humanoid robot folds laundry', 'Robotics', 10],
+        ['Drone delivery robot test', 'Robotics', 12],
+        ['Too old to count', 'Healthcare', 20]
+    ].map(([title, topic, days], i) => ({ url: `https://example.com/${i}`, title, topic, date: daysAgo(days, reference) }));
+}
+
+const entries = historyAt(now);
+
+async function runTests() {
+    console.log('🧪 Testing trends...');
+
+    await test('history stores each canonical URL once and drops old articles', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+        try {
+            const history = new ArticleHistory({ filePath: path.join(dir, 'history.json'), retentionDays: 30 });
+            const article = {
+                title: 'Hospital AI triage cuts radiology wait times',
+                summary: 'A clinical study across hospitals found patients had urgent scans read sooner.',
+                url: 'https://example.com/triage/?utm_source=rss',
+                source: 'example.com',
+                publishedDate: new Date(now.getTime() - 2 * DAY)
+            };
+
+            assert.deepStrictEqual(await history.record([article, { ...article, url: 'https://example.com/triage' }], now), { added: 1, total: 1 });
+            assert.deepStrictEqual(await history.record([article], new Date(now.getTime() + DAY)), { added: 0, total: 1 });
+
+            const [stored] = await history.list();
+            assert.strictEqual(stored.url, 'https://example.com/triage');
+            assert.strictEqual(stored.topic, 'Healthcare');
+            assert.strictEqual(stored.date, daysAgo(2));
+            assert.strictEqual(stored.runs, 2);
+
+            // An article without a usable publish date is dated when first seen
+            await history.record([{ title: 'Undated robot news', url: 'https://example.com/robot', publishedDate: 'soon' }], now);
+            assert.strictEqual((await history.list({ since: now })).length, 1);
+
+            const later = new Date(now.getTime() + 40 * DAY);
+            assert.deepStrictEqual(await history.record([], later), { added: 0, total: 0 });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    await test('counts topics and keywords against the previous window', () => {
+        const trends = computeTrends(entries, { now, windowDays: 7 });
+
+        assert.strictEqual(trends.articleCount, 4);
+        assert.strictEqual(trends.previousCount, 3);
+        assert.deepStrictEqual(trends.topics, [
+            { topic: 'Healthcare', count: 3, previousCount: 1, change: 2 },
+            { topic: 'Robotics', count: 1, previousCount: 2, change: -1 }
+        ]);
+        assert.deepStrictEqual(trends.keywords, [
+            { term: 'model', count: 2, previousCount: 0, change: 2 },
+            { term: 'hospital', count: 2, previousCount: 1, change: 1 }
+        ]);
+        assert.deepStrictEqual(trends.rising.map(item => item.topic || item.term), ['Healthcare', 'model', 'hospital']);
+
+        assert.strictEqual(trends.daily.length, 7);
+        assert.strictEqual(trends.daily[6].date, '2026-03-15');
+        assert.deepStrictEqual(trends.daily.map(day => day.count), [0, 0, 0, 1, 1, 1, 1]);
+        assert.deepStrictEqual(trends.daily[3].topics, { Healthcare: 1 });
+    });
+
+    await test('describes momentum in plain sentences', () => {
+        const trends = computeTrends(entries, { now, windowDays: 7 });
+
+        assert.strictEqual(
+            describeTrends(trends),
+            'Healthcare: 3 articles in the past 7 days, up from 1 the 7 days before. Rising keywords: model, hospital.'
+        );
+        assert.strictEqual(momentumFor(trends, 'Robotics'), 'Robotics: 1 article in the past 7 days, down from 2 the 7 days before');
+        assert.strictEqual(momentumFor(trends, 'Education'), null);
+        assert.strictEqual(describeTrends(computeTrends([], { now })), null);
+    });
+
+    await test('labels single articles with known topics or Other', () => {
+        assert.strictEqual(topicFor({ title: 'Humanoid robot learns chores', summary: 'Robots at home' }), 'Robotics');
+        assert.strictEqual(topicFor({ title: 'Quarterly update', summary: 'Nothing specific here' }), 'Other');
+    });
+
+    await test('pipeline records articles and adds momentum to the analysis', async () => {
+        const recorded = [];
+        const history = {
+            async record(articles) {
+                recorded.push(...articles);
+                return { added: articles.length, total: articles.length };
+            },
+            async list() {
+                return historyAt(new Date());
+            }
+        };
+        const articles = [{ title: 'Hospital AI triage cuts wait times', summary: 'Clinical results for patients', url: 'https://example.com/a' }];
+        const context = {
+            articles,
+            analysis: {
+                topArticles: [{ rank: 1, title: articles[0].title, originalIndex: 0 }],
+                overallTrend: 'The AI field continues to show positive developments.'
+            },
+            generators: { analysis: 'fallback' },
+            promptVersions: {},
+            posts: [],
+            startTime: Date.now()
+        };
+
+        await stages.recordHistory(history).run(context);
+        await stages.trendAnalysis(history, { trendWindowDays: 7 }).run(context);
+
+        assert.deepStrictEqual(recorded, articles);
+        assert.strictEqual(context.analysis.momentum, 'Healthcare: 3 articles in the past 7 days, up from 1 the 7 days before');
+        assert.ok(context.analysis.overallTrend.startsWith('Healthcare: 3 articles'));
+
+        const result = createResult(context, { status: 'success' });
+        assert.strictEqual(result.analysis.momentum, context.analysis.momentum);
+        assert.deepStrictEqual(Object.keys(result.analysis.trends), ['windowDays', 'articleCount', 'previousCount', 'topics', 'rising']);
+
+        // Model-written trends are kept
+        context.analysis.overallTrend = 'Model prose';
+        context.generators.analysis = 'gemini';
+        await stages.trendAnalysis(history, { trendWindowDays: 7 }).run(context);
+        assert.strictEqual(context.analysis.overallTrend, 'Model prose');
+    });
+
+    await test('history failures never stop the run', async () => {
+        const broken = {
+            async record() { throw new Error('disk full'); },
+            async list() { throw new Error('disk full'); }
+        };
+        const context = { articles: [], analysis: { topArticles: [], overallTrend: null }, generators: {} };
+
+        await stages.recordHistory(broken).run(context);
+        await stages.trendAnalysis(broken, { trendWindowDays: 7 }).run(context);
+        assert.strictEqual(context.analysis.trends, undefined);
+    });
+
+    report();
+}
+
+// Run the tests
+runTests();
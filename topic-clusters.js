@@ -0,0 +1,174 @@
+/**
+ * Topic Clusters
+ *
+ * Groups articles about the same topic for the digest post. Each article
+ * becomes a term-frequency vector of its title (counted twice) and summary;
+ * articles are visited in ranked order and join the most similar existing
+ * cluster (cosine similarity to the cluster's summed vector) when it reaches
+ * the threshold, otherwise they start a new cluster. Clusters are labelled
+ * with the best matching entry of TOPIC_LABELS, or their most frequent term;
+ * clusters that end up with the same TOPIC_LABELS label are merged.
+ *
+ * topicFor labels a single article the same way (trends.js counts articles
+ * per topic with it).
+ */
+
+const STOPWORDS = new Set(
+  (
+    "a about after all also an and are as at be been but by can could for from has " +
+    "have how in into is it its just more most new not now of on or our out over " +
+    "says said so than that the their them they this to up was we were what when " +
+    "which while who will with would you your week today year years first one two " +
+    "ai artificial intelligence"
+  ).split(" ")
+);
+
+/**
+ * Readable labels with the terms that point to them
+ */
+const TOPIC_LABELS = [
+  { label: "Healthcare", terms: ["health", "medical", "hospital", "drug", "patient", "clinical", "disease", "doctor"] },
+  { label: "Generative AI", terms: ["generative", "llm", "chatgpt", "gpt", "chatbot", "gemini", "claude", "language"] },
+  { label: "Research", terms: ["research", "researcher", "study", "science", "scientist", "university", "paper"] },
+  { label: "Robotics", terms: ["robot", "robotic", "autonomous", "drone", "humanoid"] },
+  { label: "Policy & Ethics", terms: ["regulation", "policy", "law", "ethic", "government", "safety"] },
+  { label: "Business & Funding", terms: ["startup", "funding", "raise", "investment", "acquisition", "revenue", "enterprise"] },
+  { label: "Climate & Energy", terms: ["climate", "energy", "carbon", "weather", "emission"] },
+  { label: "Education", terms: ["education", "student", "school", "teacher", "classroom"] },
+];
+
+/**
+ * Lowercased content words of a text, with plural "s" removed
+ */
+function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 2 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+function stem(word) {
+  return word.length > 4 && word.endsWith("s") && !word.endsWith("ss")
+    ? word.slice(0, -1)
+    : word;
+}
+
+/**
+ * Term-frequency vector of an article; title terms count twice
+ */
+function articleVector(article) {
+  const vector = new Map();
+  const add = (word, weight) => vector.set(word, (vector.get(word) || 0) + weight);
+
+  tokenize(article.title).forEach((word) => add(word, 2));
+  tokenize(article.summary).forEach((word) => add(word, 1));
+  return vector;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  for (const [word, weight] of a) {
+    dot += weight * (b.get(word) || 0);
+  }
+  if (dot === 0) return 0;
+
+  const norm = (vector) =>
+    Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+function addInto(target, vector) {
+  for (const [word, weight] of vector) {
+    target.set(word, (target.get(word) || 0) + weight);
+  }
+}
+
+/**
+ * Label for a cluster's summed vector
+ */
+function labelFor(vector) {
+  let best = null;
+  let bestScore = 0;
+
+  for (const topic of TOPIC_LABELS) {
+    const score = topic.terms.reduce((sum, term) => sum + (vector.get(stem(term)) || 0), 0);
+    if (score > bestScore) {
+      best = topic.label;
+      bestScore = score;
+    }
+  }
+  if (best) return best;
+
+  const [topTerm] = [...vector.entries()].sort((a, b) => b[1] - a[1])[0] || ["other"];
+  return topTerm.charAt(0).toUpperCase() + topTerm.slice(1);
+}
+
+/**
+ * TOPIC_LABELS label of a single article, or "Other"
+ */
+function topicFor(article) {
+  const label = labelFor(articleVector(article));
+  return TOPIC_LABELS.some((topic) => topic.label === label) ? label : "Other";
+}
+
+/**
+ * Clusters ranked articles by topic
+ *
+ * options:
+ *   threshold: minimum cosine similarity to join a cluster (0-1)
+ *   maxClusters: clusters returned, largest first (ties: best-ranked first)
+ *
+ * Returns [{ label, indexes, top }] where indexes point into articles in
+ * ranked order and top is the index of the cluster's best-ranked article.
+ */
+function clusterArticles(articles, { threshold = 0.25, maxClusters = 5 } = {}) {
+  const clusters = [];
+
+  articles.forEach((article, index) => {
+    const vector = articleVector(article);
+    let best = null;
+    let bestSimilarity = threshold;
+
+    for (const cluster of clusters) {
+      const similarity = cosineSimilarity(vector, cluster.vector);
+      if (similarity >= bestSimilarity) {
+        best = cluster;
+        bestSimilarity = similarity;
+      }
+    }
+
+    if (best) {
+      best.indexes.push(index);
+      addInto(best.vector, vector);
+    } else {
+      clusters.push({ indexes: [index], vector });
+    }
+  });
+
+  // Separate clusters about the same known topic become one
+  const merged = [];
+  for (const cluster of clusters) {
+    const label = labelFor(cluster.vector);
+    const known = TOPIC_LABELS.some((topic) => topic.label === label);
+    const existing = known && merged.find((other) => other.label === label);
+
+    if (existing) {
+      existing.indexes = [...existing.indexes, ...cluster.indexes].sort((a, b) => a - b);
+    } else {
+      merged.push({ label, indexes: cluster.indexes });
+    }
+  }
+
+  return merged
+    .sort((a, b) => b.indexes.length - a.indexes.length || a.indexes[0] - b.indexes[0])
+    .slice(0, maxClusters)
+    .map((cluster) => ({ ...cluster, top: cluster.indexes[0] }));
+}
+
+module.exports = {
+  TOPIC_LABELS,
+  tokenize,
+  topicFor,
+  clusterArticles,
+};
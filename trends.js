@@ -0,0 +1,165 @@
+/**
+ * Trends
+ *
+ * Turns the article history (article-history.js) into momentum figures: how
+ * many articles each topic, title keyword and named company, product or
+ * person had in the last windowDays days, compared with the windowDays
+ * before that.
+ *
+ *   {
+ *     windowDays, from, to, articleCount, previousCount,
+ *     topics:   [{ topic, count, previousCount, change }]  most articles first
+ *     keywords: [{ term, count, previousCount, change }]   at least 2 articles
+ *     entities: [{ name, count, previousCount, change }]   at least 2 articles
+ *     rising:   [{ topic | term | name, count, previousCount, change }] biggest gain first
+ *     daily:    [{ date, count, topics: { [topic]: count } }] oldest first
+ *   }
+ *
+ * The pipeline adds the figures to the analysis (analysis.trends,
+ * analysis.momentum) and GET /api/trends serves them to the UI chart.
+ */
+
+const { tokenize } = require("./topic-clusters");
+
+const DAY = 86400000;
+
+/**
+ * Trend figures for the window ending at now
+ */
+function computeTrends(entries, { now = new Date(), windowDays = 7, limit = 10 } = {}) {
+  const end = now.getTime();
+  const start = end - windowDays * DAY;
+  const previousStart = start - windowDays * DAY;
+
+  const current = [];
+  const previous = [];
+  for (const entry of entries) {
+    const time = new Date(entry.date).getTime();
+    if (time > start && time <= end) current.push(entry);
+    else if (time > previousStart && time <= start) previous.push(entry);
+  }
+
+  const topics = compare(
+    countBy(current, (entry) => [entry.topic || "Other"]),
+    countBy(previous, (entry) => [entry.topic || "Other"]),
+    "topic"
+  );
+  const keywords = compare(
+    countBy(current, titleTerms),
+    countBy(previous, titleTerms),
+    "term"
+  ).filter((keyword) => keyword.count >= 2);
+  // Entries recorded before entity extraction have no entities
+  const entities = compare(
+    countBy(current, (entry) => entry.entities || []),
+    countBy(previous, (entry) => entry.entities || []),
+    "name"
+  ).filter((entity) => entity.count >= 2);
+
+  const rising = [...topics.filter((topic) => topic.topic !== "Other"), ...keywords, ...entities]
+    .filter((item) => item.change > 0 && item.count >= 2)
+    .sort((a, b) => b.change - a.change || b.count - a.count)
+    .slice(0, limit);
+
+  return {
+    windowDays,
+    from: new Date(start).toISOString(),
+    to: new Date(end).toISOString(),
+    articleCount: current.length,
+    previousCount: previous.length,
+    topics,
+    keywords: keywords.slice(0, limit),
+    entities: entities.slice(0, limit),
+    rising,
+    daily: dailyCounts(current, start, windowDays),
+  };
+}
+
+/**
+ * One sentence about the strongest movement, or null without articles
+ */
+function describeTrends(trends) {
+  if (trends.articleCount === 0) return null;
+
+  const [topRising] = trends.rising.filter((item) => item.topic);
+  const [topTopic] = trends.topics;
+  const lead = topRising || topTopic;
+  const sentences = [`${momentumSentence(lead, trends.windowDays)}.`];
+
+  const names = trends.rising.filter((item) => item.name).slice(0, 3);
+  if (names.length > 0) {
+    sentences.push(`Rising names: ${names.map((item) => item.name).join(", ")}.`);
+  }
+  const terms = trends.rising.filter((item) => item.term).slice(0, 3);
+  if (terms.length > 0) {
+    sentences.push(`Rising keywords: ${terms.map((item) => item.term).join(", ")}.`);
+  }
+  return sentences.join(" ");
+}
+
+/**
+ * Momentum of one topic ("Healthcare: 6 articles in the past 7 days, up from
+ * 2 the 7 days before"), or null when the topic had no articles
+ */
+function momentumFor(trends, topic) {
+  const entry = trends.topics.find((item) => item.topic === topic);
+  return entry ? momentumSentence(entry, trends.windowDays) : null;
+}
+
+function momentumSentence(item, windowDays) {
+  const name = item.topic || item.term || item.name;
+  const count = `${item.count} ${item.count === 1 ? "article" : "articles"} in the past ${windowDays} days`;
+
+  if (item.change > 0) return `${name}: ${count}, up from ${item.previousCount} the ${windowDays} days before`;
+  if (item.change < 0) return `${name}: ${count}, down from ${item.previousCount} the ${windowDays} days before`;
+  return `${name}: ${count}, level with the ${windowDays} days before`;
+}
+
+// Each title term counts once per article
+function titleTerms(entry) {
+  return [...new Set(tokenize(entry.title))];
+}
+
+function countBy(entries, keysOf) {
+  const counts = new Map();
+  for (const entry of entries) {
+    for (const key of keysOf(entry)) {
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+function compare(counts, previousCounts, field) {
+  return [...counts.entries()]
+    .map(([key, count]) => {
+      const previousCount = previousCounts.get(key) || 0;
+      return { [field]: key, count, previousCount, change: count - previousCount };
+    })
+    .sort((a, b) => b.count - a.count || b.change - a.change || a[field].localeCompare(b[field]));
+}
+
+function dailyCounts(entries, start, windowDays) {
+  const days = [];
+  for (let i = 1; i <= windowDays; i++) {
+    days.push({ date: new Date(start + i * DAY).toISOString().slice(0, 10), count: 0, topics: {} });
+  }
+
+  for (const entry of entries) {
+    const index = Math.min(
+      windowDays - 1,
+      Math.floor((new Date(entry.date).getTime() - start - 1) / DAY)
+    );
+    const day = days[index];
+    const topic = entry.topic || "Other";
+    day.count++;
+    day.topics[topic] = (day.topics[topic] || 0) + 1;
+  }
+  return days;
+}
+
+module.exports = {
+  computeTrends,
+  describeTrends,
+  momentumFor,
+};